@@ -9,6 +9,8 @@ import * as storage from './storage.js';
 import * as wsClient from './wsClient.js';
 import * as sound from './sound.js';
 import * as game from '../../engine/game.js';
+import * as fairness from '../../engine/fairness.js';
+import * as protocol from '../../engine/protocol.js';
 
 // Global app state. There is only one game mode now - the server is always
 // authoritative. "Play vs AI" is just a shortcut that creates a room and
@@ -24,7 +26,15 @@ const appState = {
     room: null,
     players: [],
     roundState: null,
+    // The room's rule set, as broadcast by the server (see
+    // game.createRules) - classic until the first state arrives.
+    rules: game.DEFAULT_RULES,
     myHand: [],
+    // Watching a room without a seat (watch_room) - the server sends no
+    // hand and rejects every action, so the UI only ever shows the table.
+    // Not saved like a seat is: there's no session to rejoin, a reconnect
+    // just watches again.
+    isSpectator: false,
     // When true, every time this client lands in a 'lobby' room it
     // immediately readies up and starts the game itself instead of
     // showing the lobby screen - this is what makes "Play vs AI" behave
@@ -33,22 +43,49 @@ const appState = {
     // a rematch also auto-starts; cleared on Leave.
     autoStartSolo: false,
     autoStartSent: false,
+    // The host has changed Table Settings fields but not applied them yet
+    // - lobby broadcasts leave the form alone until they do.
+    settingsEdited: false,
     // Highest stake-risk tier already toasted this round (see
     // computeStakeRisk/showStakeRiskToast) - reset every new round so the
     // cue can fire again next round, but never twice for the same tier
     // in one round even across several raise/call actions.
-    stakeRiskShownLevel: null
+    stakeRiskShownLevel: null,
+    // A bet has been sent and the server hasn't acked or rejected it yet -
+    // further betting clicks wait for it (see trackBetIntent).
+    betPending: false,
+    // Connection quality per human player, as the server's heartbeats see
+    // it (playerId -> { latencyMs, quality }), and this client's own
+    // measured round trip - shown on our own panel instead of the server's.
+    connections: {},
+    latencyMs: null,
+    // This round's deck commitment (see engine/fairness.js), the cards we
+    // were dealt before betting, and the last round whose server seed has
+    // been revealed - what "Verify round" checks.
+    fairness: null,
+    openingHand: null,
+    revealedRound: null,
+    // The seed we sent when we last readied up and the seed chain head the
+    // lobby showed us at the time - a verified round must use both.
+    readySeed: null,
+    seedChainHead: null,
+    // Signed-in account ({ username, playerId, token }) or null for a
+    // guest, and whether a register/login is waiting on its reply (its
+    // error belongs under the form, not in a toast).
+    account: null,
+    accountPending: false
 };
 
 // Initialize app
 function init() {
     console.log('Initializing NOT10...');
 
-    // Get or create player ID - the same id is reused for multiplayer, since
-    // the server is what enforces "only you see your own hand" now, not an
-    // external auth/RLS layer, so there's no separate authenticated identity
-    // to fetch.
-    appState.currentUser.playerId = storage.getOrCreatePlayerId();
+    // A signed-in account's player id is the same on every device; a guest
+    // keeps a per-browser one. Either way the server is what enforces "only
+    // you see your own hand", and the account token is checked on every
+    // connect (handleSocketOpen).
+    appState.account = storage.getAccount();
+    appState.currentUser.playerId = appState.account?.playerId || storage.getOrCreatePlayerId();
     appState.currentUser.name = storage.getPlayerName() || '';
 
     wsClient.connect(handleServerMessage, handleSocketOpen, handleReplacedElsewhere);
@@ -58,6 +95,7 @@ function init() {
 
     // Setup modals
     ui.setupModal('help-modal', 'close-help-btn');
+    ui.renderAccount(appState.account);
 
     ui.setSoundToggleState(sound.isMuted());
     document.getElementById('sound-toggle-btn')?.addEventListener('click', () => {
@@ -78,10 +116,17 @@ function init() {
  * us rather than starting over.
  */
 function handleSocketOpen() {
+    // Before the rejoin - an account's seat only takes a signed-in socket.
+    if (appState.account) wsClient.send({ type: 'authenticate', token: appState.account.token });
     const savedRoomCode = storage.getRoomCode();
-    if (savedRoomCode) {
-        const sessionToken = storage.getSession()?.sessionToken;
+    const sessionToken = storage.getSession()?.sessionToken;
+    if (savedRoomCode && sessionToken) {
         wsClient.send({ type: 'rejoin', playerId: appState.currentUser.playerId, roomCode: savedRoomCode, sessionToken });
+    } else if (savedRoomCode) {
+        // No token to rejoin with - nothing the server would take.
+        storage.clearRoomCode();
+    } else if (appState.isSpectator && appState.roomCode) {
+        wsClient.send({ type: 'watch_room', roomCode: appState.roomCode });
     }
 }
 
@@ -108,12 +153,32 @@ function setupEventListeners() {
             if (joinField) joinField.value = appState.currentUser.name;
         });
     }
+    const presetField = document.getElementById('table-preset-field');
+    if (presetField) {
+        for (const [key, preset] of Object.entries(game.RULE_PRESETS)) {
+            presetField.add(new Option(preset.label, key));
+        }
+    }
     document.getElementById('create-lobby-btn')?.addEventListener('click', handleCreateLobby);
     document.getElementById('join-lobby-btn')?.addEventListener('click', () => {
         window.location.hash = '#/join';
     });
     document.getElementById('play-ai-btn')?.addEventListener('click', handlePlayAI);
+    document.getElementById('quick-match-btn')?.addEventListener('click', handleQuickMatch);
+    document.getElementById('refresh-rooms-btn')?.addEventListener('click', requestRoomList);
+    document.getElementById('account-form')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        handleAccountSubmit('login');
+    });
+    document.getElementById('register-btn')?.addEventListener('click', () => handleAccountSubmit('register'));
+    document.getElementById('logout-btn')?.addEventListener('click', () => wsClient.send({ type: 'logout' }));
     document.getElementById('help-btn')?.addEventListener('click', ui.showHelpModal);
+    document.getElementById('stats-btn')?.addEventListener('click', () => {
+        window.location.hash = '#/stats';
+    });
+    document.getElementById('back-from-stats-btn')?.addEventListener('click', () => {
+        window.location.hash = '#/menu';
+    });
 
     // Join screen - its own name field, kept in sync with the menu screen's
     // so either one can be the first place a player ever types their name.
@@ -127,6 +192,7 @@ function setupEventListeners() {
         });
     }
     document.getElementById('join-room-btn')?.addEventListener('click', handleJoinRoom);
+    document.getElementById('watch-room-btn')?.addEventListener('click', handleWatchRoom);
     document.getElementById('back-from-join-btn')?.addEventListener('click', () => {
         window.location.hash = '#/menu';
     });
@@ -134,7 +200,19 @@ function setupEventListeners() {
     // Lobby screen
     document.getElementById('lobby-ready-btn')?.addEventListener('click', handleToggleReady);
     document.getElementById('host-start-btn')?.addEventListener('click', handleStartGame);
+    document.getElementById('switch-team-btn')?.addEventListener('click', handleSwitchTeam);
+    document.getElementById('lock-room-btn')?.addEventListener('click', handleToggleLock);
+    document.getElementById('game-lock-btn')?.addEventListener('click', handleToggleLock);
     document.getElementById('leave-lobby-btn')?.addEventListener('click', handleLeaveRoom);
+    document.getElementById('apply-settings-btn')?.addEventListener('click', handleApplySettings);
+    // Unsent edits survive the broadcasts that arrive meanwhile (someone
+    // readying up) until the host applies them.
+    const markSettingsEdited = () => {
+        appState.settingsEdited = true;
+        ui.updateButton('apply-settings-btn', appState.isHost);
+    };
+    document.getElementById('lobby-settings-form')?.addEventListener('input', markSettingsEdited);
+    document.getElementById('lobby-settings-form')?.addEventListener('change', markSettingsEdited);
 
     // Copy code button
     document.getElementById('copy-lobby-code-btn')?.addEventListener('click', async () => {
@@ -144,18 +222,34 @@ function setupEventListeners() {
     // Game screen
     document.getElementById('leave-game-btn')?.addEventListener('click', handleLeaveRoom);
     document.getElementById('clear-log-btn')?.addEventListener('click', ui.clearLog);
+    document.getElementById('verify-round-btn')?.addEventListener('click', handleVerifyRound);
+
+    // Table talk
+    document.getElementById('chat-form')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const input = document.getElementById('chat-input');
+        const text = input?.value.trim();
+        if (!text) return;
+        wsClient.send({ type: 'chat', text });
+        input.value = '';
+    });
+    document.querySelector('.emote-row')?.addEventListener('click', (e) => {
+        const btn = e.target.closest('.btn-emote');
+        if (btn) wsClient.send({ type: 'emote', emote: btn.dataset.emote });
+    });
     
-    // Betting buttons
-    document.querySelectorAll('.btn-bet').forEach(btn => {
-        btn.addEventListener('click', () => {
-            const amount = parseInt(btn.dataset.amount) * 100; // Convert to cents
-            handleMultiplayerRaise(amount);
-        });
+    // Betting buttons - delegated, since ui.renderRaiseButtons rebuilds
+    // them whenever the room's RAISE_AMOUNTS differ from what's shown.
+    document.getElementById('bet-amount-group')?.addEventListener('click', (e) => {
+        const btn = e.target.closest('.btn-bet');
+        if (!btn || btn.disabled) return;
+        handleMultiplayerRaise(parseInt(btn.dataset.amount, 10), btn);
     });
     document.getElementById('call-btn')?.addEventListener('click', handleMultiplayerCall);
 
     // Finalize button
     document.getElementById('finalize-btn')?.addEventListener('click', handleMultiplayerFinalize);
+    document.getElementById('fold-btn')?.addEventListener('click', handleMultiplayerFold);
 
     // All-in button
     document.getElementById('all-in-btn')?.addEventListener('click', () => {
@@ -190,8 +284,12 @@ function handleRoute() {
     
     if (path.startsWith('menu')) {
         ui.showScreen('menu-screen');
+        requestRoomList();
     } else if (path.startsWith('join')) {
         ui.showScreen('join-screen');
+    } else if (path.startsWith('stats')) {
+        ui.showScreen('stats-screen');
+        wsClient.send({ type: 'get_stats', playerId: appState.currentUser.playerId });
     } else if (path.startsWith('lobby')) {
         // Handled by joinRoom/createLobby
     } else if (path.startsWith('game')) {
@@ -209,7 +307,14 @@ function handleCreateLobby() {
     storage.savePlayerName(playerName);
 
     ui.showLoading('Creating lobby...');
-    wsClient.send({ type: 'create_room', playerId: appState.currentUser.playerId, name: playerName });
+    wsClient.send({
+        type: 'create_room',
+        playerId: appState.currentUser.playerId,
+        name: playerName,
+        preset: selectedPreset(),
+        public: !!document.getElementById('public-room-field')?.checked,
+        clientSeed: utils.generateClientSeed()
+    });
 
     // The 'state' handler (handleServerMessage) picks up the room code from
     // the server's response and finishes the screen transition, since the
@@ -239,7 +344,96 @@ function handleJoinRoom() {
     appState.currentUser.name = name;
     storage.savePlayerName(name);
 
-    wsClient.send({ type: 'join_room', playerId: appState.currentUser.playerId, name, roomCode: code });
+    wsClient.send({ type: 'join_room', playerId: appState.currentUser.playerId, name, roomCode: code, clientSeed: utils.generateClientSeed() });
+}
+
+/**
+ * Seat this player at the fullest public lobby of the selected preset, or
+ * open a new public one - the server decides which (see quick_match).
+ */
+function handleQuickMatch() {
+    const name = appState.currentUser.name;
+    const nameValidation = utils.validatePlayerName(name);
+    if (!nameValidation.valid) {
+        ui.showToast(nameValidation.error);
+        return;
+    }
+
+    appState.autoStartSolo = false;
+    ui.showLoading('Finding a table...');
+    wsClient.send({ type: 'quick_match', playerId: appState.currentUser.playerId, name, preset: selectedPreset(), clientSeed: utils.generateClientSeed() });
+}
+
+/** Join a table picked from the Open Tables list. */
+function handleJoinPublicRoom(code) {
+    const name = appState.currentUser.name;
+    const nameValidation = utils.validatePlayerName(name);
+    if (!nameValidation.valid) {
+        ui.showToast(nameValidation.error);
+        return;
+    }
+
+    appState.autoStartSolo = false;
+    ui.showLoading('Joining room...');
+    wsClient.send({ type: 'join_room', playerId: appState.currentUser.playerId, name, roomCode: code, clientSeed: utils.generateClientSeed() });
+}
+
+/**
+ * Log in or create an account from the menu's account form. The server
+ * checks the username and password; its error shows under the form.
+ * @param {string} type - 'login' | 'register'
+ */
+function handleAccountSubmit(type) {
+    const username = document.getElementById('account-username')?.value.trim();
+    const password = document.getElementById('account-password')?.value || '';
+    if (!username || !password) {
+        ui.showError('account-error', 'Enter a username and password');
+        return;
+    }
+    ui.hideError('account-error');
+    appState.accountPending = true;
+    wsClient.send({ type, username, password });
+}
+
+/**
+ * Signed in (or out) - switch to that identity's player id. A room saved
+ * under the old id can't be rejoined as the new one, so it's forgotten.
+ */
+function handleAccount(data) {
+    appState.accountPending = false;
+    const playerId = data.playerId || storage.getOrCreatePlayerId();
+    appState.account = data.username ? { username: data.username, playerId: data.playerId, token: data.token } : null;
+    if (appState.account) storage.saveAccount(appState.account);
+    else storage.clearAccount();
+    if (playerId !== appState.currentUser.playerId) {
+        storage.clearRoomCode();
+        storage.clearSession();
+        appState.currentUser.playerId = playerId;
+    }
+    const passwordField = document.getElementById('account-password');
+    if (passwordField) passwordField.value = '';
+    ui.renderAccount(appState.account);
+}
+
+function requestRoomList() {
+    wsClient.send({ type: 'list_rooms' });
+}
+
+/**
+ * Watch a room without taking a seat - works at any stage, including a
+ * game already in progress that join_room would turn away.
+ */
+function handleWatchRoom() {
+    const code = document.getElementById('join-room-code')?.value.trim().toUpperCase();
+    if (!code || code.length !== 6) {
+        ui.showError('join-error', 'Please enter a valid 6-character room code');
+        return;
+    }
+
+    ui.hideError('join-error');
+    ui.showLoading('Finding table...');
+    appState.autoStartSolo = false;
+    wsClient.send({ type: 'watch_room', roomCode: code });
 }
 
 function handleToggleReady() {
@@ -247,7 +441,7 @@ function handleToggleReady() {
     if (!myPlayer) return;
 
     const newReadyState = !myPlayer.is_ready;
-    wsClient.send({ type: 'set_ready', ready: newReadyState });
+    sendReady(newReadyState);
 
     // Optimistic local update - the authoritative 'state' broadcast follows
     // right behind and will correct this if anything went wrong.
@@ -258,6 +452,45 @@ function handleToggleReady() {
     }
 }
 
+function handleSwitchTeam() {
+    wsClient.send({ type: 'switch_team' });
+}
+
+function handleApplySettings() {
+    if (!appState.isHost) return;
+    appState.settingsEdited = false;
+    wsClient.send({ type: 'update_settings', ...ui.readLobbySettings(appState.rules.MAX_PLAYERS) });
+}
+
+function handleToggleLock() {
+    if (!appState.isHost) return;
+    wsClient.send({ type: 'lock_room', locked: !appState.room?.locked });
+}
+
+function handleKickPlayer(playerId, ban) {
+    const player = appState.players.find(p => p.id === playerId);
+    if (!player) return;
+    const question = ban
+        ? `Remove ${player.name} and keep them out for 10 minutes?`
+        : `Remove ${player.name} from the room?`;
+    if (!window.confirm(question)) return;
+    wsClient.send({ type: 'kick_player', playerId, ban });
+}
+
+function handleTransferHost(playerId) {
+    wsClient.send({ type: 'transfer_host', playerId });
+}
+
+/** Host controls for ui.renderSeats/renderGameTable. */
+function moderation() {
+    return {
+        hostId: appState.room?.host_id,
+        isHost: appState.isHost && !appState.isSpectator,
+        onKick: handleKickPlayer,
+        onTransfer: handleTransferHost
+    };
+}
+
 function handleStartGame() {
     if (!appState.isHost) return;
     wsClient.send({ type: 'start_game' });
@@ -265,7 +498,12 @@ function handleStartGame() {
 
 function handleLeaveRoom() {
     wsClient.send({ type: 'leave_room' });
+    resetRoomState();
+}
 
+// Forget the current room and go back to the menu - after leaving, or
+// after the host removed us.
+function resetRoomState() {
     storage.clearRoomCode();
     storage.clearSession();
 
@@ -274,8 +512,19 @@ function handleLeaveRoom() {
     appState.players = [];
     appState.roundState = null;
     appState.myHand = [];
+    appState.isSpectator = false;
     appState.autoStartSolo = false;
     appState.autoStartSent = false;
+    appState.settingsEdited = false;
+    appState.connections = {};
+    appState.fairness = null;
+    appState.openingHand = null;
+    appState.revealedRound = null;
+    appState.readySeed = null;
+    ui.setVerifyRoundAvailable(false);
+    ui.renderChat([], null);
+    ui.updateTurnClock(null);
+    ui.clearTimeline();
 
     window.location.hash = '#/menu';
     ui.showScreen('menu-screen');
@@ -283,7 +532,7 @@ function handleLeaveRoom() {
 
 /**
  * "Play vs AI" - identical to a host creating a lobby alone and letting it
- * auto-fill with 3 bots, minus ever showing the lobby screen: this just
+ * auto-fill with bots, minus ever showing the lobby screen: this just
  * creates a room and arms autoStartSolo, which makes handleStateUpdate
  * auto-ready-and-start the moment the (single-player) lobby state arrives.
  */
@@ -294,7 +543,12 @@ function handlePlayAI() {
     storage.savePlayerName(playerName);
 
     ui.showLoading('Setting up your table...');
-    wsClient.send({ type: 'create_room', playerId: appState.currentUser.playerId, name: playerName });
+    wsClient.send({ type: 'create_room', playerId: appState.currentUser.playerId, name: playerName, preset: selectedPreset(), clientSeed: utils.generateClientSeed() });
+}
+
+/** Rule preset picked on the menu screen for a room this client creates. */
+function selectedPreset() {
+    return document.getElementById('table-preset-field')?.value || 'classic';
 }
 
 // ==========================================
@@ -305,30 +559,45 @@ function handlePlayAI() {
 // authoritative for turn advancement, bot control, and round-end handling
 // (including for "Play vs AI" - it's just a solo room like any other).
 // This client only sends intents and re-renders whenever a 'state'
-// broadcast arrives (handleServerMessage). Design trade-off worth knowing:
-// because every update is a full snapshot rather than a granular
-// per-action event, you only see a bot's move once it's already resolved -
-// whose turn it is right now is shown via the active-turn highlight on
-// their player panel.
+// broadcast arrives (handleServerMessage). Each state is preceded by the
+// table events that led to it (engine/events.js) - both go through one
+// playback timeline (ui.queueTimeline), so a bot's bet or card animates
+// in before the state it produced is drawn, instead of simply appearing.
+
+// Send a bet and show it on its button as pending until the server
+// answers, then confirmed (ack) or cleared (rejected, or expired in the
+// queue while reconnecting). One bet at a time - a second click while one
+// is pending is ignored rather than queued behind it.
+function trackBetIntent(button, bet) {
+    if (appState.betPending) return false;
+    appState.betPending = true;
+    ui.setIntentState(button, 'pending');
+    wsClient.send({ type: 'bet', ...bet }).then(({ status }) => {
+        appState.betPending = false;
+        ui.setIntentState(button, status === 'confirmed' ? 'confirmed' : null);
+        if (status === 'expired') ui.showToast('Connection dropped - that bet was not sent, please try again');
+    });
+    return true;
+}
 
-function handleMultiplayerRaise(amount) {
-    sound.playBet();
-    wsClient.send({ type: 'bet', action: 'bet', amount });
+function handleMultiplayerRaise(amount, button) {
+    if (trackBetIntent(button, { action: 'bet', amount })) sound.playBet();
 }
 
 function handleMultiplayerCall() {
-    sound.playConfirm();
-    wsClient.send({ type: 'bet', action: 'call', amount: null });
+    if (trackBetIntent(document.getElementById('call-btn'), { action: 'call', amount: null })) sound.playConfirm();
 }
 
 function handleMultiplayerAllIn() {
-    sound.playAllIn();
-    wsClient.send({ type: 'bet', action: 'all-in', amount: null });
+    if (trackBetIntent(document.getElementById('all-in-btn'), { action: 'all-in', amount: null })) sound.playAllIn();
 }
 
 function handleMultiplayerFinalize() {
-    sound.playConfirm();
-    wsClient.send({ type: 'bet', action: 'finalize', amount: null });
+    if (trackBetIntent(document.getElementById('finalize-btn'), { action: 'finalize', amount: null })) sound.playConfirm();
+}
+
+function handleMultiplayerFold() {
+    if (trackBetIntent(document.getElementById('fold-btn'), { action: 'fold', amount: null })) sound.playConfirm();
 }
 
 function handleMultiplayerCardClick(cardValue) {
@@ -336,7 +605,7 @@ function handleMultiplayerCardClick(cardValue) {
     // the resulting total, so the tension in the sound doesn't have to
     // wait for the round-trip.
     const resultingTotal = (appState.room?.table_total || 0) + cardValue;
-    sound.playCard(resultingTotal / game.GAME_CONSTANTS.BUST_THRESHOLD);
+    sound.playCard(resultingTotal / appState.rules.BUST_THRESHOLD);
     wsClient.send({ type: 'play_card', value: cardValue });
 }
 
@@ -350,18 +619,76 @@ function handlePlayAgain() {
 }
 
 /**
- * Single entry point for every server push.
+ * Single entry point for every server push. 'state' is always a full
+ * state - wsClient rebuilds the server's state_patch deltas before they
+ * get here.
  */
 function handleServerMessage(data) {
     switch (data.type) {
         case 'state':
-            handleStateUpdate(data);
+            ui.queueTimeline(() => handleStateUpdate(data));
+            break;
+        case 'event':
+            ui.queueTimeline(() => handleTableEvent(data), ui.tableEventDuration(data));
+            break;
+        case 'room_list':
+            ui.renderRoomList(data.rooms, handleJoinPublicRoom);
+            break;
+        case 'stats':
+            ui.renderStats(data.leaderboard, data.player);
+            break;
+        case 'chat_history':
+            ui.renderChat(data.messages, appState.currentUser.playerId);
+            break;
+        case 'chat':
+            ui.addChatMessage(data.message, appState.currentUser.playerId);
+            break;
+        case 'emote':
+            ui.showEmote(appState.players, data.playerId, data.text);
+            break;
+        case 'account':
+            handleAccount(data);
+            break;
+        case 'connection_quality':
+            appState.connections = data.players;
+            renderConnectionQuality();
+            break;
+        case 'pong':
+            appState.latencyMs = data.latencyMs;
+            renderConnectionQuality();
+            break;
+        case 'turn_timeout':
+            ui.showToast(data.playerId === appState.currentUser.playerId
+                ? 'You ran out of time - the default move was made for you'
+                : `${data.name} ran out of time`);
             break;
         case 'error':
-            if (data.reason === 'rejoin_failed') {
+        case 'reject': // an intent's own error (wsClient has settled it)
+            if (data.code === 'protocol_mismatch') {
+                ui.showToast(data.message, 60000);
+            } else if (data.reason === 'rejoin_failed') {
                 storage.clearRoomCode();
                 storage.clearSession();
                 ui.showScreen('menu-screen');
+            } else if (data.reason === 'auth_failed' || data.reason === 'auth_required') {
+                // The saved sign-in expired or was revoked - back to
+                // playing as a guest, from the menu.
+                handleAccount({ username: null, playerId: null, token: null });
+                ui.showToast(data.message);
+                ui.showScreen('menu-screen');
+            } else if (appState.accountPending) {
+                appState.accountPending = false;
+                ui.showError('account-error', data.message);
+            } else if (data.reason === 'kicked') {
+                ui.showToast(data.message);
+                resetRoomState();
+            } else if (data.reason === 'room_closed') {
+                // The room we were watching emptied out.
+                appState.isSpectator = false;
+                appState.roomCode = null;
+                ui.showToast(data.message);
+                window.location.hash = '#/menu';
+                ui.showScreen('menu-screen');
             } else {
                 ui.showToast(data.message);
             }
@@ -371,6 +698,107 @@ function handleServerMessage(data) {
     }
 }
 
+/**
+ * Play back one table event from the timeline - the animation is ui.js's,
+ * the sound is ours.
+ */
+function handleTableEvent(event) {
+    const mine = event.playerId === appState.currentUser.playerId;
+    if (event.event === 'card_played' && !mine && event.total < appState.rules.BUST_THRESHOLD) {
+        // Our own plays already got a sound optimistically on click.
+        sound.playCard(event.total / appState.rules.BUST_THRESHOLD);
+    } else if (event.event === 'bust') {
+        sound.playBust();
+    } else if (event.event === 'bet_placed' && !mine) {
+        sound.playBet();
+    }
+    ui.playTableEvent(event, appState.players);
+}
+
+function renderConnectionQuality() {
+    const connections = { ...appState.connections };
+    const own = connections[appState.currentUser.playerId];
+    if (own && appState.latencyMs !== null) {
+        connections[appState.currentUser.playerId] = {
+            latencyMs: appState.latencyMs,
+            quality: protocol.connectionQuality(appState.latencyMs)
+        };
+    }
+    ui.updateConnectionQuality(appState.players, connections);
+}
+
+/**
+ * Ready up with a fresh client seed, picked after the lobby showed us the
+ * seed chain's head - so the server's seeds were fixed before ours.
+ */
+function sendReady(ready) {
+    const clientSeed = utils.generateClientSeed();
+    appState.readySeed = { clientSeed, chainHead: appState.seedChainHead };
+    wsClient.send({ type: 'set_ready', ready, clientSeed });
+}
+
+/**
+ * Keep what "Verify round" needs from each state: a new round's deck
+ * commitment (logged as it arrives, before anyone bets), the cards we were
+ * dealt while betting, and the round whose server seed was just revealed.
+ */
+function trackFairness(data) {
+    appState.seedChainHead = data.seedChainHead || null;
+    const record = data.fairness || null;
+    if (record && record.round !== appState.fairness?.round) {
+        ui.addLogEntry(`Round ${record.round} deck committed (${record.deckHash.slice(0, 12)}...)`);
+    }
+    appState.fairness = record;
+    if (!record) return;
+
+    // Only the betting phase's hand is the opening deal - the rest is
+    // topped up once the position choice resolves.
+    if (data.room.phase === 'betting' && data.roundState?.round_no === record.round && data.yourHand?.length
+        && appState.openingHand?.round !== record.round) {
+        appState.openingHand = { round: record.round, cards: [...data.yourHand] };
+    }
+    if (record.serverSeed && appState.revealedRound?.round !== record.round) {
+        appState.revealedRound = {
+            ...record,
+            rules: data.rules || game.DEFAULT_RULES,
+            openingHand: appState.openingHand?.round === record.round ? appState.openingHand.cards : null
+        };
+        ui.setVerifyRoundAvailable(true);
+    }
+}
+
+/**
+ * Recompute the last revealed round's shuffle here in the browser, with
+ * the same engine code the server dealt with, and check it against the
+ * commitment published before betting - and against our own opening hand.
+ */
+function handleVerifyRound() {
+    const revealed = appState.revealedRound;
+    if (!revealed) return;
+    const { serverSeed, rules, openingHand, ...commitment } = revealed;
+    const result = fairness.verifyRound(commitment, serverSeed, rules);
+    const sorted = cards => [...cards].sort((a, b) => a - b).join(',');
+    const readySeed = appState.readySeed;
+
+    let message;
+    let valid = result.valid;
+    if (!valid) {
+        message = `Round ${revealed.round} failed verification: ${result.error}`;
+    } else if (readySeed && (commitment.chainHead !== readySeed.chainHead
+        || commitment.clientSeeds[appState.currentUser.playerId] !== readySeed.clientSeed)) {
+        valid = false;
+        message = `Round ${revealed.round} failed verification: it wasn't dealt from the seed chain and your seed as they stood when you readied up`;
+    } else if (openingHand && sorted(openingHand) !== sorted(result.openingHands[appState.currentUser.playerId] || [])) {
+        valid = false;
+        message = `Round ${revealed.round} failed verification: your opening hand is not what the committed deck deals`;
+    } else {
+        message = `Round ${revealed.round} verified: the deck matches the commitment made before betting`
+            + (openingHand ? ', and so does your opening hand' : '');
+    }
+    ui.addLogEntry(message, valid ? 'highlight' : 'danger');
+    ui.showToast(message, 5000);
+}
+
 function handleStateUpdate(data) {
     const previousRoundNo = appState.roundState?.round_no;
     const previousLogLength = appState.roundState?.log_json?.length || 0;
@@ -383,9 +811,19 @@ function handleStateUpdate(data) {
     appState.room = data.room;
     appState.players = data.players;
     appState.roundState = data.roundState;
+    appState.rules = data.rules || game.DEFAULT_RULES;
+    appState.connections = data.connections || {};
+    trackFairness(data);
+    ui.setTableSeatCount(appState.rules.MAX_PLAYERS);
+    ui.setTeamMode(appState.rules.TEAM_MODE);
     appState.myHand = data.yourHand || [];
     appState.isHost = data.isHost;
+    appState.isSpectator = !!data.spectator;
     appState.roomCode = data.room.code;
+    ui.setChatEnabled(!appState.isSpectator);
+    ui.updateLockButtons(data.room, appState.isHost);
+    ui.updateSpectatorCount(data.spectatorCount || 0);
+    ui.updateTurnClock(data.room.status === 'in_game' ? data.turnClock : null);
 
     // The rest of your hand (only half was dealt before betting - see
     // dealRemainingHands) lands silently right when the position choice
@@ -419,7 +857,8 @@ function handleStateUpdate(data) {
         sound.playPositionChoiceEarned();
     }
 
-    storage.saveRoomCode(data.room.code);
+    // A spectator has no seat to rejoin - see handleSocketOpen.
+    if (!appState.isSpectator) storage.saveRoomCode(data.room.code);
     // The server's rejoin credential for this player - never sent to
     // anyone but the player it belongs to (see server/rooms.js::_broadcast).
     if (data.sessionToken) storage.saveSession({ sessionToken: data.sessionToken });
@@ -428,12 +867,12 @@ function handleStateUpdate(data) {
         // "Play vs AI" shortcut: skip the lobby screen entirely and
         // auto-ready + auto-start, exactly as if a host had created a
         // lobby alone and started it with no one else joining (server
-        // auto-fills the other 3 seats with bots either way). Guarded by
+        // auto-fills the empty seats with bots either way). Guarded by
         // autoStartSent so the ready-ack's own 'lobby' broadcast doesn't
         // trigger a second start_game.
         if (appState.autoStartSolo && appState.isHost && !appState.autoStartSent) {
             appState.autoStartSent = true;
-            wsClient.send({ type: 'set_ready', ready: true });
+            sendReady(true);
             wsClient.send({ type: 'start_game' });
             return;
         }
@@ -441,8 +880,11 @@ function handleStateUpdate(data) {
         window.location.hash = '#/lobby';
         ui.showScreen('lobby-screen');
         ui.updateRoomCode('lobby-room-code', data.room.code);
-        ui.renderSeats('lobby-seats-list', appState.players, appState.currentUser.playerId);
+        ui.renderSeats('lobby-seats-list', appState.players, appState.currentUser.playerId, appState.rules.MAX_PLAYERS, moderation());
         ui.renderLobbyScreen(appState.room, appState.players, appState.currentUser.playerId, appState.isHost);
+        ui.updateButton('lobby-ready-btn', !appState.isSpectator);
+        if (!appState.isHost) appState.settingsEdited = false;
+        ui.renderLobbySettings(appState.room, appState.rules, appState.isHost, appState.settingsEdited);
         return;
     }
 
@@ -467,19 +909,16 @@ function handleStateUpdate(data) {
 
         const newEntries = (data.roundState?.log_json || []).slice(isNewRound ? 0 : previousLogLength);
         for (const entry of newEntries) {
-            const isDanger = entry.type === 'play_card' && entry.newTotal >= game.GAME_CONSTANTS.BUST_THRESHOLD;
-            const isHighlight = entry.type === 'round_start' || entry.type === 'round_end' || entry.type === 'play_order' || entry.type === 'tie_break' || entry.type === 'underdog_bonus';
+            const isDanger = entry.type === 'play_card' && entry.newTotal >= appState.rules.BUST_THRESHOLD;
+            const isHighlight = entry.type === 'round_start' || entry.type === 'round_end' || entry.type === 'play_order' || entry.type === 'tie_break' || entry.type === 'underdog_bonus' || entry.type === 'bust';
             ui.addLogEntry(entry.message, isDanger ? 'danger' : (isHighlight ? 'highlight' : 'normal'));
 
             if (entry.type === 'play_card') {
+                // Cards played while we were watching arrived as card_played
+                // events (handleTableEvent); this only catches up a table we
+                // just joined or rejoined mid-round, silently.
                 const p = appState.players.find(pl => pl.id === entry.playerId);
-                if (p) ui.showPlayedCard(p.seat_index, entry.cardValue, isDanger);
-                if (isDanger) {
-                    sound.playBust();
-                } else if (entry.playerId !== appState.currentUser.playerId) {
-                    // Our own plays already got a sound optimistically on click.
-                    sound.playCard(entry.newTotal / game.GAME_CONSTANTS.BUST_THRESHOLD);
-                }
+                if (p && isNewRound) ui.showPlayedCard(p.seat_index, entry.cardValue);
             } else if (entry.type === 'tie_break' || entry.type === 'underdog_bonus') {
                 // Rare, table-wide dramatic moments - previously only
                 // visible as a log line, now with a sting everyone hears.
@@ -529,11 +968,13 @@ function handleStateUpdate(data) {
     }
 
     if (data.room.status === 'finished') {
-        const winner = data.winner || game.checkGameOver(appState.players);
+        const winner = data.winner || game.checkGameOver(appState.players, appState.rules);
         if (winner) {
-            if (winner.id === appState.currentUser.playerId) sound.playWin();
+            const winnerIds = winner.teamPlayerIds || [winner.id];
+            if (winnerIds.includes(appState.currentUser.playerId)) sound.playWin();
             else sound.playGameOver();
             ui.showGameOver(winner, appState.players);
+            ui.updateButton('play-again-btn', !appState.isSpectator);
         }
     }
 }
@@ -580,7 +1021,8 @@ function updateGameUI() {
     if (!appState.room || !appState.players.length) return;
     
     // Update basic displays
-    ui.updateTableTotal(appState.room.table_total);
+    ui.updateTableTotal(appState.room.table_total, appState.rules.BUST_THRESHOLD);
+    ui.renderRaiseButtons(appState.rules.RAISE_AMOUNTS);
     ui.updatePot(appState.room.pot_cents);
     ui.updateRoundNumber(appState.room.current_round);
     ui.updatePhaseIndicator(appState.room.phase);
@@ -590,9 +1032,15 @@ function updateGameUI() {
         appState.players, 
         appState.currentUser.playerId, 
         appState.room.turn_player_id,
-        appState.roundState?.finalized_json || {}
+        appState.roundState?.finalized_json || {},
+        null,
+        appState.roundState?.folded_json || {},
+        appState.roundState?.busted_json || {},
+        moderation()
     );
     
+    renderConnectionQuality();
+
     // Update bets
     if (appState.roundState) {
         ui.updatePlayerBets(appState.players, appState.roundState.bets_json || {});
@@ -600,10 +1048,25 @@ function updateGameUI() {
     
     // Update lobby seats if on lobby screen
     if (window.location.hash.includes('lobby')) {
-        ui.renderSeats('lobby-seats-list', appState.players, appState.currentUser.playerId);
+        ui.renderSeats('lobby-seats-list', appState.players, appState.currentUser.playerId, appState.rules.MAX_PLAYERS, moderation());
         ui.renderLobbyScreen(appState.room, appState.players, appState.currentUser.playerId, appState.isHost);
     }
     
+    // Watching without a seat - the same read-only view a knocked-out
+    // player gets, minus anything about "your" money or hand.
+    if (appState.isSpectator) {
+        ui.hideAllControls();
+        ui.hideEarningsBreakdown();
+        ui.setHandNote(null);
+        ui.setYourStatsBarVisible(false);
+        ui.setUnderdogBadgeVisible(false);
+        ui.showSpectatorNotice(true, true);
+        ui.renderSpectatorStandings(appState.players, null);
+        const handContainer = document.getElementById('hand-cards');
+        if (handContainer) handContainer.innerHTML = '';
+        return;
+    }
+
     // Update controls based on game state
     const myPlayer = appState.players.find(p => p.id === appState.currentUser.playerId);
     if (!myPlayer) return;
@@ -621,6 +1084,8 @@ function updateGameUI() {
 
     const isMyTurn = appState.room.turn_player_id === appState.currentUser.playerId;
     const isSpectator = myPlayer.status === 'spectator';
+    const hasFolded = !!appState.roundState?.folded_json?.[myPlayer.id];
+    const hasBusted = !!appState.roundState?.busted_json?.[myPlayer.id];
 
     ui.setYourStatsBarVisible(!isSpectator);
 
@@ -628,7 +1093,7 @@ function updateGameUI() {
         ui.hideAllControls();
         ui.hideEarningsBreakdown();
         ui.setHandNote(null);
-        ui.showSpectatorNotice(true);
+        ui.showSpectatorNotice(true, false);
         ui.renderSpectatorStandings(appState.players, appState.currentUser.playerId);
         // Hide hand for spectators
         const handContainer = document.getElementById('hand-cards');
@@ -652,6 +1117,7 @@ function updateGameUI() {
         
         ui.hideAllControls();
         ui.showBettingControls(isMyTurn, appState.roundState?.has_raised_json?.[appState.currentUser.playerId] || false);
+        ui.setFoldAvailable(appState.rules.ALLOW_FOLD);
         
         // Update bet information display
         if (appState.roundState) {
@@ -693,6 +1159,18 @@ function updateGameUI() {
                 allPlayersActed
             );
         }
+    } else if (appState.room.phase === 'playing' && hasFolded) {
+        // Folded - still seated, just sitting this round's card play out.
+        ui.hideAllControls();
+        ui.hideEarningsBreakdown();
+        ui.renderHand(appState.myHand, false, null);
+        ui.setHandNote('You folded - sitting out until the next round');
+    } else if (appState.room.phase === 'playing' && hasBusted) {
+        // Busted in a MAX_BUSTS > 1 round - the others play on without us.
+        ui.hideAllControls();
+        ui.hideEarningsBreakdown();
+        ui.renderHand(appState.myHand, false, null);
+        ui.setHandNote('You busted - sitting out until the next round');
     } else if (appState.room.phase === 'playing') {
         // Check if awaiting position choice
         if (appState.roundState?.awaiting_position_choice &&
@@ -734,7 +1212,8 @@ function updateGameUI() {
                     appState.players,
                     appState.currentUser.playerId,
                     appState.room.pot_cents,
-                    appState.roundState
+                    appState.roundState,
+                    appState.rules
                 );
             }
         }
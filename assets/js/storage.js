@@ -8,7 +8,8 @@ const STORAGE_KEYS = {
     PLAYER_NAME: 'not10_player_name',
     ROOM_CODE: 'not10_room_code',
     SESSION: 'not10_session',
-    SOUND_MUTED: 'not10_sound_muted'
+    SOUND_MUTED: 'not10_sound_muted',
+    ACCOUNT: 'not10_account'
 };
 
 /**
@@ -107,6 +108,39 @@ export function clearSession() {
     localStorage.removeItem(STORAGE_KEYS.SESSION);
 }
 
+/**
+ * Save the signed-in account (see server/accounts.js). Kept apart from the
+ * guest player id, which comes back on logout.
+ * @param {{username: string, playerId: string, token: string}} account
+ */
+export function saveAccount(account) {
+    localStorage.setItem(STORAGE_KEYS.ACCOUNT, JSON.stringify(account));
+}
+
+/**
+ * Get the signed-in account
+ * @returns {Object|null} { username, playerId, token } or null for a guest
+ */
+export function getAccount() {
+    const data = localStorage.getItem(STORAGE_KEYS.ACCOUNT);
+    if (data) {
+        try {
+            return JSON.parse(data);
+        } catch (err) {
+            console.error('Failed to parse account:', err);
+            return null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Forget the signed-in account
+ */
+export function clearAccount() {
+    localStorage.removeItem(STORAGE_KEYS.ACCOUNT);
+}
+
 /**
  * Clear all NOT10 data from storage
  */
@@ -65,22 +65,39 @@ export function hideError(elementId) {
     }
 }
 
+/**
+ * Show the menu's account panel signed in or out
+ * @param {Object|null} account - { username } when signed in, null for a guest
+ */
+export function renderAccount(account) {
+    document.getElementById('account-signed-out')?.classList.toggle('hidden', !!account);
+    document.getElementById('account-signed-in')?.classList.toggle('hidden', !account);
+    const name = document.getElementById('account-name');
+    if (name) name.textContent = account?.username || '';
+}
+
 /**
  * Render seats list for lobby
  * @param {string} containerId - Container element ID
  * @param {Array} players - Array of player objects
  * @param {string} currentPlayerId - Current player's ID
+ * @param {number} seatCount - Seats in the room (its MAX_PLAYERS)
+ * @param {Object|null} moderation - { hostId, isHost, onKick(playerId, ban),
+ *   onTransfer(playerId) } - tags the host's seat, and gives the host
+ *   Kick/Ban/Make Host buttons on every other human's
  */
-export function renderSeats(containerId, players, currentPlayerId) {
+export function renderSeats(containerId, players, currentPlayerId, seatCount = 4, moderation = null) {
     const container = document.getElementById(containerId);
     if (!container) return;
     
     container.innerHTML = '';
     
-    for (let i = 0; i < 4; i++) {
+    for (let i = 0; i < seatCount; i++) {
         const player = players.find(p => p.seat_index === i);
         const seatItem = document.createElement('div');
         seatItem.className = 'seat-item';
+        if (tableTeamMode) seatItem.classList.add(`team-${game.getTeam(i)}`);
+        const teamTag = tableTeamMode ? `<span class="seat-team">Team ${game.getTeam(i) + 1}</span>` : '';
         
         if (player) {
             seatItem.classList.add('occupied');
@@ -91,20 +108,24 @@ export function renderSeats(containerId, players, currentPlayerId) {
             const isYou = player.id === currentPlayerId;
             const isBot = player.is_bot || false;
             
+            const hostTag = moderation?.hostId === player.id ? '<span class="seat-host">Host</span>' : '';
             seatItem.innerHTML = `
                 <div class="seat-info">
                     <div class="seat-number">${i + 1}</div>
-                    <div class="seat-name">${utils.sanitizeHTML(player.name)}${isYou ? ' (You)' : ''}${isBot ? ' <span class="icon-bot" aria-label="bot"></span>' : ''}</div>
+                    <div class="seat-name">${utils.sanitizeHTML(player.name)}${isYou ? ' (You)' : ''}${isBot ? ' <span class="icon-bot" aria-label="bot"></span>' : ''}${hostTag}${teamTag}</div>
                 </div>
                 <div class="seat-status ${player.is_ready ? 'ready' : 'joined'}">
                     ${player.is_ready ? 'Ready' : 'Joined'}
                 </div>
             `;
+            if (moderation?.isHost && !isYou && !isBot) {
+                seatItem.appendChild(hostActions(player, moderation));
+            }
         } else {
             seatItem.innerHTML = `
                 <div class="seat-info">
                     <div class="seat-number">${i + 1}</div>
-                    <div class="seat-name">Empty</div>
+                    <div class="seat-name">Empty${teamTag}</div>
                 </div>
                 <div class="seat-status empty">Empty</div>
             `;
@@ -126,10 +147,112 @@ export function updateRoomCode(elementId, code) {
     }
 }
 
-// Clockwise angle (deg) for each seat's position around the table ring -
-// pos-2 top (0deg), pos-1 right (90deg), pos-0 bottom (180deg), pos-3 left
-// (270deg). Keep in sync with the .player-panel.pos-N rules.
-const SEAT_ANGLE = { 2: 0, 1: 90, 0: 180, 3: 270 };
+// Seats drawn at the table. 4 uses the hand-tuned .pos-N layout; bigger
+// rooms (see setTableSeatCount) switch the table to an even ring.
+let tableSeatCount = 4;
+
+// Whether the current room plays 2v2 (rules.TEAM_MODE) - seats are then
+// tinted by team (even seats Team 1, odd seats Team 2; see game.getTeam).
+let tableTeamMode = false;
+
+// Emote bubbles currently showing, playerId -> label (see showEmote) -
+// kept here rather than only in the DOM so renderGameTable can put each
+// one back on the right seat whenever it redraws the table.
+const activeEmotes = new Map();
+const EMOTE_BUBBLE_MS = 2500;
+
+// Latest connection reading per human player, playerId -> { latencyMs,
+// quality } (see updateConnectionQuality) - kept for the same reason.
+let connectionQualities = new Map();
+
+// Table events and state updates waiting to be played back in order (see
+// queueTimeline), and whether a step is playing right now.
+const timeline = [];
+let timelineBusy = false;
+// Past this many waiting steps playback runs at TIMELINE_CATCH_UP speed, so
+// a burst of fast bot moves (or a slow tab) never falls far behind.
+const TIMELINE_BACKLOG = 8;
+const TIMELINE_CATCH_UP = 0.25;
+const TABLE_EVENT_MS = {
+    bet_placed: 450,
+    finalized: 250,
+    folded: 300,
+    position_chosen: 500,
+    card_played: 550,
+    bust: 700,
+    payout: 900
+};
+
+// Redraws the turn clock ring (see updateTurnClock) until it runs out.
+let turnClockTimer = null;
+const TURN_CLOCK_URGENT_MS = 5000;
+
+// Clockwise angle (deg) for a seat's position around the table ring, seat
+// 0 at the bottom. At 4 seats this is exactly the .player-panel.pos-N
+// layout - pos-2 top (0deg), pos-1 right (90deg), pos-0 bottom (180deg),
+// pos-3 left (270deg) - so keep the two in sync.
+function seatAngle(seatIndex) {
+    return ((180 - seatIndex * 360 / tableSeatCount) % 360 + 360) % 360;
+}
+
+/**
+ * Size the game table for a room's seat count. Seats 0-3 are static
+ * markup; seats 4+ are cloned from seat 0 on demand (and removed again if
+ * the next room is smaller). Above 4 seats every panel and played-card
+ * chip gets its ring direction as --seat-dx/--seat-dy (see .ring-layout).
+ * @param {number} maxPlayers - The room's MAX_PLAYERS
+ */
+export function setTableSeatCount(maxPlayers) {
+    const table = document.querySelector('.game-table');
+    const template = document.getElementById('player-0');
+    if (!table || !template) return;
+
+    tableSeatCount = Math.max(4, maxPlayers);
+    const ring = tableSeatCount > 4;
+    table.classList.toggle('ring-layout', ring);
+
+    for (let i = 0; i < game.TABLE_SEAT_LIMIT; i++) {
+        let panel = document.getElementById(`player-${i}`);
+        let chip = document.getElementById(`played-card-${i}`);
+
+        if (i >= tableSeatCount) {
+            if (i >= 4) {
+                panel?.remove();
+                chip?.remove();
+            }
+            continue;
+        }
+        if (!panel) {
+            panel = template.cloneNode(true);
+            panel.id = `player-${i}`;
+            panel.className = 'player-panel';
+            panel.querySelector('.player-name').textContent = 'Empty';
+            panel.querySelector('.player-money').textContent = '$0';
+            panel.querySelector('.player-bet').textContent = '$0';
+            panel.querySelector('.player-status').textContent = '';
+            panel.querySelector('.emote-bubble')?.remove();
+            panel.querySelector('.host-actions')?.remove();
+            table.appendChild(panel);
+        }
+        if (!chip) {
+            chip = document.createElement('div');
+            chip.id = `played-card-${i}`;
+            chip.className = 'played-card-display';
+            table.insertBefore(chip, template);
+        }
+
+        const radians = seatAngle(i) * Math.PI / 180;
+        for (const el of [panel, chip]) {
+            if (ring) {
+                el.style.setProperty('--seat-dx', Math.sin(radians).toFixed(3));
+                el.style.setProperty('--seat-dy', (-Math.cos(radians)).toFixed(3));
+            } else {
+                el.style.removeProperty('--seat-dx');
+                el.style.removeProperty('--seat-dy');
+            }
+        }
+    }
+}
 
 /**
  * Rotate the turn-order arrow to point at whoever's turn it is.
@@ -146,10 +269,53 @@ export function updateTurnArrow(players, turnPlayerId) {
         return;
     }
     arrow.style.opacity = '1';
-    const angle = SEAT_ANGLE[turnPlayer.seat_index] ?? 0;
+    const angle = seatAngle(turnPlayer.seat_index);
     arrow.style.transform = `rotate(${angle}deg) translate(-8px, calc(-1 * var(--turn-radius)))`;
 }
 
+/**
+ * Show the turn clock draining around the turn ring, or hide it. Counts
+ * down from the server's remainingMs rather than its deadline, so a
+ * client clock that's off doesn't matter; every broadcast re-syncs it.
+ * @param {Object|null} clock - State's turnClock ({ playerId, durationMs, remainingMs }) or null
+ */
+export function updateTurnClock(clock) {
+    const ring = document.getElementById('turn-clock');
+    const arc = document.getElementById('turn-clock-arc');
+    const label = document.getElementById('turn-clock-seconds');
+    clearInterval(turnClockTimer);
+    turnClockTimer = null;
+    if (!ring || !arc || !label) return;
+    ring.classList.toggle('hidden', !clock);
+    label.classList.toggle('hidden', !clock);
+    if (!clock) return;
+
+    const endsAt = Date.now() + clock.remainingMs;
+    const draw = () => {
+        const remaining = Math.max(0, endsAt - Date.now());
+        arc.style.strokeDashoffset = String(100 * (1 - remaining / clock.durationMs));
+        label.textContent = `${Math.ceil(remaining / 1000)}s`;
+        ring.classList.toggle('urgent', remaining <= TURN_CLOCK_URGENT_MS);
+        label.classList.toggle('urgent', remaining <= TURN_CLOCK_URGENT_MS);
+        if (remaining === 0) {
+            clearInterval(turnClockTimer);
+            turnClockTimer = null;
+        }
+    };
+    draw();
+    turnClockTimer = setInterval(draw, 250);
+}
+
+/**
+ * Turn team tinting on or off for the lobby seats and table panels.
+ * @param {boolean} enabled - The room's TEAM_MODE rule
+ */
+export function setTeamMode(enabled) {
+    tableTeamMode = enabled === true;
+    const heading = document.getElementById('lobby-seats-heading');
+    if (heading) heading.textContent = `Players (Max ${tableSeatCount})${tableTeamMode ? ' - 2v2' : ''}`;
+}
+
 /**
  * Render game table with player panels
  * @param {Array} players - Array of player objects
@@ -157,28 +323,39 @@ export function updateTurnArrow(players, turnPlayerId) {
  * @param {string} turnPlayerId - ID of player whose turn it is
  * @param {Object} finalized_json - Object mapping player IDs to finalization status
  * @param {string} playingCardPlayerId - ID of player currently playing a card (optional)
+ * @param {Object} folded_json - Object mapping player IDs to folded status
+ * @param {Object} busted_json - Object mapping player IDs to busted-this-round status
+ * @param {Object|null} moderation - Host controls, same shape as renderSeats'
  */
-export function renderGameTable(players, currentPlayerId, turnPlayerId, finalized_json = {}, playingCardPlayerId = null) {
+export function renderGameTable(players, currentPlayerId, turnPlayerId, finalized_json = {}, playingCardPlayerId = null, folded_json = {}, busted_json = {}, moderation = null) {
     updateTurnArrow(players, turnPlayerId);
 
-    for (let i = 0; i < 4; i++) {
+    for (let i = 0; i < tableSeatCount; i++) {
         const panel = document.getElementById(`player-${i}`);
         if (!panel) continue;
         
         const player = players.find(p => p.seat_index === i);
+        panel.classList.toggle('team-0', tableTeamMode && game.getTeam(i) === 0);
+        panel.classList.toggle('team-1', tableTeamMode && game.getTeam(i) === 1);
         
         if (player) {
             const isYou = player.id === currentPlayerId;
             const isTurn = player.id === turnPlayerId && player.status === 'active';
             const isSpectator = player.status === 'spectator';
-            const hasFinalized = finalized_json[player.id] === true;
+            const hasFolded = folded_json[player.id] === true;
+            const hasBusted = busted_json[player.id] === true && player.status === 'active';
+            // Folding also finalizes (see processBet) - show it as a fold,
+            // not as a locked-in bet.
+            const hasFinalized = finalized_json[player.id] === true && !hasFolded;
             const isPlayingCard = playingCardPlayerId && player.id === playingCardPlayerId;
             
-            panel.classList.remove('eliminated', 'spectator', 'active-turn', 'finalized', 'playing-card');
+            panel.classList.remove('eliminated', 'spectator', 'active-turn', 'finalized', 'playing-card', 'folded');
             if (isPlayingCard) panel.classList.add('playing-card');
             else if (isTurn) panel.classList.add('active-turn');
             if (isSpectator) panel.classList.add('spectator');
             if (hasFinalized) panel.classList.add('finalized');
+            if (hasFolded) panel.classList.add('folded');
+            if (hasBusted) panel.classList.add('eliminated');
             
             const nameEl = panel.querySelector('.player-name');
             const moneyEl = panel.querySelector('.player-money');
@@ -195,6 +372,10 @@ export function renderGameTable(players, currentPlayerId, turnPlayerId, finalize
                     statusEl.innerHTML = '<span class="icon-ghost" aria-hidden="true"></span> Spectating';
                 } else if (isPlayingCard) {
                     statusEl.textContent = 'Playing Card...';
+                } else if (hasBusted) {
+                    statusEl.textContent = 'Busted';
+                } else if (hasFolded) {
+                    statusEl.textContent = 'Folded';
                 } else if (hasFinalized) {
                     statusEl.innerHTML = '<span class="icon-check" aria-hidden="true"></span> Finalized';
                 } else if (isTurn) {
@@ -215,7 +396,249 @@ export function renderGameTable(players, currentPlayerId, turnPlayerId, finalize
             
             panel.classList.remove('active-turn', 'eliminated', 'spectator');
         }
+
+        syncEmoteBubble(panel, player ? activeEmotes.get(player.id) : null);
+        syncConnectionDot(panel, player ? connectionQualities.get(player.id) : null);
+
+        panel.querySelector('.host-actions')?.remove();
+        if (player && moderation?.isHost && player.id !== currentPlayerId && !player.is_bot) {
+            panel.appendChild(hostActions(player, moderation));
+        }
+    }
+}
+
+// Kick / Ban / Make Host for one player - shared by the lobby seats and
+// the in-game panels.
+function hostActions(player, moderation) {
+    const actions = document.createElement('div');
+    actions.className = 'host-actions';
+    const buttons = [
+        ['Make Host', () => moderation.onTransfer(player.id)],
+        ['Kick', () => moderation.onKick(player.id, false)],
+        ['Ban', () => moderation.onKick(player.id, true)]
+    ];
+    for (const [label, onClick] of buttons) {
+        const btn = document.createElement('button');
+        btn.className = 'btn-host-action';
+        btn.textContent = label;
+        btn.addEventListener('click', onClick);
+        actions.appendChild(btn);
+    }
+    return actions;
+}
+
+function syncEmoteBubble(panel, text) {
+    let bubble = panel.querySelector('.emote-bubble');
+    if (!text) {
+        bubble?.remove();
+        return;
     }
+    if (!bubble) {
+        bubble = document.createElement('div');
+        bubble.className = 'emote-bubble';
+        panel.appendChild(bubble);
+    }
+    bubble.textContent = text;
+}
+
+function syncConnectionDot(panel, connection) {
+    let dot = panel.querySelector('.connection-dot');
+    if (!connection?.quality) {
+        dot?.remove();
+        return;
+    }
+    if (!dot) {
+        dot = document.createElement('span');
+        dot.className = 'connection-dot';
+        panel.appendChild(dot);
+    }
+    dot.dataset.quality = connection.quality;
+    dot.title = connection.quality === 'offline'
+        ? 'Disconnected'
+        : `Connection: ${connection.quality} (${Math.round(connection.latencyMs)} ms)`;
+}
+
+/**
+ * Show each human player's connection quality next to their panel
+ * @param {Array} players - Array of player objects
+ * @param {Object} connections - playerId -> { latencyMs, quality }
+ */
+export function updateConnectionQuality(players, connections) {
+    connectionQualities = new Map(Object.entries(connections || {}));
+    for (let i = 0; i < tableSeatCount; i++) {
+        const panel = document.getElementById(`player-${i}`);
+        if (!panel) continue;
+        const player = players.find(p => p.seat_index === i);
+        syncConnectionDot(panel, player ? connectionQualities.get(player.id) : null);
+    }
+}
+
+/**
+ * Pop an emote bubble up on the sender's panel for a couple of seconds
+ * @param {Array} players - Array of player objects
+ * @param {string} playerId - Who sent it
+ * @param {string} text - Emote label from the server (e.g. "GG")
+ */
+export function showEmote(players, playerId, text) {
+    const player = players.find(p => p.id === playerId);
+    if (!player) return;
+
+    activeEmotes.set(playerId, text);
+    const panel = document.getElementById(`player-${player.seat_index}`);
+    if (panel) syncEmoteBubble(panel, text);
+
+    setTimeout(() => {
+        if (activeEmotes.get(playerId) !== text) return; // replaced by a newer emote
+        activeEmotes.delete(playerId);
+        const current = document.getElementById(`player-${player.seat_index}`);
+        if (current) syncEmoteBubble(current, null);
+    }, EMOTE_BUBBLE_MS);
+}
+
+/**
+ * Add a step to the playback timeline: run it once everything queued ahead
+ * of it has played, then hold the timeline for durationMs so its
+ * animation can be seen before the next step starts
+ * @param {Function} step - What to play
+ * @param {number} durationMs - How long the step's animation needs
+ */
+export function queueTimeline(step, durationMs = 0) {
+    timeline.push({ step, durationMs });
+    if (!timelineBusy) playNextStep();
+}
+
+/** Drop everything still waiting on the timeline (leaving a room). */
+export function clearTimeline() {
+    timeline.length = 0;
+}
+
+function playNextStep() {
+    const next = timeline.shift();
+    if (!next) {
+        timelineBusy = false;
+        return;
+    }
+    timelineBusy = true;
+    try {
+        next.step();
+    } catch (err) {
+        // One bad step mustn't stall every update queued behind it.
+        console.error('Timeline step failed:', err);
+    }
+    const speed = timeline.length > TIMELINE_BACKLOG ? TIMELINE_CATCH_UP : 1;
+    const wait = next.durationMs * speed;
+    if (wait > 0) setTimeout(playNextStep, wait);
+    else playNextStep();
+}
+
+/**
+ * How long a table event's animation holds the timeline
+ * @param {Object} event - Server 'event' message (see engine/events.js)
+ * @returns {number} Milliseconds
+ */
+export function tableEventDuration(event) {
+    return TABLE_EVENT_MS[event.event] ?? 0;
+}
+
+/**
+ * Animate one table event (see engine/events.js): chips into the pot for
+ * a bet, a card in from the seat, chips out to each winner on a payout,
+ * and a short callout on the seat for everything else.
+ * @param {Object} event - Server 'event' message
+ * @param {Array} players - Array of player objects
+ */
+export function playTableEvent(event, players) {
+    const seatOf = (id) => players.find(p => p.id === id)?.seat_index;
+    const seat = seatOf(event.playerId);
+    switch (event.event) {
+        case 'bet_placed':
+            if (seat !== undefined) flyChips(`player-${seat}`, 'pot-amount');
+            break;
+        case 'finalized':
+            showEmote(players, event.playerId, 'Final');
+            break;
+        case 'folded':
+            showEmote(players, event.playerId, 'Fold');
+            break;
+        case 'position_chosen':
+            showEmote(players, event.playerId, event.choice === 'first' ? 'Goes FIRST' : 'Goes LAST');
+            break;
+        case 'card_played':
+            if (seat !== undefined) showPlayedCard(seat, event.value);
+            break;
+        case 'bust':
+            if (seat !== undefined) triggerBustEffect(seat);
+            break;
+        case 'payout':
+            for (const [playerId, amount] of Object.entries(event.distributions || {})) {
+                const winnerSeat = seatOf(playerId);
+                if (amount > 0 && winnerSeat !== undefined) flyChips('pot-amount', `player-${winnerSeat}`);
+            }
+            break;
+    }
+}
+
+// A little stack of chips sliding from one element to another across the
+// table - positioned against .game-table, removed once it lands.
+function flyChips(fromId, toId) {
+    const table = document.querySelector('.game-table');
+    const from = document.getElementById(fromId);
+    const to = document.getElementById(toId);
+    if (!table || !from || !to) return;
+
+    const tableRect = table.getBoundingClientRect();
+    const center = (el) => {
+        const rect = el.getBoundingClientRect();
+        return { x: rect.left + rect.width / 2 - tableRect.left, y: rect.top + rect.height / 2 - tableRect.top };
+    };
+    const start = center(from);
+    const end = center(to);
+
+    const chips = document.createElement('div');
+    chips.className = 'chip-flight';
+    chips.style.left = `${start.x}px`;
+    chips.style.top = `${start.y}px`;
+    table.appendChild(chips);
+    void chips.offsetWidth; // commit the start position so the move animates
+    chips.style.transform = `translate(${end.x - start.x}px, ${end.y - start.y}px)`;
+    setTimeout(() => chips.remove(), 600);
+}
+
+/**
+ * Replace the chat panel's contents (a chat_history from the server)
+ * @param {Array} messages - Chat messages, oldest first
+ * @param {string} currentPlayerId - Current player's ID
+ */
+export function renderChat(messages, currentPlayerId) {
+    const container = document.getElementById('chat-messages');
+    if (!container) return;
+    container.innerHTML = '';
+    for (const message of messages) addChatMessage(message, currentPlayerId);
+}
+
+/**
+ * Append one chat message and keep the newest in view
+ * @param {Object} message - { playerId, name, text, timestamp }
+ * @param {string} currentPlayerId - Current player's ID
+ */
+export function addChatMessage(message, currentPlayerId) {
+    const container = document.getElementById('chat-messages');
+    if (!container) return;
+
+    const item = document.createElement('div');
+    item.className = `chat-message${message.playerId === currentPlayerId ? ' is-you' : ''}`;
+    item.innerHTML = `<span class="chat-message-name">${utils.sanitizeHTML(message.name)}:</span> ${utils.sanitizeHTML(message.text)}`;
+    container.appendChild(item);
+    container.scrollTop = container.scrollHeight;
+}
+
+/**
+ * Show or hide the chat input and emote buttons - spectators can read
+ * the table talk but not join in.
+ * @param {boolean} enabled
+ */
+export function setChatEnabled(enabled) {
+    document.getElementById('chat-controls')?.classList.toggle('hidden', !enabled);
 }
 
 /**
@@ -224,7 +647,7 @@ export function renderGameTable(players, currentPlayerId, turnPlayerId, finalize
  * @param {Object} bets - Bets object {playerId: betAmount}
  */
 export function updatePlayerBets(players, bets) {
-    for (let i = 0; i < 4; i++) {
+    for (let i = 0; i < tableSeatCount; i++) {
         const panel = document.getElementById(`player-${i}`);
         if (!panel) continue;
         
@@ -241,25 +664,47 @@ export function updatePlayerBets(players, bets) {
 /**
  * Update table total display
  * @param {number} total - Table total
+ * @param {number} bustThreshold - Room's BUST_THRESHOLD
  */
-export function updateTableTotal(total) {
+export function updateTableTotal(total, bustThreshold = game.DEFAULT_RULES.BUST_THRESHOLD) {
     const totalEl = document.getElementById('table-total');
     if (totalEl) {
         totalEl.textContent = total;
         
         // Add visual feedback for danger zone
         totalEl.classList.remove('warning', 'danger');
-        if (total >= 10) {
+        if (total >= bustThreshold) {
             totalEl.classList.add('danger');
-        } else if (total >= 7) {
+        } else if (total >= bustThreshold - 3) {
             totalEl.classList.add('warning');
         }
     }
 }
 
+/**
+ * Legend class for a card value - card-N for the plain values, card-relief
+ * for any negative card, so a room's custom deck (see the DECK rule) still
+ * gets colored cards instead of four hard-coded ones.
+ * @param {number} cardValue - Card value
+ * @returns {string} CSS class
+ */
+function cardClass(cardValue) {
+    return cardValue < 0 ? 'card-relief' : `card-${cardValue}`;
+}
+
+/**
+ * Strip whatever card legend class an element currently has.
+ * @param {HTMLElement} el - Card element
+ */
+function clearCardClass(el) {
+    [...el.classList]
+        .filter(cls => cls.startsWith('card-'))
+        .forEach(cls => el.classList.remove(cls));
+}
+
 /**
  * Show played card next to player panel
- * @param {number} seatIndex - Player's seat index (0-3)
+ * @param {number} seatIndex - Player's seat index
  * @param {number} cardValue - Card value played
  * @param {boolean} isBust - Whether this card pushed the table total to the
  *                           bust threshold - triggers the bust/reveal moment
@@ -270,9 +715,10 @@ export function showPlayedCard(seatIndex, cardValue, isBust = false) {
         playedCardEl.textContent = utils.getCardDisplay(cardValue);
         // Keep the static pos-N class (position on the table) - only clear
         // the value/visibility classes so the deal-in animation can restart.
-        playedCardEl.classList.remove('card-0', 'card-1', 'card-2', 'card-3', 'visible');
+        clearCardClass(playedCardEl);
+        playedCardEl.classList.remove('visible');
         void playedCardEl.offsetWidth; // restart animation if already visible
-        playedCardEl.classList.add(`card-${cardValue}`, 'visible');
+        playedCardEl.classList.add(cardClass(cardValue), 'visible');
         // Stays on the table (not auto-hidden) - cleared only at round start
         // via clearPlayedCards(), so the whole table's play is visible at a glance.
     }
@@ -312,10 +758,11 @@ export function triggerBustEffect(seatIndex) {
  * Clear all played card displays
  */
 export function clearPlayedCards() {
-    for (let i = 0; i < 4; i++) {
+    for (let i = 0; i < tableSeatCount; i++) {
         const playedCardEl = document.getElementById(`played-card-${i}`);
         if (playedCardEl) {
-            playedCardEl.classList.remove('visible', 'card-0', 'card-1', 'card-2', 'card-3');
+            clearCardClass(playedCardEl);
+            playedCardEl.classList.remove('visible');
         }
     }
 }
@@ -411,15 +858,7 @@ export function renderHand(hand, enabled, onCardClick) {
         card.className = 'card';
         
         // Add color class based on card value
-        if (cardValue === 0) {
-            card.classList.add('card-0');
-        } else if (cardValue === 1) {
-            card.classList.add('card-1');
-        } else if (cardValue === 2) {
-            card.classList.add('card-2');
-        } else if (cardValue === 3) {
-            card.classList.add('card-3');
-        }
+        card.classList.add(cardClass(cardValue));
         
         card.textContent = utils.getCardDisplay(cardValue);
         card.dataset.value = cardValue;
@@ -588,9 +1027,17 @@ export function renderSpectatorStandings(players, currentPlayerId) {
 /**
  * Show spectator notice
  * @param {boolean} show - Show or hide
+ * @param {boolean} watching - Watching without a seat (watch_room) rather
+ *   than knocked out of the game
  */
-export function showSpectatorNotice(show) {
+export function showSpectatorNotice(show, watching = false) {
     const spectatorNotice = document.getElementById('spectator-notice');
+    const noticeText = document.getElementById('spectator-notice-text');
+    if (noticeText) {
+        noticeText.textContent = watching
+            ? "You're watching this table - every hand stays hidden until it's played."
+            : "You're out of money. Watch the remaining players battle it out!";
+    }
     const bettingControls = document.getElementById('betting-controls');
     const playingControls = document.getElementById('playing-controls');
     const positionChoice = document.getElementById('position-choice-controls');
@@ -607,6 +1054,159 @@ export function showSpectatorNotice(show) {
     }
 }
 
+/**
+ * Render the Open Tables list on the menu screen (see list_rooms)
+ * @param {Array} rooms - Lobby summaries, fullest first
+ * @param {Function} onJoin - Called with a room code when its Join is clicked
+ */
+export function renderRoomList(rooms, onJoin) {
+    const list = document.getElementById('public-rooms-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+    if (!rooms.length) {
+        list.innerHTML = '<p class="public-rooms-empty">No open tables right now - Quick Match starts one.</p>';
+        return;
+    }
+
+    for (const room of rooms) {
+        const item = document.createElement('div');
+        item.className = 'public-room-item';
+        item.innerHTML = `
+            <div class="public-room-info">
+                <div class="public-room-host">${utils.sanitizeHTML(room.hostName || 'Open table')}</div>
+                <div class="public-room-rules">${utils.sanitizeHTML(room.label)} · ${utils.formatMoney(room.startingMoney)} start · bust at ${room.bustThreshold}</div>
+            </div>
+            <span class="public-room-seats">${room.seated}/${room.maxPlayers}</span>
+            <button class="btn btn-primary btn-small">Join</button>
+        `;
+        item.querySelector('button').addEventListener('click', () => onJoin(room.code));
+        list.appendChild(item);
+    }
+}
+
+// A stats rate (0-1, or null before there's anything to count) as a percentage
+function formatRate(rate) {
+    return rate === null ? '-' : `${Math.round(rate * 100)}%`;
+}
+
+/**
+ * Fill the stats screen from a get_stats reply. Players are named by the
+ * server's stats ids, not playerIds - player.id is ours.
+ * @param {Array} leaderboard - engine/stats.js leaderboard rows, keyed by id
+ * @param {Object|null} player - { id, stats, recent } for us, or null
+ */
+export function renderStats(leaderboard, player) {
+    const myId = player?.id ?? null;
+    const mine = document.getElementById('my-stats');
+    const recent = document.getElementById('recent-games');
+    const board = document.getElementById('leaderboard-body');
+
+    if (mine) {
+        const s = player?.stats;
+        mine.innerHTML = '';
+        if (!s?.gamesPlayed) {
+            mine.innerHTML = '<p class="stats-empty">Finish a game to start your record.</p>';
+        } else {
+            const tiles = [
+                [s.gamesPlayed, 'Games'],
+                [formatRate(s.winRate), 'Win rate'],
+                [formatRate(s.bustRate), 'Bust rate'],
+                [s.averageBetCents === null ? '-' : utils.formatMoney(s.averageBetCents), 'Average bet'],
+                [formatRate(s.first.survivalRate), `FIRST survival (${s.first.chosen})`],
+                [formatRate(s.last.survivalRate), `LAST survival (${s.last.chosen})`]
+            ];
+            for (const [value, label] of tiles) {
+                const tile = document.createElement('div');
+                tile.className = 'stat-tile';
+                tile.innerHTML = `<div class="stat-value">${value}</div><div class="stat-label">${label}</div>`;
+                mine.appendChild(tile);
+            }
+        }
+    }
+
+    if (recent) {
+        recent.innerHTML = '';
+        if (!player?.recent.length) {
+            recent.innerHTML = '<p class="stats-empty">No finished games yet.</p>';
+        }
+        for (const match of player?.recent || []) {
+            const won = match.winnerIds.includes(myId);
+            const me = match.players.find(p => p.id === myId);
+            const others = match.players.filter(p => p.id !== myId).map(p => p.name).join(', ');
+            const item = document.createElement('div');
+            item.className = 'recent-game';
+            item.innerHTML = `
+                <div class="recent-game-info">
+                    <div>vs ${utils.sanitizeHTML(others)}</div>
+                    <div class="public-room-rules">${new Date(match.finishedAt).toLocaleDateString()} · ${match.rounds} rounds · finished with ${utils.formatMoney(me?.finalMoneyCents || 0)}</div>
+                </div>
+                <span class="recent-game-result${won ? ' won' : ''}">${won ? 'Won' : 'Lost'}</span>
+            `;
+            recent.appendChild(item);
+        }
+    }
+
+    if (board) {
+        board.innerHTML = '';
+        leaderboard.forEach((row, i) => {
+            const tr = document.createElement('tr');
+            tr.classList.toggle('is-you', myId !== null && row.id === myId);
+            tr.innerHTML = `
+                <td>${i + 1}</td>
+                <td>${utils.sanitizeHTML(row.name)}</td>
+                <td>${row.wins}</td>
+                <td>${row.gamesPlayed}</td>
+                <td>${formatRate(row.winRate)}</td>
+                <td>${formatRate(row.bustRate)}</td>
+            `;
+            board.appendChild(tr);
+        });
+    }
+}
+
+/**
+ * Show how many spectators are watching the table (hidden at zero)
+ * @param {number} count - Spectators watching (see watch_room)
+ */
+export function updateSpectatorCount(count) {
+    const badge = document.getElementById('spectator-count');
+    if (!badge) return;
+    badge.textContent = `${count} watching`;
+    badge.classList.toggle('hidden', !count);
+}
+
+/**
+ * Rebuild the +$ raise buttons to match a room's RAISE_AMOUNTS. A no-op
+ * when they already match, so it's cheap to call on every update.
+ * @param {Array<number>} amounts - Raise increments in cents, ascending
+ */
+export function renderRaiseButtons(amounts) {
+    const group = document.getElementById('bet-amount-group');
+    if (!group) return;
+
+    const current = [...group.querySelectorAll('.btn-bet')].map(btn => parseInt(btn.dataset.amount, 10));
+    if (current.length === amounts.length && current.every((amount, i) => amount === amounts[i])) return;
+
+    group.innerHTML = '';
+    amounts.forEach(amount => {
+        const btn = document.createElement('button');
+        btn.className = 'btn btn-bet';
+        btn.dataset.amount = String(amount);
+        btn.textContent = `+${utils.formatMoney(amount)}`;
+        group.appendChild(btn);
+    });
+}
+
+/**
+ * Show or hide the FOLD button - it only exists at tables whose rules
+ * allow folding.
+ * @param {boolean} allowed - The room's ALLOW_FOLD rule
+ */
+export function setFoldAvailable(allowed) {
+    document.getElementById('fold-btn')?.classList.toggle('hidden', !allowed);
+}
+
 /**
  * Enable/disable betting buttons
  * @param {boolean} enabled - Enable or disable
@@ -621,12 +1221,17 @@ export function updateBettingButtons(enabled, playerMoney, highestBet, hasRaised
     const callButton = document.getElementById('call-btn');
     const allInBtn = document.getElementById('all-in-btn');
     const finalizeBtn = document.getElementById('finalize-btn');
+    const foldBtn = document.getElementById('fold-btn');
+    // Folding is open on any turn of yours, whatever your stack.
+    if (foldBtn) foldBtn.disabled = !enabled;
+    // Smallest raise button is the room's minimum bet (RAISE_AMOUNTS[0]).
+    const minimumBet = Math.min(...[...betButtons].map(btn => parseInt(btn.dataset.amount, 10)));
     
-    // If player has less than $100, disable all buttons except ALL-IN -
-    // and FINALIZE, since a player already auto-finalized by going to $0
-    // (see engine/game.js) must never be left with every button disabled
-    // and no way to proceed.
-    if (playerMoney < 10000) {
+    // If player can't cover the minimum bet, disable all buttons except
+    // ALL-IN - and FINALIZE, since a player already auto-finalized by going
+    // to $0 (see engine/game.js) must never be left with every button
+    // disabled and no way to proceed.
+    if (playerMoney < minimumBet) {
         betButtons.forEach(btn => {
             btn.disabled = true;
         });
@@ -647,7 +1252,7 @@ export function updateBettingButtons(enabled, playerMoney, highestBet, hasRaised
     
     // Normal betting logic
     betButtons.forEach(btn => {
-        const amount = parseInt(btn.dataset.amount) * 100; // Convert to cents
+        const amount = parseInt(btn.dataset.amount, 10); // already in cents
         btn.disabled = !enabled || playerMoney < amount;
     });
     
@@ -705,6 +1310,14 @@ export function addLogEntry(message, type = 'normal') {
     }
 }
 
+/**
+ * Show the "Verify round" button once a round's server seed has been revealed
+ * @param {boolean} available - A revealed round is ready to check
+ */
+export function setVerifyRoundAvailable(available) {
+    document.getElementById('verify-round-btn')?.classList.toggle('hidden', !available);
+}
+
 /**
  * Clear log
  */
@@ -726,12 +1339,18 @@ export function showGameOver(winner, allPlayers) {
     const winnerName = document.getElementById('winner-name');
     const winnerAmount = document.getElementById('winner-amount');
     
+    // A team win (see game.checkGameOver) names both teammates and shows
+    // the team's combined money.
+    const teamPlayerIds = winner.teamPlayerIds || [winner.id];
+    
     if (winnerName) {
-        winnerName.textContent = utils.sanitizeHTML(winner.name);
+        winnerName.textContent = winner.teamPlayerIds
+            ? `Team ${winner.team + 1}: ${allPlayers.filter(p => teamPlayerIds.includes(p.id)).map(p => utils.sanitizeHTML(p.name)).join(' & ')}`
+            : utils.sanitizeHTML(winner.name);
     }
     
     if (winnerAmount) {
-        winnerAmount.textContent = utils.formatMoney(winner.money_cents);
+        winnerAmount.textContent = utils.formatMoney(winner.teamPlayerIds ? winner.teamMoney : winner.money_cents);
     }
     
     // Render standings
@@ -746,7 +1365,7 @@ export function showGameOver(winner, allPlayers) {
             const rank = index + 1;
             const item = document.createElement('div');
             item.className = `standing-item rank-${rank}`;
-            if (player.id === winner.id) item.classList.add('is-winner');
+            if (teamPlayerIds.includes(player.id)) item.classList.add('is-winner');
             item.innerHTML = `
                 <span class="standing-rank">#${rank}</span>
                 <span class="standing-name">${utils.sanitizeHTML(player.name)}</span>
@@ -814,6 +1433,25 @@ export function updateButton(buttonId, visible, enabled = true) {
     button.disabled = !enabled;
 }
 
+const intentStateTimers = new WeakMap(); // button -> timeout clearing 'confirmed'
+
+/**
+ * Show where a button's intent stands: 'pending' until the server answers,
+ * 'confirmed' for a moment once it acks, null to clear
+ * @param {HTMLElement} button - The button that sent the intent
+ * @param {string|null} state - 'pending' | 'confirmed' | null
+ */
+export function setIntentState(button, state) {
+    if (!button) return;
+    clearTimeout(intentStateTimers.get(button));
+    button.classList.toggle('is-pending', state === 'pending');
+    button.classList.toggle('is-confirmed', state === 'confirmed');
+    button.setAttribute('aria-busy', String(state === 'pending'));
+    if (state === 'confirmed') {
+        intentStateTimers.set(button, setTimeout(() => button.classList.remove('is-confirmed'), 900));
+    }
+}
+
 /**
  * Highlight player panel (for animations)
  * @param {number} seatIndex - Seat index
@@ -893,6 +1531,87 @@ export function renderLobbyScreen(room, players, currentPlayerId, isHost) {
 
     // Update start button visibility
     updateButton('host-start-btn', isHost, canStart);
+    updateButton('switch-team-btn', tableTeamMode, room?.status === 'lobby');
+}
+
+/**
+ * Fill the lobby's Table Settings fields from the room. Editable (and the
+ * Apply button shown) only for the host; everyone else sees them disabled.
+ * @param {Object} room - Room object (its `settings`)
+ * @param {Object} rules - Room rule set
+ * @param {boolean} isHost - Whether the current player is host
+ * @param {boolean} keepEdits - Leave the fields alone (the host has unsent changes)
+ */
+export function renderLobbySettings(room, rules, isHost, keepEdits = false) {
+    const form = document.getElementById('lobby-settings-form');
+    if (!form || !room?.settings) return;
+    form.querySelectorAll('input, select').forEach(field => { field.disabled = !isHost; });
+    updateButton('apply-settings-btn', isHost, keepEdits);
+    if (keepEdits) return;
+
+    const settings = room.settings;
+    const botCount = document.getElementById('setting-bot-count');
+    const options = [['all', 'Every empty seat'], ['none', 'None']];
+    for (let n = 1; n < rules.MAX_PLAYERS; n++) options.push([String(n), `Up to ${n}`]);
+    botCount.innerHTML = options.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+
+    document.getElementById('setting-starting-money').value = rules.STARTING_MONEY / 100;
+    document.getElementById('setting-bust-threshold').value = rules.BUST_THRESHOLD;
+    document.getElementById('setting-raise-amounts').value = rules.RAISE_AMOUNTS.map(cents => cents / 100).join(', ');
+    document.getElementById('setting-turn-timer').value = String(settings.turn_timer_seconds);
+    botCount.value = !settings.fill_bots || settings.bot_count === 0 ? 'none'
+        : settings.bot_count === null ? 'all' : String(settings.bot_count);
+    document.getElementById('setting-bot-style').value = settings.bot_personalities[0] || '';
+    document.getElementById('setting-timeout-bet').value = settings.timeout_bet;
+    document.getElementById('setting-timeout-position').value = settings.timeout_position;
+    document.getElementById('setting-timeout-card').value = settings.timeout_card;
+    // Folding on a timeout needs a table that allows folding at all.
+    const foldOption = document.querySelector('#setting-timeout-bet option[value="fold"]');
+    if (foldOption) foldOption.disabled = !rules.ALLOW_FOLD;
+}
+
+/**
+ * Read the lobby's Table Settings fields as an update_settings payload.
+ * Nothing is checked here - the server validates and answers with an error.
+ * @param {number} maxPlayers - Room's MAX_PLAYERS
+ * @returns {{rules: Object, settings: Object}}
+ */
+export function readLobbySettings(maxPlayers) {
+    const toCents = (dollars) => Math.round(Number(dollars) * 100);
+    const botCount = document.getElementById('setting-bot-count').value;
+    const style = document.getElementById('setting-bot-style').value;
+    return {
+        rules: {
+            STARTING_MONEY: toCents(document.getElementById('setting-starting-money').value),
+            BUST_THRESHOLD: Number(document.getElementById('setting-bust-threshold').value),
+            RAISE_AMOUNTS: document.getElementById('setting-raise-amounts').value
+                .split(',').map(part => part.trim()).filter(Boolean).map(toCents)
+        },
+        settings: {
+            fill_bots: botCount !== 'none',
+            bot_count: botCount === 'all' || botCount === 'none' ? null : Number(botCount),
+            bot_personalities: style ? Array(maxPlayers - 1).fill(style) : [],
+            turn_timer_seconds: Number(document.getElementById('setting-turn-timer').value),
+            timeout_bet: document.getElementById('setting-timeout-bet').value,
+            timeout_position: document.getElementById('setting-timeout-position').value,
+            timeout_card: document.getElementById('setting-timeout-card').value
+        }
+    };
+}
+
+/**
+ * Host-only Lock/Unlock Room buttons on the lobby and game screens
+ * @param {Object} room - Room object (its `locked` flag)
+ * @param {boolean} isHost - Whether the current player is host
+ */
+export function updateLockButtons(room, isHost) {
+    const label = room?.locked ? 'Unlock Room' : 'Lock Room';
+    for (const id of ['lock-room-btn', 'game-lock-btn']) {
+        updateButton(id, isHost);
+        const button = document.getElementById(id);
+        if (button) button.textContent = label;
+    }
+    document.getElementById('host-tools')?.classList.toggle('hidden', !isHost);
 }
 
 /**
@@ -912,42 +1631,27 @@ export function initGameScreen() {
  * @param {string} currentPlayerId - Current player's ID
  * @param {number} potCents - Current pot in cents
  * @param {Object} roundState - Current round state (bets_json, position_choice, highest_bettor_id)
+ * @param {Object} rules - Room rule set the payout is computed under
  */
-export function showEarningsBreakdown(players, currentPlayerId, potCents, roundState) {
+export function showEarningsBreakdown(players, currentPlayerId, potCents, roundState, rules = game.DEFAULT_RULES) {
     const container = document.getElementById('earnings-breakdown');
     if (!container) return;
 
-    // Only show during playing phase
-    const activePlayers = players.filter(p => p.status === 'active');
+    // Only show during playing phase - and only players still in the round
+    // can win a share, so folded players drop out of every scenario.
+    const activePlayers = game.getRoundContenders(players, roundState);
     if (activePlayers.length <= 1) {
         container.classList.add('hidden');
         return;
     }
 
     // Calculate potential earnings for each opponent elimination
-    const currentPlayer = players.find(p => p.id === currentPlayerId);
+    const currentPlayer = activePlayers.find(p => p.id === currentPlayerId);
     if (!currentPlayer) {
         container.classList.add('hidden');
         return;
     }
 
-    const bets = roundState.bets_json || {};
-    // Same weighting endRound actually pays out with - not a hand-copied
-    // approximation - so this preview never understates a bonus and drifts
-    // out of sync with the real payout.
-    const firstBonusPlayerId = roundState.position_choice === 'first' ? roundState.highest_bettor_id : null;
-    const underdogInfo = game.computeUnderdogFactor(activePlayers);
-    const weightedBet = (playerId) => {
-        let bet = bets[playerId] || 0;
-        if (playerId === firstBonusPlayerId) {
-            bet = Math.round(bet * game.GAME_CONSTANTS.FIRST_POSITION_BONUS);
-        }
-        if (underdogInfo && playerId === underdogInfo.underdogId) {
-            bet = Math.round(bet * (1 + underdogInfo.factor * game.GAME_CONSTANTS.UNDERDOG_POT_SHARE_BOOST_MAX));
-        }
-        return bet;
-    };
-
     const opponents = activePlayers.filter(p => p.id !== currentPlayerId);
 
     container.innerHTML = '<h4>Potential Earnings by Scenario</h4>';
@@ -957,19 +1661,11 @@ export function showEarningsBreakdown(players, currentPlayerId, potCents, roundS
     opponents.forEach(opponent => {
         // Calculate earnings if this opponent is eliminated
         const survivors = activePlayers.filter(p => p.id !== opponent.id);
-        const totalSurvivorBets = survivors.reduce((sum, survivor) => {
-            return sum + weightedBet(survivor.id);
-        }, 0);
-
-        let earnings;
-        if (totalSurvivorBets === 0) {
-            // Equal split if no bets
-            earnings = Math.floor(potCents / survivors.length);
-        } else {
-            // Weighted distribution
-            const proportion = weightedBet(currentPlayerId) / totalSurvivorBets;
-            earnings = Math.floor(potCents * proportion);
-        }
+        // Same payout function endRound uses - not a hand-copied
+        // approximation - so this preview never drifts out of sync with the
+        // real payout (bonuses, side pots and all).
+        const { potDistributions } = game.computePotShares(activePlayers, survivors, roundState, potCents, rules);
+        const earnings = potDistributions[currentPlayerId] || 0;
 
         const itemDiv = document.createElement('div');
         itemDiv.className = 'earnings-item';
@@ -989,6 +1685,29 @@ export function showEarningsBreakdown(players, currentPlayerId, potCents, roundS
         if (earnings > bestEarnings) bestEarnings = earnings;
     });
 
+    if (rules.POT_MODE === 'side_pots') {
+        // Pot layers as they stand if nobody busts - shows how much of the
+        // pot each player's own bet actually lets them compete for.
+        const { sidePots } = game.computePotShares(activePlayers, activePlayers, roundState, potCents, rules);
+        const nameOf = (id) => id === currentPlayerId ? 'You' : (activePlayers.find(p => p.id === id)?.name || 'Unknown');
+        sidePots.forEach((pot, index) => {
+            const potDiv = document.createElement('div');
+            potDiv.className = 'earnings-item side-pot';
+
+            const labelSpan = document.createElement('span');
+            labelSpan.className = 'earnings-target';
+            labelSpan.textContent = `${index === 0 ? 'Main pot' : `Side pot ${index}`} (${pot.eligible.map(nameOf).join(', ')}):`;
+
+            const amountSpan = document.createElement('span');
+            amountSpan.className = 'earnings-amount';
+            amountSpan.textContent = utils.formatMoney(pot.amount);
+
+            potDiv.appendChild(labelSpan);
+            potDiv.appendChild(amountSpan);
+            container.appendChild(potDiv);
+        });
+    }
+
     container.classList.remove('hidden');
     updateYourPotential(bestEarnings);
 }
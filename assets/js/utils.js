@@ -27,6 +27,17 @@ export function generateUUID() {
     });
 }
 
+/**
+ * Fresh entropy to send when taking a seat - mixed into every round's
+ * shuffle so the server's seed alone never decides the deck (see
+ * engine/fairness.js)
+ * @returns {string} 32 lowercase hex characters
+ */
+export function generateClientSeed() {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
 /**
  * Format cents to dollar string
  * @param {number} cents - Amount in cents
@@ -155,10 +166,11 @@ export async function copyToClipboard(text) {
  * Get next player index in clockwise order, skipping spectators
  * @param {number} currentIndex - Current player seat index
  * @param {Array} players - Array of player objects
- * @param {number} maxSeats - Maximum number of seats (default 4)
+ * @param {number} maxSeats - Seats to wrap around (default: up to the highest
+ *   occupied seat - empty seats past it can never be "next" anyway)
  * @returns {number} Next active player index
  */
-export function getNextPlayerIndex(currentIndex, players, maxSeats = 4) {
+export function getNextPlayerIndex(currentIndex, players, maxSeats = Math.max(currentIndex, ...players.map(p => p.seat_index)) + 1) {
     const activePlayers = players.filter(p => p.status === 'active');
     if (activePlayers.length === 0) return -1;
     
@@ -191,9 +203,10 @@ export function getPlayersInTurnOrder(players, startIndex) {
     
     if (activePlayers.length === 0) return [];
     
-    // Rotate array to start from startIndex
-    const startPlayer = activePlayers.findIndex(p => p.seat_index === startIndex);
-    if (startPlayer === -1) return activePlayers;
+    // Rotate array to start from startIndex - or the next occupied seat
+    // clockwise from it, so a half-full table still rotates one seat at a time
+    let startPlayer = activePlayers.findIndex(p => p.seat_index >= startIndex);
+    if (startPlayer === -1) startPlayer = 0;
     
     return [
         ...activePlayers.slice(startPlayer),
@@ -3,8 +3,41 @@
  * Owns the socket connection, reconnection, and message (de)serialization
  * only - no game rules, no UI. The thin network layer app.js sits on top
  * of, counterpart to server/rooms.js on the other end.
+ *
+ * State arrives as a full 'state' on join/rejoin and as 'state_patch'
+ * deltas after that (engine/patch.js); this rebuilds each patch into a
+ * full state, acknowledges it, and hands app.js a plain 'state' message
+ * either way.
+ *
+ * Every connection opens with a `hello` naming PROTOCOL_VERSION
+ * (engine/protocol.js); incoming messages that don't match
+ * SERVER_MESSAGES are dropped rather than handed to app.js.
+ *
+ * Intents (protocol.INTENT_TYPES - bets, cards, ready, chat...) are sent
+ * with a clientSeq and kept until the server acks or rejects that
+ * clientSeq. One still unanswered when the connection drops is sent again
+ * on reconnect with the same clientSeq - the server applies each at most
+ * once - unless it's older than INTENT_TTL_MS by then, when it's dropped
+ * as expired instead of landing on a turn that has moved on.
+ *
+ * While open, a ping goes out every PING_INTERVAL_MS; each pong is handed
+ * to app.js with the measured round trip (`latencyMs`). A connection the
+ * server hasn't been heard from in STALE_AFTER_MS is treated as dead -
+ * a half-open connection the browser hasn't noticed - and reopened.
  */
 
+import { applyPatch } from '../../engine/patch.js';
+import {
+    INTENT_TYPES,
+    PROTOCOL_VERSION,
+    PROTOCOL_MISMATCH_CLOSE_CODE,
+    SERVER_MESSAGES,
+    validateMessage
+} from '../../engine/protocol.js';
+
+const PING_INTERVAL_MS = 5000;
+const STALE_AFTER_MS = 15000;
+
 let socket = null;
 let onMessage = null;
 let onOpen = null;
@@ -12,6 +45,21 @@ let onReplaced = null;
 let reconnectAttempts = 0;
 let intentionalClose = false;
 let pendingQueue = [];
+// version -> state, for every version the server might still patch against
+let states = new Map();
+let awaitingResync = false;
+// clientSeq -> { message, createdAt, resolve }, until acked or rejected
+let intents = new Map();
+// Starts from the page-load time, so a reloaded page never reuses a
+// clientSeq the server has already seen from this player.
+let nextClientSeq = Date.now();
+let pingTimer = null;
+let lastHeardAt = 0;
+
+// An intent still unanswered this long after it was made is dropped on
+// reconnect rather than resent - about as long as the server waits before
+// the AI takes over a disconnected player's turn.
+const INTENT_TTL_MS = 5000;
 
 // Close code the server uses when this player's ID connects from another
 // tab/window - the old connection must NOT auto-reconnect (it would just
@@ -37,17 +85,33 @@ export function connect(messageHandler, openHandler, replacedHandler) {
 }
 
 function _open() {
-    socket = new WebSocket(wsUrl());
+    const ws = new WebSocket(wsUrl());
+    socket = ws;
 
-    socket.addEventListener('open', () => {
+    // Every handler checks it still belongs to the current socket - a
+    // stale one (see _heartbeat) can still fire events after it's replaced.
+    ws.addEventListener('open', () => {
+        if (socket !== ws) return;
         reconnectAttempts = 0;
+        // A new connection starts over from a full state.
+        states = new Map();
+        awaitingResync = false;
+        ws.send(JSON.stringify({ type: 'hello', protocolVersion: PROTOCOL_VERSION }));
+        // Rejoin (onOpen) first, so resent intents land in the room.
+        onOpen?.();
         const queued = pendingQueue;
         pendingQueue = [];
-        for (const msg of queued) socket.send(JSON.stringify(msg));
-        onOpen?.();
+        for (const msg of queued) ws.send(JSON.stringify(msg));
+        _resendIntents();
+        lastHeardAt = Date.now();
+        clearInterval(pingTimer);
+        pingTimer = setInterval(_heartbeat, PING_INTERVAL_MS);
+        _heartbeat();
     });
 
-    socket.addEventListener('message', (event) => {
+    ws.addEventListener('message', (event) => {
+        if (socket !== ws) return;
+        lastHeardAt = Date.now();
         let data;
         try {
             data = JSON.parse(event.data);
@@ -55,32 +119,141 @@ function _open() {
             console.error('Failed to parse server message:', err);
             return;
         }
-        onMessage?.(data);
+        const check = validateMessage(data, SERVER_MESSAGES, { open: true });
+        if (!check.valid) {
+            console.error('Dropped malformed server message:', check.error, data);
+            return;
+        }
+        if (data.type === 'welcome') return;
+        if (data.type === 'ack' || data.type === 'reject') _settleIntent(data);
+        if (data.type === 'ack') return;
+        if (data.type === 'pong') {
+            onMessage?.({ ...data, latencyMs: Date.now() - data.sentAt });
+        } else if (data.type === 'state_patch') {
+            _applyStatePatch(data);
+        } else {
+            if (data.type === 'state') _keepState(data);
+            onMessage?.(data);
+        }
     });
 
-    socket.addEventListener('close', (event) => {
+    ws.addEventListener('close', (event) => {
+        if (socket !== ws) return;
+        clearInterval(pingTimer);
         if (intentionalClose) return;
         if (event.code === REPLACED_CODE) {
             intentionalClose = true; // don't auto-reconnect - see REPLACED_CODE comment
             onReplaced?.();
             return;
         }
-        reconnectAttempts++;
-        const delay = Math.min(1000 * reconnectAttempts, 5000);
-        setTimeout(_open, delay);
+        if (event.code === PROTOCOL_MISMATCH_CLOSE_CODE) {
+            // This page is older (or newer) than the server - reconnecting
+            // can't help until it's reloaded. The protocol_mismatch error
+            // sent just before the close tells the player so.
+            intentionalClose = true;
+            return;
+        }
+        _reconnectLater();
     });
 
     // 'error' is always followed by 'close', which schedules the reconnect
-    socket.addEventListener('error', () => {});
+    ws.addEventListener('error', () => {});
+}
+
+function _reconnectLater() {
+    reconnectAttempts++;
+    const delay = Math.min(1000 * reconnectAttempts, 5000);
+    setTimeout(_open, delay);
+}
+
+// Ping, unless the server has gone quiet for too long - then the
+// connection is dead whatever the browser thinks. A clean close would
+// wait on a reply that will never come, so the socket is abandoned
+// (its handlers ignore it from here on) and a new one opened.
+function _heartbeat() {
+    if (Date.now() - lastHeardAt > STALE_AFTER_MS) {
+        const stale = socket;
+        socket = null;
+        clearInterval(pingTimer);
+        stale?.close();
+        _reconnectLater();
+        return;
+    }
+    _sendNow({ type: 'ping', sentAt: Date.now() });
+}
+
+function _keepState(state) {
+    awaitingResync = false;
+    // A copy: app.js is free to mutate what it's handed, and the server
+    // will diff against exactly what it sent.
+    states.set(state.version, structuredClone(state));
+    _sendNow({ type: 'state_ack', version: state.version });
+}
+
+function _applyStatePatch({ version, baseVersion, ops }) {
+    const base = states.get(baseVersion);
+    const result = base ? applyPatch(base, ops) : { success: false, error: `No state ${baseVersion} to patch` };
+    if (!result.success) {
+        // Out of step with the server - ask once for a full state and drop
+        // patches until it arrives.
+        console.warn('State patch rejected, resyncing:', result.error);
+        if (!awaitingResync) _sendNow({ type: 'resync' });
+        awaitingResync = true;
+        return;
+    }
+    // The server never patches against anything older than the base it
+    // just used, so those versions can go.
+    for (const v of states.keys()) {
+        if (v < baseVersion) states.delete(v);
+    }
+    const state = { ...result.doc, type: 'state', version };
+    _keepState(state);
+    onMessage?.(state);
+}
+
+function _settleIntent(reply) {
+    const intent = intents.get(reply.clientSeq);
+    if (!intent) return;
+    intents.delete(reply.clientSeq);
+    intent.resolve({ status: reply.type === 'ack' ? 'confirmed' : 'rejected', reply });
+}
+
+function _resendIntents() {
+    const now = Date.now();
+    for (const [clientSeq, intent] of intents) {
+        if (now - intent.createdAt > INTENT_TTL_MS) {
+            intents.delete(clientSeq);
+            intent.resolve({ status: 'expired', reply: null });
+        } else {
+            socket.send(JSON.stringify(intent.message));
+        }
+    }
+}
+
+// Connection-scoped messages (acks, resyncs): only meaningful on the
+// socket they're about, so never queued.
+function _sendNow(payload) {
+    if (isConnected()) socket.send(JSON.stringify(payload));
 }
 
 /**
  * Send a message. If the socket is mid-reconnect, it's queued and flushed
  * once the connection reopens.
+ *
+ * An intent (see INTENT_TYPES) gets a clientSeq and a promise of how it
+ * ended: { status: 'confirmed' | 'rejected' | 'expired', reply }.
  * @param {Object} payload
+ * @returns {Promise<Object>|undefined} The intent's outcome, for intents
  */
 export function send(payload) {
-    if (socket && socket.readyState === WebSocket.OPEN) {
+    if (INTENT_TYPES.includes(payload.type)) {
+        const message = { ...payload, clientSeq: nextClientSeq++ };
+        return new Promise((resolve) => {
+            intents.set(message.clientSeq, { message, createdAt: Date.now(), resolve });
+            if (isConnected()) socket.send(JSON.stringify(message));
+        });
+    }
+    if (isConnected()) {
         socket.send(JSON.stringify(payload));
     } else {
         pendingQueue.push(payload);
@@ -93,5 +266,6 @@ export function isConnected() {
 
 export function disconnect() {
     intentionalClose = true;
+    clearInterval(pingTimer);
     socket?.close();
 }
@@ -19,12 +19,23 @@ export const AI_PERSONALITIES = {
  * AI Player class
  */
 export class AIPlayer {
-    constructor(id, name, personality, seatIndex) {
+    /**
+     * @param {string} id - Player ID
+     * @param {string} name - Display name
+     * @param {string} personality - One of AI_PERSONALITIES
+     * @param {number} seatIndex - Seat at the table
+     * @param {Object} rules - Room rule set the bot is playing under (see game.createRules)
+     * @param {function(): number} random - Source for every decision the bot
+     *   makes (see utils.createRng) - a seeded one makes its play repeatable
+     */
+    constructor(id, name, personality, seatIndex, rules = game.DEFAULT_RULES, random = Math.random) {
         this.id = id;
         this.name = name;
         this.personality = personality;
         this.seat_index = seatIndex;
-        this.money_cents = game.GAME_CONSTANTS.STARTING_MONEY;
+        this.rules = rules;
+        this.random = random;
+        this.money_cents = rules.STARTING_MONEY;
         this.status = 'active';
         this.is_ready = true;
         this.hand = [];
@@ -82,61 +93,95 @@ export class AIPlayer {
         return Math.max(0, Math.min(1, handStrength * 0.65 + potOdds * 0.25 + survivorFactor));
     }
 
+    /**
+     * Raise increment for a betting tier (0 = smallest). The personalities
+     * think in tiers rather than dollar amounts so the same strategy works
+     * under any rule set's RAISE_AMOUNTS - a rule set with fewer increments
+     * than tiers just caps at its biggest one.
+     * @param {number} tier - 0-based raise tier
+     * @returns {number} Raise amount in cents
+     */
+    raiseAmount(tier) {
+        const amounts = this.rules.RAISE_AMOUNTS;
+        return amounts[Math.min(tier, amounts.length - 1)];
+    }
+
     cautiousBetting(hasRaised, highestBet, myBet, handStrength) {
-        if (this.money_cents < 10000) {
+        if (this.money_cents < this.raiseAmount(0)) {
             return { action: 'all-in', amount: null };
         }
         if (!hasRaised) {
-            return { action: 'raise', amount: 10000 };
+            return { action: 'raise', amount: this.raiseAmount(0) };
         }
         if (handStrength < 0.5) {
             return { action: 'call', amount: null };
         }
-        if (handStrength > 0.7 && Math.random() < 0.2) {
-            return { action: 'raise', amount: 10000 };
+        if (handStrength > 0.7 && this.random() < 0.2) {
+            return { action: 'raise', amount: this.raiseAmount(0) };
         }
         return { action: 'call', amount: null };
     }
 
     balancedBetting(hasRaised, highestBet, myBet, handStrength) {
-        if (this.money_cents < 10000) {
+        if (this.money_cents < this.raiseAmount(0)) {
             return { action: 'all-in', amount: null };
         }
         if (!hasRaised) {
             if (handStrength > 0.7) {
-                return { action: 'raise', amount: Math.random() < 0.5 ? 20000 : 10000 };
+                return { action: 'raise', amount: this.raiseAmount(this.random() < 0.5 ? 1 : 0) };
             } else if (handStrength > 0.4) {
-                return { action: 'raise', amount: 10000 };
+                return { action: 'raise', amount: this.raiseAmount(0) };
             } else {
-                return { action: 'raise', amount: 10000 };
+                return { action: 'raise', amount: this.raiseAmount(0) };
             }
         }
-        if (handStrength > 0.6 && Math.random() < 0.4) {
-            const raiseOptions = [10000, 20000];
-            return { action: 'raise', amount: raiseOptions[Math.floor(Math.random() * raiseOptions.length)] };
+        if (handStrength > 0.6 && this.random() < 0.4) {
+            const raiseOptions = [this.raiseAmount(0), this.raiseAmount(1)];
+            return { action: 'raise', amount: raiseOptions[Math.floor(this.random() * raiseOptions.length)] };
         }
         return { action: 'call', amount: null };
     }
 
     aggressiveBetting(hasRaised, highestBet, myBet, handStrength) {
-        if (this.money_cents < 10000) {
+        if (this.money_cents < this.raiseAmount(0)) {
             return { action: 'all-in', amount: null };
         }
         if (!hasRaised) {
-            const raiseOptions = [20000, 50000];
-            const amount = raiseOptions[Math.floor(Math.random() * raiseOptions.length)];
-            if (Math.random() < 0.3) {
-                return { action: 'raise', amount: 50000 };
+            const raiseOptions = [this.raiseAmount(1), this.raiseAmount(2)];
+            const amount = raiseOptions[Math.floor(this.random() * raiseOptions.length)];
+            if (this.random() < 0.3) {
+                return { action: 'raise', amount: this.raiseAmount(2) };
             }
             return { action: 'raise', amount };
         }
-        if (Math.random() < 0.6) {
-            const raiseOptions = [10000, 20000, 50000];
-            return { action: 'raise', amount: raiseOptions[Math.floor(Math.random() * raiseOptions.length)] };
+        if (this.random() < 0.6) {
+            const raiseOptions = [this.raiseAmount(0), this.raiseAmount(1), this.raiseAmount(2)];
+            return { action: 'raise', amount: raiseOptions[Math.floor(this.random() * raiseOptions.length)] };
         }
         return { action: 'call', amount: null };
     }
 
+    /**
+     * Decide whether to fold rather than pay to stay in - only asked when
+     * the room's rules allow folding. Folds a weak hand facing a call of
+     * half its stack or more; the bar for "weak" depends on personality
+     * (an aggressive bot almost never folds).
+     * @param {Object} gameState - Current game state
+     * @param {number} callAmount - Cost to match the table's highest bet
+     * @returns {boolean} Should fold now
+     */
+    shouldFold(gameState, callAmount) {
+        if (callAmount <= 0 || callAmount < this.money_cents * 0.5) return false;
+
+        const confidence = this.evaluateBetConfidence(
+            this.evaluateHandStrength(gameState.tableTotal), gameState.potCents || 0, callAmount, gameState.activePlayerCount || 4
+        );
+        const threshold = this.personality === AI_PERSONALITIES.CAUTIOUS ? 0.6
+            : this.personality === AI_PERSONALITIES.AGGRESSIVE ? 0.45
+            : 0.55;
+        return confidence < threshold;
+    }
+
     /**
      * Decide if AI should finalize bet
      * @param {Object} gameState - Current game state
@@ -154,16 +199,16 @@ export class AIPlayer {
 
         switch (this.personality) {
             case AI_PERSONALITIES.CAUTIOUS: {
-                const t = 0.6 + Math.random() * 0.2;
-                return Math.random() < t;
+                const t = 0.6 + this.random() * 0.2;
+                return this.random() < t;
             }
             case AI_PERSONALITIES.BALANCED: {
-                const t = 0.4 + Math.random() * 0.2;
-                return Math.random() < t;
+                const t = 0.4 + this.random() * 0.2;
+                return this.random() < t;
             }
             case AI_PERSONALITIES.AGGRESSIVE: {
-                const t = 0.3 + Math.random() * 0.2;
-                return Math.random() < t;
+                const t = 0.3 + this.random() * 0.2;
+                return this.random() < t;
             }
             default:
                 return true;
@@ -180,8 +225,17 @@ export class AIPlayer {
             throw new Error('AI has no cards to play');
         }
 
-        const safeCards = this.hand.filter(card => tableTotal + card < game.GAME_CONSTANTS.BUST_THRESHOLD);
-        const riskyCards = this.hand.filter(card => tableTotal + card >= game.GAME_CONSTANTS.BUST_THRESHOLD);
+        let safeCards = this.hand.filter(card => tableTotal + card < this.rules.BUST_THRESHOLD);
+        const riskyCards = this.hand.filter(card => tableTotal + card >= this.rules.BUST_THRESHOLD);
+
+        // Relief (negative) cards are wasted on a low table - hold them back
+        // for when the total is actually close to busting, as long as
+        // there's some other safe card to play instead.
+        const holdReliefBelow = this.rules.BUST_THRESHOLD / 2;
+        const nonRelief = safeCards.filter(card => card >= 0);
+        if (tableTotal < holdReliefBelow && nonRelief.length > 0) {
+            safeCards = nonRelief;
+        }
 
         switch (this.personality) {
             case AI_PERSONALITIES.CAUTIOUS:
@@ -211,11 +265,11 @@ export class AIPlayer {
     }
 
     aggressiveCardChoice(tableTotal, safeCards) {
-        if (tableTotal < 5 && safeCards.length > 0) {
+        if (tableTotal < this.rules.BUST_THRESHOLD / 2 && safeCards.length > 0) {
             return Math.max(...safeCards);
         }
         if (safeCards.length > 0) {
-            return safeCards[Math.floor(Math.random() * safeCards.length)];
+            return safeCards[Math.floor(this.random() * safeCards.length)];
         }
         return Math.min(...this.hand);
     }
@@ -228,8 +282,11 @@ export class AIPlayer {
     evaluateHandStrength(tableTotal) {
         if (this.hand.length === 0) return 0;
 
-        const safeCards = this.hand.filter(card => tableTotal + card < game.GAME_CONSTANTS.BUST_THRESHOLD);
-        const lowCards = this.hand.filter(card => card <= 1);
+        const safeCards = this.hand.filter(card => tableTotal + card < this.rules.BUST_THRESHOLD);
+        // "Low" is the bottom third of the deck's value range - 0 and 1 in
+        // the classic 0-3 deck, relief cards and 0-1 in a spicy one.
+        const { min, max } = game.getDeckRange(this.rules);
+        const lowCards = this.hand.filter(card => card <= min + (max - min) / 3);
 
         const safeFactor = safeCards.length / this.hand.length;
         const lowCardFactor = lowCards.length / this.hand.length;
@@ -265,6 +322,8 @@ export class AIPlayer {
  * @returns {Promise<{action: string, amount: number|null}>} Betting decision
  */
 export async function executeAIBet(ai, gameState, roundState) {
+    // Thinking delay only - deliberately not drawn from ai.random, so how
+    // long a bot "thinks" never shifts the sequence its decisions come from.
     await utils.sleep(500 + Math.random() * 1000);
 
     const decision = ai.chooseBetAction(gameState, roundState);
@@ -273,6 +332,15 @@ export async function executeAIBet(ai, gameState, roundState) {
     const highestBet = Math.max(0, ...Object.values(bets));
     const myCurrentBet = bets[ai.id] || 0;
     const callAmount = highestBet - myCurrentBet;
+    const actionCount = roundState.bet_action_count_json || {};
+    const hasActedThisRound = (actionCount[ai.id] || 0) >= 1;
+
+    // Folding only ever makes sense before a bot's first action - once it
+    // has acted, finalizing keeps its bet in play for a share of the pot,
+    // where a fold would forfeit it outright.
+    if (ai.rules.ALLOW_FOLD && !hasActedThisRound && ai.shouldFold(gameState, callAmount)) {
+        return { action: 'fold', amount: null, shouldFinalize: false };
+    }
 
     if (decision.action === 'raise') {
         // decision.amount is added to the AI's OWN current bet (matches
@@ -286,7 +354,7 @@ export async function executeAIBet(ai, gameState, roundState) {
         // first raise of a lap), making bots back off from raises they
         // could easily afford.
         if (ai.money_cents < decision.amount) {
-            const minRaise = game.GAME_CONSTANTS.RAISE_AMOUNTS[0];
+            const minRaise = game.getMinimumBet(ai.rules);
             if (ai.money_cents >= minRaise) {
                 decision.amount = minRaise;
             } else {
@@ -301,15 +369,12 @@ export async function executeAIBet(ai, gameState, roundState) {
             ai.evaluateHandStrength(gameState.tableTotal), gameState.potCents || 0, callAmount, gameState.activePlayerCount || 4
         );
 
-        // There is no fold in NOT10 - every active player must bet, call,
+        // Past the fold check above, every active player must bet, call,
         // or go all-in. "Back out with a weak hand" is only a real option
         // once you've already made your mandatory first action this round
         // (bet_action_count_json >= 1); before that, finalize() is invalid
         // (engine rejects it) and the AI would loop forever retrying the
         // same illegal action every tick, freezing the game on its turn.
-        const actionCount = roundState.bet_action_count_json || {};
-        const hasActedThisRound = (actionCount[ai.id] || 0) >= 1;
-
         if (callAmount >= ai.money_cents * 0.8) {
             const strengthThreshold = ai.personality === 'cautious' ? 0.85
                 : ai.personality === 'aggressive' ? 0.5
@@ -372,20 +437,26 @@ export function choosePosition(ai) {
     const maxCard = Math.max(...ai.hand);
     const minCard = Math.min(...ai.hand);
 
-    const hasStrongHand = avgCard < 1.5 || maxCard <= 1;
-    const hasWeakHand = avgCard > 2 || minCard >= 2;
+    // Thresholds are fractions of the deck's value range rather than fixed
+    // card values, so a deck with 4s and 5s doesn't make every hand look
+    // weak. For the classic 0-3 deck these work out to avg < 1.5 or
+    // max <= 1 (strong) and avg > 2 or min >= 2 (weak).
+    const { min, max } = game.getDeckRange(ai.rules);
+    const at = (fraction) => min + (max - min) * fraction;
+    const hasStrongHand = avgCard < at(1 / 2) || maxCard <= at(1 / 3);
+    const hasWeakHand = avgCard > at(2 / 3) || minCard >= at(2 / 3);
 
     if (ai.personality === 'cautious') {
-        return hasStrongHand && Math.random() > 0.3 ? 'first' : 'last';
+        return hasStrongHand && ai.random() > 0.3 ? 'first' : 'last';
     } else if (ai.personality === 'aggressive') {
-        return hasWeakHand && Math.random() > 0.3 ? 'last' : 'first';
+        return hasWeakHand && ai.random() > 0.3 ? 'last' : 'first';
     } else {
         if (hasStrongHand) {
-            return Math.random() > 0.4 ? 'first' : 'last';
+            return ai.random() > 0.4 ? 'first' : 'last';
         } else if (hasWeakHand) {
-            return Math.random() > 0.3 ? 'last' : 'first';
+            return ai.random() > 0.3 ? 'last' : 'first';
         } else {
-            return Math.random() > 0.5 ? 'first' : 'last';
+            return ai.random() > 0.5 ? 'first' : 'last';
         }
     }
 }
@@ -0,0 +1,78 @@
+/**
+ * Typed table events for NOT10.
+ * Every engine action already leaves an entry in roundState.log_json; this
+ * turns those entries into the small, typed events clients animate (a card
+ * flying in from a seat, chips sliding into the pot) before the state that
+ * resulted from them is drawn. Derived from the log rather than recorded
+ * separately, so the events can never disagree with what the engine did.
+ * Pure functions only - no I/O, no DOM.
+ *
+ * Events:
+ *   bet_placed      { playerId, action, amount, total } - bet/raise/call/all-in
+ *   finalized       { playerId }                        - FINALIZE, or a call/all-in
+ *   folded          { playerId, amount }
+ *   position_chosen { playerId, choice }                - 'first' | 'last'
+ *   card_played     { playerId, value, total }
+ *   bust            { playerId, total }                 - the card took the table to the threshold
+ *   payout          { distributions, survivors, eliminatedPlayerIds }
+ */
+
+import * as game from './game.js';
+
+/**
+ * Turn new round-log entries into table events, oldest first
+ * @param {Array} entries - log_json entries not yet turned into events
+ * @param {Object} rules - Room rule set (for BUST_THRESHOLD)
+ * @returns {Array} Events: { event, ...data } (see the list above)
+ */
+export function eventsFromLog(entries, rules = game.DEFAULT_RULES) {
+    const events = [];
+    for (const entry of entries) {
+        switch (entry.type) {
+            case 'bet':
+            case 'raise':
+            case 'call':
+            case 'all-in':
+                events.push({
+                    event: 'bet_placed',
+                    playerId: entry.playerId,
+                    action: entry.type,
+                    amount: entry.amount,
+                    total: entry.newTotal ?? null
+                });
+                // CALL and ALL-IN finalize in the same action.
+                if (entry.type === 'call' || entry.type === 'all-in') {
+                    events.push({ event: 'finalized', playerId: entry.playerId });
+                }
+                break;
+            case 'finalize':
+                events.push({ event: 'finalized', playerId: entry.playerId });
+                break;
+            case 'fold':
+                events.push({ event: 'folded', playerId: entry.playerId, amount: entry.amount });
+                break;
+            case 'play_order':
+                events.push({ event: 'position_chosen', playerId: entry.playerId, choice: entry.choice });
+                break;
+            case 'play_card':
+                events.push({ event: 'card_played', playerId: entry.playerId, value: entry.cardValue, total: entry.newTotal });
+                if (entry.newTotal >= rules.BUST_THRESHOLD) {
+                    events.push({ event: 'bust', playerId: entry.playerId, total: entry.newTotal });
+                }
+                break;
+            case 'round_end':
+                events.push({
+                    event: 'payout',
+                    distributions: entry.potDistributions,
+                    survivors: entry.survivors,
+                    eliminatedPlayerIds: entry.eliminatedPlayerIds
+                });
+                break;
+            default:
+                // round_start, tie_break, underdog_bonus, the mid-round bust
+                // note - log lines only, nothing to animate.
+                break;
+        }
+    }
+    return events;
+}
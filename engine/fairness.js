@@ -0,0 +1,223 @@
+/**
+ * Provably fair deals for NOT10 (commit-reveal).
+ * A room's server seeds come from a hash chain (createSeedChain) whose head
+ * is published in the lobby, before players ready up with their own
+ * entropy - so the server can't pick its seeds after seeing theirs. Before
+ * anyone bets, the server publishes a hash of the round's server seed and
+ * of the round's whole deck order. The round's shuffle seed mixes that
+ * server seed with every seated player's seed, so neither side alone picks
+ * the deck. Once the round ends the server seed is revealed, and anyone
+ * can run verifyRound to check it against the chain head, recompute the
+ * shuffle with engine/utils.js and check both hashes. Pure functions only -
+ * no I/O, no DOM - so the browser verifies with the very code the server
+ * dealt with.
+ */
+
+import * as game from './game.js';
+import * as utils from './utils.js';
+
+// A client seed is 16-64 hex characters (assets/js/utils.js's
+// generateClientSeed sends 32).
+const CLIENT_SEED = /^[0-9a-f]{16,64}$/;
+
+// Rounds one seed chain covers - far more than any one game plays.
+export const SEED_CHAIN_LENGTH = 1000;
+
+const K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+/**
+ * SHA-256 of a string. Synchronous and dependency-free, unlike
+ * crypto.subtle, so the server can commit mid-broadcast and the browser
+ * can verify with the same call.
+ * @param {string} text - Input (hashed as UTF-8)
+ * @returns {string} Lowercase hex digest
+ */
+export function sha256(text) {
+    const bytes = new TextEncoder().encode(text);
+    // Message + 0x80 + zero padding + 64-bit big-endian bit length, to a
+    // multiple of 64 bytes.
+    const padded = new Uint8Array(Math.ceil((bytes.length + 9) / 64) * 64);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(padded.length - 8, Math.floor(bytes.length / 0x20000000));
+    view.setUint32(padded.length - 4, (bytes.length * 8) >>> 0);
+
+    const h = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+    const w = new Uint32Array(64);
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+    for (let offset = 0; offset < padded.length; offset += 64) {
+        for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+        }
+
+        let [a, b, c, d, e, f, g, k] = h;
+        for (let i = 0; i < 64; i++) {
+            const t1 = k + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i];
+            const t2 = (rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c));
+            k = g; g = f; f = e; e = (d + t1) >>> 0;
+            d = c; c = b; b = a; a = (t1 + t2) >>> 0;
+        }
+        h[0] += a; h[1] += b; h[2] += c; h[3] += d;
+        h[4] += e; h[5] += f; h[6] += g; h[7] += k;
+    }
+
+    return [...h].map(word => word.toString(16).padStart(8, '0')).join('');
+}
+
+/**
+ * Check a client seed's format
+ * @param {string} seed - Client seed sent with create_room/join_room
+ * @returns {{valid: boolean, error: string|null}} Validation result
+ */
+export function validateClientSeed(seed) {
+    if (typeof seed !== 'string' || !CLIENT_SEED.test(seed)) {
+        return { valid: false, error: 'Client seed must be 16 to 64 lowercase hex characters' };
+    }
+    return { valid: true, error: null };
+}
+
+/**
+ * sha256 applied `times` times over
+ * @param {string} seed - Starting value
+ * @param {number} times - How many times to hash it
+ * @returns {string} Hex digest (seed itself when times is 0)
+ */
+export function hashChain(seed, times) {
+    let value = seed;
+    for (let i = 0; i < times; i++) value = sha256(value);
+    return value;
+}
+
+/**
+ * A chain of server seeds, committed to up front by its head. Round k's
+ * seed hashed k times gives the head, and each revealed seed hashes to
+ * the one before it, so no seed can be swapped once the head is out.
+ * @param {string} tail - Secret the chain is built back from
+ * @param {number} length - Seeds in the chain
+ * @returns {{tail: string, length: number, head: string, used: number}}
+ *   head is public; tail stays secret
+ */
+export function createSeedChain(tail, length = SEED_CHAIN_LENGTH) {
+    return { tail, length, head: hashChain(tail, length), used: 0 };
+}
+
+/**
+ * Take the chain's next server seed
+ * @param {Object} chain - createSeedChain's chain (its `used` is advanced)
+ * @returns {{serverSeed: string, index: number}|null} The seed and its
+ *   1-based place in the chain, or null once the chain is used up
+ */
+export function nextChainSeed(chain) {
+    if (chain.used >= chain.length) return null;
+    chain.used++;
+    return { serverSeed: hashChain(chain.tail, chain.length - chain.used), index: chain.used };
+}
+
+/**
+ * The engine's shuffle seed for a round. Client seeds are taken in player
+ * id order, so the seat order doesn't matter - only who contributed what.
+ * The whole digest is the seed (utils.createRng takes a hex string), so
+ * no player can search the seeds for the deck that deals their own hand.
+ * @param {string} serverSeed - The round's secret server seed
+ * @param {Object} clientSeeds - playerId -> client seed
+ * @param {number} round - Round number
+ * @returns {string} 64-hex-digit shuffle seed for game.startNewRound
+ */
+export function roundSeed(serverSeed, clientSeeds, round) {
+    const mixed = Object.keys(clientSeeds).sort().map(id => `${id}=${clientSeeds[id]}`).join(',');
+    return sha256(`${serverSeed}:${mixed}:${round}`);
+}
+
+/**
+ * A round's full deck, in the order it's dealt from - what
+ * game.startNewRound shuffles for this many hands
+ * @param {string} seed - Shuffle seed (see roundSeed)
+ * @param {number} playerCount - Players dealt a hand
+ * @param {Object} rules - Room rule set
+ * @returns {number[]} Shuffled deck
+ */
+export function roundDeck(seed, playerCount, rules = game.DEFAULT_RULES) {
+    return utils.shuffleArray(utils.createDeck(game.getRoundDeckSpec(playerCount, rules)), utils.createRng(seed));
+}
+
+// Salted with the server seed: a bare deck order could be guessed from the
+// cards already in your hand.
+function deckHash(serverSeed, deck) {
+    return sha256(`${serverSeed}:${deck.join(',')}`);
+}
+
+/**
+ * Commit to a round before it's dealt
+ * @param {Object} options
+ * @param {string} options.serverSeed - Fresh secret for this round
+ * @param {Object} options.clientSeeds - playerId -> client seed, for every seated player who sent one
+ * @param {number} options.round - Round number about to start
+ * @param {string[]} options.dealOrder - Ids of the players dealt a hand, in deal order
+ * @param {Object} options.rules - Room rule set
+ * @param {string} options.chainHead - Head of the seed chain serverSeed comes from
+ * @param {number} options.chainIndex - serverSeed's place in that chain (see nextChainSeed)
+ * @returns {{seed: string, commitment: Object}} The shuffle seed to deal
+ *   with, and the public commitment { round, chainHead, chainIndex,
+ *   serverSeedHash, deckHash, clientSeeds, dealOrder } (the server seed
+ *   itself stays out of it)
+ */
+export function commitRound({ serverSeed, clientSeeds, round, dealOrder, rules = game.DEFAULT_RULES, chainHead, chainIndex }) {
+    const seed = roundSeed(serverSeed, clientSeeds, round);
+    return {
+        seed,
+        commitment: {
+            round,
+            chainHead,
+            chainIndex,
+            serverSeedHash: sha256(serverSeed),
+            deckHash: deckHash(serverSeed, roundDeck(seed, dealOrder.length, rules)),
+            clientSeeds: { ...clientSeeds },
+            dealOrder: [...dealOrder]
+        }
+    };
+}
+
+/**
+ * Check a revealed round against what was committed before it was dealt
+ * @param {Object} commitment - commitRound's commitment
+ * @param {string} serverSeed - The server seed revealed at round end
+ * @param {Object} rules - Room rule set
+ * @returns {Object} { valid: true, error: null, seed, deck, openingHands }
+ *   (openingHands: playerId -> the cards dealt before betting) or
+ *   { valid: false, error }
+ */
+export function verifyRound(commitment, serverSeed, rules = game.DEFAULT_RULES) {
+    if (typeof serverSeed !== 'string' || sha256(serverSeed) !== commitment.serverSeedHash) {
+        return { valid: false, error: 'Revealed server seed does not match its commitment' };
+    }
+    if (!Number.isInteger(commitment.chainIndex) || commitment.chainIndex < 1
+        || hashChain(serverSeed, commitment.chainIndex) !== commitment.chainHead) {
+        return { valid: false, error: 'Revealed server seed is not on the seed chain committed to in the lobby' };
+    }
+    const seed = roundSeed(serverSeed, commitment.clientSeeds, commitment.round);
+    const deck = roundDeck(seed, commitment.dealOrder.length, rules);
+    if (deckHash(serverSeed, deck) !== commitment.deckHash) {
+        return { valid: false, error: 'Recomputed deck does not match the committed deck order' };
+    }
+
+    // Same deal as game.startNewRound: half of each hand, in deal order.
+    const halfCount = Math.ceil(game.getCardsPerPlayer(commitment.dealOrder.length, rules) / 2);
+    const remaining = [...deck];
+    const openingHands = {};
+    for (const id of commitment.dealOrder) openingHands[id] = utils.dealCards(remaining, halfCount);
+    return { valid: true, error: null, seed, deck, openingHands };
+}
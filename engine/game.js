@@ -10,14 +10,34 @@
 
 import * as utils from './utils.js';
 
+// Hard ceiling on seats at any table, whatever a room's rules say. The
+// classic game still seats 4 - see the big_table preset for more.
+export const TABLE_SEAT_LIMIT = 8;
+
 export const GAME_CONSTANTS = {
     STARTING_MONEY: 100000, // $1000 in cents
     MAX_PLAYERS: 4,
     MIN_PLAYERS: 2,
-    CARDS_PER_PLAYER_4: 4,
-    CARDS_PER_PLAYER_2: 6,
+    CARDS_PER_PLAYER_4: 4, // 3-4 players
+    CARDS_PER_PLAYER_2: 6, // 2 players
+    CARDS_PER_PLAYER_LARGE: 3, // 5+ players - shorter hands keep the round from dragging
     BUST_THRESHOLD: 10,
     RAISE_AMOUNTS: [10000, 20000, 50000], // $100, $200, $500 in cents
+    DECK: utils.DEFAULT_DECK_SPEC, // [{value, copies}] - 40 cards, ten each of 0-3
+    ALLOW_FOLD: false, // fold forfeits your bet and sits you out of card play
+    POT_MODE: 'weighted', // 'weighted' (whole pot, split by bet) | 'side_pots' (capped at your own bet)
+    // Busts that end a round. Above 1, a busted player just drops out of
+    // the play order and the rest play on until this many have busted, one
+    // player is left, or hands run out.
+    MAX_BUSTS: 1,
+    BUST_TOTAL_MODE: 'reset', // after a non-final bust: 'reset' to 0 | 'carry' the total from before the busting card
+    // 2v2 (4 seats only): partners sit opposite each other and pool their
+    // winnings, and the game ends when one team's combined stack is gone.
+    // TEAM_PARTNER_BUST is what a bust costs the busted player's team: its
+    // pooled winnings are kept ('share'), half handed to the other team
+    // ('halve'), or all of it ('forfeit').
+    TEAM_MODE: false,
+    TEAM_PARTNER_BUST: 'share',
     // GO LAST gives real information (the running total before every one
     // of your turns, all round); GO FIRST gave nothing but "pressure" with
     // no mechanical teeth, making it close to strictly worse. This pays
@@ -35,13 +55,276 @@ export const GAME_CONSTANTS = {
     UNDERDOG_POT_SHARE_BOOST_MAX: 0.5 // up to +50% weighted bet for pot-share purposes
 };
 
+/**
+ * Named house rule sets. Each is a partial override of GAME_CONSTANTS (the
+ * "classic" game) rather than a full copy, so a new rule added later
+ * gets a sane default in every preset without touching each one.
+ */
+export const RULE_PRESETS = {
+    classic: {
+        label: 'Classic',
+        overrides: {}
+    },
+    high_stakes: {
+        label: 'High Stakes',
+        overrides: {
+            STARTING_MONEY: 500000, // $5000
+            RAISE_AMOUNTS: [50000, 100000, 250000] // $500, $1000, $2500
+        }
+    },
+    short_stack: {
+        label: 'Short Stack',
+        overrides: {
+            STARTING_MONEY: 30000, // $300
+            RAISE_AMOUNTS: [5000, 10000, 20000] // $50, $100, $200
+        }
+    },
+    spicy: {
+        label: 'Spicy Deck',
+        overrides: {
+            // 4s and 5s make the table climb fast; the -1 "relief" cards
+            // are the only way to pull it back down.
+            DECK: [
+                { value: -1, copies: 4 },
+                { value: 0, copies: 8 },
+                { value: 1, copies: 8 },
+                { value: 2, copies: 8 },
+                { value: 3, copies: 8 },
+                { value: 4, copies: 4 },
+                { value: 5, copies: 4 }
+            ]
+        }
+    },
+    big_table: {
+        label: 'Big Table (up to 8)',
+        overrides: {
+            MAX_PLAYERS: TABLE_SEAT_LIMIT
+        }
+    },
+    teams: {
+        label: 'Teams (2v2)',
+        overrides: {
+            TEAM_MODE: true
+        }
+    }
+};
+
+/**
+ * Check a complete rule set for anything the engine can't actually run -
+ * a bust threshold of 0, raise increments out of order, more seats than
+ * the deck can deal to. Returns the same {valid, error} shape as
+ * utils.validatePlayerName so the server can pass the error straight on.
+ * @param {Object} rules - Full rule set (GAME_CONSTANTS keys)
+ * @returns {{valid: boolean, error: string|null}} Validation result
+ */
+export function validateRules(rules) {
+    const isPositiveInt = (v) => Number.isInteger(v) && v > 0;
+
+    for (const key of Object.keys(rules)) {
+        if (key !== 'PRESET' && !Object.hasOwn(GAME_CONSTANTS, key)) {
+            return { valid: false, error: `Unknown rule: ${key}` };
+        }
+    }
+    if (!isPositiveInt(rules.STARTING_MONEY)) {
+        return { valid: false, error: 'Starting money must be a positive whole number of cents' };
+    }
+    if (!isPositiveInt(rules.BUST_THRESHOLD)) {
+        return { valid: false, error: 'Bust threshold must be a positive whole number' };
+    }
+    if (!Number.isInteger(rules.MIN_PLAYERS) || !Number.isInteger(rules.MAX_PLAYERS)
+        || rules.MIN_PLAYERS < 2 || rules.MAX_PLAYERS > TABLE_SEAT_LIMIT || rules.MIN_PLAYERS > rules.MAX_PLAYERS) {
+        return { valid: false, error: `Player limits must be between 2 and ${TABLE_SEAT_LIMIT}` };
+    }
+    if (!isPositiveInt(rules.CARDS_PER_PLAYER_2) || !isPositiveInt(rules.CARDS_PER_PLAYER_4)
+        || !isPositiveInt(rules.CARDS_PER_PLAYER_LARGE)) {
+        return { valid: false, error: 'Hand sizes must be positive whole numbers' };
+    }
+    const deckSpec = rules.DECK;
+    if (!Array.isArray(deckSpec) || deckSpec.length === 0
+        || !deckSpec.every(card => card && Number.isInteger(card.value) && isPositiveInt(card.copies))) {
+        return { valid: false, error: 'Deck must list each card value with a positive number of copies' };
+    }
+    if (new Set(deckSpec.map(card => card.value)).size !== deckSpec.length) {
+        return { valid: false, error: 'Deck lists the same card value twice' };
+    }
+    // A card worth the whole threshold on its own (either way) would bust
+    // an empty table, or wipe out any total in one play.
+    if (deckSpec.some(card => Math.abs(card.value) >= rules.BUST_THRESHOLD)) {
+        return { valid: false, error: `Card values must be between -${rules.BUST_THRESHOLD - 1} and ${rules.BUST_THRESHOLD - 1}` };
+    }
+    if (!deckSpec.some(card => card.value > 0)) {
+        return { valid: false, error: 'Deck needs at least one positive card or nobody can ever bust' };
+    }
+    const rawAmounts = rules.RAISE_AMOUNTS;
+    if (!Array.isArray(rawAmounts) || rawAmounts.length === 0 || !rawAmounts.every(isPositiveInt)
+        || rawAmounts.some((amount, i) => i > 0 && amount <= rawAmounts[i - 1])) {
+        return { valid: false, error: 'Raise amounts must be positive and in increasing order' };
+    }
+    if (!['weighted', 'side_pots'].includes(rules.POT_MODE)) {
+        return { valid: false, error: 'POT_MODE must be weighted or side_pots' };
+    }
+    if (!isPositiveInt(rules.MAX_BUSTS) || rules.MAX_BUSTS >= rules.MAX_PLAYERS) {
+        return { valid: false, error: `MAX_BUSTS must be between 1 and ${rules.MAX_PLAYERS - 1} (someone has to survive)` };
+    }
+    if (!['reset', 'carry'].includes(rules.BUST_TOTAL_MODE)) {
+        return { valid: false, error: 'BUST_TOTAL_MODE must be reset or carry' };
+    }
+    if (typeof rules.TEAM_MODE !== 'boolean') {
+        return { valid: false, error: 'TEAM_MODE must be true or false' };
+    }
+    if (rules.TEAM_MODE && rules.MAX_PLAYERS !== 4) {
+        return { valid: false, error: 'Team mode needs exactly 4 seats (two teams of two)' };
+    }
+    if (!['share', 'halve', 'forfeit'].includes(rules.TEAM_PARTNER_BUST)) {
+        return { valid: false, error: 'TEAM_PARTNER_BUST must be share, halve or forfeit' };
+    }
+    if (typeof rules.ALLOW_FOLD !== 'boolean') {
+        return { valid: false, error: 'ALLOW_FOLD must be true or false' };
+    }
+    if (typeof rules.FIRST_POSITION_BONUS !== 'number' || !(rules.FIRST_POSITION_BONUS >= 1)) {
+        return { valid: false, error: 'FIRST bonus must be at least 1 (no bonus)' };
+    }
+    for (const key of ['UNDERDOG_POSITION_BOOST_MAX', 'UNDERDOG_POT_SHARE_BOOST_MAX']) {
+        if (typeof rules[key] !== 'number' || !(rules[key] >= 0)) {
+            return { valid: false, error: `${key} must be zero or more` };
+        }
+    }
+    // The deck as written has to cover every table size up to 4 - a
+    // 2-player table's bigger hands can out-deal a 4-player table's smaller
+    // ones. Bigger tables than that stack extra copies of it instead (see
+    // getRoundDeckSpec), so they never limit the deck here.
+    const classicSeats = Math.min(rules.MAX_PLAYERS, 4);
+    const cardsNeeded = Math.max(
+        2 * rules.CARDS_PER_PLAYER_2,
+        classicSeats >= 3 ? classicSeats * rules.CARDS_PER_PLAYER_4 : 0
+    );
+    const deckSize = deckSpec.reduce((sum, card) => sum + card.copies, 0);
+    if (cardsNeeded > deckSize) {
+        return { valid: false, error: `Hand sizes need ${cardsNeeded} cards but the deck only has ${deckSize}` };
+    }
+    return { valid: true, error: null };
+}
+
+/**
+ * Build a validated, frozen rule set from a named preset plus optional
+ * per-room overrides. Frozen so one room can never mutate the rules
+ * another room (or DEFAULT_RULES itself) is playing by.
+ * @param {string} presetName - Key of RULE_PRESETS (default 'classic')
+ * @param {Object} overrides - Individual rules to change on top of the preset
+ * @returns {{valid: boolean, error: string|null, rules: Object|null}} The rules, or why they were rejected
+ */
+export function createRules(presetName = 'classic', overrides = {}) {
+    const preset = Object.hasOwn(RULE_PRESETS, presetName) ? RULE_PRESETS[presetName] : null;
+    if (!preset) {
+        return { valid: false, error: `Unknown rule preset: ${presetName}`, rules: null };
+    }
+    const rules = {
+        ...GAME_CONSTANTS,
+        ...preset.overrides,
+        ...(overrides || {}),
+        PRESET: presetName
+    };
+    const check = validateRules(rules);
+    if (!check.valid) return { ...check, rules: null };
+
+    rules.RAISE_AMOUNTS = Object.freeze([...rules.RAISE_AMOUNTS]);
+    rules.DECK = Object.freeze(rules.DECK.map(card => Object.freeze({ value: card.value, copies: card.copies })));
+    return { valid: true, error: null, rules: Object.freeze(rules) };
+}
+
+// The classic rule set - what every engine function falls back to when a
+// caller (tests, older call sites) doesn't pass a room's own rules.
+export const DEFAULT_RULES = createRules().rules;
+
+/**
+ * Smallest bet a player can make - the lowest raise increment. Also the
+ * FINALIZE minimum and the point below which a player can only go all-in.
+ * @param {Object} rules - Room rule set
+ * @returns {number} Minimum bet in cents
+ */
+export function getMinimumBet(rules = DEFAULT_RULES) {
+    return rules.RAISE_AMOUNTS[0];
+}
+
+/**
+ * Active players still contesting this round - everyone active who hasn't
+ * folded or (in a MAX_BUSTS > 1 round) already busted. Both keep status
+ * 'active' (they're still in the game, just not this round), so anything
+ * that decides turn order, who plays cards or who shares the pot goes
+ * through this instead of status alone.
+ * @param {Array} players - Players (any status)
+ * @param {Object} roundState - Round state with folded_json/busted_json
+ * @returns {Array} Active players who haven't folded or busted
+ */
+export function getRoundContenders(players, roundState) {
+    const folded = roundState?.folded_json || {};
+    const busted = roundState?.busted_json || {};
+    return players.filter(p => p.status === 'active' && !folded[p.id] && !busted[p.id]);
+}
+
+/**
+ * Which team (0 or 1) a seat plays for in TEAM_MODE. Partners sit
+ * opposite each other, so the even seats are one team and the odd seats
+ * the other - no separate team field to keep in sync with seating.
+ * @param {number} seatIndex - Seat index
+ * @returns {number} 0 or 1
+ */
+export function getTeam(seatIndex) {
+    return seatIndex % 2;
+}
+
+/**
+ * Full hand size for a round with this many players dealt in.
+ * @param {number} playerCount - Players being dealt a hand
+ * @param {Object} rules - Room rule set
+ * @returns {number} Cards per player
+ */
+export function getCardsPerPlayer(playerCount, rules = DEFAULT_RULES) {
+    if (playerCount >= 5) return rules.CARDS_PER_PLAYER_LARGE;
+    if (playerCount >= 3) return rules.CARDS_PER_PLAYER_4;
+    return rules.CARDS_PER_PLAYER_2;
+}
+
+/**
+ * The deck spec a round actually shuffles: the room's DECK, with every
+ * value's copies multiplied up just enough to deal every hand in full.
+ * validateRules already guarantees one deck covers tables of up to 4, so
+ * only bigger tables ever get a stacked deck - and since every value is
+ * multiplied alike, the odds of drawing each value never change.
+ * @param {number} playerCount - Players being dealt a hand
+ * @param {Object} rules - Room rule set
+ * @returns {Array} [{value, copies}] deck spec
+ */
+export function getRoundDeckSpec(playerCount, rules = DEFAULT_RULES) {
+    const deckSize = rules.DECK.reduce((sum, card) => sum + card.copies, 0);
+    const cardsNeeded = playerCount * getCardsPerPlayer(playerCount, rules);
+    const decks = Math.max(1, Math.ceil(cardsNeeded / deckSize));
+    return rules.DECK.map(card => ({ value: card.value, copies: card.copies * decks }));
+}
+
+/**
+ * Lowest and highest card value in a rule set's deck. Lets bots (and
+ * anything else judging a hand) say "low card" or "high card" relative
+ * to the deck actually in play instead of assuming 0-3.
+ * @param {Object} rules - Room rule set
+ * @returns {{min: number, max: number}} Card value range
+ */
+export function getDeckRange(rules = DEFAULT_RULES) {
+    const values = rules.DECK.map(card => card.value);
+    return { min: Math.min(...values), max: Math.max(...values) };
+}
+
 /**
  * Start a new round
  * @param {Object} room - Room object
  * @param {Array} players - Array of player objects
+ * @param {Object} rules - Room rule set (see createRules)
+ * @param {number|string} seed - Shuffle seed, a 32-bit integer or a hex
+ *   string (see utils.createRng; default: a fresh random integer). Kept on
+ *   roundState.seed, so the same seed and seating deal the same hands.
  * @returns {Object} Round initialization data
  */
-export function startNewRound(room, players) {
+export function startNewRound(room, players, rules = DEFAULT_RULES, seed = utils.randomSeed()) {
     // Money alone decides whether the game is already over - same
     // definition checkGameOver() uses. Requiring status === 'active' too
     // (as this used to) meant that if status ever lagged behind money for
@@ -49,8 +332,11 @@ export function startNewRound(room, players) {
     // round to a table that should have already ended, instead of
     // declaring the lone player with money left the winner.
     const playersWithMoney = players.filter(p => p.money_cents > 0);
-    if (playersWithMoney.length < 2) {
-        return { gameOver: true, winner: playersWithMoney[0] || players[0] };
+    // Team games end earlier - as soon as either team is wiped out, even
+    // with both of the other team's players still holding money.
+    const teamWinner = rules.TEAM_MODE ? checkGameOver(players, rules) : null;
+    if (teamWinner || playersWithMoney.length < 2) {
+        return { gameOver: true, winner: teamWinner || playersWithMoney[0] || players[0] };
     }
 
     // Keep status in sync with money for anyone who wasn't already
@@ -67,9 +353,7 @@ export function startNewRound(room, players) {
 
     const newRoundNo = room.current_round + 1;
 
-    const cardsPerPlayer = activePlayers.length >= 3
-        ? GAME_CONSTANTS.CARDS_PER_PLAYER_4
-        : GAME_CONSTANTS.CARDS_PER_PLAYER_2;
+    const cardsPerPlayer = getCardsPerPlayer(activePlayers.length, rules);
     // Only half the hand is dealt before betting - the rest comes after the
     // highest bettor's FIRST/LAST choice resolves (see dealRemainingHands),
     // so both the bet and the position choice are made on a real signal,
@@ -77,8 +361,8 @@ export function startNewRound(room, players) {
     // 6-card 2-player hand reveals the same *proportion* as a 4-card one.
     const halfCount = Math.ceil(cardsPerPlayer / 2);
 
-    let deck = utils.createDeck();
-    deck = utils.shuffleArray(deck);
+    let deck = utils.createDeck(getRoundDeckSpec(activePlayers.length, rules));
+    deck = utils.shuffleArray(deck, utils.createRng(seed));
 
     const hands = {};
     for (const player of activePlayers) {
@@ -87,6 +371,7 @@ export function startNewRound(room, players) {
 
     const roundState = {
         round_no: newRoundNo,
+        seed: typeof seed === 'string' ? seed : seed >>> 0,
         eliminated_player_id: null,
         // Full intended hand size - dealRemainingHands tops each player's
         // hand up to this once the position choice is resolved.
@@ -95,6 +380,13 @@ export function startNewRound(room, players) {
         has_raised_json: {},
         bet_action_count_json: {},
         finalized_json: {},
+        // playerId -> true for anyone who folded this round (ALLOW_FOLD
+        // rule). Folding also sets finalized_json, so betting-turn logic
+        // skips them without a second check.
+        folded_json: {},
+        // playerId -> true for everyone who has busted so far this round.
+        // Only ever holds more than one player when MAX_BUSTS > 1.
+        busted_json: {},
         // Sequence number of the action that last set each player's bet -
         // records the actual chronological order bets landed in, since
         // seat order alone doesn't: a player can raise again on a later
@@ -147,7 +439,9 @@ export function startNewRound(room, players) {
  * place (matches how the rest of this module mutates room/player state).
  * @param {Array} activePlayers
  * @param {Map<string, number[]>} handsMap - playerId -> current (partial) hand
- * @param {number[]} deck - remaining undealt cards, mutated via splice
+ * @param {number[]} deck - remaining undealt cards, mutated via splice. Built
+ *        by startNewRound from the room's DECK spec - validateRules already
+ *        guarantees it holds enough cards for every full hand.
  * @param {number} cardsPerPlayer - the round's full intended hand size
  * @returns {Map<string, number[]>} handsMap, for convenience
  */
@@ -168,11 +462,12 @@ export function dealRemainingHands(activePlayers, handsMap, deck, cardsPerPlayer
  * @param {Array} players - Array of player objects
  * @param {Object} roundState - Round state object
  * @param {string} playerId - Player making bet
- * @param {string} action - 'bet' | 'call' | 'all-in' | 'finalize'
+ * @param {string} action - 'bet' | 'call' | 'all-in' | 'finalize' | 'fold'
  * @param {number} amount - Amount to bet (in cents) if action is 'bet'
+ * @param {Object} rules - Room rule set (see createRules)
  * @returns {Object} Bet result
  */
-export function processBet(room, players, roundState, playerId, action, amount) {
+export function processBet(room, players, roundState, playerId, action, amount, rules = DEFAULT_RULES) {
     const player = players.find(p => p.id === playerId);
     if (!player || player.status !== 'active') {
         return { success: false, error: 'Player not active' };
@@ -199,6 +494,44 @@ export function processBet(room, players, roundState, playerId, action, amount)
     const currentPlayerBet = bets[playerId] || 0;
 
     const tableHighestBet = Math.max(0, ...Object.values(bets));
+    const minimumBet = getMinimumBet(rules);
+
+    if (action === 'fold') {
+        if (!rules.ALLOW_FOLD) {
+            return { success: false, error: 'Folding is not allowed at this table' };
+        }
+        if (finalized[playerId]) {
+            return { success: false, error: 'You have already finalized your bet' };
+        }
+
+        // Whatever's already in stays in the pot - folding limits the loss
+        // to what you've committed so far, it doesn't refund it.
+        const folded = roundState.folded_json || {};
+        folded[playerId] = true;
+        roundState.folded_json = folded;
+        finalized[playerId] = true;
+        roundState.finalized_json = finalized;
+        roundState.log_json.push({
+            type: 'fold',
+            playerId,
+            playerName: player.name,
+            amount: currentPlayerBet,
+            message: currentPlayerBet > 0
+                ? `${player.name} folded, forfeiting ${utils.formatMoney(currentPlayerBet)}`
+                : `${player.name} folded`,
+            timestamp: utils.getTimestamp()
+        });
+
+        // Everyone else folded - the last player standing takes the pot
+        // without a card being played (the caller ends the round).
+        const contenders = getRoundContenders(players, roundState);
+        return {
+            success: true,
+            action: 'fold',
+            amount: currentPlayerBet,
+            lastStanding: contenders.length === 1 ? contenders[0] : null
+        };
+    }
 
     if (action === 'finalize') {
         const playerActions = actionCount[playerId] || 0;
@@ -206,14 +539,15 @@ export function processBet(room, players, roundState, playerId, action, amount)
             return { success: false, error: 'You must bet or call before finalizing.' };
         }
 
-        const activePlayers = players.filter(p => p.status === 'active');
-        const allPlayersActed = activePlayers.every(p => (actionCount[p.id] || 0) >= 1);
+        // Folded players never need to have acted - they're out of this round.
+        const contenders = getRoundContenders(players, roundState);
+        const allPlayersActed = contenders.every(p => (actionCount[p.id] || 0) >= 1);
         if (!allPlayersActed) {
             return { success: false, error: 'Cannot finalize until all players have bet at least once.' };
         }
 
-        if (currentPlayerBet < 10000 && player.money_cents > 0) {
-            return { success: false, error: 'Minimum bet is $100. Please bet or go all-in.' };
+        if (currentPlayerBet < minimumBet && player.money_cents > 0) {
+            return { success: false, error: `Minimum bet is ${utils.formatMoney(minimumBet)}. Please bet or go all-in.` };
         }
 
         finalized[playerId] = true;
@@ -231,7 +565,7 @@ export function processBet(room, players, roundState, playerId, action, amount)
     }
 
     if (action === 'bet') {
-        if (!GAME_CONSTANTS.RAISE_AMOUNTS.includes(amount) && amount !== player.money_cents) {
+        if (!rules.RAISE_AMOUNTS.includes(amount) && amount !== player.money_cents) {
             return { success: false, error: 'Invalid bet amount' };
         }
         if (player.money_cents < amount) {
@@ -278,7 +612,7 @@ export function processBet(room, players, roundState, playerId, action, amount)
         // round (no free check). tableHighestBet === 0 implies this
         // player's own bet is also 0 (it can never exceed the table high).
         if (tableHighestBet === 0) {
-            return { success: false, error: 'You must bet before you can call. Minimum bet is $100 (or all-in).' };
+            return { success: false, error: `You must bet before you can call. Minimum bet is ${utils.formatMoney(minimumBet)} (or all-in).` };
         }
 
         const callAmount = Math.max(0, tableHighestBet - currentPlayerBet);
@@ -358,10 +692,12 @@ export function processBet(room, players, roundState, playerId, action, amount)
  * Check if betting phase is complete
  * @param {Array} activePlayers - Active players
  * @param {Object} finalized - Finalized flags
+ * @param {Object} folded - Folded flags (roundState.folded_json)
  * @returns {boolean} Is betting complete
  */
-export function isBettingComplete(activePlayers, finalized) {
+export function isBettingComplete(activePlayers, finalized, folded = {}) {
     for (const player of activePlayers) {
+        if (folded[player.id]) continue;
         if (!finalized || !finalized[player.id]) {
             return false;
         }
@@ -369,6 +705,42 @@ export function isBettingComplete(activePlayers, finalized) {
     return true;
 }
 
+/**
+ * The bet a player makes when their turn clock runs out: match the table
+ * (CALL, which also finalizes), or open with the minimum bet if nobody has
+ * bet yet - ALL-IN whenever the stack can't cover either. Never raises.
+ * @param {Object} player - Player whose turn it is
+ * @param {Object} roundState - Round state with bets_json
+ * @param {Object} rules - Room rule set
+ * @returns {{action: string, amount: number|null}} Arguments for processBet
+ */
+export function getTimeoutBet(player, roundState, rules = DEFAULT_RULES) {
+    const bets = roundState.bets_json || {};
+    const tableHighestBet = Math.max(0, ...Object.values(bets));
+    const owed = tableHighestBet === 0 ? getMinimumBet(rules) : tableHighestBet - (bets[player.id] || 0);
+    if (owed > 0 && player.money_cents <= owed) return { action: 'all-in', amount: null };
+    if (tableHighestBet === 0) return { action: 'bet', amount: owed };
+    return { action: 'call', amount: null };
+}
+
+/**
+ * The card played for a player whose turn clock runs out. 'lowest' plays
+ * the lowest card - the safest there is; 'highest_safe' plays the highest
+ * card that keeps the table under the bust threshold, or the lowest if
+ * every card busts.
+ * @param {number[]} hand - Cards in hand (non-empty)
+ * @param {number} tableTotal - Current table total
+ * @param {string} mode - 'lowest' | 'highest_safe'
+ * @param {Object} rules - Room rule set
+ * @returns {number} Card value to play
+ */
+export function getTimeoutCard(hand, tableTotal, mode = 'lowest', rules = DEFAULT_RULES) {
+    const lowest = Math.min(...hand);
+    if (mode !== 'highest_safe') return lowest;
+    const safe = hand.filter(value => tableTotal + value < rules.BUST_THRESHOLD);
+    return safe.length > 0 ? Math.max(...safe) : lowest;
+}
+
 /**
  * At exactly 2 active players, how far behind the trailing player is, as a
  * continuous 0-1 dial (0 = stacks are equal, 1 = leader has ~everything).
@@ -397,12 +769,16 @@ export function computeUnderdogFactor(activePlayers) {
  * @param {Object} room - Room object
  * @param {Array} activePlayers - Active players
  * @param {Object} roundState - Round state with bets
+ * @param {Object} rules - Room rule set (see createRules)
  * @returns {Object} Transition result with highest bettor info
  */
-export function transitionToPlaying(room, activePlayers, roundState) {
+export function transitionToPlaying(room, activePlayers, roundState, rules = DEFAULT_RULES) {
     const bets = roundState.bets_json || {};
     const betSequence = roundState.bet_sequence_json || {};
-    const orderedPlayers = utils.getPlayersInTurnOrder(activePlayers, room.starting_player_index);
+    // Folded players neither play cards nor compete for the position
+    // choice - their bet is still in the pot, but they're out of the round.
+    const contenders = getRoundContenders(activePlayers, roundState);
+    const orderedPlayers = utils.getPlayersInTurnOrder(contenders, room.starting_player_index);
 
     // 2-player underdog comeback dial (see computeUnderdogFactor/
     // GAME_CONSTANTS) - the trailing player's bet counts extra when
@@ -411,7 +787,7 @@ export function transitionToPlaying(room, activePlayers, roundState) {
     const underdogInfo = computeUnderdogFactor(activePlayers);
     const effectiveBet = (playerId, realBet) => {
         if (underdogInfo && playerId === underdogInfo.underdogId) {
-            return realBet * (1 + underdogInfo.factor * GAME_CONSTANTS.UNDERDOG_POSITION_BOOST_MAX);
+            return realBet * (1 + underdogInfo.factor * rules.UNDERDOG_POSITION_BOOST_MAX);
         }
         return realBet;
     };
@@ -507,7 +883,7 @@ export function applyPositionChoice(room, activePlayers, roundState, choice) {
     const highestBettorId = roundState.highest_bettor_id;
     const highestBet = roundState.highest_bet;
 
-    let orderedPlayers = utils.getPlayersInTurnOrder(activePlayers, room.starting_player_index);
+    let orderedPlayers = utils.getPlayersInTurnOrder(getRoundContenders(activePlayers, roundState), room.starting_player_index);
     const highestBettor = orderedPlayers.find(p => p.id === highestBettorId);
     const highestBettorIndex = orderedPlayers.findIndex(p => p.id === highestBettorId);
 
@@ -518,6 +894,7 @@ export function applyPositionChoice(room, activePlayers, roundState, choice) {
             type: 'play_order',
             playerId: highestBettorId,
             playerName: highestBettor.name,
+            choice,
             message: `${highestBettor.name} bet the most (${utils.formatMoney(highestBet)}) and chose to play LAST`,
             timestamp: utils.getTimestamp()
         });
@@ -528,6 +905,7 @@ export function applyPositionChoice(room, activePlayers, roundState, choice) {
             type: 'play_order',
             playerId: highestBettorId,
             playerName: highestBettor.name,
+            choice,
             message: `${highestBettor.name} bet the most (${utils.formatMoney(highestBet)}) and chose to play FIRST`,
             timestamp: utils.getTimestamp()
         });
@@ -536,6 +914,7 @@ export function applyPositionChoice(room, activePlayers, roundState, choice) {
             type: 'play_order',
             playerId: highestBettorId,
             playerName: highestBettor.name,
+            choice,
             message: `${highestBettor.name} bet the most (${utils.formatMoney(highestBet)}) and stays in current position`,
             timestamp: utils.getTimestamp()
         });
@@ -561,13 +940,20 @@ export function applyPositionChoice(room, activePlayers, roundState, choice) {
  * @param {Object} roundState - Round state object
  * @param {string} playerId - Player playing card
  * @param {number} cardValue - Card value to play
+ * @param {Object} rules - Room rule set (see createRules)
  * @returns {Object} Play result
  */
-export function processCardPlay(room, players, roundState, playerId, cardValue) {
+export function processCardPlay(room, players, roundState, playerId, cardValue, rules = DEFAULT_RULES) {
     const player = players.find(p => p.id === playerId);
     if (!player || player.status !== 'active') {
         return { success: false, error: 'Player not active' };
     }
+    if (roundState.folded_json?.[playerId]) {
+        return { success: false, error: 'You folded this round' };
+    }
+    if (roundState.busted_json?.[playerId]) {
+        return { success: false, error: 'You already busted this round' };
+    }
     // transitionToPlaying sets room.phase = 'playing' and a provisional
     // turn_player_id (play_order[0] under the CURRENT seat order) the
     // moment betting closes, even when a position choice is still pending -
@@ -584,7 +970,10 @@ export function processCardPlay(room, players, roundState, playerId, cardValue)
         return { success: false, error: 'Not your turn' };
     }
 
-    const newTotal = room.table_total + cardValue;
+    // Relief (negative) cards pull the total down, but never below 0 -
+    // one played onto an empty table is simply wasted.
+    const previousTotal = room.table_total;
+    const newTotal = Math.max(0, previousTotal + cardValue);
     room.table_total = newTotal;
 
     roundState.log_json.push({
@@ -598,8 +987,42 @@ export function processCardPlay(room, players, roundState, playerId, cardValue)
     });
     roundState.played_count++;
 
-    if (newTotal >= GAME_CONSTANTS.BUST_THRESHOLD) {
-        return { success: true, bust: true, eliminatedPlayer: player, total: newTotal };
+    if (newTotal >= rules.BUST_THRESHOLD) {
+        const busted = roundState.busted_json || {};
+        busted[playerId] = true;
+        roundState.busted_json = busted;
+        const eliminatedPlayerIds = Object.keys(busted);
+        const remaining = getRoundContenders(players, roundState);
+
+        if (eliminatedPlayerIds.length >= rules.MAX_BUSTS || remaining.length <= 1) {
+            return { success: true, bust: true, roundOver: true, eliminatedPlayer: player, eliminatedPlayerIds, total: newTotal };
+        }
+
+        // The round plays on without them: out of the play order, and the
+        // table total reset (or rolled back to before the busting card) so
+        // the next player isn't handed an already-busted table.
+        const order = roundState.play_order || [];
+        const myOrderIndex = order.indexOf(playerId);
+        roundState.play_order = order.filter(id => id !== playerId);
+        room.table_total = rules.BUST_TOTAL_MODE === 'carry' ? previousTotal : 0;
+
+        const nextId = myOrderIndex !== -1 && roundState.play_order.length > 0
+            ? roundState.play_order[myOrderIndex % roundState.play_order.length]
+            : null;
+        const nextPlayer = remaining.find(p => p.id === nextId) || remaining[0];
+        room.turn_player_id = nextPlayer.id;
+
+        roundState.log_json.push({
+            type: 'bust',
+            playerId,
+            playerName: player.name,
+            total: newTotal,
+            tableTotal: room.table_total,
+            message: `${player.name} busted at ${newTotal}! Play continues from ${room.table_total}.`,
+            timestamp: utils.getTimestamp()
+        });
+
+        return { success: true, bust: true, roundOver: false, eliminatedPlayer: player, eliminatedPlayerIds, total: newTotal, nextPlayer };
     }
 
     // Advance through the round's established play order (set once by
@@ -616,9 +1039,9 @@ export function processCardPlay(room, players, roundState, playerId, cardValue)
     // back to seat-order adjacency rather than silently leaving
     // turn_player_id unchanged (which is exactly what a repeat looks like).
     if (!nextPlayer) {
-        const activePlayers = players.filter(p => p.status === 'active');
-        const nextIdx = utils.getNextPlayerIndex(player.seat_index, activePlayers);
-        nextPlayer = activePlayers.find(p => p.seat_index === nextIdx);
+        const contenders = getRoundContenders(players, roundState);
+        const nextIdx = utils.getNextPlayerIndex(player.seat_index, contenders);
+        nextPlayer = contenders.find(p => p.seat_index === nextIdx);
     }
 
     if (nextPlayer) {
@@ -629,16 +1052,64 @@ export function processCardPlay(room, players, roundState, playerId, cardValue)
 }
 
 /**
- * Handle round end and pot distribution
- * @param {Object} room - Room object
- * @param {Array} players - Array of player objects
- * @param {Object} roundState - Round state object
- * @param {string} eliminatedPlayerId - ID of eliminated player
- * @returns {Object} Round end result
+ * Split `amount` between `eligible` players in proportion to their weights
+ * (weighted bets) - an equal split if they all weigh nothing. Shares are floored and
+ * the last eligible player takes the rounding remainder, so the whole amount
+ * is always paid out.
+ * @param {number} amount - Cents to split
+ * @param {Array} eligible - Players sharing this amount
+ * @param {Function} weight - player -> weight in cents
+ * @returns {Object} playerId -> share in cents
  */
-export function endRound(room, players, roundState, eliminatedPlayerId) {
-    const activePlayers = players.filter(p => p.status === 'active');
-    const survivors = activePlayers.filter(p => p.id !== eliminatedPlayerId);
+function splitByWeightedBet(amount, eligible, weight) {
+    const totalWeighted = eligible.reduce((sum, p) => sum + weight(p), 0);
+    const shares = {};
+    let distributed = 0;
+
+    for (let i = 0; i < eligible.length; i++) {
+        const player = eligible[i];
+        let share;
+        if (totalWeighted === 0) {
+            share = Math.floor(amount / eligible.length);
+        } else {
+            share = Math.floor(amount * (weight(player) / totalWeighted));
+        }
+        if (i === eligible.length - 1) {
+            share = amount - distributed;
+        }
+        shares[player.id] = share;
+        distributed += share;
+    }
+    return shares;
+}
+
+/**
+ * Work out how the pot would be paid out to a given set of survivors,
+ * without touching anyone's money. endRound pays with this and the client's
+ * earnings preview calls it per scenario, so the two can never drift apart.
+ *
+ * POT_MODE 'weighted': the whole pot is split by weighted bet.
+ * POT_MODE 'side_pots': the pot is layered poker-style at every distinct
+ * survivor bet. Each layer is funded by everyone who bet into it (folded
+ * and eliminated players included) and is only winnable by survivors who
+ * bet at least that much - so a $50 all-in can never win more than $50
+ * from any one opponent. Money above the biggest survivor's bet (a busted
+ * or folded player who out-bet everyone) was never matched, so like an
+ * uncalled bet in poker it goes back to whoever bet it (`refunds`).
+ * endRound pays refunds on top of potDistributions, after any TEAM_MODE
+ * pooling - they're the bettor's own money, not winnings.
+ * @param {Array} activePlayers - Players who entered this round's resolution
+ * @param {Array} survivors - Players who collect a share
+ * @param {Object} roundState - Round state (bets, position choice)
+ * @param {number} potCents - Pot to distribute
+ * @param {Object} [rules] - Validated rules object
+ * @returns {Object} { potDistributions, sidePots, refunds } - sidePots and
+ *   refunds are null in weighted mode, else sidePots is [{ amount, floor,
+ *   cap, eligible, shares }] from the main pot up (the returned overflow,
+ *   if any, last: cap null, refund true, eligible being who gets it back)
+ *   and refunds is playerId -> cents returned
+ */
+export function computePotShares(activePlayers, survivors, roundState, potCents, rules = DEFAULT_RULES) {
     const bets = roundState.bets_json || {};
 
     // The highest bettor who chose to GO FIRST gets their bet weighted up
@@ -656,37 +1127,162 @@ export function endRound(room, players, roundState, eliminatedPlayerId) {
     // entered this round's resolution), not survivors - a 1-survivor push
     // makes this a no-op anyway (100% of the pot either way).
     const underdogInfo = computeUnderdogFactor(activePlayers);
-    const weightedBet = (playerId) => {
-        let bet = bets[playerId] || 0;
+    // `amount` defaults to the player's whole bet; side pots weight just the
+    // slice of it that went into one layer.
+    const weightedBet = (playerId, amount = bets[playerId] || 0) => {
+        let bet = amount;
         if (playerId === firstBonusPlayerId) {
-            bet = Math.round(bet * GAME_CONSTANTS.FIRST_POSITION_BONUS);
+            bet = Math.round(bet * rules.FIRST_POSITION_BONUS);
         }
         if (underdogInfo && playerId === underdogInfo.underdogId) {
-            bet = Math.round(bet * (1 + underdogInfo.factor * GAME_CONSTANTS.UNDERDOG_POT_SHARE_BOOST_MAX));
+            bet = Math.round(bet * (1 + underdogInfo.factor * rules.UNDERDOG_POT_SHARE_BOOST_MAX));
         }
         return bet;
     };
 
-    const totalSurvivorBets = survivors.reduce((sum, s) => sum + weightedBet(s.id), 0);
-    const potDistributions = {};
-    let totalDistributed = 0;
+    if (survivors.length === 0) {
+        return rules.POT_MODE === 'side_pots'
+            ? { potDistributions: {}, sidePots: [], refunds: {} }
+            : { potDistributions: {}, sidePots: null, refunds: null };
+    }
+    if (rules.POT_MODE !== 'side_pots') {
+        return { potDistributions: splitByWeightedBet(potCents, survivors, p => weightedBet(p.id)), sidePots: null, refunds: null };
+    }
 
-    for (let i = 0; i < survivors.length; i++) {
-        const survivor = survivors[i];
-        const survivorBet = weightedBet(survivor.id);
+    // One layer per distinct survivor bet level. Any pot money not backed by
+    // bets_json goes into the main (lowest) layer, which every survivor can
+    // win - even when no survivor bet anything (a zero-width layer).
+    const levels = [...new Set(survivors.map(s => bets[s.id] || 0))]
+        .filter(level => level > 0)
+        .sort((a, b) => a - b);
+    const totalBets = Object.values(bets).reduce((sum, bet) => sum + bet, 0);
+    const sidePots = [];
+    let previousLevel = 0;
+
+    for (const level of levels.length ? levels : [0]) {
+        let amount = 0;
+        for (const bet of Object.values(bets)) {
+            amount += Math.max(0, Math.min(bet, level) - previousLevel);
+        }
+        if (sidePots.length === 0) {
+            amount += Math.max(0, potCents - totalBets);
+        }
+        if (amount > 0 || sidePots.length === 0) {
+            sidePots.push({ amount, floor: previousLevel, cap: level, eligible: survivors.filter(s => (bets[s.id] || 0) >= level) });
+        }
+        previousLevel = level;
+    }
 
-        let share;
-        if (totalSurvivorBets === 0) {
-            share = Math.floor(room.pot_cents / survivors.length);
-        } else {
-            share = Math.floor(room.pot_cents * (survivorBet / totalSurvivorBets));
+    const potDistributions = {};
+    for (const survivor of survivors) potDistributions[survivor.id] = 0;
+    for (const pot of sidePots) {
+        // Inside a layer every eligible player put in the same slice, so it
+        // splits evenly unless a FIRST/underdog bonus tips it.
+        const shares = splitByWeightedBet(pot.amount, pot.eligible, (p) => weightedBet(p.id, pot.cap - pot.floor));
+        for (const [playerId, share] of Object.entries(shares)) {
+            potDistributions[playerId] += share;
         }
-        if (i === survivors.length - 1) {
-            share = room.pot_cents - totalDistributed;
+        pot.shares = shares;
+        pot.eligible = pot.eligible.map(p => p.id);
+    }
+
+    // Whatever was bet above the top survivor's bet had no one to match it.
+    const refunds = {};
+    for (const [playerId, bet] of Object.entries(bets)) {
+        if (bet > previousLevel) refunds[playerId] = bet - previousLevel;
+    }
+    const refunded = Object.values(refunds).reduce((sum, cents) => sum + cents, 0);
+    if (refunded > 0) {
+        sidePots.push({ amount: refunded, floor: previousLevel, cap: null, eligible: Object.keys(refunds), shares: { ...refunds }, refund: true });
+    }
+
+    return { potDistributions, sidePots, refunds };
+}
+
+/**
+ * TEAM_MODE payout: pool each team's survivor shares, apply the
+ * TEAM_PARTNER_BUST penalty to a team that lost a player this round, then
+ * split each team's pool evenly between its members still in the game -
+ * a busted (or folded) partner included, which is the point of a team.
+ * The penalty only moves when exactly one team busted; if both did,
+ * neither is worse off than the other.
+ * @param {Array} activePlayers - Players who entered this round's resolution
+ * @param {Object} potDistributions - Per-survivor shares from computePotShares
+ * @param {Array} eliminatedPlayerIds - Players who busted this round
+ * @param {Object} rules - Room rule set
+ * @returns {Object} { potDistributions, teamPots } - per-player and per-team cents
+ */
+function poolTeamShares(activePlayers, potDistributions, eliminatedPlayerIds, rules) {
+    const teamOf = (playerId) => getTeam(activePlayers.find(p => p.id === playerId).seat_index);
+    const teamPots = [0, 0];
+    for (const [playerId, share] of Object.entries(potDistributions)) {
+        teamPots[teamOf(playerId)] += share;
+    }
+
+    const bustedTeams = new Set(eliminatedPlayerIds.filter(id => activePlayers.some(p => p.id === id)).map(teamOf));
+    if (rules.TEAM_PARTNER_BUST !== 'share' && bustedTeams.size === 1) {
+        const [losingTeam] = bustedTeams;
+        const otherTeam = 1 - losingTeam;
+        if (activePlayers.some(p => getTeam(p.seat_index) === otherTeam)) {
+            const penalty = rules.TEAM_PARTNER_BUST === 'forfeit'
+                ? teamPots[losingTeam]
+                : Math.floor(teamPots[losingTeam] / 2);
+            teamPots[losingTeam] -= penalty;
+            teamPots[otherTeam] += penalty;
         }
+    }
 
-        survivor.money_cents += share;
-        potDistributions[survivor.id] = share;
+    const distributions = {};
+    for (const team of [0, 1]) {
+        const members = activePlayers.filter(p => getTeam(p.seat_index) === team);
+        let distributed = 0;
+        members.forEach((member, i) => {
+            const share = i === members.length - 1
+                ? teamPots[team] - distributed
+                : Math.floor(teamPots[team] / members.length);
+            distributions[member.id] = share;
+            distributed += share;
+        });
+    }
+    return { potDistributions: distributions, teamPots };
+}
+
+/**
+ * Handle round end and pot distribution
+ * @param {Object} room - Room object
+ * @param {Array} players - Array of player objects
+ * @param {Object} roundState - Round state object
+ * @param {string|Array|null} eliminatedPlayerId - ID (or IDs) of eliminated
+ *   player(s), null for a push. Anyone already in roundState.busted_json is
+ *   treated as eliminated too.
+ * @param {Object} rules - Room rule set (see createRules)
+ * @returns {Object} Round end result
+ */
+export function endRound(room, players, roundState, eliminatedPlayerId, rules = DEFAULT_RULES) {
+    const activePlayers = players.filter(p => p.status === 'active');
+    const eliminatedPlayerIds = [...new Set([
+        ...Object.keys(roundState.busted_json || {}),
+        ...[eliminatedPlayerId].flat().filter(Boolean)
+    ])];
+    // Folded players forfeited their bet to the pot and take no share of it.
+    const folded = roundState.folded_json || {};
+    const survivors = activePlayers.filter(p => !eliminatedPlayerIds.includes(p.id) && !folded[p.id]);
+    const bets = roundState.bets_json || {};
+
+    const firstBonusPlayerId = roundState.position_choice === 'first' ? roundState.highest_bettor_id : null;
+    const underdogInfo = computeUnderdogFactor(activePlayers);
+    let { potDistributions, sidePots, refunds } = computePotShares(activePlayers, survivors, roundState, room.pot_cents, rules);
+    let teamPots = null;
+    if (rules.TEAM_MODE) {
+        ({ potDistributions, teamPots } = poolTeamShares(activePlayers, potDistributions, eliminatedPlayerIds, rules));
+    }
+    for (const [playerId, refund] of Object.entries(refunds || {})) {
+        potDistributions[playerId] = (potDistributions[playerId] || 0) + refund;
+    }
+
+    let totalDistributed = 0;
+    for (const [playerId, share] of Object.entries(potDistributions)) {
+        activePlayers.find(p => p.id === playerId).money_cents += share;
         totalDistributed += share;
     }
 
@@ -697,13 +1293,23 @@ export function endRound(room, players, roundState, eliminatedPlayerId) {
         const bonusNote = notes.length ? ` (${notes.join(', ')})` : '';
         return `${s.name}: bet ${utils.formatMoney(bets[s.id] || 0)}${bonusNote} → won ${utils.formatMoney(potDistributions[s.id])}`;
     }).join(', ');
+    const teamNote = teamPots
+        ? ` Team pots: Team 1 ${utils.formatMoney(teamPots[0])}, Team 2 ${utils.formatMoney(teamPots[1])}.`
+        : '';
+    const sidePotNote = sidePots && sidePots.length > 1
+        ? ` Pots: ${sidePots.map(pot => `${utils.formatMoney(pot.amount)} ${pot.refund ? 'returned to' : 'to'} ${pot.eligible.length} player${pot.eligible.length === 1 ? '' : 's'}`).join(', ')}.`
+        : '';
 
     roundState.log_json.push({
         type: 'round_end',
-        eliminatedPlayerId,
+        eliminatedPlayerId: eliminatedPlayerIds[0] || null,
+        eliminatedPlayerIds,
         survivors: survivors.map(s => s.id),
+        folded: Object.keys(folded),
         potDistributions,
-        message: `Round ended. ${distributionDetails}`,
+        sidePots,
+        teamPots,
+        message: `Round ended. ${distributionDetails}${sidePotNote}${teamNote}`,
         timestamp: utils.getTimestamp()
     });
 
@@ -718,21 +1324,37 @@ export function endRound(room, players, roundState, eliminatedPlayerId) {
         }
     }
 
-    const nextStartingIndex = (room.starting_player_index + 1) % GAME_CONSTANTS.MAX_PLAYERS;
+    const nextStartingIndex = (room.starting_player_index + 1) % rules.MAX_PLAYERS;
 
     room.phase = 'round_end';
     room.pot_cents = 0;
     room.starting_player_index = nextStartingIndex;
 
-    return { success: true, survivors, potDistributions, totalDistributed, nextStartingIndex };
+    return { success: true, survivors, eliminatedPlayerIds, potDistributions, totalDistributed, nextStartingIndex };
 }
 
 /**
- * Check if game is over (only one player with money)
+ * Check if game is over (only one player with money - or, in TEAM_MODE,
+ * one team's combined stack is gone)
  * @param {Array} players - Array of player objects
- * @returns {Object|null} Winner or null
+ * @param {Object} rules - Room rule set
+ * @returns {Object|null} Winner or null. A team win is the winning team's
+ *   richest player plus { team, teamPlayerIds, teamMoney }.
  */
-export function checkGameOver(players) {
+export function checkGameOver(players, rules = DEFAULT_RULES) {
+    if (rules.TEAM_MODE) {
+        const teamMoney = [0, 0];
+        for (const player of players) {
+            teamMoney[getTeam(player.seat_index)] += Math.max(0, player.money_cents);
+        }
+        const brokeTeam = teamMoney.findIndex(money => money <= 0);
+        if (brokeTeam === -1) return null;
+        const team = 1 - brokeTeam;
+        const teammates = players.filter(p => getTeam(p.seat_index) === team);
+        const leader = teammates.reduce((best, p) => (p.money_cents > best.money_cents ? p : best));
+        return { ...leader, team, teamPlayerIds: teammates.map(p => p.id), teamMoney: teamMoney[team] };
+    }
+
     const playersWithMoney = players.filter(p => p.money_cents > 0);
     if (playersWithMoney.length === 1) {
         return playersWithMoney[0];
@@ -767,10 +1389,14 @@ export function getNextBettingPlayer(activePlayers, currentSeatIndex, finalizedJ
  * Evaluate a hand's strength (0-1) for AI decisions - shared with engine/ai.js
  * @param {Array<number>} hand - Player's hand
  * @param {number} tableTotal - Current table total
+ * @param {Object} rules - Room rule set (see createRules)
  * @returns {number} Strength score (0-1)
  */
-export function calculateWinProbability(hand, tableTotal) {
+export function calculateWinProbability(hand, tableTotal, rules = DEFAULT_RULES) {
     if (hand.length === 0) return 0;
-    const safeCards = hand.filter(card => tableTotal + card < GAME_CONSTANTS.BUST_THRESHOLD);
-    return safeCards.length / hand.length;
+    const safeCards = hand.filter(card => tableTotal + card < rules.BUST_THRESHOLD);
+    // Relief (negative) cards are always safe and also buy headroom for the
+    // rest of the hand, so each one counts as an extra safe card.
+    const reliefCards = hand.filter(card => card < 0);
+    return Math.min(1, (safeCards.length + reliefCards.length) / hand.length);
 }
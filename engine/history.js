@@ -0,0 +1,166 @@
+/**
+ * Event-sourced game history for NOT10.
+ * The server records every accepted action as a structured event; replaying
+ * the list from the game's starting snapshot re-runs the same engine calls
+ * and rebuilds the identical room/players/roundState. Pure functions only -
+ * no I/O, no DOM, no timers.
+ *
+ * Events, one per engine mutation (see server/rooms.js for where each is
+ * recorded):
+ *   deal           { round, seed, hands, deck } - startNewRound
+ *   bet            { playerId, action, amount } - processBet
+ *   turn           { playerId }                 - betting turn moved on
+ *   start_playing  {}                           - transitionToPlaying
+ *   position_choice { choice }                  - applyPositionChoice
+ *   deal_rest      {}                           - dealRemainingHands
+ *   card           { playerId, value }          - processCardPlay
+ *   round_end      { eliminatedPlayerId }       - endRound (the payout)
+ *   game_over      {}                           - room marked finished
+ * Every event also carries `stamps`: the timestamps of the log_json entries
+ * it produced, so a replayed log matches the original line for line.
+ */
+
+import * as game from './game.js';
+
+// Presence, not game state - the server flips these as sockets come and go,
+// and no engine call reads them.
+const PRESENCE_FIELDS = ['connected', 'disconnectedAt'];
+
+function snapshotPlayers(players) {
+    return players.map(player => {
+        const copy = { ...player };
+        for (const field of PRESENCE_FIELDS) delete copy[field];
+        return structuredClone(copy);
+    });
+}
+
+/**
+ * Start a history from the state a game begins in (after bots are seated)
+ * @param {Object} room - Room object
+ * @param {Array} players - Array of player objects
+ * @param {Object} rules - Room rule set (see game.createRules)
+ * @returns {Object} History: { version, rules, room, players, events }
+ */
+export function createHistory(room, players, rules = game.DEFAULT_RULES) {
+    return {
+        version: 1,
+        rules: structuredClone(rules),
+        room: structuredClone(room),
+        players: snapshotPlayers(players),
+        events: []
+    };
+}
+
+// How many of the current round's log entries earlier events already
+// account for - everything since the latest 'deal'.
+function logCursor(events) {
+    let seen = 0;
+    for (let i = events.length - 1; i >= 0; i--) {
+        seen += events[i].stamps.length;
+        if (events[i].type === 'deal') break;
+    }
+    return seen;
+}
+
+/**
+ * Append an accepted action. Call right after the engine call succeeds.
+ * @param {Object} history - History from createHistory
+ * @param {Object} event - { type, ...data } (see the list above)
+ * @param {Object|null} roundState - Round state after the action
+ * @returns {Object} The recorded event
+ */
+export function recordEvent(history, event, roundState) {
+    const log = roundState?.log_json || [];
+    const seen = event.type === 'deal' ? 0 : logCursor(history.events);
+    const recorded = structuredClone({
+        seq: history.events.length + 1,
+        ...event,
+        stamps: log.slice(seen).map(entry => entry.timestamp)
+    });
+    history.events.push(recorded);
+    return recorded;
+}
+
+function applyEvent(state, event, rules) {
+    const { room, players } = state;
+    switch (event.type) {
+        case 'deal': {
+            const result = game.startNewRound(room, players, rules, event.seed);
+            if (result.gameOver) return { success: false, error: 'Game was already over' };
+            // The recorded deal is authoritative (it's what was actually
+            // played), so a change to the shuffle can't rewrite old games.
+            state.roundState = result.roundState;
+            state.hands = structuredClone(event.hands);
+            state.deck = [...event.deck];
+            return { success: true };
+        }
+        case 'bet':
+            return game.processBet(room, players, state.roundState, event.playerId, event.action, event.amount, rules);
+        case 'turn':
+            room.turn_player_id = event.playerId;
+            return { success: true };
+        case 'start_playing':
+            return game.transitionToPlaying(room, players.filter(p => p.status === 'active'), state.roundState, rules);
+        case 'position_choice':
+            return game.applyPositionChoice(room, players.filter(p => p.status === 'active'), state.roundState, event.choice);
+        case 'deal_rest': {
+            const hands = new Map(Object.entries(state.hands));
+            game.dealRemainingHands(game.getRoundContenders(players, state.roundState), hands, state.deck, state.roundState.cards_per_player);
+            state.hands = Object.fromEntries(hands);
+            return { success: true };
+        }
+        case 'card': {
+            const hand = state.hands[event.playerId] || [];
+            if (!hand.includes(event.value)) return { success: false, error: 'Card not in hand' };
+            const result = game.processCardPlay(room, players, state.roundState, event.playerId, event.value, rules);
+            if (result.success) hand.splice(hand.indexOf(event.value), 1);
+            return result;
+        }
+        case 'round_end':
+            return game.endRound(room, players, state.roundState, event.eliminatedPlayerId, rules);
+        case 'game_over':
+            room.status = 'finished';
+            return { success: true };
+        default:
+            return { success: false, error: `Unknown event type: ${event.type}` };
+    }
+}
+
+/**
+ * Rebuild a game from its history
+ * @param {Object} history - History from createHistory/recordEvent
+ * @param {number} uptoSeq - Stop after this event (default: replay all)
+ * @returns {Object} { success, room, players, roundState, hands, deck } or
+ *   { success: false, error } naming the first event that didn't replay
+ */
+export function replayHistory(history, uptoSeq = Infinity) {
+    const state = {
+        room: structuredClone(history.room),
+        players: structuredClone(history.players),
+        roundState: null,
+        hands: {},
+        deck: []
+    };
+    let seen = 0;
+
+    for (const event of history.events) {
+        if (event.seq > uptoSeq) break;
+        const result = applyEvent(state, event, history.rules);
+        // transitionToPlaying/applyPositionChoice return nothing - only an
+        // explicit failure counts.
+        if (result && result.success === false) {
+            return { success: false, error: `Event ${event.seq} (${event.type}) did not replay: ${result.error}` };
+        }
+
+        if (event.type === 'deal') seen = 0;
+        const log = state.roundState?.log_json || [];
+        const added = log.slice(seen);
+        if (added.length !== event.stamps.length) {
+            return { success: false, error: `Event ${event.seq} (${event.type}) logged ${added.length} entries, expected ${event.stamps.length}` };
+        }
+        added.forEach((entry, i) => { entry.timestamp = event.stamps[i]; });
+        seen = log.length;
+    }
+
+    return { success: true, ...state };
+}
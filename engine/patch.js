@@ -0,0 +1,117 @@
+/**
+ * JSON-patch style state deltas for NOT10.
+ * The server diffs each client's next state against the last one that
+ * client acknowledged and sends only the difference; the client applies it
+ * to its copy of that acknowledged state. Operations follow RFC 6902's
+ * add/remove/replace with JSON-pointer paths. Pure functions only - no I/O,
+ * no DOM - so the server and the browser share this module.
+ *
+ * Inputs must be plain JSON (what JSON.parse returns): no undefined, no
+ * Maps, no class instances.
+ */
+
+function escapeKey(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function unescapeKey(key) {
+    return key.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Keys are often playerIds, which clients choose - one may well be
+// "constructor" or "__proto__". Only ever read and write own properties.
+function setOwn(target, key, value) {
+    Object.defineProperty(target, key, { value, writable: true, enumerable: true, configurable: true });
+}
+
+function diffInto(before, after, path, ops) {
+    if (before === after) return;
+
+    if (Array.isArray(before) && Array.isArray(after)) {
+        const shared = Math.min(before.length, after.length);
+        for (let i = 0; i < shared; i++) diffInto(before[i], after[i], `${path}/${i}`, ops);
+        // Trailing removals go last-first so every index stays valid as
+        // the array shrinks; appends (the usual case - a growing log) are
+        // one 'add' each.
+        for (let i = before.length - 1; i >= shared; i--) ops.push({ op: 'remove', path: `${path}/${i}` });
+        for (let i = shared; i < after.length; i++) ops.push({ op: 'add', path: `${path}/${i}`, value: after[i] });
+        return;
+    }
+
+    if (isObject(before) && isObject(after)) {
+        for (const key of Object.keys(before)) {
+            if (!Object.hasOwn(after, key)) ops.push({ op: 'remove', path: `${path}/${escapeKey(key)}` });
+        }
+        for (const [key, value] of Object.entries(after)) {
+            const child = `${path}/${escapeKey(key)}`;
+            if (Object.hasOwn(before, key)) diffInto(before[key], value, child, ops);
+            else ops.push({ op: 'add', path: child, value });
+        }
+        return;
+    }
+
+    // Different types, or a changed primitive
+    ops.push({ op: 'replace', path, value: after });
+}
+
+/**
+ * Describe how to turn one state into another
+ * @param {*} before - State the client already has
+ * @param {*} after - State the client should end up with
+ * @returns {Array} Operations: { op: 'add'|'remove'|'replace', path, value? }
+ */
+export function diffState(before, after) {
+    const ops = [];
+    diffInto(before, after, '', ops);
+    return ops;
+}
+
+/**
+ * Apply operations from diffState to a copy of a state
+ * @param {*} doc - The state the operations were diffed against (not modified)
+ * @param {Array} ops - Operations from diffState
+ * @returns {Object} { success, doc } or { success: false, error }
+ */
+export function applyPatch(doc, ops) {
+    let result = structuredClone(doc);
+
+    for (const { op, path, value } of ops) {
+        if (path === '') {
+            if (op !== 'replace') return { success: false, error: `Cannot ${op} the whole document` };
+            result = structuredClone(value);
+            continue;
+        }
+
+        const keys = path.split('/').slice(1).map(unescapeKey);
+        const last = keys.pop();
+        let parent = result;
+        for (const key of keys) {
+            parent = parent !== null && typeof parent === 'object' && Object.hasOwn(parent, key) ? parent[key] : undefined;
+            if (parent === null || typeof parent !== 'object') return { success: false, error: `Path not found: ${path}` };
+        }
+
+        if (Array.isArray(parent)) {
+            const index = Number(last);
+            const limit = op === 'add' ? parent.length : parent.length - 1;
+            if (!Number.isInteger(index) || index < 0 || index > limit) {
+                return { success: false, error: `Index out of range: ${path}` };
+            }
+            if (op === 'add') parent.splice(index, 0, structuredClone(value));
+            else if (op === 'remove') parent.splice(index, 1);
+            else if (op === 'replace') parent[index] = structuredClone(value);
+            else return { success: false, error: `Unknown operation: ${op}` };
+            continue;
+        }
+
+        if (op !== 'add' && !Object.hasOwn(parent, last)) return { success: false, error: `Path not found: ${path}` };
+        if (op === 'add' || op === 'replace') setOwn(parent, last, structuredClone(value));
+        else if (op === 'remove') delete parent[last];
+        else return { success: false, error: `Unknown operation: ${op}` };
+    }
+
+    return { success: true, doc: result };
+}
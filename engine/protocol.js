@@ -0,0 +1,264 @@
+/**
+ * Wire protocol for NOT10 multiplayer.
+ * Declares the shape of every message in both directions, the error codes
+ * the server answers with, and the protocol version the two ends agree on
+ * at connect time (a client's first message is `hello`). server/rooms.js
+ * validates every client message against CLIENT_MESSAGES before acting on
+ * it; wsClient.js checks server messages against SERVER_MESSAGES. Pure
+ * data and functions only - no I/O, no DOM.
+ *
+ * Schemas check shape only (types, required fields, enums). Whether a move
+ * is legal is still the engine's call.
+ */
+
+// Bump whenever a message changes shape. A client on any other version is
+// told to refresh and disconnected (close code PROTOCOL_MISMATCH_CLOSE_CODE).
+export const PROTOCOL_VERSION = 9;
+export const PROTOCOL_MISMATCH_CLOSE_CODE = 4002;
+
+// Round-trip times (ms) at or under which a connection counts as 'good' or
+// 'fair'; anything slower is 'poor'. See connectionQuality.
+export const LATENCY_GOOD_MS = 150;
+export const LATENCY_FAIR_MS = 400;
+
+/**
+ * Every `code` an error message can carry. `message` stays human-readable
+ * for display; the code is what a client should branch on.
+ */
+export const ERROR_CODES = Object.freeze({
+    PROTOCOL_MISMATCH: 'protocol_mismatch', // wrong or missing hello - refresh the page
+    BAD_MESSAGE: 'bad_message',             // not JSON, or doesn't match its schema
+    UNKNOWN_TYPE: 'unknown_type',
+    RATE_LIMITED: 'rate_limited',
+    NOT_FOUND: 'not_found',                 // no such room/player
+    FORBIDDEN: 'forbidden',                 // not allowed for you (host-only, banned, spectator, locked)
+    WRONG_STATE: 'wrong_state',             // not now (game started, lobby only, room full)
+    INVALID: 'invalid',                     // well-formed but unacceptable (name, rules, settings, chat)
+    ILLEGAL_MOVE: 'illegal_move',           // the engine refused the bet/card/choice
+    DUPLICATE: 'duplicate',                 // an intent's clientSeq was already handled
+    INTERNAL: 'internal'
+});
+
+// Field specs: { type, optional, nullable, enum, min, max, minLength, maxLength }.
+// type is 'string' | 'integer' | 'number' | 'boolean' | 'object' | 'array'.
+const string = (extra = {}) => ({ type: 'string', ...extra });
+const integer = (extra = {}) => ({ type: 'integer', ...extra });
+const number = (extra = {}) => ({ type: 'number', ...extra });
+const boolean = (extra = {}) => ({ type: 'boolean', ...extra });
+const object = (extra = {}) => ({ type: 'object', ...extra });
+const array = (extra = {}) => ({ type: 'array', ...extra });
+const optional = { optional: true };
+
+// Client strings are capped here so an oversized field is refused before
+// any handler looks at it; the handlers' own checks (validatePlayerName,
+// validateChatMessage) are stricter.
+const playerId = string({ maxLength: 64 });
+const roomCode = string({ maxLength: 16 });
+const name = string({ maxLength: 100 });
+const preset = string({ maxLength: 32 });
+// Join-time entropy for fair shuffles (engine/fairness.js checks the format)
+const clientSeed = string({ optional: true, maxLength: 64 });
+
+/**
+ * Intents: the messages a seated player acts on a room with. Each may
+ * carry a `clientSeq` - increasing per player - which the server uses to
+ * apply it at most once, and answers with an `ack` or a `reject` naming
+ * that clientSeq.
+ */
+export const INTENT_TYPES = Object.freeze([
+    'set_ready', 'switch_team', 'update_settings', 'start_game', 'bet', 'choose_position',
+    'play_card', 'leave_room', 'play_again', 'kick_player', 'transfer_host', 'lock_room', 'chat', 'emote'
+]);
+
+const clientSeq = integer({ optional: true, min: 1 });
+
+// Client -> server fields, by type (clientSeq is added to intents below).
+const CLIENT_FIELDS = {
+    hello: { protocolVersion: integer() },
+    ping: { sentAt: number() },
+    // Accounts (server/accounts.js checks usernames and passwords properly)
+    register: { username: string({ maxLength: 64 }), password: string({ maxLength: 256 }) },
+    login: { username: string({ maxLength: 64 }), password: string({ maxLength: 256 }) },
+    authenticate: { token: string({ maxLength: 512 }) },
+    logout: {},
+    create_room: {
+        playerId,
+        name,
+        preset: { ...preset, optional: true },
+        rules: object(optional),
+        seed: integer(optional),
+        public: boolean(optional),
+        clientSeed
+    },
+    join_room: { playerId, name, roomCode, clientSeed },
+    // Every seated player was sent a session token in their state. An
+    // account's owner on a device without one joins by code instead
+    // (join_room), which the server routes back into their seat.
+    rejoin: { playerId, roomCode, sessionToken: string({ minLength: 1, maxLength: 64 }) },
+    watch_room: { roomCode },
+    list_rooms: {},
+    get_stats: { playerId: { ...playerId, optional: true } },
+    quick_match: { playerId, name, preset: { ...preset, optional: true, nullable: true }, clientSeed },
+    // Readying up sends fresh entropy, picked after seeing seedChainHead
+    set_ready: { ready: boolean(), clientSeed },
+    switch_team: {},
+    update_settings: { rules: object(optional), settings: object(optional) },
+    state_ack: { version: integer({ min: 1 }) },
+    resync: {},
+    start_game: {},
+    bet: {
+        action: string({ enum: ['bet', 'call', 'all-in', 'finalize', 'fold'] }),
+        amount: integer({ optional: true, nullable: true, min: 0 })
+    },
+    choose_position: { choice: string({ enum: ['first', 'last'] }) },
+    play_card: { value: integer() },
+    leave_room: {},
+    play_again: {},
+    kick_player: { playerId, ban: boolean(optional) },
+    transfer_host: { playerId },
+    lock_room: { locked: boolean() },
+    chat: { text: string({ maxLength: 1000 }) },
+    emote: { emote: string({ maxLength: 32 }) }
+};
+
+/**
+ * Client -> server messages, by type. Fields not listed are rejected.
+ */
+export const CLIENT_MESSAGES = Object.freeze(Object.fromEntries(
+    Object.entries(CLIENT_FIELDS).map(([type, fields]) => [type, INTENT_TYPES.includes(type) ? { ...fields, clientSeq } : fields])
+));
+
+/**
+ * Server -> client messages, by type. Checked as open schemas (see
+ * validateMessage) - an event carries fields that depend on its kind.
+ */
+export const SERVER_MESSAGES = Object.freeze({
+    welcome: { protocolVersion: integer() },
+    // Signed in (or, all null, signed out)
+    account: {
+        username: string({ nullable: true }),
+        playerId: string({ nullable: true }),
+        token: string({ nullable: true })
+    },
+    pong: { sentAt: number() },
+    state: {
+        version: integer({ min: 1 }),
+        room: object(),
+        players: array(),
+        roundState: object({ nullable: true }),
+        rules: object(),
+        spectatorCount: integer({ min: 0 }),
+        turnClock: object({ nullable: true }),
+        eventSeq: integer({ min: 0 }),
+        yourHand: array(),
+        isHost: boolean(),
+        connections: object(),
+        fairness: object({ nullable: true }),
+        seedChainHead: string({ nullable: true }),
+        sessionToken: string(optional),
+        spectator: boolean(optional),
+        winner: object({ optional: true, nullable: true })
+    },
+    state_patch: { version: integer({ min: 1 }), baseVersion: integer({ min: 1 }), ops: array() },
+    event: { seq: integer({ min: 1 }), event: string() },
+    room_list: { rooms: array() },
+    stats: { leaderboard: array(), player: object({ nullable: true }) },
+    chat_history: { messages: array() },
+    chat: { message: object() },
+    emote: { playerId: string(), emote: string(), text: string() },
+    connection_quality: { players: object() },
+    turn_timeout: { playerId: string(), name: string(), streak: integer({ min: 1 }) },
+    ack: { clientSeq: integer({ min: 1 }), duplicate: boolean(optional) },
+    reject: {
+        clientSeq: integer({ min: 1 }),
+        code: string({ enum: Object.values(ERROR_CODES) }),
+        message: string(),
+        reason: string(optional),
+        field: string(optional),
+        duplicate: boolean(optional)
+    },
+    error: {
+        code: string({ enum: Object.values(ERROR_CODES) }),
+        message: string(),
+        reason: string(optional),
+        field: string(optional),
+        protocolVersion: integer(optional)
+    }
+});
+
+/**
+ * Bucket a measured round trip for display
+ * @param {number|null} latencyMs - Round-trip time, or null if not measured yet
+ * @returns {string|null} 'good' | 'fair' | 'poor', or null when unknown
+ */
+export function connectionQuality(latencyMs) {
+    if (latencyMs === null || latencyMs === undefined) return null;
+    if (latencyMs <= LATENCY_GOOD_MS) return 'good';
+    if (latencyMs <= LATENCY_FAIR_MS) return 'fair';
+    return 'poor';
+}
+
+const TYPE_NAMES = {
+    string: 'a string',
+    integer: 'a whole number',
+    number: 'a number',
+    boolean: 'true or false',
+    object: 'an object',
+    array: 'a list'
+};
+
+function hasType(value, type) {
+    switch (type) {
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array': return Array.isArray(value);
+        default: return typeof value === type;
+    }
+}
+
+function checkField(field, value, spec) {
+    if (value === undefined) return spec.optional ? null : `${field} is required`;
+    if (value === null) return spec.nullable ? null : `${field} cannot be null`;
+    if (!hasType(value, spec.type)) return `${field} must be ${TYPE_NAMES[spec.type]}`;
+    if (spec.enum && !spec.enum.includes(value)) return `${field} must be one of: ${spec.enum.join(', ')}`;
+    if (spec.min !== undefined && value < spec.min) return `${field} must be at least ${spec.min}`;
+    if (spec.max !== undefined && value > spec.max) return `${field} must be at most ${spec.max}`;
+    if (spec.minLength !== undefined && value.length < spec.minLength) {
+        return spec.minLength === 1 ? `${field} cannot be empty` : `${field} is too short (min ${spec.minLength})`;
+    }
+    if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+        return `${field} is too long (max ${spec.maxLength})`;
+    }
+    return null;
+}
+
+/**
+ * Check a parsed message against a schema table
+ * @param {*} msg - Parsed JSON message
+ * @param {Object} schemas - CLIENT_MESSAGES or SERVER_MESSAGES
+ * @param {Object} options
+ * @param {boolean} options.open - Allow fields the schema doesn't list
+ * @returns {{valid: boolean, error: string|null, code?: string, field?: string}}
+ */
+export function validateMessage(msg, schemas, { open = false } = {}) {
+    if (msg === null || typeof msg !== 'object' || Array.isArray(msg)) {
+        return { valid: false, error: 'Message must be an object', code: ERROR_CODES.BAD_MESSAGE };
+    }
+    if (typeof msg.type !== 'string' || !Object.hasOwn(schemas, msg.type)) {
+        return { valid: false, error: `Unknown message type: ${msg.type}`, code: ERROR_CODES.UNKNOWN_TYPE };
+    }
+
+    const schema = schemas[msg.type];
+    if (!open) {
+        const extra = Object.keys(msg).find(key => key !== 'type' && !Object.hasOwn(schema, key));
+        if (extra) {
+            return { valid: false, error: `Unexpected field in ${msg.type}: ${extra}`, code: ERROR_CODES.BAD_MESSAGE, field: extra };
+        }
+    }
+    for (const [field, spec] of Object.entries(schema)) {
+        const error = checkField(field, msg[field], spec);
+        if (error) return { valid: false, error, code: ERROR_CODES.BAD_MESSAGE, field };
+    }
+    return { valid: true, error: null };
+}
@@ -0,0 +1,78 @@
+/**
+ * Versioned JSON snapshots of a game in progress for NOT10.
+ * A snapshot holds everything the engine needs to carry on exactly where
+ * it stopped - including the hidden hands and the undealt deck, so treat
+ * one like the server's memory, never like a client message. Pure
+ * functions only - no I/O, no DOM.
+ */
+
+import * as game from './game.js';
+
+// Bump when the document's shape changes; restoreSnapshot refuses any
+// other version rather than guessing at an old layout.
+export const SNAPSHOT_VERSION = 1;
+
+/**
+ * Capture a game as a plain, JSON-safe document
+ * @param {Object} state
+ * @param {Object} state.rules - Room rule set (see game.createRules)
+ * @param {Object} state.room - Room object
+ * @param {Array} state.players - Array of player objects
+ * @param {Object|null} state.roundState - Round state (null outside a round)
+ * @param {Map|Object} state.hands - playerId -> cards still in hand
+ * @param {number[]} state.deck - Remaining undealt cards, in order
+ * @returns {Object} Snapshot: { version, rules, room, players, roundState, hands, deck }
+ */
+export function createSnapshot({ rules, room, players, roundState = null, hands = {}, deck = [] }) {
+    return structuredClone({
+        version: SNAPSHOT_VERSION,
+        rules: { ...rules },
+        room,
+        players,
+        roundState,
+        hands: hands instanceof Map ? Object.fromEntries(hands) : hands,
+        deck
+    });
+}
+
+/**
+ * Rebuild game state from a snapshot (parsed JSON is fine)
+ * @param {Object} doc - Snapshot from createSnapshot
+ * @returns {Object} { success, rules, room, players, roundState, hands (Map),
+ *   deck } or { success: false, error }
+ */
+export function restoreSnapshot(doc) {
+    if (!doc || typeof doc !== 'object') {
+        return { success: false, error: 'Snapshot must be an object' };
+    }
+    if (doc.version !== SNAPSHOT_VERSION) {
+        return { success: false, error: `Unsupported snapshot version: ${doc.version}` };
+    }
+    for (const field of ['rules', 'room', 'players']) {
+        if (!doc[field]) return { success: false, error: `Snapshot is missing ${field}` };
+    }
+
+    // Re-validated and re-frozen exactly as at room creation - a hand-edited
+    // snapshot can't smuggle in a rule set the engine can't run.
+    const { PRESET, ...overrides } = doc.rules;
+    const rulesResult = game.createRules(PRESET || 'classic', overrides);
+    if (!rulesResult.valid) {
+        return { success: false, error: `Snapshot rules are invalid: ${rulesResult.error}` };
+    }
+
+    const copy = structuredClone(doc);
+    const unknownHand = Object.keys(copy.hands || {}).find(id => !copy.players.some(p => p.id === id));
+    if (unknownHand) {
+        return { success: false, error: `Snapshot has a hand for unknown player ${unknownHand}` };
+    }
+
+    return {
+        success: true,
+        rules: rulesResult.rules,
+        room: copy.room,
+        players: copy.players,
+        roundState: copy.roundState ?? null,
+        hands: new Map(Object.entries(copy.hands || {})),
+        deck: copy.deck || []
+    };
+}
@@ -0,0 +1,120 @@
+/**
+ * Lifetime statistics for NOT10.
+ * The server keeps a short summary of every round as a game is played
+ * (summarizeRound), turns the finished game into one match record
+ * (summarizeGame) for server/matches.js to store, and answers stats
+ * requests by folding a player's matches together (playerStats). Pure
+ * functions only - no I/O, no DOM.
+ */
+
+/**
+ * What a finished round contributes to anyone's stats. Call right after
+ * game.endRound, while the round's log still has its round_end entry.
+ * @param {Object} roundState - Round state after endRound
+ * @returns {Object} { round, players, bets, busted, folded, position }
+ *   (position: { playerId, choice } for the highest bettor's FIRST/LAST
+ *   choice, or null when there was none)
+ */
+export function summarizeRound(roundState) {
+    const end = [...roundState.log_json].reverse().find(entry => entry.type === 'round_end') || {};
+    const busted = end.eliminatedPlayerIds || [];
+    const folded = end.folded || [];
+    return {
+        round: roundState.round_no,
+        // Everyone dealt in: endRound splits them into exactly these three.
+        players: [...new Set([...(end.survivors || []), ...busted, ...folded])],
+        bets: { ...roundState.bets_json },
+        busted,
+        folded,
+        position: roundState.position_choice
+            ? { playerId: roundState.highest_bettor_id, choice: roundState.position_choice }
+            : null
+    };
+}
+
+/**
+ * One finished game, as stored in the match history
+ * @param {Object} game
+ * @param {string} game.code - Room code
+ * @param {string} game.preset - Rule preset the room played
+ * @param {Array} game.players - Player objects at the end of the game
+ * @param {Array} game.rounds - summarizeRound for every round played
+ * @param {Object|null} game.winner - Winner (game.checkGameOver's shape)
+ * @param {string} game.finishedAt - ISO timestamp
+ * @returns {Object} Match record: { code, preset, finishedAt, rounds,
+ *   players: [{ id, name, isBot, finalMoneyCents }], winnerIds }
+ */
+export function summarizeGame({ code, preset, players, rounds, winner, finishedAt }) {
+    return structuredClone({
+        code,
+        preset,
+        finishedAt,
+        rounds,
+        players: players.map(p => ({ id: p.id, name: p.name, isBot: !!p.is_bot, finalMoneyCents: p.money_cents })),
+        // A team game is won by the whole team.
+        winnerIds: winner ? (winner.teamPlayerIds || [winner.id]) : []
+    });
+}
+
+const rate = (count, total) => (total > 0 ? count / total : null);
+
+/**
+ * Fold a player's matches into lifetime stats. Rates are null until the
+ * player has done the thing at least once (no games, no FIRST choices...).
+ * @param {Array} matches - summarizeGame records
+ * @param {string} playerId - Player to total up
+ * @returns {Object} { gamesPlayed, wins, winRate, roundsPlayed, busts,
+ *   bustRate, averageBetCents, first, last } - first/last:
+ *   { chosen, survived, survivalRate } for the rounds they chose that position
+ */
+export function playerStats(matches, playerId) {
+    const stats = { gamesPlayed: 0, wins: 0, roundsPlayed: 0, busts: 0 };
+    const positions = { first: { chosen: 0, survived: 0 }, last: { chosen: 0, survived: 0 } };
+    let betTotal = 0;
+
+    for (const match of matches) {
+        if (!match.players.some(p => p.id === playerId)) continue;
+        stats.gamesPlayed++;
+        if (match.winnerIds.includes(playerId)) stats.wins++;
+
+        for (const round of match.rounds) {
+            if (!round.players.includes(playerId)) continue;
+            stats.roundsPlayed++;
+            betTotal += round.bets[playerId] || 0;
+            const busted = round.busted.includes(playerId);
+            if (busted) stats.busts++;
+            if (round.position?.playerId === playerId) {
+                positions[round.position.choice].chosen++;
+                if (!busted) positions[round.position.choice].survived++;
+            }
+        }
+    }
+
+    return {
+        ...stats,
+        winRate: rate(stats.wins, stats.gamesPlayed),
+        bustRate: rate(stats.busts, stats.roundsPlayed),
+        averageBetCents: stats.roundsPlayed > 0 ? Math.round(betTotal / stats.roundsPlayed) : null,
+        first: { ...positions.first, survivalRate: rate(positions.first.survived, positions.first.chosen) },
+        last: { ...positions.last, survivalRate: rate(positions.last.survived, positions.last.chosen) }
+    };
+}
+
+/**
+ * Every human who has finished a game, best first: most wins, then the
+ * better win rate, then the fewer busts per round
+ * @param {Array} matches - summarizeGame records
+ * @returns {Array} [{ playerId, name, ...playerStats }] - name is the one
+ *   they played their latest game under
+ */
+export function leaderboard(matches) {
+    const names = new Map();
+    for (const match of matches) {
+        for (const player of match.players) {
+            if (!player.isBot) names.set(player.id, player.name);
+        }
+    }
+    return [...names]
+        .map(([playerId, name]) => ({ playerId, name, ...playerStats(matches, playerId) }))
+        .sort((a, b) => b.wins - a.wins || b.winRate - a.winRate || (a.bustRate ?? 1) - (b.bustRate ?? 1));
+}
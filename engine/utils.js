@@ -4,28 +4,103 @@
  * helpers (clipboard, HTML sanitizing) that stay in assets/js/utils.js.
  */
 
+/**
+ * Seedable PRNG. Every random choice the engine, the bots and the server
+ * make goes through one of these (or Math.random, which has the same
+ * shape) so a deal or a whole bot game can be replayed from its seed.
+ * A number seeds mulberry32 - 32 bits, fine for bots and seeded rooms. A
+ * hex string seeds xoshiro128** with all of it, folded into 128 bits:
+ * what a provably fair deal needs (see fairness.roundSeed), since a 32-bit
+ * seed is few enough to try every one.
+ * @param {number|string} seed - Any 32-bit integer, or a hex string (8 to
+ *   64 digits, e.g. a SHA-256 digest)
+ * @returns {function(): number} Generator returning floats in [0, 1). Its
+ *   `state()` is a seed that continues the same sequence from here on.
+ */
+export function createRng(seed) {
+    if (typeof seed === 'string') return createWideRng(seed);
+    let state = seed >>> 0;
+    function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    random.state = () => state;
+    return random;
+}
+
+// xoshiro128** over a hex seed, every 32-bit word of it XORed into the
+// four words of state
+function createWideRng(seed) {
+    if (!/^(?:[0-9a-f]{8}){1,8}$/i.test(seed)) throw new Error(`Invalid hex seed: ${seed}`);
+    const s = [0, 0, 0, 0];
+    seed.match(/.{8}/g).forEach((word, i) => { s[i % 4] = (s[i % 4] ^ parseInt(word, 16)) >>> 0; });
+    if (!(s[0] | s[1] | s[2] | s[3])) s[0] = 1; // all-zero state never leaves zero
+    function random() {
+        const r = Math.imul(rotl(Math.imul(s[1], 5), 7), 9);
+        const t = s[1] << 9;
+        s[2] ^= s[0];
+        s[3] ^= s[1];
+        s[1] ^= s[2];
+        s[0] ^= s[3];
+        s[2] ^= t;
+        s[3] = rotl(s[3], 11);
+        return (r >>> 0) / 4294967296;
+    }
+    random.state = () => s.map(word => (word >>> 0).toString(16).padStart(8, '0')).join('');
+    return random;
+}
+
+function rotl(x, k) {
+    return (x << k) | (x >>> (32 - k));
+}
+
+/**
+ * Draw a fresh 32-bit seed
+ * @param {function(): number} random - Source to draw from (default: Math.random)
+ * @returns {number} Unsigned 32-bit integer seed
+ */
+export function randomSeed(random = Math.random) {
+    return Math.floor(random() * 4294967296) >>> 0;
+}
+
 /**
  * Fisher-Yates shuffle algorithm
  * @param {Array} array - Array to shuffle
+ * @param {function(): number} random - Random source (see createRng)
  * @returns {Array} New shuffled array (input is not mutated)
  */
-export function shuffleArray(array) {
+export function shuffleArray(array, random = Math.random) {
     const arr = [...array];
     for (let i = arr.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [arr[i], arr[j]] = [arr[j], arr[i]];
     }
     return arr;
 }
 
 /**
- * Create a deck of 40 cards (10 of each value: 0, 1, 2, 3)
+ * The classic deck: 40 cards, ten each of 0, 1, 2 and 3. A deck spec is a
+ * list of {value, copies} - game.js's rule sets carry one as DECK.
+ */
+export const DEFAULT_DECK_SPEC = [
+    { value: 0, copies: 10 },
+    { value: 1, copies: 10 },
+    { value: 2, copies: 10 },
+    { value: 3, copies: 10 }
+];
+
+/**
+ * Create an unshuffled deck from a deck spec
+ * @param {Array<{value: number, copies: number}>} spec - Card values and how many of each
  * @returns {number[]} Array of card values
  */
-export function createDeck() {
+export function createDeck(spec = DEFAULT_DECK_SPEC) {
     const deck = [];
-    for (let value = 0; value <= 3; value++) {
-        for (let i = 0; i < 10; i++) {
+    for (const { value, copies } of spec) {
+        for (let i = 0; i < copies; i++) {
             deck.push(value);
         }
     }
@@ -59,10 +134,11 @@ export function formatMoney(cents) {
  * Get next player index in clockwise order, skipping non-active players
  * @param {number} currentIndex - Current player seat index
  * @param {Array} players - Array of player objects
- * @param {number} maxSeats - Maximum number of seats (default 4)
+ * @param {number} maxSeats - Seats to wrap around (default: up to the highest
+ *   occupied seat - empty seats past it can never be "next" anyway)
  * @returns {number} Next active player index, or -1 if none
  */
-export function getNextPlayerIndex(currentIndex, players, maxSeats = 4) {
+export function getNextPlayerIndex(currentIndex, players, maxSeats = Math.max(currentIndex, ...players.map(p => p.seat_index)) + 1) {
     const activePlayers = players.filter(p => p.status === 'active');
     if (activePlayers.length === 0) return -1;
 
@@ -94,8 +170,11 @@ export function getPlayersInTurnOrder(players, startIndex) {
 
     if (activePlayers.length === 0) return [];
 
-    const startPlayer = activePlayers.findIndex(p => p.seat_index === startIndex);
-    if (startPlayer === -1) return activePlayers;
+    // An empty (or inactive) start seat hands the start to the next
+    // occupied seat clockwise, so the rotation still moves one seat at a
+    // time at a half-full table instead of snapping back to seat 0.
+    let startPlayer = activePlayers.findIndex(p => p.seat_index >= startIndex);
+    if (startPlayer === -1) startPlayer = 0;
 
     return [
         ...activePlayers.slice(startPlayer),
@@ -122,13 +201,14 @@ export function getTimestamp() {
 
 /**
  * Generate a random 6-character room code
+ * @param {function(): number} random - Random source (see createRng)
  * @returns {string} Room code (e.g., "ABC123")
  */
-export function generateRoomCode() {
+export function generateRoomCode(random = Math.random) {
     const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // Exclude confusing chars like I, O, 1, 0
     let code = '';
     for (let i = 0; i < 6; i++) {
-        code += chars.charAt(Math.floor(Math.random() * chars.length));
+        code += chars.charAt(Math.floor(random() * chars.length));
     }
     return code;
 }
@@ -150,3 +230,19 @@ export function validatePlayerName(name) {
     }
     return { valid: true, error: null };
 }
+
+/**
+ * Validate an in-room chat message
+ * @param {string} text - Message text
+ * @param {number} maxLength - Longest message allowed, in characters
+ * @returns {{valid: boolean, error: string|null}} Validation result
+ */
+export function validateChatText(text, maxLength = 200) {
+    if (typeof text !== 'string' || text.trim().length === 0) {
+        return { valid: false, error: 'Message cannot be empty' };
+    }
+    if (text.trim().length > maxLength) {
+        return { valid: false, error: `Message too long (max ${maxLength} characters)` };
+    }
+    return { valid: true, error: null };
+}
@@ -0,0 +1,225 @@
+/**
+ * Optional local accounts for NOT10.
+ * A guest's identity is a localStorage UUID that's gone with the browser's
+ * storage. An account - username and password - gives a player one stable
+ * playerId on every device. Passwords are hashed with scrypt; everything
+ * lives in one JSON file in the data directory, written the same
+ * temp-then-rename way as RoomStore's room files. No external service.
+ *
+ * Signing in gets a token: the account, its token generation and an
+ * expiry, HMAC-signed with a server secret. Logging out bumps the
+ * account's generation, which revokes every token issued before it. The
+ * secret is SESSION_SECRET if set, otherwise generated once and kept next
+ * to the accounts file. Changing it signs everyone out.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { createHmac, randomBytes, randomUUID, scrypt, timingSafeEqual } from 'node:crypto';
+
+// Every account's playerId starts with this. RoomManager only lets a
+// socket signed in to that account use one (a guest can't pick it).
+export const ACCOUNT_ID_PREFIX = 'acct-';
+
+const TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+// scrypt cost (N=2^14, r=8: ~16 MB and a few tens of ms per hash). Kept
+// with each hash so raising it later doesn't lock out existing accounts.
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+const USERNAME = /^[a-zA-Z0-9_-]{3,20}$/;
+const PASSWORD_MIN = 8;
+const PASSWORD_MAX = 128;
+
+/**
+ * Validate a username for a new account
+ * @param {string} username - Requested username
+ * @returns {{valid: boolean, error: string|null}} Validation result
+ */
+export function validateUsername(username) {
+    if (typeof username !== 'string' || !USERNAME.test(username)) {
+        return { valid: false, error: 'Username must be 3-20 letters, numbers, _ or -' };
+    }
+    return { valid: true, error: null };
+}
+
+/**
+ * Validate a password for a new account
+ * @param {string} password - Requested password
+ * @returns {{valid: boolean, error: string|null}} Validation result
+ */
+export function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN) {
+        return { valid: false, error: `Password must be at least ${PASSWORD_MIN} characters` };
+    }
+    if (password.length > PASSWORD_MAX) {
+        return { valid: false, error: `Password too long (max ${PASSWORD_MAX} characters)` };
+    }
+    return { valid: true, error: null };
+}
+
+function hashPassword(password, salt, { N, r, p }) {
+    return new Promise((resolve, reject) => {
+        scrypt(password, salt, KEY_LENGTH, { N, r, p }, (err, key) => (err ? reject(err) : resolve(key)));
+    });
+}
+
+function sign(secret, payload) {
+    return createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+// What a client is told about an account - never the password hash.
+function publicAccount(account) {
+    return { username: account.username, playerId: account.playerId };
+}
+
+export class AccountStore {
+    /**
+     * @param {string} dir - Directory for accounts.json (created if missing)
+     * @param {Object} options
+     * @param {string|null} options.secret - Token signing secret (default:
+     *   generated once and saved to session-secret in dir)
+     */
+    constructor(dir, { secret = null } = {}) {
+        this.dir = dir;
+        fs.mkdirSync(dir, { recursive: true });
+        this.file = path.join(dir, 'accounts.json');
+        this.secret = secret || this._loadSecret();
+        this.accounts = new Map(); // lowercased username -> account
+        if (fs.existsSync(this.file)) this._load();
+    }
+
+    // An unreadable file is moved aside rather than left for the next
+    // _save to overwrite - the server starts with no accounts, and whoever
+    // runs it can still get the old ones back by hand.
+    _load() {
+        try {
+            const doc = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            for (const account of doc.accounts || []) this.accounts.set(account.username.toLowerCase(), account);
+        } catch (err) {
+            this.accounts.clear();
+            const aside = `${this.file}.unreadable-${Date.now()}`;
+            fs.renameSync(this.file, aside);
+            console.error(`Could not read ${this.file} (${err.message}) - moved it to ${aside} and started with no accounts`);
+        }
+    }
+
+    _loadSecret() {
+        const file = path.join(this.dir, 'session-secret');
+        if (fs.existsSync(file)) return fs.readFileSync(file, 'utf8').trim();
+        const secret = randomBytes(32).toString('hex');
+        fs.writeFileSync(file, secret, { mode: 0o600 });
+        return secret;
+    }
+
+    _save() {
+        const tmp = `${this.file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify({ version: 1, accounts: [...this.accounts.values()] }), { mode: 0o600 });
+        fs.renameSync(tmp, this.file);
+    }
+
+    /**
+     * Create an account. Usernames are unique regardless of case.
+     * @param {string} username - Username (shown as typed)
+     * @param {string} password - Plain-text password (only its hash is kept)
+     * @returns {Promise<Object>} { success, account: { username, playerId } }
+     *   or { success: false, error }
+     */
+    async register(username, password) {
+        const check = validateUsername(username);
+        if (!check.valid) return { success: false, error: check.error };
+        const passwordCheck = validatePassword(password);
+        if (!passwordCheck.valid) return { success: false, error: passwordCheck.error };
+        if (this.accounts.has(username.toLowerCase())) return { success: false, error: 'Username is taken' };
+
+        const salt = randomBytes(16);
+        const key = await hashPassword(password, salt, SCRYPT_PARAMS);
+        // Someone else may have taken the name while we were hashing.
+        if (this.accounts.has(username.toLowerCase())) return { success: false, error: 'Username is taken' };
+
+        const account = {
+            username,
+            playerId: `${ACCOUNT_ID_PREFIX}${randomUUID()}`,
+            salt: salt.toString('base64'),
+            hash: key.toString('base64'),
+            scrypt: SCRYPT_PARAMS,
+            createdAt: new Date().toISOString()
+        };
+        this.accounts.set(username.toLowerCase(), account);
+        this._save();
+        return { success: true, account: publicAccount(account) };
+    }
+
+    /**
+     * Check a username and password
+     * @param {string} username - Username (any case)
+     * @param {string} password - Plain-text password
+     * @returns {Promise<Object>} { success, account: { username, playerId } }
+     *   or { success: false, error } - the same error whether the username
+     *   or the password was wrong
+     */
+    async authenticate(username, password) {
+        const account = typeof username === 'string' ? this.accounts.get(username.toLowerCase()) : null;
+        if (!account || typeof password !== 'string') return { success: false, error: 'Wrong username or password' };
+
+        const expected = Buffer.from(account.hash, 'base64');
+        const key = await hashPassword(password, Buffer.from(account.salt, 'base64'), account.scrypt);
+        if (!timingSafeEqual(key, expected)) return { success: false, error: 'Wrong username or password' };
+        return { success: true, account: publicAccount(account) };
+    }
+
+    /**
+     * Sign a token that stands in for the password until it expires
+     * @param {{username: string}} account - Account from register/authenticate
+     * @param {number} now - Current time in ms (default: Date.now())
+     * @returns {string} Token: base64url payload, '.', base64url HMAC
+     */
+    issueToken(account, now = Date.now()) {
+        const username = account.username.toLowerCase();
+        const generation = this.accounts.get(username)?.tokenGeneration ?? 0;
+        const payload = Buffer.from(JSON.stringify({ u: username, g: generation, exp: now + TOKEN_TTL_MS })).toString('base64url');
+        return `${payload}.${sign(this.secret, payload)}`;
+    }
+
+    /**
+     * Revoke every token issued for an account so far - logging out on
+     * one device signs it out on all of them
+     * @param {string} username - Username (any case)
+     */
+    revokeTokens(username) {
+        const account = this.accounts.get(username.toLowerCase());
+        if (!account) return;
+        account.tokenGeneration = (account.tokenGeneration ?? 0) + 1;
+        this._save();
+    }
+
+    /**
+     * Check a token from issueToken
+     * @param {string} token - Token the client kept
+     * @param {number} now - Current time in ms (default: Date.now())
+     * @returns {Object} { valid, account: { username, playerId } } or
+     *   { valid: false, error }
+     */
+    verifyToken(token, now = Date.now()) {
+        const [payload, signature] = typeof token === 'string' ? token.split('.') : [];
+        if (!payload || !signature) return { valid: false, error: 'Malformed token' };
+
+        const expected = Buffer.from(sign(this.secret, payload));
+        const given = Buffer.from(signature);
+        if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+            return { valid: false, error: 'Invalid token' };
+        }
+
+        let claims;
+        try {
+            claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        } catch {
+            return { valid: false, error: 'Malformed token' };
+        }
+        if (!(claims.exp > now)) return { valid: false, error: 'Token expired' };
+        const account = this.accounts.get(claims.u);
+        if (!account) return { valid: false, error: 'Account no longer exists' };
+        if ((claims.g ?? 0) !== (account.tokenGeneration ?? 0)) return { valid: false, error: 'Token revoked' };
+        return { valid: true, account: publicAccount(account) };
+    }
+}
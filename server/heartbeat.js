@@ -0,0 +1,73 @@
+/**
+ * WebSocket heartbeats for NOT10.
+ * Pings every connection on an interval and terminates any that didn't
+ * answer the previous ping - a half-open connection (a phone that lost
+ * signal, a laptop lid closed mid-game) otherwise sits "connected" until
+ * TCP gives up, which can take many minutes. Terminating emits the socket's
+ * 'close', so a dead connection goes through RoomManager.handleDisconnect
+ * like any other. Each answered ping is also a round-trip measurement,
+ * handed to onLatency.
+ */
+
+const HEARTBEAT_INTERVAL_MS = 10_000;
+
+export class Heartbeat {
+    /**
+     * @param {WebSocketServer} wss - Server whose clients to watch
+     * @param {Object} options
+     * @param {number} options.intervalMs - Time between pings; a connection
+     *   is dropped after missing one, so within two intervals of dying
+     * @param {Function} options.onLatency - (ws, latencyMs) on every pong
+     */
+    constructor(wss, { intervalMs = HEARTBEAT_INTERVAL_MS, onLatency = () => {} } = {}) {
+        this.wss = wss;
+        this.intervalMs = intervalMs;
+        this.onLatency = onLatency;
+        this.sockets = new WeakMap(); // ws -> { alive, pingSentAt }
+        this.timer = null;
+        wss.on('connection', (ws) => this.track(ws));
+    }
+
+    track(ws) {
+        if (this.sockets.has(ws)) return;
+        this.sockets.set(ws, { alive: true, pingSentAt: null });
+        ws.on('pong', () => this._pong(ws));
+    }
+
+    _pong(ws) {
+        const beat = this.sockets.get(ws);
+        if (!beat) return;
+        beat.alive = true;
+        if (beat.pingSentAt !== null) {
+            this.onLatency(ws, Date.now() - beat.pingSentAt);
+            beat.pingSentAt = null;
+        }
+    }
+
+    // One round: drop whoever didn't answer the last ping, ping the rest.
+    beat() {
+        for (const ws of this.wss.clients) {
+            const beat = this.sockets.get(ws);
+            if (!beat) {
+                this.track(ws);
+                continue;
+            }
+            if (!beat.alive) {
+                ws.terminate();
+                continue;
+            }
+            beat.alive = false;
+            beat.pingSentAt = Date.now();
+            ws.ping();
+        }
+    }
+
+    start() {
+        this.timer ??= setInterval(() => this.beat(), this.intervalMs);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
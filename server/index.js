@@ -2,7 +2,10 @@
  * NOT10 server: serves the static frontend, a health check, and the
  * WebSocket endpoint multiplayer runs over. No database, no external
  * service - all game state lives in server/rooms.js's in-memory
- * RoomManager, matching a single self-contained Docker service.
+ * RoomManager, mirrored to JSON files in DATA_DIR (server/persistence.js)
+ * so it survives a restart, matching a single self-contained Docker service.
+ * Optional accounts (server/accounts.js) and the match history behind
+ * lifetime stats (server/matches.js) are files in DATA_DIR too.
  */
 
 import http from 'node:http';
@@ -12,10 +15,17 @@ import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { WebSocketServer } from 'ws';
 import { RoomManager } from './rooms.js';
+import { RoomStore } from './persistence.js';
+import { AccountStore } from './accounts.js';
+import { MatchStore } from './matches.js';
+import { Heartbeat } from './heartbeat.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const REPO_ROOT = path.resolve(__dirname, '..');
 const PORT = process.env.PORT || 8000;
+// Rooms are saved here and restored on startup, so a restart or redeploy
+// doesn't end anyone's game - point it at a persistent volume in production.
+const DATA_DIR = process.env.DATA_DIR || path.join(REPO_ROOT, 'data');
 
 // Only these top-level entries are servable as static files - keeps the
 // server code, package.json, etc. off the public HTTP surface even though
@@ -77,7 +87,33 @@ const server = http.createServer((req, res) => {
 });
 
 const wss = new WebSocketServer({ server, path: '/ws' });
-const roomManager = new RoomManager();
+// ALLOW_SEEDED_ROOMS=1 lets create_room pin a shuffle seed - for
+// reproducing a reported deal locally, never for a public server.
+const roomManager = new RoomManager({
+    allowSeededRooms: process.env.ALLOW_SEEDED_ROOMS === '1',
+    store: new RoomStore(DATA_DIR),
+    // Optional accounts, kept beside the rooms. SESSION_SECRET signs their
+    // tokens; unset, one is generated and saved in the same directory.
+    accounts: new AccountStore(path.join(DATA_DIR, 'accounts'), { secret: process.env.SESSION_SECRET || null }),
+    // Every finished game, for lifetime stats
+    matches: new MatchStore(path.join(DATA_DIR, 'matches'))
+});
+// Dead connections are terminated (and so go through handleDisconnect)
+// instead of waiting on TCP; each pong's round trip feeds the latency
+// shown next to every player.
+const heartbeat = new Heartbeat(wss, { onLatency: (ws, latencyMs) => roomManager.recordLatency(ws, latencyMs) });
+heartbeat.start();
+const restoredRooms = roomManager.restoreAll();
+if (restoredRooms > 0) console.log(`Restored ${restoredRooms} room(s) from ${DATA_DIR}`);
+
+// A deploy stops the old process with SIGTERM - write out the last second
+// of play before exiting, so the new process picks up exactly here.
+for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.on(signal, () => {
+        roomManager.flush();
+        process.exit(0);
+    });
+}
 
 wss.on('connection', (ws) => {
     ws.on('message', (raw) => roomManager.handleMessage(ws, raw));
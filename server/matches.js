@@ -0,0 +1,54 @@
+/**
+ * Local-disk match history for NOT10.
+ * Every finished game (engine/stats.js's summarizeGame record) is appended
+ * as one line of matches.jsonl, so a game that ends survives everything
+ * that comes after it - Play Again, the room being reaped, restarts. The
+ * whole history is read once at startup and kept in memory; lifetime
+ * stats are computed from it on request.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+export class MatchStore {
+    /**
+     * @param {string} dir - Directory to keep matches.jsonl in (created if missing)
+     */
+    constructor(dir) {
+        fs.mkdirSync(dir, { recursive: true });
+        this.file = path.join(dir, 'matches.jsonl');
+        this.matches = [];
+        if (!fs.existsSync(this.file)) return;
+
+        // A line cut short by a crash mid-append is skipped, not fatal -
+        // and ended, so the next record starts on a line of its own.
+        const text = fs.readFileSync(this.file, 'utf8');
+        if (text && !text.endsWith('\n')) fs.appendFileSync(this.file, '\n');
+        const lines = text.split('\n').filter(Boolean);
+        for (const [i, line] of lines.entries()) {
+            try {
+                this.matches.push(JSON.parse(line));
+            } catch (err) {
+                console.error(`Skipping unreadable match on line ${i + 1} of ${this.file}:`, err.message);
+            }
+        }
+    }
+
+    /**
+     * Append a finished game
+     * @param {Object} match - summarizeGame record
+     */
+    record(match) {
+        fs.appendFileSync(this.file, `${JSON.stringify(match)}\n`);
+        this.matches.push(match);
+    }
+
+    /**
+     * Every match a player took part in, newest first
+     * @param {string} playerId - Player id
+     * @returns {Object[]} Match records
+     */
+    forPlayer(playerId) {
+        return this.matches.filter(match => match.players.some(p => p.id === playerId)).reverse();
+    }
+}
@@ -0,0 +1,71 @@
+/**
+ * Local-disk room persistence for NOT10.
+ * One JSON file per room (Room.toSnapshot's document), rewritten whenever
+ * the room changes and read back on startup, so a restart or redeploy
+ * doesn't end anyone's game. Writes go to a temp file and are renamed into
+ * place - a crash mid-write leaves the previous snapshot intact, never a
+ * half-written one.
+ *
+ * The files hold every hidden hand and every rejoin token: keep the data
+ * directory off the static file server and out of version control.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Room codes are 6 chars of A-Z/2-9 (see utils.generateRoomCode) - anything
+// else never becomes a file path.
+const ROOM_FILE = /^([A-Z0-9]{6})\.json$/;
+
+export class RoomStore {
+    /**
+     * @param {string} dir - Directory to keep room files in (created if missing)
+     */
+    constructor(dir) {
+        this.dir = dir;
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    _file(code) {
+        return path.join(this.dir, `${code}.json`);
+    }
+
+    /**
+     * Write a room's snapshot, replacing the previous one atomically
+     * @param {string} code - Room code
+     * @param {Object} doc - Snapshot document (see Room.toSnapshot)
+     */
+    save(code, doc) {
+        if (!ROOM_FILE.test(`${code}.json`)) throw new Error(`Invalid room code: ${code}`);
+        const file = this._file(code);
+        const tmp = `${file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(doc));
+        fs.renameSync(tmp, file);
+    }
+
+    /**
+     * Forget a room (it was closed or reaped)
+     * @param {string} code - Room code
+     */
+    remove(code) {
+        fs.rmSync(this._file(code), { force: true });
+    }
+
+    /**
+     * Read every saved room. A file that won't parse is logged and skipped
+     * rather than stopping the server from starting.
+     * @returns {Object[]} Snapshot documents
+     */
+    loadAll() {
+        const docs = [];
+        for (const name of fs.readdirSync(this.dir)) {
+            if (!ROOM_FILE.test(name)) continue;
+            try {
+                docs.push(JSON.parse(fs.readFileSync(path.join(this.dir, name), 'utf8')));
+            } catch (err) {
+                console.error(`Skipping unreadable room file ${name}:`, err.message);
+            }
+        }
+        return docs;
+    }
+}
@@ -8,13 +8,22 @@
  * Security model: hands are held only in server memory (Room.hands) and a
  * per-connection broadcast only ever includes the recipient's own hand -
  * the server builds each client's view, rather than sending everything
- * and trusting the client to hide the rest.
+ * and trusting the client to hide the rest. Spectators (watch_room) get
+ * the same view with no hand at all.
  */
 
-import { randomUUID } from 'node:crypto';
+import { createHash, randomBytes, randomUUID } from 'node:crypto';
 import * as game from '../engine/game.js';
 import * as ai from '../engine/ai.js';
+import * as events from '../engine/events.js';
+import * as fairness from '../engine/fairness.js';
+import * as history from '../engine/history.js';
+import * as patch from '../engine/patch.js';
+import * as protocol from '../engine/protocol.js';
+import * as snapshot from '../engine/snapshot.js';
+import * as stats from '../engine/stats.js';
 import * as utils from '../engine/utils.js';
+import { ACCOUNT_ID_PREFIX } from './accounts.js';
 
 const DISCONNECT_GRACE_MS = 30_000;
 // A dropped connection mid-turn used to hand control to the AI the instant
@@ -28,6 +37,9 @@ const AUTOPILOT_GRACE_MS = 5_000;
 const IDLE_ROOM_REAP_MS = 2 * 60 * 60 * 1000; // 2 hours
 const REAP_CHECK_MS = 5 * 60 * 1000;
 const TURN_TICK_MS = 1000;
+// How often changed rooms are written to the RoomStore - the most play a
+// crash can lose.
+const PERSIST_INTERVAL_MS = 1000;
 const BOT_PERSONALITIES = ['cautious', 'balanced', 'aggressive'];
 const FALLBACK_PERSONALITY = 'cautious'; // used to auto-pilot a disconnected human
 
@@ -37,24 +49,201 @@ const FALLBACK_PERSONALITY = 'cautious'; // used to auto-pilot a disconnected hu
 const RATE_LIMIT_WINDOW_MS = 5_000;
 const RATE_LIMIT_MAX_MESSAGES = 40;
 
+// Chat: a tighter limit of its own on top of the general one, so banter
+// can't crowd out game messages, and only the last CHAT_HISTORY_LIMIT
+// messages are kept (and replayed to anyone who joins or rejoins).
+const CHAT_MAX_LENGTH = 200;
+const CHAT_HISTORY_LIMIT = 50;
+const CHAT_RATE_LIMIT_MAX_MESSAGES = 5;
+
+// register/login attempts per connection per RATE_LIMIT_WINDOW_MS - each
+// one is a deliberately slow scrypt hash, and password guessing is the
+// thing to slow down.
+const AUTH_RATE_LIMIT_MAX_MESSAGES = 3;
+
+// Messages that claim a seat as msg.playerId - an account's playerId is
+// only usable by a socket signed in to that account.
+const SEATING_MESSAGES = new Set(['create_room', 'join_room', 'quick_match', 'rejoin']);
+
+// get_stats: how many leaderboard rows and recent games to send
+const LEADERBOARD_LIMIT = 20;
+const RECENT_MATCHES_LIMIT = 10;
+
+// The fixed quick-reaction set - anything else is rejected, so an emote is
+// never free text. Keys go over the wire; labels are what the bubble says.
+const EMOTES = { nice_bet: 'Nice bet', gg: 'GG', ouch: 'Ouch' };
+
+// How long kick_player's optional ban keeps that playerId out of the room.
+const KICK_BAN_MS = 10 * 60 * 1000;
+
+// State broadcasts are deltas against the last state each client
+// acknowledged (state_ack). A client that falls this many states behind on
+// acks - or hasn't acked anything yet - gets a full state instead.
+const STATE_UNACKED_LIMIT = 20;
+
+const ERR = protocol.ERROR_CODES;
+
+// How many of a player's latest intent replies are kept to answer a resent
+// intent (same clientSeq, e.g. after a reconnect) with the original reply.
+const INTENT_REPLY_LIMIT = 20;
+
+// Read-only watchers per room (see _watchRoom) - each one is another socket
+// every broadcast goes out to.
+const MAX_SPECTATORS = 20;
+
+// Lobby settings the host can change with update_settings. The rule keys
+// are the ones worth tuning per table; the rest stay as the preset set them
+// (changing seats or team mode would reshuffle who's already sitting).
+const LOBBY_RULE_KEYS = ['STARTING_MONEY', 'BUST_THRESHOLD', 'RAISE_AMOUNTS'];
+// Room-level settings that aren't engine rules - they decide how the table
+// is filled and paced, never how a round plays out.
+const DEFAULT_ROOM_SETTINGS = Object.freeze({
+    fill_bots: true, // seat bots in empty seats at start_game
+    bot_count: null, // null = fill every empty seat, else at most this many bots
+    bot_personalities: [], // in seat order; any seat not covered is random
+    turn_timer_seconds: 0, // 0 = no turn clock
+    // What the server does for a human whose turn clock runs out (see
+    // _handleTurnTimeout) - each one a choice between two safe defaults.
+    timeout_bet: 'call', // 'call' (or open with the minimum) | 'fold'
+    timeout_position: 'last', // 'last' | 'first'
+    timeout_card: 'lowest' // 'lowest' | 'highest_safe'
+});
+const TIMEOUT_CHOICES = {
+    timeout_bet: ['call', 'fold'],
+    timeout_position: ['last', 'first'],
+    timeout_card: ['lowest', 'highest_safe']
+};
+const TURN_TIMER_MIN_SECONDS = 10;
+const TURN_TIMER_MAX_SECONDS = 300;
+// Timeouts in a row before a player's clock drops to TURN_TIMER_MIN_SECONDS
+// - someone who's walked off stops costing the table a full clock every
+// turn. Acting themselves puts them back on the full clock.
+const TIMEOUT_STREAK_LIMIT = 2;
+
 // Matches the personality descriptions in the in-app help modal (Carl the
 // cautious bot, Betty the balanced bot, Alex the aggressive bot) so a
 // player who reads "how to play" recognizes the names at the table.
 const BOT_NAMES = { cautious: 'Carl', balanced: 'Betty', aggressive: 'Alex' };
 
-function botName(personality) {
-    return BOT_NAMES[personality] || 'Bot';
+// A big table seats more bots than there are personalities - repeats get a
+// number ("Carl 2") so the log and seat panels can still tell them apart.
+function botName(personality, players = []) {
+    const base = BOT_NAMES[personality] || 'Bot';
+    const taken = new Set(players.map(p => p.name));
+    if (!taken.has(base)) return base;
+    let n = 2;
+    while (taken.has(`${base} ${n}`)) n++;
+    return `${base} ${n}`;
+}
+
+// roundState as clients see it: the shuffle seed stays server-side until
+// the round is over (it would reveal every hand), then goes out with the
+// rest of the round so a reported deal can be reproduced.
+function publicRoundState(room) {
+    const roundState = room.roundState;
+    if (!roundState || room.room.phase === 'round_end' || room.room.status === 'finished') return roundState;
+    const { seed, ...rest } = roundState;
+    return rest;
+}
+
+// The round's fairness commitment as clients see it: the server seed stays
+// hidden on the same terms as roundState.seed, since it decides every hand.
+function publicFairness(room) {
+    if (!room.fairness) return null;
+    const { serverSeed, ...commitment } = room.fairness;
+    if (room.room.phase === 'round_end' || room.room.status === 'finished') return room.fairness;
+    return commitment;
+}
+
+// One row of the public lobby browser (list_rooms) - enough to pick a
+// table without joining it: who's hosting, how full it is, and the rules
+// that matter most at a glance.
+function lobbySummary(room) {
+    const host = room.players.find(p => p.id === room.room.host_id);
+    return {
+        code: room.code,
+        hostName: host?.name ?? null,
+        seated: room.players.length,
+        maxPlayers: room.rules.MAX_PLAYERS,
+        preset: room.rules.PRESET,
+        label: game.RULE_PRESETS[room.rules.PRESET]?.label ?? room.rules.PRESET,
+        startingMoney: room.rules.STARTING_MONEY,
+        bustThreshold: room.rules.BUST_THRESHOLD,
+        teamMode: room.rules.TEAM_MODE
+    };
+}
+
+// Check a (partial) update_settings `settings` object against the room's
+// rules. Returns { valid, error } like the engine validators.
+function validateRoomSettings(settings, rules) {
+    for (const key of Object.keys(settings)) {
+        if (!Object.hasOwn(DEFAULT_ROOM_SETTINGS, key)) return { valid: false, error: `Unknown setting: ${key}` };
+    }
+    const maxBots = rules.MAX_PLAYERS - 1;
+    if ('fill_bots' in settings && typeof settings.fill_bots !== 'boolean') {
+        return { valid: false, error: 'fill_bots must be true or false' };
+    }
+    if ('bot_count' in settings && settings.bot_count !== null
+        && (!Number.isInteger(settings.bot_count) || settings.bot_count < 0 || settings.bot_count > maxBots)) {
+        return { valid: false, error: `Bot count must be between 0 and ${maxBots}` };
+    }
+    if ('bot_personalities' in settings) {
+        const list = settings.bot_personalities;
+        if (!Array.isArray(list) || list.length > maxBots || !list.every(p => BOT_PERSONALITIES.includes(p))) {
+            return { valid: false, error: `Bot personalities must each be ${BOT_PERSONALITIES.join(', ')} (${maxBots} at most)` };
+        }
+    }
+    for (const [key, choices] of Object.entries(TIMEOUT_CHOICES)) {
+        if (key in settings && !choices.includes(settings[key])) {
+            return { valid: false, error: `${key} must be ${choices.join(' or ')}` };
+        }
+    }
+    if (settings.timeout_bet === 'fold' && !rules.ALLOW_FOLD) {
+        return { valid: false, error: 'Folding is not allowed at this table' };
+    }
+    if ('turn_timer_seconds' in settings) {
+        const seconds = settings.turn_timer_seconds;
+        if (seconds !== 0 && (!Number.isInteger(seconds) || seconds < TURN_TIMER_MIN_SECONDS || seconds > TURN_TIMER_MAX_SECONDS)) {
+            return { valid: false, error: `Turn timer must be 0 (off) or ${TURN_TIMER_MIN_SECONDS} to ${TURN_TIMER_MAX_SECONDS} seconds` };
+        }
+    }
+    return { valid: true, error: null };
 }
 
 class Room {
-    constructor(code, hostId) {
+    constructor(code, hostId, rules = game.DEFAULT_RULES, seed = null) {
         this.code = code;
+        // Validated, frozen rule set (see game.createRules) - passed into
+        // every engine call, so two rooms on one server can play different
+        // house variants side by side. The host can swap in a new one from
+        // the lobby (update_settings); it's fixed once the game starts.
+        this.rules = rules;
+        // Every random choice the room makes - starting seat, bot
+        // personalities, each round's server seed, bot decisions - is drawn
+        // from this one generator, so a room created with a fixed seed
+        // replays identically given the same human actions. Server-only:
+        // knowing it means knowing every hand. The room code is the one
+        // exception, drawn before the room exists (see _createRoom).
+        this.seed = seed ?? utils.randomSeed();
+        this.random = utils.createRng(this.seed);
         this.room = {
             code,
             host_id: hostId,
             status: 'lobby', // 'lobby' | 'in_game' | 'finished'
+            // Lets every player see the deal was fixed up front (see
+            // RoomManager's allowSeededRooms).
+            seeded: seed !== null,
+            // Listed in the lobby browser and open to quick_match - a
+            // private room is only ever found by its code.
+            public: false,
+            // Host's lock_room: no new players or spectators, whatever the
+            // room's public/private setting. Seated players can still rejoin.
+            locked: false,
+            // Non-rule table settings (see DEFAULT_ROOM_SETTINGS) - sent
+            // with every state so everyone sees them before readying up.
+            settings: structuredClone(DEFAULT_ROOM_SETTINGS),
             current_round: 0,
-            starting_player_index: Math.floor(Math.random() * game.GAME_CONSTANTS.MAX_PLAYERS),
+            starting_player_index: Math.floor(this.random() * rules.MAX_PLAYERS),
             pot_cents: 0,
             table_total: 0,
             phase: 'lobby', // 'lobby' | 'betting' | 'playing' | 'round_end'
@@ -64,9 +253,52 @@ class Room {
         this.roundState = null;
         this.hands = new Map(); // playerId -> number[] (server-only, never fully broadcast)
         this.deck = []; // remaining undealt cards this round - see dealRemainingHands
+        // Every accepted action since the game started (engine/history.js) -
+        // server-only, it holds every deal. null in the lobby.
+        this.history = null;
         this.sessionTokens = new Map(); // playerId -> secret rejoin token (server-only, never broadcast to anyone but the owner)
+        this.bans = new Map(); // playerId -> ms timestamp their kick_player ban runs out
+        // playerIds the host kicked mid-game: still seated (server-piloted,
+        // see _kickPlayer) but never let back into the seat.
+        this.kicked = new Set();
         this.sockets = new Map(); // playerId -> ws
+        // Spectator sockets (see RoomManager._watchRoom) - not seated, never
+        // sent a hand, and not persisted: a watcher just watches again.
+        this.watchers = new Set();
+        // Last CHAT_HISTORY_LIMIT chat messages, oldest first - emotes are
+        // momentary and never kept.
+        this.chat = [];
         this.disconnectTimers = new Map(); // playerId -> Timeout
+        // The current human turn's clock (see RoomManager._syncTurnClock):
+        // { key, playerId, deadline, durationMs } or null. Not persisted - a
+        // restart gives whoever's turn it is a fresh clock.
+        this.turnClock = null;
+        this.timeoutStreaks = new Map(); // playerId -> turn clock timeouts in a row
+        // playerId -> { lastSeq, replies: Map(clientSeq -> ack/reject) } -
+        // see RoomManager._handleIntent. Only lastSeq is persisted.
+        this.intents = new Map();
+        // playerId -> the entropy they sent when they joined or last readied
+        // up, mixed into every round's shuffle (engine/fairness.js). Public -
+        // it's in each round's commitment.
+        this.clientSeeds = new Map();
+        // fairness.createSeedChain's chain this game's server seeds come
+        // from. Only its head is public (in every state, from the lobby on);
+        // the tail is the secret. Set by RoomManager for each new game.
+        this.seedChain = null;
+        // This round's fairness.commitRound commitment plus its secret
+        // serverSeed, which publicFairness withholds until the round ends.
+        this.fairness = null;
+        // engine/stats.js's summarizeRound for every round of this game so
+        // far - becomes the match record (server/matches.js) when it ends.
+        this.matchRounds = [];
+        // playerId -> last heartbeat round trip in ms (server/heartbeat.js).
+        // Not persisted - the next heartbeat measures it again.
+        this.latencies = new Map();
+        // Table events (engine/events.js) go out numbered, ahead of the
+        // state they led to. eventLogCursor is how much of this round's
+        // log_json has already been sent as events.
+        this.eventSeq = 0;
+        this.eventLogCursor = 0;
         this.lastActivity = Date.now();
         this.turnLoopBusy = false; // re-entrancy guard for the per-room tick
         this.positionChoiceBusy = false;
@@ -75,29 +307,136 @@ class Room {
     touch() {
         this.lastActivity = Date.now();
     }
+
+    /**
+     * Everything needed to rebuild this room (see RoomManager.restoreRoom):
+     * the engine snapshot plus the server-only pieces - session tokens,
+     * the RNG's position and the event history. Holds every hand and every
+     * rejoin token, so it must never reach a client.
+     * @returns {Object} Versioned JSON-safe document
+     */
+    toSnapshot() {
+        return {
+            ...snapshot.createSnapshot({
+                rules: this.rules,
+                room: this.room,
+                players: this.players,
+                roundState: this.roundState,
+                hands: this.hands,
+                deck: this.deck
+            }),
+            server: structuredClone({
+                seed: this.seed,
+                rngState: this.random.state(),
+                sessionTokens: Object.fromEntries(this.sessionTokens),
+                history: this.history,
+                chat: this.chat,
+                bans: Object.fromEntries(this.bans),
+                kicked: [...this.kicked],
+                timeoutStreaks: Object.fromEntries(this.timeoutStreaks),
+                intentSeqs: Object.fromEntries([...this.intents].map(([id, record]) => [id, record.lastSeq])),
+                clientSeeds: Object.fromEntries(this.clientSeeds),
+                fairness: this.fairness,
+                seedChain: this.seedChain,
+                matchRounds: this.matchRounds,
+                eventSeq: this.eventSeq,
+                eventLogCursor: this.eventLogCursor
+            })
+        };
+    }
+
+    /**
+     * Rebuild a room from toSnapshot()'s document. Sockets, timers and the
+     * busy flags start empty - the caller re-arms whatever needs it.
+     * @param {Object} doc - Snapshot document (parsed JSON is fine)
+     * @returns {{success: boolean, error: string|null, room: Room|null}}
+     */
+    static fromSnapshot(doc) {
+        const restored = snapshot.restoreSnapshot(doc);
+        if (!restored.success) return { success: false, error: restored.error, room: null };
+        if (!doc.server) return { success: false, error: 'Snapshot is missing server', room: null };
+
+        const room = new Room(restored.room.code, restored.room.host_id, restored.rules, doc.server.seed);
+        room.room = restored.room;
+        room.room.settings = { ...DEFAULT_ROOM_SETTINGS, ...room.room.settings };
+        room.random = utils.createRng(doc.server.rngState);
+        room.players = restored.players;
+        room.roundState = restored.roundState;
+        room.hands = restored.hands;
+        room.deck = restored.deck;
+        room.sessionTokens = new Map(Object.entries(doc.server.sessionTokens || {}));
+        room.history = doc.server.history ? structuredClone(doc.server.history) : null;
+        room.chat = structuredClone(doc.server.chat || []);
+        room.bans = new Map(Object.entries(doc.server.bans || {}));
+        room.kicked = new Set(doc.server.kicked || []);
+        room.timeoutStreaks = new Map(Object.entries(doc.server.timeoutStreaks || {}));
+        room.intents = new Map(Object.entries(doc.server.intentSeqs || {})
+            .map(([id, lastSeq]) => [id, { lastSeq, replies: new Map() }]));
+        room.clientSeeds = new Map(Object.entries(doc.server.clientSeeds || {}));
+        room.fairness = doc.server.fairness ? structuredClone(doc.server.fairness) : null;
+        room.seedChain = doc.server.seedChain ? { ...doc.server.seedChain } : null;
+        room.matchRounds = structuredClone(doc.server.matchRounds || []);
+        room.eventSeq = doc.server.eventSeq || 0;
+        room.eventLogCursor = doc.server.eventLogCursor ?? room.roundState?.log_json?.length ?? 0;
+        return { success: true, error: null, room };
+    }
 }
 
 export class RoomManager {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {boolean} options.allowSeededRooms - Accept a fixed `seed` in
+     *   create_room. Off by default: whoever picks the seed can work out
+     *   every hand, so it's for tests and bug reproduction, not public play.
+     * @param {RoomStore|null} options.store - Where to persist rooms (see
+     *   server/persistence.js). null keeps everything in memory only.
+     * @param {Function|null} options.chatFilter - Profanity filter hook:
+     *   `(text, { room, playerId }) => string|null`, called on every chat
+     *   message. Return the text to send (cleaned up or unchanged) or null
+     *   to drop the message. null sends messages as typed.
+     * @param {AccountStore|null} options.accounts - Where accounts live (see
+     *   server/accounts.js). null turns register/login off - everyone plays
+     *   as a guest.
+     * @param {MatchStore|null} options.matches - Where finished games are
+     *   recorded (see server/matches.js). null keeps no history and turns
+     *   get_stats off.
+     */
+    constructor({ allowSeededRooms = false, store = null, chatFilter = null, accounts = null, matches = null } = {}) {
+        this.allowSeededRooms = allowSeededRooms;
+        this.store = store;
+        this.chatFilter = chatFilter;
+        this.accounts = accounts;
+        this.matches = matches;
         this.rooms = new Map(); // code -> Room
+        this.dirtyRooms = new Set(); // codes changed since the last flush()
         this.socketMeta = new Map(); // ws -> { code, playerId }
+        this.watcherMeta = new Map(); // ws -> code (spectators only)
         this.rateLimits = new WeakMap(); // ws -> message timestamps (sliding window)
+        this.chatRateLimits = new WeakMap(); // ws -> chat/emote timestamps
+        this.authRateLimits = new WeakMap(); // ws -> register/login timestamps
+        this.socketAccounts = new WeakMap(); // ws -> { username, playerId } once signed in
+        this.stateSync = new WeakMap(); // ws -> { version, acked, unacked } (see _sendState)
+        this.negotiated = new WeakSet(); // sockets whose hello matched PROTOCOL_VERSION
+        this.currentIntent = null; // { ws, clientSeq, reply } while an intent is being handled
+        this.statsSalt = randomBytes(16).toString('hex'); // see _statsId
 
         this.turnInterval = setInterval(() => this._tickAll(), TURN_TICK_MS);
         this.reapInterval = setInterval(() => this._reapIdleRooms(), REAP_CHECK_MS);
+        this.persistInterval = store ? setInterval(() => this.flush(), PERSIST_INTERVAL_MS) : null;
     }
 
-    _checkRateLimit(ws) {
+    _checkRateLimit(ws, limits = this.rateLimits, maxMessages = RATE_LIMIT_MAX_MESSAGES) {
         const now = Date.now();
-        const timestamps = (this.rateLimits.get(ws) || []).filter(t => now - t < RATE_LIMIT_WINDOW_MS);
+        const timestamps = (limits.get(ws) || []).filter(t => now - t < RATE_LIMIT_WINDOW_MS);
         timestamps.push(now);
-        this.rateLimits.set(ws, timestamps);
-        return timestamps.length <= RATE_LIMIT_MAX_MESSAGES;
+        limits.set(ws, timestamps);
+        return timestamps.length <= maxMessages;
     }
 
     stop() {
         clearInterval(this.turnInterval);
         clearInterval(this.reapInterval);
+        clearInterval(this.persistInterval);
     }
 
     // ==========================================
@@ -106,39 +445,176 @@ export class RoomManager {
 
     handleMessage(ws, raw) {
         if (!this._checkRateLimit(ws)) {
-            return this._sendError(ws, 'Too many messages - slow down');
+            return this._sendError(ws, ERR.RATE_LIMITED, 'Too many messages - slow down');
         }
 
         let msg;
         try {
             msg = JSON.parse(raw);
         } catch {
-            this._sendError(ws, 'Malformed message');
+            this._sendError(ws, ERR.BAD_MESSAGE, 'Malformed message');
             return;
         }
 
+        // Nothing is acted on until the client has said which protocol it
+        // speaks - a page cached from before the last protocol change never
+        // sends hello at all, and is told to refresh rather than left to
+        // fail in stranger ways.
+        if (msg?.type === 'hello') return this._hello(ws, msg);
+        if (!this.negotiated.has(ws)) return this._rejectProtocol(ws);
+
+        const check = protocol.validateMessage(msg, protocol.CLIENT_MESSAGES);
+        if (!check.valid) {
+            return this._sendError(ws, check.code, check.error, check.field ? { field: check.field } : {});
+        }
+        if (msg.clientSeq !== undefined) return this._handleIntent(ws, msg);
+        this._dispatch(ws, msg);
+    }
+
+    _dispatch(ws, msg) {
+        if (SEATING_MESSAGES.has(msg.type) && msg.playerId.startsWith(ACCOUNT_ID_PREFIX) && !this._signedInAs(ws, msg.playerId)) {
+            return this._sendError(ws, ERR.FORBIDDEN, 'Log in to play as this account', { reason: 'auth_required' });
+        }
         try {
             switch (msg.type) {
+                case 'register':
+                case 'login': return this._passwordSignIn(ws, msg);
+                case 'authenticate': return this._authenticate(ws, msg);
+                case 'logout': return this._logout(ws);
                 case 'create_room': return this._createRoom(ws, msg);
                 case 'join_room': return this._joinRoom(ws, msg);
                 case 'rejoin': return this._rejoin(ws, msg);
+                case 'watch_room': return this._watchRoom(ws, msg);
+                case 'list_rooms': return this._listRooms(ws);
+                case 'get_stats': return this._getStats(ws, msg);
+                case 'quick_match': return this._quickMatch(ws, msg);
                 case 'set_ready': return this._setReady(ws, msg);
+                case 'switch_team': return this._switchTeam(ws);
+                case 'update_settings': return this._updateSettings(ws, msg);
+                case 'ping': return this._send(ws, { type: 'pong', sentAt: msg.sentAt });
+                case 'state_ack': return this._ackState(ws, msg);
+                case 'resync': return this._resyncState(ws);
                 case 'start_game': return this._startGame(ws);
                 case 'bet': return this._handleBet(ws, msg);
                 case 'choose_position': return this._handleChoosePosition(ws, msg);
                 case 'play_card': return this._handlePlayCard(ws, msg);
                 case 'leave_room': return this._leaveRoom(ws);
                 case 'play_again': return this._playAgain(ws);
+                case 'kick_player': return this._kickPlayer(ws, msg);
+                case 'transfer_host': return this._transferHost(ws, msg);
+                case 'lock_room': return this._lockRoom(ws, msg);
+                case 'chat': return this._handleChat(ws, msg);
+                case 'emote': return this._handleEmote(ws, msg);
                 default:
-                    this._sendError(ws, `Unknown message type: ${msg.type}`);
+                    this._sendError(ws, ERR.UNKNOWN_TYPE, `Unknown message type: ${msg.type}`);
             }
         } catch (err) {
             console.error('Error handling message', msg?.type, err);
-            this._sendError(ws, 'Internal server error');
+            this._sendError(ws, ERR.INTERNAL, 'Internal server error');
+        }
+    }
+
+    /**
+     * Apply a sequenced intent at most once per player. A clientSeq at or
+     * below the last one seen is a resend (the reply was lost with the old
+     * connection) - it gets the original reply back, marked duplicate,
+     * and is never applied again. Any other intent is dispatched as usual
+     * and answered with an ack, or with a reject carrying the error the
+     * handler raised.
+     */
+    _handleIntent(ws, msg) {
+        const meta = this.socketMeta.get(ws);
+        const room = meta && this.rooms.get(meta.code);
+        let record = null;
+        if (room) {
+            record = room.intents.get(meta.playerId);
+            if (!record) {
+                record = { lastSeq: 0, replies: new Map() };
+                room.intents.set(meta.playerId, record);
+            }
+            if (msg.clientSeq <= record.lastSeq) {
+                const reply = record.replies.get(msg.clientSeq) || {
+                    type: 'reject', clientSeq: msg.clientSeq, code: ERR.DUPLICATE, message: 'That action was already handled'
+                };
+                return this._send(ws, { ...reply, duplicate: true });
+            }
+            record.lastSeq = msg.clientSeq;
+        }
+
+        const intent = { ws, clientSeq: msg.clientSeq, reply: null };
+        this.currentIntent = intent;
+        try {
+            this._dispatch(ws, msg);
+        } finally {
+            this.currentIntent = null;
         }
+
+        // A reject has already gone out from _sendError.
+        if (!intent.reply) {
+            intent.reply = { type: 'ack', clientSeq: msg.clientSeq };
+            this._send(ws, intent.reply);
+        }
+        if (record) {
+            record.replies.set(msg.clientSeq, intent.reply);
+            for (const seq of record.replies.keys()) {
+                if (record.replies.size <= INTENT_REPLY_LIMIT) break;
+                record.replies.delete(seq);
+            }
+        }
+    }
+
+    /**
+     * A heartbeat round trip for this socket (see server/heartbeat.js).
+     * The room hears about it only when a player's quality bucket changes,
+     * not on every measurement.
+     * @param {WebSocket} ws
+     * @param {number} latencyMs
+     */
+    recordLatency(ws, latencyMs) {
+        const meta = this.socketMeta.get(ws);
+        const room = meta && this.rooms.get(meta.code);
+        if (!room) return;
+        const before = protocol.connectionQuality(room.latencies.get(meta.playerId) ?? null);
+        room.latencies.set(meta.playerId, latencyMs);
+        if (protocol.connectionQuality(latencyMs) !== before) {
+            this._sendToRoom(room, { type: 'connection_quality', players: this._connections(room) });
+        }
+    }
+
+    // playerId -> { latencyMs, quality } for every seated human; quality is
+    // 'offline' while they're disconnected, null before a first measurement.
+    _connections(room) {
+        const connections = {};
+        for (const player of room.players) {
+            if (player.is_bot) continue;
+            const latencyMs = room.latencies.get(player.id) ?? null;
+            connections[player.id] = {
+                latencyMs,
+                quality: player.connected ? protocol.connectionQuality(latencyMs) : 'offline'
+            };
+        }
+        return connections;
+    }
+
+    _hello(ws, msg) {
+        const check = protocol.validateMessage(msg, protocol.CLIENT_MESSAGES);
+        if (!check.valid || msg.protocolVersion !== protocol.PROTOCOL_VERSION) return this._rejectProtocol(ws);
+        this.negotiated.add(ws);
+        this._send(ws, { type: 'welcome', protocolVersion: protocol.PROTOCOL_VERSION });
+    }
+
+    // Tell a client on another protocol version to reload, then hang up -
+    // with a close code of its own, so a current client knows not to just
+    // reconnect and try again.
+    _rejectProtocol(ws) {
+        this._sendError(ws, ERR.PROTOCOL_MISMATCH, 'NOT10 has been updated - please refresh the page to keep playing', {
+            protocolVersion: protocol.PROTOCOL_VERSION
+        });
+        ws.close(protocol.PROTOCOL_MISMATCH_CLOSE_CODE, 'Protocol version mismatch');
     }
 
     handleDisconnect(ws) {
+        this._unwatch(ws);
         const meta = this.socketMeta.get(ws);
         if (!meta) return;
         this.socketMeta.delete(ws);
@@ -147,15 +623,114 @@ export class RoomManager {
         if (!room) return;
 
         room.sockets.delete(meta.playerId);
-        const player = room.players.find(p => p.id === meta.playerId);
+        this._startDisconnectGrace(room, meta.playerId);
+        this._broadcast(room);
+    }
+
+    // Marks a player offline and gives them DISCONNECT_GRACE_MS to come
+    // back (see _resolveDisconnect) - the autopilot grace starts now too.
+    _startDisconnectGrace(room, playerId) {
+        const player = room.players.find(p => p.id === playerId);
         if (player) {
             player.connected = false;
             player.disconnectedAt = Date.now();
         }
-        this._broadcast(room);
 
-        const timer = setTimeout(() => this._resolveDisconnect(room, meta.playerId), DISCONNECT_GRACE_MS);
-        room.disconnectTimers.set(meta.playerId, timer);
+        const timer = setTimeout(() => this._resolveDisconnect(room, playerId), DISCONNECT_GRACE_MS);
+        room.disconnectTimers.set(playerId, timer);
+    }
+
+    // ==========================================
+    // SNAPSHOT / RESTORE / PERSISTENCE
+    // ==========================================
+
+    /**
+     * Write every room changed since the last call to the store. Runs every
+     * PERSIST_INTERVAL_MS; call it directly on shutdown so nothing is lost.
+     */
+    flush() {
+        if (!this.store) return;
+        for (const code of this.dirtyRooms) {
+            const room = this.rooms.get(code);
+            if (!room) continue;
+            try {
+                this.store.save(code, room.toSnapshot());
+            } catch (err) {
+                console.error(`Failed to persist room ${code}:`, err);
+            }
+        }
+        this.dirtyRooms.clear();
+    }
+
+    /**
+     * Restore every room the store holds - call once at startup
+     * @returns {number} How many rooms came back
+     */
+    restoreAll() {
+        if (!this.store) return 0;
+        let restored = 0;
+        for (const doc of this.store.loadAll()) {
+            const result = this.restoreRoom(doc);
+            if (result.success) restored++;
+            else console.error(`Could not restore room ${doc?.room?.code}:`, result.error);
+        }
+        return restored;
+    }
+
+    _markDirty(room) {
+        if (this.store) this.dirtyRooms.add(room.code);
+    }
+
+    _deleteRoom(code) {
+        const room = this.rooms.get(code);
+        for (const ws of room?.watchers || []) {
+            this.watcherMeta.delete(ws);
+            this._sendError(ws, ERR.NOT_FOUND, 'This room has closed', { reason: 'room_closed' });
+        }
+        this.rooms.delete(code);
+        this.dirtyRooms.delete(code);
+        this.store?.remove(code);
+    }
+
+    /**
+     * Serialize a live room (see Room.toSnapshot)
+     * @param {string} code - Room code
+     * @returns {Object|null} Snapshot document, or null if no such room
+     */
+    snapshotRoom(code) {
+        const room = this.rooms.get(code);
+        return room ? room.toSnapshot() : null;
+    }
+
+    /**
+     * Bring a snapshotted room back to life. Every human starts out
+     * disconnected - they rejoin with their usual session token, and until
+     * then the normal grace periods apply, so the tick loop autopilots
+     * their turns exactly as it would after a real drop. Bots carry on
+     * straight away, mid-betting, mid-position-choice or mid-play.
+     * @param {Object} doc - Snapshot document (parsed JSON is fine)
+     * @returns {{success: boolean, error: string|null, code: string|null}}
+     */
+    restoreRoom(doc) {
+        const result = Room.fromSnapshot(doc);
+        if (!result.success) return { success: false, error: result.error, code: null };
+
+        const room = result.room;
+        if (this.rooms.has(room.code)) {
+            return { success: false, error: `Room ${room.code} is already running`, code: null };
+        }
+
+        this.rooms.set(room.code, room);
+        for (const player of room.players) {
+            if (!player.is_bot) this._startDisconnectGrace(room, player.id);
+        }
+        // Snapshotted between rounds - the next deal was only ever a pending
+        // timer, which didn't survive.
+        if (room.room.status === 'in_game' && room.room.phase === 'round_end') {
+            this._scheduleNextRound(room);
+        }
+        room.touch();
+        return { success: true, error: null, code: room.code };
     }
 
     _resolveDisconnect(room, playerId) {
@@ -169,6 +744,8 @@ export class RoomManager {
             // Mid-game: leave them seated but server-piloted (see _tick) rather
             // than removing them, which would corrupt turn order / bet counts.
             player.connected = false;
+            // A host gone this long isn't coming back to press Play Again.
+            if (room.room.host_id === playerId) this._migrateHost(room);
             this._broadcast(room);
         } else {
             // Lobby or finished: same as leaving voluntarily.
@@ -176,25 +753,94 @@ export class RoomManager {
         }
     }
 
+    // ==========================================
+    // ACCOUNTS
+    // ==========================================
+
+    _signedInAs(ws, playerId) {
+        return this.socketAccounts.get(ws)?.playerId === playerId;
+    }
+
+    // register or login: both end signed in, with a token to stay that way.
+    async _passwordSignIn(ws, { type, username, password }) {
+        if (!this.accounts) return this._sendError(ws, ERR.FORBIDDEN, 'Accounts are disabled on this server');
+        if (!this._checkRateLimit(ws, this.authRateLimits, AUTH_RATE_LIMIT_MAX_MESSAGES)) {
+            return this._sendError(ws, ERR.RATE_LIMITED, 'Too many sign-in attempts - wait a few seconds');
+        }
+        try {
+            const result = type === 'register'
+                ? await this.accounts.register(username, password)
+                : await this.accounts.authenticate(username, password);
+            if (!result.success) return this._sendError(ws, type === 'register' ? ERR.INVALID : ERR.FORBIDDEN, result.error);
+            this._signIn(ws, result.account, this.accounts.issueToken(result.account));
+        } catch (err) {
+            // Outside _dispatch's try by the time the hash finishes.
+            console.error('Error handling message', type, err);
+            this._sendError(ws, ERR.INTERNAL, 'Internal server error');
+        }
+    }
+
+    // A token from an earlier sign-in - sent on every (re)connect, before
+    // the rejoin that may need it.
+    _authenticate(ws, { token }) {
+        if (!this.accounts) return this._sendError(ws, ERR.FORBIDDEN, 'Accounts are disabled on this server');
+        const result = this.accounts.verifyToken(token);
+        if (!result.valid) return this._sendError(ws, ERR.FORBIDDEN, 'You were signed out - log in again', { reason: 'auth_failed' });
+        this._signIn(ws, result.account, token);
+    }
+
+    _signIn(ws, account, token) {
+        this.socketAccounts.set(ws, account);
+        this._send(ws, { type: 'account', username: account.username, playerId: account.playerId, token });
+    }
+
+    _logout(ws) {
+        if (this.socketMeta.has(ws)) return this._sendError(ws, ERR.WRONG_STATE, 'Leave your room before logging out');
+        const account = this.socketAccounts.get(ws);
+        if (account) this.accounts?.revokeTokens(account.username);
+        this.socketAccounts.delete(ws);
+        this._send(ws, { type: 'account', username: null, playerId: null, token: null });
+    }
+
     // ==========================================
     // ROOM / LOBBY
     // ==========================================
 
-    _createRoom(ws, { playerId, name }) {
+    _createRoom(ws, { playerId, name, preset, rules: overrides, seed, public: isPublic, clientSeed }) {
         const nameCheck = utils.validatePlayerName(name);
-        if (!nameCheck.valid) return this._sendError(ws, nameCheck.error);
+        if (!nameCheck.valid) return this._sendError(ws, ERR.INVALID, nameCheck.error);
+        if (clientSeed !== undefined) {
+            const seedCheck = fairness.validateClientSeed(clientSeed);
+            if (!seedCheck.valid) return this._sendError(ws, ERR.INVALID, seedCheck.error);
+        }
+
+        const rulesResult = game.createRules(preset || 'classic', overrides || {});
+        if (!rulesResult.valid) return this._sendError(ws, ERR.INVALID, rulesResult.error);
+
+        if (seed !== undefined) {
+            if (!this.allowSeededRooms) return this._sendError(ws, ERR.FORBIDDEN, 'Seeded rooms are disabled on this server');
+            if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) {
+                return this._sendError(ws, ERR.INVALID, 'Seed must be a whole number from 0 to 4294967295');
+            }
+        }
 
+        // Deliberately not from the room's seeded generator: two rooms
+        // with the same seed would want the same code, and a code anyone
+        // could work out from a seed is a code anyone could join with.
+        // Nothing in the game depends on it, so replays don't need it.
         let code;
         do {
             code = utils.generateRoomCode();
         } while (this.rooms.has(code));
 
-        const room = new Room(code, playerId);
+        const room = new Room(code, playerId, rulesResult.rules, seed ?? null);
+        room.room.public = isPublic === true;
+        room.seedChain = fairness.createSeedChain(this._serverSeed(room));
         room.players.push({
             id: playerId,
             name: name.trim(),
             seat_index: 0,
-            money_cents: game.GAME_CONSTANTS.STARTING_MONEY,
+            money_cents: room.rules.STARTING_MONEY,
             status: 'active',
             is_ready: false,
             is_bot: false,
@@ -202,18 +848,32 @@ export class RoomManager {
         });
 
         room.sessionTokens.set(playerId, randomUUID());
+        if (clientSeed !== undefined) room.clientSeeds.set(playerId, clientSeed);
         this.rooms.set(code, room);
         this._attachSocket(room, ws, playerId);
         this._broadcast(room);
     }
 
-    _joinRoom(ws, { playerId, name, roomCode }) {
+    _joinRoom(ws, { playerId, name, roomCode, clientSeed }) {
         const nameCheck = utils.validatePlayerName(name);
-        if (!nameCheck.valid) return this._sendError(ws, nameCheck.error);
+        if (!nameCheck.valid) return this._sendError(ws, ERR.INVALID, nameCheck.error);
+        if (clientSeed !== undefined) {
+            const seedCheck = fairness.validateClientSeed(clientSeed);
+            if (!seedCheck.valid) return this._sendError(ws, ERR.INVALID, seedCheck.error);
+        }
 
         const room = this.rooms.get((roomCode || '').toUpperCase());
-        if (!room) return this._sendError(ws, 'Room not found');
-        if (room.room.status !== 'lobby') return this._sendError(ws, 'Game already in progress');
+        if (!room) return this._sendError(ws, ERR.NOT_FOUND, 'Room not found');
+        // Before the account shortcut below - being signed in doesn't undo a kick.
+        if (this._isRemoved(room, playerId)) return this._sendError(ws, ERR.FORBIDDEN, 'You were removed from this room');
+        // An account's seat follows the account: joining by code from
+        // another device puts its owner back in their seat mid-game - the
+        // one way back in without the seat's session token.
+        const seat = room.players.find(p => p.id === playerId);
+        if (room.room.status !== 'lobby' && seat && this._signedInAs(ws, playerId)) {
+            return this._reattach(room, ws, seat);
+        }
+        if (room.room.status !== 'lobby') return this._sendError(ws, ERR.WRONG_STATE, 'Game already in progress');
 
         // Re-sending join_room for a playerId already seated in this lobby
         // (a double-click before the first response arrived, a retry) -
@@ -222,6 +882,7 @@ export class RoomManager {
         // downstream that assumes one player object per id (seat order,
         // active-player counts, turn order).
         if (room.players.some(p => p.id === playerId)) {
+            if (clientSeed !== undefined) room.clientSeeds.set(playerId, clientSeed);
             this._attachSocket(room, ws, playerId);
             this._broadcast(room);
             return;
@@ -229,16 +890,17 @@ export class RoomManager {
 
         const takenSeats = room.players.map(p => p.seat_index);
         let seatIndex = -1;
-        for (let i = 0; i < game.GAME_CONSTANTS.MAX_PLAYERS; i++) {
+        for (let i = 0; i < room.rules.MAX_PLAYERS; i++) {
             if (!takenSeats.includes(i)) { seatIndex = i; break; }
         }
-        if (seatIndex === -1) return this._sendError(ws, 'Room is full (4 players max)');
+        if (seatIndex === -1) return this._sendError(ws, ERR.WRONG_STATE, `Room is full (${room.rules.MAX_PLAYERS} players max)`);
+        if (room.room.locked) return this._sendError(ws, ERR.FORBIDDEN, 'Room is locked');
 
         room.players.push({
             id: playerId,
             name: name.trim(),
             seat_index: seatIndex,
-            money_cents: game.GAME_CONSTANTS.STARTING_MONEY,
+            money_cents: room.rules.STARTING_MONEY,
             status: 'active',
             is_ready: false,
             is_bot: false,
@@ -246,24 +908,71 @@ export class RoomManager {
         });
 
         room.sessionTokens.set(playerId, randomUUID());
+        if (clientSeed !== undefined) room.clientSeeds.set(playerId, clientSeed);
         this._attachSocket(room, ws, playerId);
         this._broadcast(room);
+        this._sendChatHistory(room, ws);
+    }
+
+    // Public lobbies with a seat still free, fullest first (ties keep
+    // creation order, so the longest-waiting table fills first).
+    _openLobbies(preset = null, playerId = null) {
+        return [...this.rooms.values()]
+            .filter(room => room.room.public
+                && !room.room.locked
+                && room.room.status === 'lobby'
+                && room.players.length < room.rules.MAX_PLAYERS
+                && (!preset || room.rules.PRESET === preset)
+                && !this._isBanned(room, playerId))
+            .sort((a, b) => b.players.length - a.players.length);
+    }
+
+    _listRooms(ws) {
+        this._send(ws, { type: 'room_list', rooms: this._openLobbies().map(lobbySummary) });
+    }
+
+    /**
+     * Seat a player at the fullest open public lobby (of the given preset,
+     * if any), or open a new public one for them when there's none.
+     */
+    _quickMatch(ws, { playerId, name, preset, clientSeed }) {
+        const nameCheck = utils.validatePlayerName(name);
+        if (!nameCheck.valid) return this._sendError(ws, ERR.INVALID, nameCheck.error);
+        if (preset && !Object.hasOwn(game.RULE_PRESETS, preset)) return this._sendError(ws, ERR.INVALID, `Unknown rule preset: ${preset}`);
+
+        const lobbies = this._openLobbies(preset, playerId);
+        // A retry from someone already waiting in a lobby keeps their seat
+        // rather than hopping to a fuller table.
+        const target = lobbies.find(room => room.players.some(p => p.id === playerId)) || lobbies[0];
+        if (target) return this._joinRoom(ws, { playerId, name, roomCode: target.code, clientSeed });
+        return this._createRoom(ws, { playerId, name, preset, public: true, clientSeed });
     }
 
     _rejoin(ws, { playerId, roomCode, sessionToken }) {
         const room = this.rooms.get((roomCode || '').toUpperCase());
-        if (!room) return this._sendError(ws, 'Room not found', { reason: 'rejoin_failed' });
+        if (!room) return this._sendError(ws, ERR.NOT_FOUND, 'Room not found', { reason: 'rejoin_failed' });
 
         const player = room.players.find(p => p.id === playerId);
-        if (!player) return this._sendError(ws, 'You are not in this room', { reason: 'rejoin_failed' });
+        if (!player) return this._sendError(ws, ERR.NOT_FOUND, 'You are not in this room', { reason: 'rejoin_failed' });
+        if (this._isRemoved(room, playerId)) {
+            return this._sendError(ws, ERR.FORBIDDEN, 'You were removed from this room', { reason: 'rejoin_failed' });
+        }
 
         // Player IDs are just localStorage UUIDs, not proof of identity on
         // their own - without this, anyone who learned another player's ID
         // could rejoin as them and take over their seat/hand/money mid-game.
-        if (room.sessionTokens.get(playerId) !== sessionToken) {
-            return this._sendError(ws, 'Session expired or invalid', { reason: 'rejoin_failed' });
+        // (An account's owner without the token joins by code instead -
+        // see _joinRoom.)
+        const expected = room.sessionTokens.get(playerId);
+        if (typeof expected !== 'string' || sessionToken !== expected) {
+            return this._sendError(ws, ERR.FORBIDDEN, 'Session expired or invalid', { reason: 'rejoin_failed' });
         }
+        this._reattach(room, ws, player);
+    }
 
+    // Put a returning player's new socket in their seat.
+    _reattach(room, ws, player) {
+        const playerId = player.id;
         const timer = room.disconnectTimers.get(playerId);
         if (timer) {
             clearTimeout(timer);
@@ -274,9 +983,13 @@ export class RoomManager {
         player.disconnectedAt = null;
         this._attachSocket(room, ws, playerId);
         this._broadcast(room);
+        this._sendChatHistory(room, ws);
     }
 
     _attachSocket(room, ws, playerId) {
+        // Watching a lobby and then taking a seat in it (or any other room)
+        // - a socket is either a player or a spectator, never both.
+        this._unwatch(ws);
         // Same player already has a live connection (a second tab/window
         // opened the game) - only the newest socket per playerId ever
         // receives broadcasts, so the older one would otherwise sit open
@@ -289,18 +1002,93 @@ export class RoomManager {
         }
         room.sockets.set(playerId, ws);
         this.socketMeta.set(ws, { code: room.code, playerId });
+        // Joining or rejoining always starts from a full state.
+        this._forgetAckedState(ws);
         room.touch();
     }
 
-    _setReady(ws, { ready }) {
+    /**
+     * Attach a read-only socket to a room at any stage - lobby, mid-game or
+     * finished. A spectator gets every broadcast with no hand in it and
+     * can't act; a seated player has to leave before watching anything.
+     */
+    _watchRoom(ws, { roomCode }) {
+        if (this.socketMeta.has(ws)) return this._sendError(ws, ERR.WRONG_STATE, 'Leave your room before watching another');
+
+        const room = this.rooms.get((roomCode || '').toUpperCase());
+        if (!room) return this._sendError(ws, ERR.NOT_FOUND, 'Room not found');
+        if (room.watchers.has(ws)) return this._broadcast(room);
+        if (room.room.locked) return this._sendError(ws, ERR.FORBIDDEN, 'Room is locked');
+        if (room.watchers.size >= MAX_SPECTATORS) {
+            return this._sendError(ws, ERR.WRONG_STATE, `Room has too many spectators (${MAX_SPECTATORS} max)`);
+        }
+
+        this._unwatch(ws);
+        room.watchers.add(ws);
+        this.watcherMeta.set(ws, room.code);
+        this._forgetAckedState(ws);
+        this._broadcast(room);
+        this._sendChatHistory(room, ws);
+    }
+
+    // Detach a spectator socket, if it is one, and tell the room the count
+    // went down. Returns whether it was watching.
+    _unwatch(ws) {
+        const code = this.watcherMeta.get(ws);
+        if (!code) return false;
+        this.watcherMeta.delete(ws);
+
+        const room = this.rooms.get(code);
+        if (room?.watchers.delete(ws)) this._broadcast(room);
+        return true;
+    }
+
+    /**
+     * Ready up (or not). A clientSeed sent here replaces the one sent at
+     * join: it's chosen after the lobby showed the seed chain's head, so
+     * it's entropy the server couldn't have picked its seeds around.
+     */
+    _setReady(ws, { ready, clientSeed }) {
         const { room, player } = this._requirePlayer(ws);
         if (!room) return;
+        if (clientSeed !== undefined) {
+            const seedCheck = fairness.validateClientSeed(clientSeed);
+            if (!seedCheck.valid) return this._sendError(ws, ERR.INVALID, seedCheck.error);
+            if (room.room.status !== 'lobby') return this._sendError(ws, ERR.WRONG_STATE, 'Seeds can only be changed in the lobby');
+            room.clientSeeds.set(player.id, clientSeed);
+        }
         player.is_ready = !!ready;
         room.touch();
         this._broadcast(room);
     }
 
+    /**
+     * TEAM_MODE lobby only: move to a free seat on the other team. A team
+     * is just seat parity (see game.getTeam), so switching team is
+     * switching seat - partners always end up opposite each other, and
+     * _startGame's bot fill tops up whichever team is short.
+     */
+    _switchTeam(ws) {
+        const { room, player } = this._requirePlayer(ws);
+        if (!room) return;
+        if (!room.rules.TEAM_MODE) return this._sendError(ws, ERR.WRONG_STATE, 'This room has no teams');
+        if (room.room.status !== 'lobby') return this._sendError(ws, ERR.WRONG_STATE, 'Teams can only change in the lobby');
+
+        const otherTeam = 1 - game.getTeam(player.seat_index);
+        const takenSeats = room.players.map(p => p.seat_index);
+        let seatIndex = -1;
+        for (let i = 0; i < room.rules.MAX_PLAYERS; i++) {
+            if (game.getTeam(i) === otherTeam && !takenSeats.includes(i)) { seatIndex = i; break; }
+        }
+        if (seatIndex === -1) return this._sendError(ws, ERR.WRONG_STATE, 'The other team is full');
+
+        player.seat_index = seatIndex;
+        room.touch();
+        this._broadcast(room);
+    }
+
     _leaveRoom(ws) {
+        if (this._unwatch(ws)) return;
         const meta = this.socketMeta.get(ws);
         if (!meta) return;
         const room = this.rooms.get(meta.code);
@@ -321,6 +1109,7 @@ export class RoomManager {
                 // AUTOPILOT_GRACE_MS reconnect window a real drop gets.
                 player.disconnectedAt = 0;
             }
+            if (room.room.host_id === meta.playerId) this._migrateHost(room);
             this._broadcast(room);
             return;
         }
@@ -332,18 +1121,149 @@ export class RoomManager {
         const wasHost = room.room.host_id === playerId;
         room.players = room.players.filter(p => p.id !== playerId);
         room.hands.delete(playerId);
+        room.clientSeeds.delete(playerId);
+        room.kicked.delete(playerId);
 
         if (room.players.length === 0) {
-            this.rooms.delete(room.code);
+            this._deleteRoom(room.code);
             return;
         }
 
-        if (wasHost) {
-            // Promote the next remaining human, falling back to whoever's left
-            const nextHost = room.players.find(p => !p.is_bot) || room.players[0];
-            room.room.host_id = nextHost.id;
+        if (wasHost && !this._migrateHost(room)) {
+            // No human left to promote - fall back to whoever's left
+            room.room.host_id = room.players[0].id;
+        }
+
+        room.touch();
+        this._broadcast(room);
+    }
+
+    // ==========================================
+    // HOST MODERATION
+    // ==========================================
+
+    _requireHost(ws, action) {
+        const { room, player } = this._requirePlayer(ws);
+        if (!room) return {};
+        if (room.room.host_id !== player.id) {
+            this._sendError(ws, ERR.FORBIDDEN, `Only the host can ${action}`);
+            return {};
+        }
+        return { room, player };
+    }
+
+    _isBanned(room, playerId) {
+        const until = room.bans.get(playerId);
+        if (until === undefined) return false;
+        if (Date.now() < until) return true;
+        room.bans.delete(playerId);
+        return false;
+    }
+
+    // Kicked mid-game or banned - either way, kept out of the room.
+    _isRemoved(room, playerId) {
+        return room.kicked.has(playerId) || this._isBanned(room, playerId);
+    }
+
+    // Hand host to the next connected human (seat order), or failing that
+    // any human still seated. Returns false when there's no human to take
+    // it - bots never host.
+    _migrateHost(room) {
+        const humans = room.players
+            .filter(p => !p.is_bot && p.id !== room.room.host_id)
+            .sort((a, b) => a.seat_index - b.seat_index);
+        const next = humans.find(p => p.connected) || humans[0];
+        if (!next) return false;
+        room.room.host_id = next.id;
+        return true;
+    }
+
+    /**
+     * Remove a player at the host's request. In the lobby their seat is
+     * freed; mid-game they stay seated but server-piloted, exactly like a
+     * player who left (see _leaveRoom), since pulling them out would break
+     * turn order - and room.kicked keeps them out of that seat for the rest
+     * of the game. Either way their session token is revoked, and `ban`
+     * keeps them from joining again for KICK_BAN_MS.
+     */
+    _kickPlayer(ws, { playerId, ban }) {
+        const { room, player: host } = this._requireHost(ws, 'kick players');
+        if (!room) return;
+        if (playerId === host.id) return this._sendError(ws, ERR.INVALID, 'You cannot kick yourself');
+        const target = room.players.find(p => p.id === playerId);
+        if (!target) return this._sendError(ws, ERR.NOT_FOUND, 'That player is not in this room');
+        if (target.is_bot) return this._sendError(ws, ERR.INVALID, 'Bots cannot be kicked');
+
+        if (ban === true) room.bans.set(playerId, Date.now() + KICK_BAN_MS);
+        room.sessionTokens.delete(playerId);
+
+        const timer = room.disconnectTimers.get(playerId);
+        if (timer) {
+            clearTimeout(timer);
+            room.disconnectTimers.delete(playerId);
+        }
+        const targetWs = room.sockets.get(playerId);
+        if (targetWs) {
+            room.sockets.delete(playerId);
+            this.socketMeta.delete(targetWs);
+            this._sendError(targetWs, ERR.FORBIDDEN, 'The host removed you from the room', { reason: 'kicked' });
+        }
+
+        room.touch();
+        if (room.room.status === 'in_game') {
+            room.kicked.add(playerId);
+            target.connected = false;
+            target.disconnectedAt = 0; // no reconnect window - autopilot right away
+            this._broadcast(room);
+        } else {
+            this._removePlayer(room, playerId);
         }
+    }
+
+    _transferHost(ws, { playerId }) {
+        const { room, player: host } = this._requireHost(ws, 'transfer host');
+        if (!room) return;
+        const target = room.players.find(p => p.id === playerId);
+        if (!target || target.id === host.id) return this._sendError(ws, ERR.NOT_FOUND, 'That player is not in this room');
+        if (target.is_bot) return this._sendError(ws, ERR.INVALID, 'Bots cannot be host');
 
+        room.room.host_id = target.id;
+        room.touch();
+        this._broadcast(room);
+    }
+
+    _lockRoom(ws, { locked }) {
+        const { room } = this._requireHost(ws, 'lock the room');
+        if (!room) return;
+        room.room.locked = locked === true;
+        room.touch();
+        this._broadcast(room);
+    }
+
+    _updateSettings(ws, { rules: ruleChanges, settings }) {
+        const { room } = this._requireHost(ws, 'change settings');
+        if (!room) return;
+        if (room.room.status !== 'lobby') return this._sendError(ws, ERR.WRONG_STATE, 'Settings can only be changed in the lobby');
+
+        ruleChanges = ruleChanges || {};
+        settings = settings || {};
+        const lockedRule = Object.keys(ruleChanges).find(key => !LOBBY_RULE_KEYS.includes(key));
+        if (lockedRule) return this._sendError(ws, ERR.WRONG_STATE, `${lockedRule} can't be changed in the lobby`);
+
+        const { PRESET, ...current } = room.rules;
+        const rulesResult = game.createRules(PRESET, { ...current, ...ruleChanges });
+        if (!rulesResult.valid) return this._sendError(ws, ERR.INVALID, rulesResult.error);
+        const settingsCheck = validateRoomSettings(settings, rulesResult.rules);
+        if (!settingsCheck.valid) return this._sendError(ws, ERR.INVALID, settingsCheck.error);
+
+        room.rules = rulesResult.rules;
+        room.room.settings = { ...room.room.settings, ...structuredClone(settings) };
+        // Nobody is ready for a game they haven't seen the terms of - and
+        // every seat's stack follows the new starting money.
+        for (const p of room.players) {
+            p.is_ready = false;
+            p.money_cents = room.rules.STARTING_MONEY;
+        }
         room.touch();
         this._broadcast(room);
     }
@@ -355,7 +1275,7 @@ export class RoomManager {
     _startGame(ws) {
         const { room, player } = this._requirePlayer(ws);
         if (!room) return;
-        if (room.room.host_id !== player.id) return this._sendError(ws, 'Only the host can start the game');
+        if (room.room.host_id !== player.id) return this._sendError(ws, ERR.FORBIDDEN, 'Only the host can start the game');
 
         // Every human seated must actually be ready, not just "at least
         // one" - that older check let the host start while someone else
@@ -365,23 +1285,37 @@ export class RoomManager {
         // actually wait on it.
         const humans = room.players.filter(p => !p.is_bot);
         if (humans.length === 0 || !humans.every(p => p.is_ready)) {
-            return this._sendError(ws, 'All players must be ready to start');
+            return this._sendError(ws, ERR.WRONG_STATE, 'All players must be ready to start');
         }
 
-        // Auto-fill missing seats with bots (target 4 total), personality randomized
+        // Seat bots per the lobby settings: every empty seat by default, at
+        // most bot_count of them, or none with fill_bots off. Personalities
+        // come from bot_personalities in seat order, randomized past its end.
+        const { fill_bots: fillBots, bot_count: botCount, bot_personalities: chosen } = room.room.settings;
         const occupiedSeats = room.players.map(p => p.seat_index);
-        const missingSeats = [];
-        for (let i = 0; i < game.GAME_CONSTANTS.MAX_PLAYERS; i++) {
+        let missingSeats = [];
+        for (let i = 0; i < room.rules.MAX_PLAYERS; i++) {
             if (!occupiedSeats.includes(i)) missingSeats.push(i);
         }
-        const personalities = utils.shuffleArray(BOT_PERSONALITIES);
+        if (!fillBots) missingSeats = [];
+        else if (botCount !== null) missingSeats = missingSeats.slice(0, botCount);
+
+        const seatCount = room.players.length + missingSeats.length;
+        if (seatCount < room.rules.MIN_PLAYERS) {
+            return this._sendError(ws, ERR.WRONG_STATE, `Need at least ${room.rules.MIN_PLAYERS} players - add bots or wait for someone to join`);
+        }
+        if (room.rules.TEAM_MODE && seatCount !== room.rules.MAX_PLAYERS) {
+            return this._sendError(ws, ERR.WRONG_STATE, `Team games need all ${room.rules.MAX_PLAYERS} seats filled`);
+        }
+
+        const personalities = utils.shuffleArray(BOT_PERSONALITIES, room.random);
         missingSeats.forEach((seatIndex, idx) => {
-            const personality = personalities[idx % personalities.length];
+            const personality = chosen[idx] ?? personalities[idx % personalities.length];
             room.players.push({
                 id: `bot_${room.code}_${seatIndex}`,
-                name: botName(personality),
+                name: botName(personality, room.players),
                 seat_index: seatIndex,
-                money_cents: game.GAME_CONSTANTS.STARTING_MONEY,
+                money_cents: room.rules.STARTING_MONEY,
                 status: 'active',
                 is_ready: true,
                 is_bot: true,
@@ -392,24 +1326,68 @@ export class RoomManager {
 
         room.room.status = 'in_game';
         room.room.current_round = 0;
+        room.history = history.createHistory(room.room, room.players, room.rules);
+        room.matchRounds = [];
         this._startRound(room);
     }
 
+    // Append an accepted action to the room's history (see engine/history.js)
+    _record(room, event) {
+        if (room.history) history.recordEvent(room.history, event, room.roundState);
+    }
+
+    // A fresh secret - the tail of a seed chain. A seeded room draws it
+    // from its generator so the whole game still replays from the seed;
+    // anywhere else it must be unguessable, not just unpredictable-looking.
+    _serverSeed(room) {
+        if (room.room.seeded) {
+            return Array.from({ length: 8 }, () => utils.randomSeed(room.random).toString(16).padStart(8, '0')).join('');
+        }
+        return randomBytes(32).toString('hex');
+    }
+
     _startRound(room) {
-        const result = game.startNewRound(room.room, room.players);
+        // Committed before the deal: the deck order is fixed by this
+        // commitment and the players' seeds, and the server seed behind
+        // it is only revealed once the round is over (publicFairness).
+        // A game that outlasts its chain (or a room restored from before
+        // chains) moves to a new one; those rounds verify against a head
+        // published mid-game, which proves less.
+        let next = room.seedChain && fairness.nextChainSeed(room.seedChain);
+        if (!next) {
+            room.seedChain = fairness.createSeedChain(this._serverSeed(room));
+            next = fairness.nextChainSeed(room.seedChain);
+        }
+        const { serverSeed } = next;
+        const { seed, commitment } = fairness.commitRound({
+            serverSeed,
+            chainHead: room.seedChain.head,
+            chainIndex: next.index,
+            clientSeeds: Object.fromEntries(room.players.filter(p => room.clientSeeds.has(p.id)).map(p => [p.id, room.clientSeeds.get(p.id)])),
+            round: room.room.current_round + 1,
+            // Who startNewRound deals a hand to, in the order it deals them
+            dealOrder: room.players.filter(p => p.money_cents > 0 && p.status === 'active').map(p => p.id),
+            rules: room.rules
+        });
+        const result = game.startNewRound(room.room, room.players, room.rules, seed);
 
         if (result.gameOver) {
             room.room.status = 'finished';
+            this._record(room, { type: 'game_over' });
             room.touch();
             this._broadcast(room, { winner: result.winner });
+            this._recordMatch(room, result.winner);
             return;
         }
 
         room.roundState = result.roundState;
+        room.fairness = { ...commitment, serverSeed };
+        room.eventLogCursor = 0;
         room.hands = new Map(Object.entries(result.hands));
         // Remaining, undealt cards - held here until the position choice
         // resolves and dealRemainingHands tops everyone's hand up.
         room.deck = result.deck;
+        this._record(room, { type: 'deal', round: result.round, seed: result.roundState.seed, hands: result.hands, deck: result.deck });
         room.touch();
         this._broadcast(room);
     }
@@ -422,11 +1400,22 @@ export class RoomManager {
         const { room, player } = this._requirePlayer(ws);
         if (!room || !room.roundState) return;
 
-        const result = game.processBet(room.room, room.players, room.roundState, player.id, action, amount);
-        if (!result.success) return this._sendError(ws, result.error);
+        // They're at the table - back on the full turn clock.
+        room.timeoutStreaks.delete(player.id);
+        const result = this._applyBet(room, player, action, amount);
+        if (!result.success) return this._sendError(ws, ERR.ILLEGAL_MOVE, result.error);
+    }
+
+    // One bet action for a player, whoever asked for it - their own
+    // message or their turn clock running out.
+    _applyBet(room, player, action, amount) {
+        const result = game.processBet(room.room, room.players, room.roundState, player.id, action, amount, room.rules);
+        if (!result.success) return result;
+        this._record(room, { type: 'bet', playerId: player.id, action, amount: amount ?? null });
 
         room.touch();
         this._advanceBetting(room, player.id);
+        return result;
     }
 
     /**
@@ -438,14 +1427,22 @@ export class RoomManager {
     _advanceBetting(room, actingPlayerId) {
         const activePlayers = room.players.filter(p => p.status === 'active');
 
-        if (game.isBettingComplete(activePlayers, room.roundState.finalized_json)) {
-            game.transitionToPlaying(room.room, activePlayers, room.roundState);
+        // Everyone else folded - no cards to play, the last player
+        // standing takes the pot (endRound's survivors skip folded players).
+        if (game.getRoundContenders(room.players, room.roundState).length <= 1) {
+            return this._endRound(room, null);
+        }
+
+        if (game.isBettingComplete(activePlayers, room.roundState.finalized_json, room.roundState.folded_json)) {
+            game.transitionToPlaying(room.room, activePlayers, room.roundState, room.rules);
+            this._record(room, { type: 'start_playing' });
             if (!room.roundState.awaiting_position_choice) {
                 // No highest bettor needed to choose a position - deal the
                 // rest of every hand right now, the same moment it would
                 // happen after a real choice resolves (see
                 // _handleChoosePosition/_maybeAutoChoosePosition).
-                game.dealRemainingHands(activePlayers, room.hands, room.deck, room.roundState.cards_per_player);
+                game.dealRemainingHands(game.getRoundContenders(room.players, room.roundState), room.hands, room.deck, room.roundState.cards_per_player);
+                this._record(room, { type: 'deal_rest' });
                 // On the rare hand this small, that top-up can immediately
                 // exhaust every hand before anyone gets to play a card, so
                 // _handsExhausted() after a play would never run.
@@ -460,6 +1457,7 @@ export class RoomManager {
                 : null;
             if (nextPlayer) {
                 room.room.turn_player_id = nextPlayer.id;
+                this._record(room, { type: 'turn', playerId: nextPlayer.id });
             }
         }
 
@@ -469,14 +1467,21 @@ export class RoomManager {
     _handleChoosePosition(ws, { choice }) {
         const { room, player } = this._requirePlayer(ws);
         if (!room || !room.roundState) return;
-        if (!room.roundState.awaiting_position_choice) return this._sendError(ws, 'No position choice pending');
-        if (room.roundState.highest_bettor_id !== player.id) return this._sendError(ws, 'Not your choice to make');
+        if (!room.roundState.awaiting_position_choice) return this._sendError(ws, ERR.WRONG_STATE, 'No position choice pending');
+        if (room.roundState.highest_bettor_id !== player.id) return this._sendError(ws, ERR.ILLEGAL_MOVE, 'Not your choice to make');
 
+        room.timeoutStreaks.delete(player.id);
+        this._applyPositionChoice(room, choice === 'first' ? 'first' : 'last');
+    }
+
+    _applyPositionChoice(room, position) {
         const activePlayers = room.players.filter(p => p.status === 'active');
-        game.applyPositionChoice(room.room, activePlayers, room.roundState, choice === 'first' ? 'first' : 'last');
+        game.applyPositionChoice(room.room, activePlayers, room.roundState, position);
+        this._record(room, { type: 'position_choice', choice: position });
         // Only now - choice made, not before - does everyone's hand get
-        // topped up to full size.
-        game.dealRemainingHands(activePlayers, room.hands, room.deck, room.roundState.cards_per_player);
+        // topped up to full size (folded players sit the card play out).
+        game.dealRemainingHands(game.getRoundContenders(room.players, room.roundState), room.hands, room.deck, room.roundState.cards_per_player);
+        this._record(room, { type: 'deal_rest' });
         room.touch();
         if (this._handsExhausted(room)) return this._endRound(room, null);
         this._broadcast(room);
@@ -490,22 +1495,37 @@ export class RoomManager {
         const { room, player } = this._requirePlayer(ws);
         if (!room || !room.roundState) return;
 
-        const result = game.processCardPlay(room.room, room.players, room.roundState, player.id, value);
-        if (!result.success) return this._sendError(ws, result.error);
+        room.timeoutStreaks.delete(player.id);
+        const result = this._applyCardPlay(room, player, value);
+        if (!result.success) return this._sendError(ws, ERR.ILLEGAL_MOVE, result.error);
+    }
 
+    _applyCardPlay(room, player, value) {
+        // The engine never sees hands, so the one check it can't make -
+        // "is this card actually yours" - happens here. Matters more now a
+        // room's deck can hold values the classic deck doesn't.
         const hand = room.hands.get(player.id) || [];
+        if (!hand.includes(value)) return { success: false, error: "You don't have that card" };
+
+        const result = game.processCardPlay(room.room, room.players, room.roundState, player.id, value, room.rules);
+        if (!result.success) return result;
+        this._record(room, { type: 'card', playerId: player.id, value });
+
         const idx = hand.indexOf(value);
         if (idx > -1) hand.splice(idx, 1);
 
         room.touch();
 
-        if (result.bust) {
+        // A bust only ends the round once MAX_BUSTS is reached - before
+        // that, the engine has already dropped the player and moved the turn.
+        if (result.bust && result.roundOver) {
             this._endRound(room, player.id);
         } else if (this._handsExhausted(room)) {
-            this._endRound(room, null); // no one busted - push, pot splits like every survivor won
+            this._endRound(room, null); // no (final) bust - pot splits between everyone still standing
         } else {
             this._broadcast(room);
         }
+        return result;
     }
 
     // Mathematically rare (needs an implausible run of low cards) but not
@@ -514,23 +1534,30 @@ export class RoomManager {
     // with an empty hand and nothing could ever advance again - the same
     // silent-freeze shape as the earlier all-in/finalize bugs.
     _handsExhausted(room) {
-        return room.players
-            .filter(p => p.status === 'active')
+        return game.getRoundContenders(room.players, room.roundState)
             .every(p => (room.hands.get(p.id) || []).length === 0);
     }
 
     _endRound(room, eliminatedPlayerId) {
-        game.endRound(room.room, room.players, room.roundState, eliminatedPlayerId);
+        game.endRound(room.room, room.players, room.roundState, eliminatedPlayerId, room.rules);
+        this._record(room, { type: 'round_end', eliminatedPlayerId });
+        room.matchRounds.push(stats.summarizeRound(room.roundState));
         room.touch();
 
-        const winner = game.checkGameOver(room.players);
+        const winner = game.checkGameOver(room.players, room.rules);
         if (winner) {
             room.room.status = 'finished';
+            this._record(room, { type: 'game_over' });
             this._broadcast(room, { winner });
+            this._recordMatch(room, winner);
             return;
         }
 
         this._broadcast(room);
+        this._scheduleNextRound(room);
+    }
+
+    _scheduleNextRound(room) {
         setTimeout(() => {
             if (this.rooms.get(room.code) === room && room.room.status === 'in_game') {
                 this._startRound(room);
@@ -538,6 +1565,60 @@ export class RoomManager {
         }, 3000);
     }
 
+    // A finished game goes into the match history before Play Again (or
+    // the reaper) can wipe it. Called after the winner is broadcast: a
+    // disk that won't take the record costs the stats, not the game.
+    _recordMatch(room, winner) {
+        if (!this.matches) return;
+        try {
+            this.matches.record(stats.summarizeGame({
+                code: room.code,
+                preset: room.rules.PRESET,
+                players: room.players,
+                rounds: room.matchRounds,
+                winner,
+                finishedAt: new Date().toISOString()
+            }));
+        } catch (err) {
+            console.error(`Failed to record finished game in room ${room.code}:`, err);
+        }
+    }
+
+    // How a stats reply names a player. A guest's playerId is their seat
+    // identity, so it never leaves in one; a salted hash can't be worked
+    // back to it, and the salt is new each run.
+    _statsId(playerId) {
+        return createHash('sha256').update(`${this.statsSalt}:${playerId}`).digest('hex').slice(0, 16);
+    }
+
+    /**
+     * Lifetime stats: the leaderboard, plus one player's own numbers and
+     * recent games when playerId is given. Anyone may ask - it's the same
+     * table everyone sat at. Players are named by _statsId; `player.id`
+     * tells the asker which one is theirs.
+     */
+    _getStats(ws, { playerId }) {
+        if (!this.matches) return this._sendError(ws, ERR.FORBIDDEN, 'Match history is disabled on this server');
+        const statsId = id => this._statsId(id);
+        const player = playerId === undefined ? null : {
+            id: statsId(playerId),
+            stats: stats.playerStats(this.matches.matches, playerId),
+            recent: this.matches.forPlayer(playerId).slice(0, RECENT_MATCHES_LIMIT)
+                .map(({ rounds, players, winnerIds, ...match }) => ({
+                    ...match,
+                    rounds: rounds.length,
+                    players: players.map(p => ({ ...p, id: statsId(p.id) })),
+                    winnerIds: winnerIds.map(statsId)
+                }))
+        };
+        this._send(ws, {
+            type: 'stats',
+            leaderboard: stats.leaderboard(this.matches.matches).slice(0, LEADERBOARD_LIMIT)
+                .map(({ playerId: id, ...row }) => ({ id: statsId(id), ...row })),
+            player
+        });
+    }
+
     // ==========================================
     // REMATCH
     // ==========================================
@@ -545,7 +1626,7 @@ export class RoomManager {
     _playAgain(ws) {
         const { room, player } = this._requirePlayer(ws);
         if (!room) return;
-        if (room.room.host_id !== player.id) return this._sendError(ws, 'Only the host can start a new game');
+        if (room.room.host_id !== player.id) return this._sendError(ws, ERR.FORBIDDEN, 'Only the host can start a new game');
 
         // Drop bots and anyone who left/disconnected mid-game (they have no
         // socket left to ever ready up with - keeping them would strand a
@@ -553,20 +1634,27 @@ export class RoomManager {
         // rest to a fresh lobby state, same room code.
         room.players = room.players.filter(p => !p.is_bot && p.connected).map(p => ({
             ...p,
-            money_cents: game.GAME_CONSTANTS.STARTING_MONEY,
+            money_cents: room.rules.STARTING_MONEY,
             status: 'active',
             is_ready: false
         }));
+        // Anyone kicked mid-game was disconnected, so their seat just went
+        // too - a kick lasts one game; a ban is what outlives it.
+        room.kicked.clear();
         room.hands = new Map();
         room.deck = [];
         room.roundState = null;
+        room.history = null;
         room.room.status = 'lobby';
         room.room.phase = 'lobby';
         room.room.current_round = 0;
         room.room.pot_cents = 0;
         room.room.table_total = 0;
         room.room.turn_player_id = null;
-        room.room.starting_player_index = Math.floor(Math.random() * game.GAME_CONSTANTS.MAX_PLAYERS);
+        room.room.starting_player_index = Math.floor(room.random() * room.rules.MAX_PLAYERS);
+        // A new game, a new chain - published now, before anyone re-readies
+        // with a fresh seed.
+        room.seedChain = fairness.createSeedChain(this._serverSeed(room));
 
         room.touch();
         this._broadcast(room);
@@ -585,6 +1673,11 @@ export class RoomManager {
     async _tick(room) {
         if (room.room.status !== 'in_game' || room.turnLoopBusy) return;
 
+        if (room.turnClock && Date.now() >= room.turnClock.deadline) {
+            this._handleTurnTimeout(room);
+            return;
+        }
+
         // A bot's turn, or a disconnected human's turn - the server acts for
         // both the same way, so a dropped connection never stalls the game.
         if (room.roundState?.awaiting_position_choice) {
@@ -610,6 +1703,89 @@ export class RoomManager {
         }
     }
 
+    // ==========================================
+    // TURN CLOCK
+    // ==========================================
+
+    // Start a fresh clock whenever a new human turn begins (a new actor,
+    // phase or action - anything that adds to the round log), clear it
+    // when there's no human turn to time. Called from every broadcast, so
+    // the clock clients see is always the one being enforced.
+    _syncTurnClock(room) {
+        const seconds = room.room.settings?.turn_timer_seconds || 0;
+        const roundState = room.roundState;
+        let playerId = null;
+        if (seconds > 0 && room.room.status === 'in_game' && roundState) {
+            if (roundState.awaiting_position_choice) playerId = roundState.highest_bettor_id;
+            else if (room.room.phase === 'betting' || room.room.phase === 'playing') playerId = room.room.turn_player_id;
+        }
+        const player = room.players.find(p => p.id === playerId);
+        if (!player || player.is_bot || player.status !== 'active') {
+            room.turnClock = null;
+            return;
+        }
+
+        const step = roundState.awaiting_position_choice ? 'choice' : room.room.phase;
+        const key = `${roundState.round_no}:${step}:${playerId}:${roundState.log_json.length}`;
+        if (room.turnClock?.key === key) return;
+        const shortClock = (room.timeoutStreaks.get(playerId) || 0) >= TIMEOUT_STREAK_LIMIT;
+        const durationMs = 1000 * (shortClock ? Math.min(seconds, TURN_TIMER_MIN_SECONDS) : seconds);
+        room.turnClock = { key, playerId, deadline: Date.now() + durationMs, durationMs };
+    }
+
+    // The turn clock as clients see it - remainingMs rather than just the
+    // deadline, so a client whose own clock is off still counts down right.
+    _publicTurnClock(room) {
+        const clock = room.turnClock;
+        if (!clock) return null;
+        return {
+            playerId: clock.playerId,
+            deadline: clock.deadline,
+            durationMs: clock.durationMs,
+            remainingMs: Math.max(0, clock.deadline - Date.now())
+        };
+    }
+
+    // A human let their turn clock run out: make the room's default move
+    // for them (see DEFAULT_ROOM_SETTINGS' timeout_* choices) and count it
+    // against them.
+    _handleTurnTimeout(room) {
+        const { playerId } = room.turnClock;
+        room.turnClock = null;
+        const player = room.players.find(p => p.id === playerId);
+        const roundState = room.roundState;
+        if (!player || !roundState) return;
+        const turnOwner = roundState.awaiting_position_choice ? roundState.highest_bettor_id : room.room.turn_player_id;
+        if (turnOwner !== playerId) return;
+
+        const streak = (room.timeoutStreaks.get(playerId) || 0) + 1;
+        room.timeoutStreaks.set(playerId, streak);
+        this._sendToRoom(room, { type: 'turn_timeout', playerId, name: player.name, streak });
+
+        const settings = room.room.settings;
+        let result = { success: true };
+        if (roundState.awaiting_position_choice) {
+            this._applyPositionChoice(room, settings.timeout_position);
+        } else if (room.room.phase === 'betting') {
+            const bet = settings.timeout_bet === 'fold' && room.rules.ALLOW_FOLD
+                ? { action: 'fold', amount: null }
+                : game.getTimeoutBet(player, roundState, room.rules);
+            result = this._applyBet(room, player, bet.action, bet.amount);
+        } else if (room.room.phase === 'playing') {
+            const hand = room.hands.get(playerId) || [];
+            if (hand.length > 0) {
+                const card = game.getTimeoutCard(hand, room.room.table_total, settings.timeout_card, room.rules);
+                result = this._applyCardPlay(room, player, card);
+            }
+        }
+
+        if (!result.success) {
+            // Re-arms a fresh clock rather than leaving the turn untimed.
+            console.error(`Turn timeout action failed for ${playerId}:`, result.error);
+            this._broadcast(room);
+        }
+    }
+
     // True once a disconnected human's turn is actually fair game for the
     // AI to take over - immediately for bots (checked separately by
     // callers), but only after AUTOPILOT_GRACE_MS for a human, so a
@@ -622,14 +1798,14 @@ export class RoomManager {
 
     async _autoBet(room, player) {
         const personality = player.personality || FALLBACK_PERSONALITY;
-        const aiInstance = new ai.AIPlayer(player.id, player.name, personality, player.seat_index);
+        const aiInstance = new ai.AIPlayer(player.id, player.name, personality, player.seat_index, room.rules, room.random);
         aiInstance.money_cents = player.money_cents;
         aiInstance.hand = room.hands.get(player.id) || [];
 
         const gameState = {
             tableTotal: room.room.table_total,
             potCents: room.room.pot_cents,
-            activePlayerCount: room.players.filter(p => p.status === 'active').length
+            activePlayerCount: game.getRoundContenders(room.players, room.roundState).length
         };
         const decision = await ai.executeAIBet(aiInstance, gameState, room.roundState);
 
@@ -640,23 +1816,26 @@ export class RoomManager {
         const result = game.processBet(
             room.room, room.players, room.roundState, player.id,
             decision.action === 'raise' ? 'bet' : decision.action,
-            decision.amount
+            decision.amount,
+            room.rules
         );
         if (!result.success) {
             console.error(`Auto-bet failed for ${player.id}:`, result.error);
             return;
         }
+        this._record(room, { type: 'bet', playerId: player.id, action: decision.action === 'raise' ? 'bet' : decision.action, amount: decision.amount ?? null });
 
-        // 'call' and 'all-in' already auto-finalize inside processBet - only
-        // a plain 'bet' needs this separate follow-up finalize call. It's
+        // 'call', 'all-in' and 'fold' already finalize inside processBet -
+        // only a plain 'bet' needs this separate follow-up finalize call. It's
         // expected (not logged) for this to be rejected with "not all
         // players have bet yet" - the bot is just opportunistically trying
         // to lock in early; _advanceBetting below runs regardless, and this
         // bot gets another chance to finalize once its turn comes back.
-        if (decision.shouldFinalize && decision.action !== 'finalize' && decision.action !== 'call' && decision.action !== 'all-in') {
+        if (decision.shouldFinalize && !['finalize', 'call', 'all-in', 'fold'].includes(decision.action)) {
             await utils.sleep(300);
             if (room.room.status !== 'in_game') return;
-            game.processBet(room.room, room.players, room.roundState, player.id, 'finalize', null);
+            const finalized = game.processBet(room.room, room.players, room.roundState, player.id, 'finalize', null, room.rules);
+            if (finalized.success) this._record(room, { type: 'bet', playerId: player.id, action: 'finalize', amount: null });
         }
 
         room.touch();
@@ -665,7 +1844,7 @@ export class RoomManager {
 
     async _autoPlayCard(room, player) {
         const personality = player.personality || FALLBACK_PERSONALITY;
-        const aiInstance = new ai.AIPlayer(player.id, player.name, personality, player.seat_index);
+        const aiInstance = new ai.AIPlayer(player.id, player.name, personality, player.seat_index, room.rules, room.random);
         aiInstance.hand = room.hands.get(player.id) || [];
 
         if (aiInstance.hand.length === 0) return; // shouldn't happen, but don't crash the loop
@@ -674,11 +1853,12 @@ export class RoomManager {
 
         if (room.room.status !== 'in_game' || room.room.turn_player_id !== player.id) return;
 
-        const result = game.processCardPlay(room.room, room.players, room.roundState, player.id, card);
+        const result = game.processCardPlay(room.room, room.players, room.roundState, player.id, card, room.rules);
         if (!result.success) {
             console.error(`Auto-play failed for ${player.id}:`, result.error);
             return;
         }
+        this._record(room, { type: 'card', playerId: player.id, value: card });
 
         const hand = room.hands.get(player.id) || [];
         const idx = hand.indexOf(card);
@@ -686,7 +1866,7 @@ export class RoomManager {
 
         room.touch();
 
-        if (result.bust) {
+        if (result.bust && result.roundOver) {
             this._endRound(room, player.id);
         } else if (this._handsExhausted(room)) {
             this._endRound(room, null);
@@ -705,29 +1885,64 @@ export class RoomManager {
         room.positionChoiceBusy = true;
         try {
             const personality = bettor.personality || FALLBACK_PERSONALITY;
-            const aiInstance = new ai.AIPlayer(bettor.id, bettor.name, personality, bettor.seat_index);
+            const aiInstance = new ai.AIPlayer(bettor.id, bettor.name, personality, bettor.seat_index, room.rules, room.random);
             aiInstance.hand = room.hands.get(bettor.id) || [];
 
             await utils.sleep(1000 + Math.random() * 1500);
             if (!room.roundState?.awaiting_position_choice) return; // resolved while we waited
 
-            const choice = ai.choosePosition(aiInstance);
-            const activePlayers = room.players.filter(p => p.status === 'active');
-            game.applyPositionChoice(room.room, activePlayers, room.roundState, choice);
-            // Only now - choice made, not before - does everyone's hand get
-            // topped up to full size.
-            game.dealRemainingHands(activePlayers, room.hands, room.deck, room.roundState.cards_per_player);
-            room.touch();
-            if (this._handsExhausted(room)) {
-                this._endRound(room, null);
-            } else {
-                this._broadcast(room);
-            }
+            this._applyPositionChoice(room, ai.choosePosition(aiInstance));
         } finally {
             room.positionChoiceBusy = false;
         }
     }
 
+    // ==========================================
+    // CHAT / EMOTES
+    // ==========================================
+
+    _handleChat(ws, { text }) {
+        const { room, player } = this._requirePlayer(ws);
+        if (!room) return;
+        if (!this._checkRateLimit(ws, this.chatRateLimits, CHAT_RATE_LIMIT_MAX_MESSAGES)) {
+            return this._sendError(ws, ERR.RATE_LIMITED, 'You are chatting too fast');
+        }
+
+        const check = utils.validateChatText(text, CHAT_MAX_LENGTH);
+        if (!check.valid) return this._sendError(ws, ERR.INVALID, check.error);
+
+        const filtered = this.chatFilter ? this.chatFilter(text.trim(), { room: room.room, playerId: player.id }) : text.trim();
+        if (!filtered) return this._sendError(ws, ERR.INVALID, 'Message was not sent');
+
+        const message = {
+            playerId: player.id,
+            name: player.name,
+            text: filtered,
+            timestamp: utils.getTimestamp()
+        };
+        room.chat.push(message);
+        if (room.chat.length > CHAT_HISTORY_LIMIT) room.chat.splice(0, room.chat.length - CHAT_HISTORY_LIMIT);
+        room.touch();
+        this._markDirty(room);
+        this._sendToRoom(room, { type: 'chat', message });
+    }
+
+    _handleEmote(ws, { emote }) {
+        const { room, player } = this._requirePlayer(ws);
+        if (!room) return;
+        if (!this._checkRateLimit(ws, this.chatRateLimits, CHAT_RATE_LIMIT_MAX_MESSAGES)) {
+            return this._sendError(ws, ERR.RATE_LIMITED, 'You are chatting too fast');
+        }
+        if (!Object.hasOwn(EMOTES, emote)) return this._sendError(ws, ERR.INVALID, `Unknown emote: ${emote}`);
+
+        room.touch();
+        this._sendToRoom(room, { type: 'emote', playerId: player.id, emote, text: EMOTES[emote] });
+    }
+
+    _sendChatHistory(room, ws) {
+        this._send(ws, { type: 'chat_history', messages: room.chat });
+    }
+
     // ==========================================
     // CLEANUP
     // ==========================================
@@ -737,7 +1952,7 @@ export class RoomManager {
         for (const [code, room] of this.rooms) {
             if (room.sockets.size === 0 && now - room.lastActivity > IDLE_ROOM_REAP_MS) {
                 for (const timer of room.disconnectTimers.values()) clearTimeout(timer);
-                this.rooms.delete(code);
+                this._deleteRoom(code);
             }
         }
     }
@@ -749,24 +1964,36 @@ export class RoomManager {
     _requirePlayer(ws) {
         const meta = this.socketMeta.get(ws);
         if (!meta) {
-            this._sendError(ws, 'Not connected to a room');
+            this._sendError(ws, ERR.FORBIDDEN, this.watcherMeta.has(ws) ? 'Spectators cannot take actions' : 'Not connected to a room');
             return {};
         }
         const room = this.rooms.get(meta.code);
         if (!room) {
-            this._sendError(ws, 'Room no longer exists');
+            this._sendError(ws, ERR.NOT_FOUND, 'Room no longer exists');
             return {};
         }
         const player = room.players.find(p => p.id === meta.playerId);
         if (!player) {
-            this._sendError(ws, 'You are not in this room');
+            this._sendError(ws, ERR.NOT_FOUND, 'You are not in this room');
             return {};
         }
         return { room, player };
     }
 
-    _sendError(ws, message, extra = {}) {
-        this._send(ws, { type: 'error', message, ...extra });
+    /**
+     * @param {WebSocket} ws
+     * @param {string} code - One of protocol.ERROR_CODES
+     * @param {string} message - Human-readable, shown to the player as-is
+     * @param {Object} extra - e.g. { reason } for errors the client acts on
+     */
+    _sendError(ws, code, message, extra = {}) {
+        // The first error an intent raises is its reject reply.
+        const intent = this.currentIntent;
+        if (intent && intent.ws === ws && !intent.reply) {
+            intent.reply = { type: 'reject', clientSeq: intent.clientSeq, code, message, ...extra };
+            return this._send(ws, intent.reply);
+        }
+        this._send(ws, { type: 'error', code, message, ...extra });
     }
 
     _send(ws, payload) {
@@ -775,26 +2002,133 @@ export class RoomManager {
         }
     }
 
+    // The same payload to every player and spectator in a room.
+    _sendToRoom(room, payload) {
+        for (const ws of room.sockets.values()) this._send(ws, payload);
+        for (const ws of room.watchers) this._send(ws, payload);
+    }
+
+    // Send whatever the round log gained since the last broadcast as
+    // numbered table events (engine/events.js), so clients can animate each
+    // move before drawing the state it produced.
+    _sendEvents(room) {
+        const log = room.roundState?.log_json;
+        if (!log || log.length <= room.eventLogCursor) return;
+        const entries = log.slice(room.eventLogCursor);
+        room.eventLogCursor = log.length;
+        for (const event of events.eventsFromLog(entries, room.rules)) {
+            room.eventSeq++;
+            this._sendToRoom(room, { type: 'event', seq: room.eventSeq, ...event });
+        }
+    }
+
     /**
      * Broadcast personalized state to every connected client in a room -
      * each player's payload includes only their own hand, never anyone
-     * else's (bots' hands are never sent to any client).
+     * else's (bots' hands are never sent to any client), and spectators
+     * get no hand at all.
      */
     _broadcast(room, extra = {}) {
+        // Every state change ends in a broadcast, so this is also where a
+        // room gets queued for the next flush().
+        this._markDirty(room);
+        this._sendEvents(room);
+        this._syncTurnClock(room);
         for (const [playerId, ws] of room.sockets) {
+            this._sendState(ws, this._statePayload(room, playerId, extra));
+        }
+        for (const ws of room.watchers) {
+            this._sendState(ws, this._statePayload(room, null, extra));
+        }
+    }
+
+    // One recipient's view of the room: a player's includes their own hand
+    // and session token, a spectator's (playerId null) neither.
+    _statePayload(room, playerId, extra = {}) {
+        const common = {
+            room: room.room,
+            players: room.players,
+            roundState: publicRoundState(room),
+            rules: room.rules,
+            spectatorCount: room.watchers.size,
+            turnClock: this._publicTurnClock(room),
+            eventSeq: room.eventSeq,
+            connections: this._connections(room),
+            fairness: publicFairness(room),
+            seedChainHead: room.seedChain?.head ?? null
+        };
+        if (playerId === null) {
+            return { ...common, spectator: true, yourHand: [], isHost: false, ...extra };
+        }
+        return {
+            ...common,
+            yourHand: room.hands.get(playerId) || [],
+            isHost: room.room.host_id === playerId,
+            // Only ever sent to this player's own socket, never to
+            // room.players (which every client sees) - that's what
+            // makes it usable as a rejoin credential.
+            sessionToken: room.sessionTokens.get(playerId),
+            ...extra
+        };
+    }
+
+    /**
+     * Send a numbered state to one socket: a state_patch against the last
+     * version it acknowledged, or the full state when there's nothing
+     * acknowledged to patch against (a fresh join/rejoin, a resync, or a
+     * client too far behind on acks).
+     */
+    _sendState(ws, payload) {
+        // Round-tripped through JSON so what's kept is exactly what the
+        // client parsed - and can't change under us as the room moves on.
+        const state = JSON.parse(JSON.stringify(payload));
+        const sync = this.stateSync.get(ws) || { version: 0, acked: null, unacked: new Map() };
+        sync.version++;
+
+        if (sync.acked && sync.unacked.size < STATE_UNACKED_LIMIT) {
             this._send(ws, {
-                type: 'state',
-                room: room.room,
-                players: room.players,
-                roundState: room.roundState,
-                yourHand: room.hands.get(playerId) || [],
-                isHost: room.room.host_id === playerId,
-                // Only ever sent to this player's own socket, never to
-                // room.players (which every client sees) - that's what
-                // makes it usable as a rejoin credential.
-                sessionToken: room.sessionTokens.get(playerId),
-                ...extra
+                type: 'state_patch',
+                version: sync.version,
+                baseVersion: sync.acked.version,
+                ops: patch.diffState(sync.acked.state, state)
             });
+        } else {
+            sync.acked = null;
+            sync.unacked.clear();
+            this._send(ws, { type: 'state', version: sync.version, ...state });
         }
+        sync.unacked.set(sync.version, state);
+        this.stateSync.set(ws, sync);
+    }
+
+    // The client now holds this version - later patches are diffed against
+    // it, and anything older can be forgotten.
+    _ackState(ws, { version }) {
+        const sync = this.stateSync.get(ws);
+        const state = sync?.unacked.get(version);
+        if (!state) return; // stale or unknown - the next full state sorts it out
+        sync.acked = { version, state };
+        for (const v of sync.unacked.keys()) {
+            if (v <= version) sync.unacked.delete(v);
+        }
+    }
+
+    // Make the next state sent to this socket a full one. Versions keep
+    // counting up, so an ack still in flight can't match the new state.
+    _forgetAckedState(ws) {
+        const sync = this.stateSync.get(ws);
+        if (!sync) return;
+        sync.acked = null;
+        sync.unacked.clear();
+    }
+
+    // The client couldn't apply a patch (it no longer has the base
+    // version) - start it over from a full state.
+    _resyncState(ws) {
+        this._forgetAckedState(ws);
+        const meta = this.socketMeta.get(ws);
+        const room = this.rooms.get(meta?.code ?? this.watcherMeta.get(ws));
+        if (!room) return;
+        this._sendState(ws, this._statePayload(room, meta ? meta.playerId : null));
     }
 }
@@ -0,0 +1,89 @@
+/**
+ * Tests for server/accounts.js's AccountStore - scrypt-hashed passwords
+ * in a file that outlives the process, and signed tokens that stand in
+ * for the password. server.test.js covers signing in over a connection.
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { AccountStore, ACCOUNT_ID_PREFIX } from '../server/accounts.js';
+
+let dir;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'not10-accounts-'));
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('AccountStore', () => {
+    it('registers and signs in by password, and keeps accounts across restarts', async () => {
+        const store = new AccountStore(dir);
+        const created = await store.register('Dealer_1', 'correct horse');
+        expect(created.success).toBe(true);
+        expect(created.account.playerId.startsWith(ACCOUNT_ID_PREFIX)).toBe(true);
+        expect(fs.readFileSync(path.join(dir, 'accounts.json'), 'utf8')).not.toContain('correct horse');
+
+        expect((await store.register('dealer_1', 'another one')).error).toMatch(/taken/);
+        expect((await store.register('no', 'long enough')).success).toBe(false);
+        expect((await store.register('Someone', 'short')).success).toBe(false);
+
+        // A fresh process reading the same directory - same player id,
+        // case-insensitive username, and a wrong password says nothing
+        // about which half was wrong.
+        const restarted = new AccountStore(dir);
+        expect(await restarted.authenticate('DEALER_1', 'correct horse')).toEqual({ success: true, account: created.account });
+        expect(await restarted.authenticate('Dealer_1', 'wrong horse')).toEqual({ success: false, error: 'Wrong username or password' });
+        expect(await restarted.authenticate('nobody', 'correct horse')).toEqual({ success: false, error: 'Wrong username or password' });
+    });
+
+    it('accepts its own unexpired tokens and nothing else', async () => {
+        const store = new AccountStore(dir);
+        const { account } = await store.register('Tokened', 'password123');
+        const now = Date.now();
+        const token = store.issueToken(account, now);
+
+        expect(store.verifyToken(token, now)).toEqual({ valid: true, account });
+        // The generated secret is saved, so tokens survive a restart...
+        expect(new AccountStore(dir).verifyToken(token, now).valid).toBe(true);
+        // ...but not a different secret, an edited payload, or the expiry.
+        expect(new AccountStore(dir, { secret: 'other' }).verifyToken(token, now).valid).toBe(false);
+        const [, signature] = token.split('.');
+        const forged = Buffer.from(JSON.stringify({ u: 'tokened', exp: now + 1e12 })).toString('base64url');
+        expect(store.verifyToken(`${forged}.${signature}`, now).valid).toBe(false);
+        expect(store.verifyToken(token, now + 31 * 24 * 60 * 60 * 1000).error).toMatch(/expired/);
+        expect(store.verifyToken('garbage', now).valid).toBe(false);
+    });
+
+    it('revokes every token issued before a logout, across restarts', async () => {
+        const store = new AccountStore(dir);
+        const { account } = await store.register('Leaver', 'password123');
+        const now = Date.now();
+        const before = store.issueToken(account, now);
+
+        store.revokeTokens('LEAVER');
+        expect(store.verifyToken(before, now).error).toMatch(/revoked/);
+        const after = store.issueToken(account, now);
+        expect(store.verifyToken(after, now).valid).toBe(true);
+        expect(new AccountStore(dir).verifyToken(before, now).valid).toBe(false);
+        expect(new AccountStore(dir).verifyToken(after, now).valid).toBe(true);
+    });
+
+    it('moves an unreadable accounts file aside and starts empty instead of crashing', async () => {
+        fs.writeFileSync(path.join(dir, 'accounts.json'), '{"version":1,"accounts":[{"user');
+        const errors = vi.spyOn(console, 'error').mockImplementation(() => {});
+        const store = new AccountStore(dir);
+        expect(store.accounts.size).toBe(0);
+        expect(errors).toHaveBeenCalledOnce();
+        errors.mockRestore();
+
+        // The broken file is kept, not overwritten by the next save.
+        await store.register('Fresh', 'password123');
+        const aside = fs.readdirSync(dir).filter(name => name.startsWith('accounts.json.unreadable-'));
+        expect(aside).toHaveLength(1);
+        expect(fs.readFileSync(path.join(dir, aside[0]), 'utf8')).toContain('{"user');
+    });
+});
@@ -5,6 +5,8 @@
  */
 import { describe, it, expect } from 'vitest';
 import { AIPlayer, executeAIBet, choosePosition } from '../engine/ai.js';
+import { createRules } from '../engine/game.js';
+import { createRng } from '../engine/utils.js';
 
 describe('AIPlayer.evaluateBetConfidence', () => {
     const ai = new AIPlayer('p1', 'Bot', 'balanced', 0);
@@ -70,3 +72,111 @@ describe('choosePosition edge cases', () => {
         expect(['first', 'last']).toContain(choosePosition(ai));
     });
 });
+
+describe('AIPlayer under a non-classic rule set', () => {
+    it('starts with the rule set\'s stack and raises in its increments', async () => {
+        const { rules } = createRules('short_stack');
+        const ai = new AIPlayer('p1', 'Bot', 'cautious', 0, rules);
+        expect(ai.money_cents).toBe(rules.STARTING_MONEY);
+        ai.hand = [0, 1];
+
+        const decision = await executeAIBet(ai, { tableTotal: 0, potCents: 0, activePlayerCount: 2 }, {
+            bets_json: {}, has_raised_json: {}, bet_action_count_json: {}
+        });
+
+        expect(decision.action).toBe('raise');
+        expect(decision.amount).toBe(rules.RAISE_AMOUNTS[0]);
+    });
+
+    it('caps raise tiers at the biggest increment a shorter RAISE_AMOUNTS offers', () => {
+        const { rules } = createRules('classic', { RAISE_AMOUNTS: [10000] });
+        const ai = new AIPlayer('p1', 'Bot', 'aggressive', 0, rules);
+        expect(ai.raiseAmount(2)).toBe(10000);
+    });
+
+    it('judges low cards and holds relief cards relative to a custom deck', () => {
+        const { rules } = createRules('spicy');
+        const ai = new AIPlayer('p1', 'Bot', 'cautious', 0, rules);
+
+        // -1..5 range: "low" is <= 1, so 4s and 5s aren't low but relief is
+        ai.hand = [-1, 1];
+        const lowHand = ai.evaluateHandStrength(0);
+        ai.hand = [4, 5];
+        expect(ai.evaluateHandStrength(0)).toBeLessThan(lowHand);
+
+        // Cautious plays its lowest safe card - but not a relief card on
+        // an empty table while a non-relief safe card is available...
+        ai.hand = [-1, 2];
+        expect(ai.chooseCard(0)).toBe(2);
+        // ...and reaches for it once the table is close to busting.
+        expect(ai.chooseCard(8)).toBe(-1);
+    });
+
+    it('a hand of 2s reads as weak in the classic deck but middling in a spicy one', () => {
+        const classicBot = new AIPlayer('p1', 'Bot', 'aggressive', 0);
+        const spicyBot = new AIPlayer('p2', 'Bot', 'aggressive', 0, createRules('spicy').rules);
+        classicBot.hand = [2, 2, 2];
+        spicyBot.hand = [2, 2, 2];
+        // Aggressive only ever picks 'last' on a weak hand
+        const classicChoices = new Set(Array.from({ length: 50 }, () => choosePosition(classicBot)));
+        const spicyChoices = new Set(Array.from({ length: 50 }, () => choosePosition(spicyBot)));
+        expect(classicChoices.has('last')).toBe(true);
+        expect(spicyChoices).toEqual(new Set(['first']));
+    });
+});
+
+describe('bots and folding', () => {
+    const roundState = {
+        bets_json: { p2: 90000 },
+        has_raised_json: {},
+        bet_action_count_json: {}
+    };
+    const gameState = { tableTotal: 0, potCents: 90000, activePlayerCount: 3 };
+
+    it('folds a weak hand facing a near-stack call when the rules allow it', async () => {
+        const ai = new AIPlayer('p1', 'Bot', 'cautious', 0, createRules('classic', { ALLOW_FOLD: true }).rules);
+        ai.money_cents = 100000; // a $900 call is most of its stack
+        ai.hand = [3, 3, 3]; // no low cards
+        const decision = await executeAIBet(ai, gameState, roundState);
+        expect(decision.action).toBe('fold');
+    });
+
+    it('keeps a strong hand in even when folding is allowed', async () => {
+        const ai = new AIPlayer('p1', 'Bot', 'cautious', 0, createRules('classic', { ALLOW_FOLD: true }).rules);
+        ai.money_cents = 100000;
+        ai.hand = [0, 0, 1];
+        const decision = await executeAIBet(ai, gameState, roundState);
+        expect(decision.action).not.toBe('fold');
+    });
+
+    it('never folds under classic rules', async () => {
+        const ai = new AIPlayer('p1', 'Bot', 'cautious', 0);
+        ai.money_cents = 100000;
+        ai.hand = [3, 3, 3];
+        const decision = await executeAIBet(ai, gameState, roundState);
+        expect(decision.action).not.toBe('fold');
+    });
+});
+
+describe('seeded bots', () => {
+    // Replays every random decision a bot makes from one seed - betting,
+    // finalizing, card choice and position choice.
+    function decisions(seed) {
+        const ai = new AIPlayer('p1', 'Bot', 'aggressive', 0, createRules('classic').rules, createRng(seed));
+        ai.hand = [0, 1, 1, 2];
+        const roundState = { bets_json: { p2: 10000 }, has_raised_json: {}, bet_action_count_json: {} };
+        const out = [];
+        for (let i = 0; i < 20; i++) {
+            out.push(ai.chooseBetAction({ tableTotal: 0, potCents: 10000, activePlayerCount: 4 }, roundState));
+            out.push(ai.shouldFinalizeBet({}, roundState));
+            out.push(ai.chooseCard(2));
+            out.push(choosePosition(ai));
+        }
+        return out;
+    }
+
+    it('makes exactly the same choices for the same seed', () => {
+        expect(decisions(99)).toEqual(decisions(99));
+        expect(decisions(99)).not.toEqual(decisions(100));
+    });
+});
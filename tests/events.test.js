@@ -0,0 +1,78 @@
+/**
+ * Headless unit tests for engine/events.js - turning round-log entries into
+ * the typed table events clients animate. Entries come from real engine
+ * calls, so a change to what the engine logs shows up here.
+ */
+import { describe, it, expect } from 'vitest';
+import * as game from '../engine/game.js';
+import { eventsFromLog } from '../engine/events.js';
+
+function makeTable() {
+    const room = {
+        code: 'ABCD',
+        current_round: 0,
+        starting_player_index: 0,
+        pot_cents: 0,
+        table_total: 0,
+        phase: 'lobby',
+        turn_player_id: null
+    };
+    const players = ['a', 'b'].map((id, i) => ({
+        id,
+        name: id.toUpperCase(),
+        seat_index: i,
+        money_cents: game.GAME_CONSTANTS.STARTING_MONEY,
+        status: 'active',
+        is_bot: false
+    }));
+    const { roundState } = game.startNewRound(room, players, game.DEFAULT_RULES, 7);
+    return { room, players, roundState };
+}
+
+describe('events.eventsFromLog', () => {
+    it('turns a betting lap and a position choice into typed events', () => {
+        const { room, players, roundState } = makeTable();
+        const first = room.turn_player_id;
+        const second = players.find(p => p.id !== first).id;
+        const bet = (id, action, amount = null) => {
+            room.turn_player_id = id;
+            expect(game.processBet(room, players, roundState, id, action, amount).success).toBe(true);
+        };
+        const start = roundState.log_json.length;
+
+        bet(first, 'bet', 20000);
+        bet(second, 'call');
+        bet(first, 'finalize');
+        game.transitionToPlaying(room, players, roundState);
+        game.applyPositionChoice(room, players, roundState, 'last');
+
+        expect(eventsFromLog(roundState.log_json.slice(start))).toEqual([
+            { event: 'bet_placed', playerId: first, action: 'raise', amount: 20000, total: 20000 },
+            { event: 'bet_placed', playerId: second, action: 'call', amount: 20000, total: null },
+            { event: 'finalized', playerId: second },
+            { event: 'finalized', playerId: first },
+            { event: 'position_chosen', playerId: first, choice: 'last' }
+        ]);
+    });
+
+    it('marks a busting card and turns the round end into a payout', () => {
+        const { room, players, roundState } = makeTable();
+        const start = roundState.log_json.length;
+        const [a, b] = players;
+        roundState.bets_json = { a: 10000, b: 10000 };
+        room.pot_cents = 20000;
+        room.phase = 'playing';
+        room.table_total = 8;
+        roundState.play_order = ['a', 'b'];
+        room.turn_player_id = 'a';
+
+        const played = game.processCardPlay(room, players, roundState, 'a', 3);
+        expect(played.bust && played.roundOver).toBe(true);
+        game.endRound(room, players, roundState, 'a');
+
+        const events = eventsFromLog(roundState.log_json.slice(start));
+        expect(events.map(e => e.event)).toEqual(['card_played', 'bust', 'payout']);
+        expect(events[0]).toMatchObject({ playerId: a.id, value: 3, total: 11 });
+        expect(events[2].distributions[b.id]).toBe(20000);
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * Headless unit tests for engine/fairness.js - a round committed before
+ * the deal verifies from its revealed server seed, deals exactly what
+ * game.startNewRound dealt, and any tampering shows up.
+ */
+import { describe, it, expect } from 'vitest';
+import { createHash } from 'node:crypto';
+import * as game from '../engine/game.js';
+import * as fairness from '../engine/fairness.js';
+
+// Round 2's seed from a short chain - what the server would reveal.
+const CHAIN = fairness.createSeedChain('c0ffee'.repeat(10), 4);
+fairness.nextChainSeed(CHAIN);
+const { serverSeed: SERVER_SEED, index: CHAIN_INDEX } = fairness.nextChainSeed(CHAIN);
+const ON_CHAIN = { chainHead: CHAIN.head, chainIndex: CHAIN_INDEX };
+const CLIENT_SEEDS = { p0: '0123456789abcdef', p2: 'fedcba9876543210fedcba9876543210' };
+
+function table(count) {
+    const room = {
+        code: 'ABCD',
+        host_id: 'p0',
+        status: 'in_game',
+        current_round: 0,
+        starting_player_index: 0,
+        pot_cents: 0,
+        table_total: 0,
+        phase: 'lobby',
+        turn_player_id: null
+    };
+    const players = Array.from({ length: count }, (_, i) => ({
+        id: `p${i}`, name: `p${i}`, seat_index: i, money_cents: game.DEFAULT_RULES.STARTING_MONEY, status: 'active', is_bot: false
+    }));
+    return { room, players };
+}
+
+describe('fairness.sha256', () => {
+    it('matches node:crypto across block boundaries and multi-byte text', () => {
+        for (const text of ['', 'abc', 'a'.repeat(55), 'a'.repeat(56), 'a'.repeat(64), 'naïve ♠'.repeat(30)]) {
+            expect(fairness.sha256(text)).toBe(createHash('sha256').update(text).digest('hex'));
+        }
+    });
+});
+
+describe('fairness.commitRound / fairness.verifyRound', () => {
+    it('verifies a revealed round and deals exactly what startNewRound dealt', () => {
+        const rules = game.createRules('spicy').rules;
+        const { room, players } = table(5);
+        const { seed, commitment } = fairness.commitRound({
+            serverSeed: SERVER_SEED, clientSeeds: CLIENT_SEEDS, round: 1, dealOrder: players.map(p => p.id), rules, ...ON_CHAIN
+        });
+        expect(JSON.stringify(commitment)).not.toContain(SERVER_SEED);
+        expect(commitment.serverSeedHash).toBe(fairness.sha256(SERVER_SEED));
+
+        const dealt = game.startNewRound(room, players, rules, seed);
+        const verified = fairness.verifyRound(JSON.parse(JSON.stringify(commitment)), SERVER_SEED, rules);
+        expect(verified.valid).toBe(true);
+        expect(verified.seed).toBe(dealt.roundState.seed);
+        expect(verified.openingHands).toEqual(dealt.hands);
+        expect(verified.deck.slice(-dealt.deck.length)).toEqual(dealt.deck);
+    });
+
+    it('refuses a wrong server seed or a commitment edited after the fact, and checks client seeds', () => {
+        const dealOrder = ['p0', 'p1'];
+        const { commitment } = fairness.commitRound({ serverSeed: SERVER_SEED, clientSeeds: CLIENT_SEEDS, round: 3, dealOrder, ...ON_CHAIN });
+
+        expect(fairness.verifyRound(commitment, 'beef'.repeat(16)).error).toMatch(/server seed/);
+        const edited = { ...commitment, clientSeeds: { ...CLIENT_SEEDS, p0: 'aaaaaaaaaaaaaaaa' } };
+        expect(fairness.verifyRound(edited, SERVER_SEED).error).toMatch(/deck/);
+        expect(fairness.verifyRound({ ...commitment, round: 4 }, SERVER_SEED).valid).toBe(false);
+
+        // The whole digest seeds the shuffle - too many seeds to search.
+        expect(fairness.roundSeed(SERVER_SEED, CLIENT_SEEDS, 3)).toMatch(/^[0-9a-f]{64}$/);
+        // Only who sent what counts, not the order the seeds are listed in.
+        const reordered = { p2: CLIENT_SEEDS.p2, p0: CLIENT_SEEDS.p0 };
+        expect(fairness.roundSeed(SERVER_SEED, reordered, 3)).toBe(fairness.roundSeed(SERVER_SEED, CLIENT_SEEDS, 3));
+
+        expect(fairness.validateClientSeed('0123456789abcdef').valid).toBe(true);
+        expect(fairness.validateClientSeed('short').valid).toBe(false);
+        expect(fairness.validateClientSeed('ZZZZZZZZZZZZZZZZ').valid).toBe(false);
+    });
+
+    it('only accepts server seeds from the chain whose head was published first', () => {
+        const chain = fairness.createSeedChain('5eed'.repeat(16), 3);
+        const seeds = [fairness.nextChainSeed(chain), fairness.nextChainSeed(chain), fairness.nextChainSeed(chain)];
+        expect(seeds.map(s => s.index)).toEqual([1, 2, 3]);
+        expect(fairness.nextChainSeed(chain)).toBeNull();
+        // Each revealed seed hashes to the one before it, the first to the head.
+        expect(fairness.sha256(seeds[0].serverSeed)).toBe(chain.head);
+        expect(fairness.sha256(seeds[2].serverSeed)).toBe(seeds[1].serverSeed);
+
+        const dealOrder = ['p0', 'p1'];
+        const onChain = { chainHead: chain.head, chainIndex: 2 };
+        const { commitment } = fairness.commitRound({ serverSeed: seeds[1].serverSeed, clientSeeds: CLIENT_SEEDS, round: 1, dealOrder, ...onChain });
+        expect(fairness.verifyRound(commitment, seeds[1].serverSeed).valid).toBe(true);
+        expect(fairness.verifyRound({ ...commitment, chainIndex: 3 }, seeds[1].serverSeed).error).toMatch(/seed chain/);
+
+        // A fresh seed picked after the fact can't be passed off as on the chain.
+        const ground = 'beef'.repeat(16);
+        const { commitment: forged } = fairness.commitRound({ serverSeed: ground, clientSeeds: CLIENT_SEEDS, round: 1, dealOrder, ...onChain });
+        expect(fairness.verifyRound(forged, ground).error).toMatch(/seed chain/);
+    });
+});
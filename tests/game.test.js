@@ -49,6 +49,16 @@ function makeRoundState(overrides = {}) {
     };
 }
 
+describe('utils: chat text', () => {
+    it('accepts trimmed text up to the limit and rejects empty or longer messages', () => {
+        expect(utils.validateChatText('  gg  ').valid).toBe(true);
+        expect(utils.validateChatText('x'.repeat(200)).valid).toBe(true);
+        expect(utils.validateChatText('x'.repeat(201)).error).toBe('Message too long (max 200 characters)');
+        expect(utils.validateChatText('   ').error).toBe('Message cannot be empty');
+        expect(utils.validateChatText(42).valid).toBe(false);
+    });
+});
+
 describe('utils: deck & shuffle', () => {
     it('creates a 40-card deck with ten of each value 0-3', () => {
         const deck = utils.createDeck();
@@ -58,6 +68,11 @@ describe('utils: deck & shuffle', () => {
         }
     });
 
+    it('builds a deck from a custom {value, copies} spec, negative values included', () => {
+        const deck = utils.createDeck([{ value: -1, copies: 2 }, { value: 5, copies: 3 }]);
+        expect(deck.sort()).toEqual([-1, -1, 5, 5, 5]);
+    });
+
     it('shuffle preserves the multiset of cards without mutating the input', () => {
         const deck = utils.createDeck();
         const shuffled = utils.shuffleArray(deck);
@@ -65,6 +80,46 @@ describe('utils: deck & shuffle', () => {
         expect([...shuffled].sort()).toEqual([...deck].sort());
         expect(deck).toHaveLength(40); // original untouched
     });
+
+    it('createRng replays the same sequence for the same seed', () => {
+        const a = utils.createRng(1);
+        const b = utils.createRng(1);
+        const sequence = [a(), a(), a()];
+        expect([b(), b(), b()]).toEqual(sequence);
+        expect(sequence.every(x => x >= 0 && x < 1)).toBe(true);
+        expect(utils.createRng(2)()).not.toBe(sequence[0]);
+    });
+
+    it('createRng state() continues the same sequence in a new generator', () => {
+        const original = utils.createRng(9);
+        original();
+        const resumed = utils.createRng(original.state());
+        expect([resumed(), resumed()]).toEqual([original(), original()]);
+    });
+
+    it('createRng takes a hex seed and every word of it counts', () => {
+        // xoshiro128**'s first output for the state 1, 2, 3, 4
+        expect(utils.createRng('00000001000000020000000300000004')() * 4294967296).toBe(11520);
+
+        const digest = 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'; // SHA-256 of "abc"
+        const a = utils.createRng(digest);
+        const b = utils.createRng(digest);
+        const sequence = [a(), a(), a()];
+        expect([b(), b(), b()]).toEqual(sequence);
+        const resumed = utils.createRng(a.state());
+        expect([resumed(), resumed()]).toEqual([a(), a()]);
+
+        // A change in the last word - past any 32-bit slice - changes the deck.
+        const deck = utils.createDeck();
+        const lastWordChanged = digest.slice(0, -1) + 'e';
+        expect(utils.shuffleArray(deck, utils.createRng(lastWordChanged))).not.toEqual(utils.shuffleArray(deck, utils.createRng(digest)));
+        expect(() => utils.createRng('not hex')).toThrow(/hex seed/);
+    });
+
+    it('a seeded shuffle is repeatable', () => {
+        const deck = utils.createDeck();
+        expect(utils.shuffleArray(deck, utils.createRng(7))).toEqual(utils.shuffleArray(deck, utils.createRng(7)));
+    });
 });
 
 describe('game.js is a pure module', () => {
@@ -77,6 +132,177 @@ describe('game.js is a pure module', () => {
     });
 });
 
+describe('game.createRules / game.validateRules', () => {
+    it('the classic preset is exactly GAME_CONSTANTS, and is what DEFAULT_RULES holds', () => {
+        const { valid, rules } = game.createRules('classic');
+        expect(valid).toBe(true);
+        const { PRESET, ...values } = rules;
+        expect(PRESET).toBe('classic');
+        expect(values).toEqual(game.GAME_CONSTANTS);
+        expect(game.DEFAULT_RULES).toEqual(rules);
+    });
+
+    it('every registered preset validates', () => {
+        for (const name of Object.keys(game.RULE_PRESETS)) {
+            expect(game.createRules(name).valid).toBe(true);
+        }
+    });
+
+    it('layers per-room overrides on top of the preset', () => {
+        const { rules } = game.createRules('short_stack', { BUST_THRESHOLD: 12 });
+        expect(rules.STARTING_MONEY).toBe(game.RULE_PRESETS.short_stack.overrides.STARTING_MONEY);
+        expect(rules.BUST_THRESHOLD).toBe(12);
+        expect(rules.PRESET).toBe('short_stack');
+    });
+
+    it('returns frozen rules so one room can never mutate another\'s', () => {
+        const { rules } = game.createRules('high_stakes');
+        expect(Object.isFrozen(rules)).toBe(true);
+        expect(Object.isFrozen(rules.RAISE_AMOUNTS)).toBe(true);
+        expect(Object.isFrozen(game.DEFAULT_RULES)).toBe(true);
+    });
+
+    it('rejects unknown presets and unknown rule keys', () => {
+        expect(game.createRules('nope').error).toMatch(/unknown rule preset/i);
+        expect(game.createRules('classic', { BUST_THRESHOLD_TYPO: 5 }).error).toMatch(/unknown rule/i);
+    });
+
+    it('rejects keys and preset names that are only inherited from Object.prototype', () => {
+        for (const key of ['constructor', 'toString', '__proto__']) {
+            // As a client's JSON would send them - an own property, __proto__ included
+            expect(game.createRules('classic', JSON.parse(`{"${key}": 1}`)).error).toMatch(/unknown rule/i);
+            expect(game.createRules(key).error).toMatch(/unknown rule preset/i);
+        }
+    });
+
+    it('rejects rule sets the engine could not actually run', () => {
+        expect(game.createRules('classic', { BUST_THRESHOLD: 0 }).valid).toBe(false);
+        expect(game.createRules('classic', { STARTING_MONEY: -5 }).valid).toBe(false);
+        expect(game.createRules('classic', { RAISE_AMOUNTS: [20000, 10000] }).valid).toBe(false);
+        expect(game.createRules('classic', { RAISE_AMOUNTS: [] }).valid).toBe(false);
+        expect(game.createRules('classic', { FIRST_POSITION_BONUS: 0.5 }).valid).toBe(false);
+        expect(game.createRules('classic', { MIN_PLAYERS: 3, MAX_PLAYERS: 2 }).valid).toBe(false);
+        // 4 players x 12 cards = 48 > the 40-card deck
+        expect(game.createRules('classic', { CARDS_PER_PLAYER_4: 12 }).error).toMatch(/deck/i);
+    });
+});
+
+describe('engine functions honour a per-room rule set', () => {
+    it('startNewRound deals the rule set\'s hand size', () => {
+        const { rules } = game.createRules('classic', { CARDS_PER_PLAYER_2: 8 });
+        const room = makeRoom();
+        const players = [makePlayer('p1', { seat_index: 0 }), makePlayer('p2', { seat_index: 1 })];
+        const result = game.startNewRound(room, players, rules);
+        expect(result.roundState.cards_per_player).toBe(8);
+        expect(result.hands['p1']).toHaveLength(4);
+    });
+
+    it('processBet only accepts the rule set\'s raise amounts and minimum', () => {
+        const { rules } = game.createRules('short_stack');
+        const room = makeRoom({ phase: 'betting', turn_player_id: 'p1' });
+        const players = [makePlayer('p1', { money_cents: rules.STARTING_MONEY }), makePlayer('p2', { money_cents: rules.STARTING_MONEY })];
+        const roundState = makeRoundState();
+
+        expect(game.processBet(room, players, roundState, 'p1', 'bet', 50000, rules).success).toBe(false);
+        const result = game.processBet(room, players, roundState, 'p1', 'bet', 5000, rules);
+        expect(result.success).toBe(true);
+        expect(roundState.bets_json['p1']).toBe(5000);
+
+        room.turn_player_id = 'p2';
+        game.processBet(room, players, roundState, 'p2', 'call', null, rules);
+        room.turn_player_id = 'p1';
+        // $50 is below classic's $100 minimum but is this rule set's minimum
+        expect(game.processBet(room, players, roundState, 'p1', 'finalize', null, rules).success).toBe(true);
+    });
+
+    it('processCardPlay busts at the rule set\'s threshold, not 10', () => {
+        const { rules } = game.createRules('classic', { BUST_THRESHOLD: 15 });
+        const room = makeRoom({ phase: 'playing', turn_player_id: 'p1', table_total: 8 });
+        const players = [makePlayer('p1', { seat_index: 0 }), makePlayer('p2', { seat_index: 1 })];
+        const roundState = makeRoundState({ play_order: ['p1', 'p2'] });
+
+        const result = game.processCardPlay(room, players, roundState, 'p1', 3, rules);
+        expect(result.bust).toBe(false);
+        expect(result.total).toBe(11);
+    });
+
+    it('endRound applies the rule set\'s FIRST bonus', () => {
+        const { rules } = game.createRules('classic', { FIRST_POSITION_BONUS: 1 });
+        const room = makeRoom({ pot_cents: 100000 });
+        const players = [makePlayer('a', { money_cents: 0 }), makePlayer('b', { money_cents: 0 })];
+        const roundState = makeRoundState({
+            bets_json: { a: 50000, b: 50000 },
+            highest_bettor_id: 'a',
+            position_choice: 'first'
+        });
+
+        const result = game.endRound(room, players, roundState, null, rules);
+        expect(result.potDistributions['a']).toBe(50000);
+        expect(result.potDistributions['b']).toBe(50000);
+    });
+
+    it('two rule sets run side by side without affecting each other', () => {
+        const classic = game.createRules('classic').rules;
+        const highStakes = game.createRules('high_stakes').rules;
+        const roomA = makeRoom({ phase: 'betting', turn_player_id: 'p1' });
+        const roomB = makeRoom({ phase: 'betting', turn_player_id: 'p1' });
+        const playersA = [makePlayer('p1'), makePlayer('p2')];
+        const playersB = [makePlayer('p1', { money_cents: highStakes.STARTING_MONEY }), makePlayer('p2', { money_cents: highStakes.STARTING_MONEY })];
+
+        expect(game.processBet(roomA, playersA, makeRoundState(), 'p1', 'bet', 250000, classic).success).toBe(false);
+        expect(game.processBet(roomB, playersB, makeRoundState(), 'p1', 'bet', 250000, highStakes).success).toBe(true);
+    });
+});
+
+describe('custom deck composition (DECK rule)', () => {
+    const spicy = game.createRules('spicy').rules;
+
+    it('the spicy preset adds 4s, 5s and -1 relief cards', () => {
+        const values = spicy.DECK.map(card => card.value);
+        expect(values).toEqual(expect.arrayContaining([-1, 4, 5]));
+        expect(game.getDeckRange(spicy)).toEqual({ min: -1, max: 5 });
+        expect(game.getDeckRange(game.DEFAULT_RULES)).toEqual({ min: 0, max: 3 });
+    });
+
+    it('startNewRound deals from the room\'s deck spec', () => {
+        const deckSize = spicy.DECK.reduce((sum, card) => sum + card.copies, 0);
+        const players = [makePlayer('p1', { seat_index: 0 }), makePlayer('p2', { seat_index: 1 }), makePlayer('p3', { seat_index: 2 })];
+        const result = game.startNewRound(makeRoom(), players, spicy);
+        const allCards = [...result.deck, ...Object.values(result.hands).flat()];
+        expect(allCards).toHaveLength(deckSize);
+        expect(allCards.sort()).toEqual(utils.createDeck(spicy.DECK).sort());
+    });
+
+    it('rejects deck specs the game can\'t be played with', () => {
+        expect(game.createRules('classic', { DECK: [] }).valid).toBe(false);
+        expect(game.createRules('classic', { DECK: [{ value: 1, copies: 20 }, { value: 1, copies: 20 }] }).error).toMatch(/same card value/i);
+        expect(game.createRules('classic', { DECK: [{ value: 10, copies: 40 }] }).error).toMatch(/between/i);
+        expect(game.createRules('classic', { DECK: [{ value: 0, copies: 20 }, { value: -1, copies: 20 }] }).error).toMatch(/positive card/i);
+        // 4 players x 4 cards = 16 > 10
+        expect(game.createRules('classic', { DECK: [{ value: 1, copies: 10 }] }).error).toMatch(/deck only has 10/i);
+    });
+
+    it('a relief card lowers the table total, never below 0', () => {
+        const players = [makePlayer('p1', { seat_index: 0 }), makePlayer('p2', { seat_index: 1 })];
+        const roundState = makeRoundState({ play_order: ['p1', 'p2'] });
+        const room = makeRoom({ phase: 'playing', turn_player_id: 'p1', table_total: 8 });
+
+        const result = game.processCardPlay(room, players, roundState, 'p1', -1, spicy);
+        expect(result.bust).toBe(false);
+        expect(room.table_total).toBe(7);
+
+        const emptyTable = makeRoom({ phase: 'playing', turn_player_id: 'p1', table_total: 0 });
+        game.processCardPlay(emptyTable, players, makeRoundState({ play_order: ['p1', 'p2'] }), 'p1', -1, spicy);
+        expect(emptyTable.table_total).toBe(0);
+    });
+
+    it('calculateWinProbability counts a relief card as extra safety', () => {
+        expect(game.calculateWinProbability([5, 5], 6, spicy)).toBe(0);
+        expect(game.calculateWinProbability([5, -1], 6, spicy)).toBe(1);
+        expect(game.calculateWinProbability([3, 1], 7)).toBe(0.5);
+    });
+});
+
 describe('game.startNewRound', () => {
     let room, players;
 
@@ -148,6 +374,24 @@ describe('game.startNewRound', () => {
     });
 });
 
+describe('seeded rounds', () => {
+    const seated = () => ['a', 'b', 'c', 'd'].map((id, i) => makePlayer(id, { seat_index: i }));
+
+    it('deals exactly the hands its seed fixes and records the seed', () => {
+        const result = game.startNewRound(makeRoom(), seated(), game.DEFAULT_RULES, 42);
+        expect(result.hands).toEqual({ a: [1, 1], b: [2, 3], c: [1, 3], d: [2, 0] });
+        expect(result.deck.slice(0, 4)).toEqual([2, 0, 2, 3]);
+        expect(result.roundState.seed).toBe(42);
+    });
+
+    it('replays a round from its recorded seed', () => {
+        const first = game.startNewRound(makeRoom(), seated());
+        const replay = game.startNewRound(makeRoom(), seated(), game.DEFAULT_RULES, first.roundState.seed);
+        expect(replay.hands).toEqual(first.hands);
+        expect(replay.deck).toEqual(first.deck);
+    });
+});
+
 describe('game.dealRemainingHands', () => {
     it('tops each player up to the full hand size using the leftover deck', () => {
         const room = makeRoom();
@@ -282,6 +526,123 @@ describe('game.processBet', () => {
 
 });
 
+describe('fold (ALLOW_FOLD rule)', () => {
+    const foldRules = game.createRules('classic', { ALLOW_FOLD: true }).rules;
+    let room, players, roundState;
+
+    beforeEach(() => {
+        room = makeRoom({ phase: 'betting', turn_player_id: 'p1' });
+        players = [
+            makePlayer('p1', { seat_index: 0 }),
+            makePlayer('p2', { seat_index: 1 }),
+            makePlayer('p3', { seat_index: 2 })
+        ];
+        roundState = makeRoundState({ folded_json: {} });
+    });
+
+    it('is rejected unless the room\'s rules allow it', () => {
+        const result = game.processBet(room, players, roundState, 'p1', 'fold', null);
+        expect(result.success).toBe(false);
+        expect(result.error).toMatch(/not allowed/i);
+    });
+
+    it('forfeits what is already in the pot and finalizes the folder', () => {
+        game.processBet(room, players, roundState, 'p1', 'bet', 10000, foldRules);
+        room.turn_player_id = 'p2';
+        game.processBet(room, players, roundState, 'p2', 'bet', 20000, foldRules);
+        room.turn_player_id = 'p3';
+        game.processBet(room, players, roundState, 'p3', 'call', null, foldRules);
+        room.turn_player_id = 'p1';
+
+        const result = game.processBet(room, players, roundState, 'p1', 'fold', null, foldRules);
+        expect(result.success).toBe(true);
+        expect(result.amount).toBe(10000);
+        expect(result.lastStanding).toBeNull();
+        expect(roundState.folded_json['p1']).toBe(true);
+        expect(roundState.finalized_json['p1']).toBe(true);
+        expect(room.pot_cents).toBe(50000); // nothing refunded
+        expect(roundState.log_json.at(-1).type).toBe('fold');
+    });
+
+    it('is left out of isBettingComplete, the all-acted check, and the round\'s contenders', () => {
+        game.processBet(room, players, roundState, 'p1', 'fold', null, foldRules);
+        expect(game.getRoundContenders(players, roundState).map(p => p.id)).toEqual(['p2', 'p3']);
+
+        room.turn_player_id = 'p2';
+        game.processBet(room, players, roundState, 'p2', 'bet', 10000, foldRules);
+        room.turn_player_id = 'p3';
+        game.processBet(room, players, roundState, 'p3', 'bet', 20000, foldRules);
+        room.turn_player_id = 'p2';
+        // p1 never placed a bet, but has folded - p2 can still finalize
+        expect(game.processBet(room, players, roundState, 'p2', 'finalize', null, foldRules).success).toBe(true);
+        expect(game.isBettingComplete(players, roundState.finalized_json, roundState.folded_json)).toBe(false);
+        roundState.finalized_json['p3'] = true;
+        expect(game.isBettingComplete(players, roundState.finalized_json, roundState.folded_json)).toBe(true);
+    });
+
+    it('reports the last player standing once everyone else folds', () => {
+        game.processBet(room, players, roundState, 'p1', 'fold', null, foldRules);
+        room.turn_player_id = 'p2';
+        const result = game.processBet(room, players, roundState, 'p2', 'fold', null, foldRules);
+        expect(result.lastStanding.id).toBe('p3');
+    });
+
+    it('removes the folder from play_order and the position choice, even with the biggest bet', () => {
+        roundState.bets_json = { p1: 50000, p2: 20000, p3: 10000 };
+        roundState.bet_sequence_json = { p1: 1, p2: 2, p3: 3 };
+        roundState.folded_json = { p1: true };
+
+        game.transitionToPlaying(room, players, roundState, foldRules);
+
+        expect(roundState.play_order).toEqual(['p2', 'p3']);
+        expect(roundState.highest_bettor_id).toBe('p2');
+
+        game.applyPositionChoice(room, players, roundState, 'last');
+        expect(roundState.play_order).toEqual(['p3', 'p2']);
+    });
+
+    it('a folded player cannot play a card', () => {
+        room.phase = 'playing';
+        roundState.folded_json = { p1: true };
+        roundState.play_order = ['p2', 'p3'];
+        const result = game.processCardPlay(room, players, roundState, 'p1', 1, foldRules);
+        expect(result.success).toBe(false);
+        expect(result.error).toMatch(/folded/i);
+    });
+
+    it('endRound pays only players who didn\'t fold, and lists who did', () => {
+        room.pot_cents = 90000;
+        players.forEach(p => { p.money_cents = 0; });
+        roundState.bets_json = { p1: 50000, p2: 20000, p3: 20000 };
+        roundState.folded_json = { p1: true };
+
+        const result = game.endRound(room, players, roundState, null, foldRules);
+
+        expect(result.survivors.map(s => s.id)).toEqual(['p2', 'p3']);
+        expect(result.potDistributions['p1']).toBeUndefined();
+        expect(result.potDistributions['p2'] + result.potDistributions['p3']).toBe(90000);
+        expect(roundState.log_json.at(-1).folded).toEqual(['p1']);
+    });
+});
+
+describe('turn clock defaults (getTimeoutBet / getTimeoutCard)', () => {
+    it('opens with the minimum, calls a bet, and goes all-in when the stack cannot cover it', () => {
+        const player = makePlayer('a');
+        expect(game.getTimeoutBet(player, makeRoundState())).toEqual({ action: 'bet', amount: 10000 });
+        expect(game.getTimeoutBet(player, makeRoundState({ bets_json: { b: 20000 } }))).toEqual({ action: 'call', amount: null });
+        expect(game.getTimeoutBet(player, makeRoundState({ bets_json: { a: 20000, b: 20000 } }))).toEqual({ action: 'call', amount: null });
+        const short = makePlayer('a', { money_cents: 5000 });
+        expect(game.getTimeoutBet(short, makeRoundState({ bets_json: { b: 20000 } }))).toEqual({ action: 'all-in', amount: null });
+        expect(game.getTimeoutBet(short, makeRoundState())).toEqual({ action: 'all-in', amount: null });
+    });
+
+    it('plays the lowest card, or the highest one that stays under the threshold', () => {
+        expect(game.getTimeoutCard([3, 1, 2], 8)).toBe(1);
+        expect(game.getTimeoutCard([3, 1, 2], 7, 'highest_safe')).toBe(2);
+        expect(game.getTimeoutCard([3, 2], 8, 'highest_safe')).toBe(2); // every card busts
+    });
+});
+
 describe('game.processCardPlay', () => {
     let room, players, roundState;
 
@@ -311,6 +672,7 @@ describe('game.processCardPlay', () => {
         const result = game.processCardPlay(room, players, roundState, 'p1', 2);
         expect(result.bust).toBe(true);
         expect(result.eliminatedPlayer.id).toBe('p1');
+        expect(result.roundOver).toBe(true); // classic: one bust ends the round
         expect(result.total).toBe(10);
     });
 
@@ -336,6 +698,137 @@ describe('game.processCardPlay', () => {
     });
 });
 
+describe('5-8 player tables', () => {
+    const bigRules = game.createRules('big_table').rules;
+    const seatPlayers = (count) => Array.from({ length: count }, (_, i) => makePlayer(`s${i}`, { seat_index: i }));
+
+    it('the big_table preset seats up to TABLE_SEAT_LIMIT, and no rule set can seat more', () => {
+        expect(bigRules.MAX_PLAYERS).toBe(game.TABLE_SEAT_LIMIT);
+        expect(game.createRules('classic', { MAX_PLAYERS: game.TABLE_SEAT_LIMIT + 1 }).error).toMatch(/between 2 and 8/);
+    });
+
+    it('picks the hand size by table size', () => {
+        expect(game.getCardsPerPlayer(2, bigRules)).toBe(bigRules.CARDS_PER_PLAYER_2);
+        expect(game.getCardsPerPlayer(4, bigRules)).toBe(bigRules.CARDS_PER_PLAYER_4);
+        expect(game.getCardsPerPlayer(6, bigRules)).toBe(bigRules.CARDS_PER_PLAYER_LARGE);
+    });
+
+    it('stacks extra copies of the deck only when one deck can\'t deal every hand', () => {
+        expect(game.getRoundDeckSpec(8, bigRules)).toEqual(bigRules.DECK);
+        const longHands = game.createRules('big_table', { CARDS_PER_PLAYER_LARGE: 6 }).rules;
+        // 8 x 6 = 48 cards > 40 - two decks, same mix of values
+        expect(game.getRoundDeckSpec(8, longHands).map(c => c.copies)).toEqual([20, 20, 20, 20]);
+    });
+
+    it('deals an 8-player round in full without running the deck out', () => {
+        const longHands = game.createRules('big_table', { CARDS_PER_PLAYER_LARGE: 6 }).rules;
+        const players = seatPlayers(8);
+        const room = makeRoom({ starting_player_index: 7 });
+        const result = game.startNewRound(room, players, longHands);
+        const handsMap = new Map(Object.entries(result.hands));
+        game.dealRemainingHands(players, handsMap, result.deck, result.roundState.cards_per_player);
+        expect([...handsMap.values()].every(hand => hand.length === 6)).toBe(true);
+        expect(room.turn_player_id).toBe('s7');
+    });
+
+    it('rotates the starting player through all 8 seats', () => {
+        const room = makeRoom({ starting_player_index: 7, pot_cents: 0 });
+        const result = game.endRound(room, seatPlayers(8), makeRoundState(), null, bigRules);
+        expect(result.nextStartingIndex).toBe(0);
+    });
+
+    it('turn-order helpers wrap past seat 3 and skip empty start seats', () => {
+        const players = [makePlayer('a', { seat_index: 0 }), makePlayer('b', { seat_index: 6 })];
+        expect(utils.getNextPlayerIndex(6, players)).toBe(0);
+        expect(utils.getNextPlayerIndex(0, players)).toBe(6);
+        // Seat 3 is empty - the start passes to the next occupied seat (6), not seat 0
+        expect(utils.getPlayersInTurnOrder(players, 3).map(p => p.id)).toEqual(['b', 'a']);
+    });
+});
+
+describe('multi-bust rounds (MAX_BUSTS rule)', () => {
+    const twoBustRules = game.createRules('classic', { MAX_BUSTS: 2 }).rules;
+    let room, players, roundState;
+
+    beforeEach(() => {
+        room = makeRoom({ phase: 'playing', turn_player_id: 'b', table_total: 8, pot_cents: 80000 });
+        players = ['a', 'b', 'c', 'd'].map((id, i) => makePlayer(id, { seat_index: i, money_cents: 0 }));
+        roundState = makeRoundState({
+            play_order: ['a', 'b', 'c', 'd'],
+            bets_json: { a: 20000, b: 20000, c: 20000, d: 20000 },
+            busted_json: {}
+        });
+    });
+
+    it('drops a busted player from play_order and plays on from a reset total', () => {
+        const result = game.processCardPlay(room, players, roundState, 'b', 3, twoBustRules);
+
+        expect(result.bust).toBe(true);
+        expect(result.roundOver).toBe(false);
+        expect(roundState.play_order).toEqual(['a', 'c', 'd']);
+        expect(room.table_total).toBe(0);
+        expect(room.turn_player_id).toBe('c');
+        expect(roundState.log_json.at(-1).type).toBe('bust');
+        expect(game.getRoundContenders(players, roundState).map(p => p.id)).toEqual(['a', 'c', 'd']);
+    });
+
+    it('BUST_TOTAL_MODE carry rolls the total back to before the busting card', () => {
+        const carryRules = game.createRules('classic', { MAX_BUSTS: 2, BUST_TOTAL_MODE: 'carry' }).rules;
+        game.processCardPlay(room, players, roundState, 'b', 3, carryRules);
+        expect(room.table_total).toBe(8);
+    });
+
+    it('wraps the turn to the front of play_order when the last player busts', () => {
+        room.turn_player_id = 'd';
+        game.processCardPlay(room, players, roundState, 'd', 2, twoBustRules);
+        expect(room.turn_player_id).toBe('a');
+    });
+
+    it('ends the round on the MAX_BUSTS-th bust, and endRound pays neither busted player', () => {
+        game.processCardPlay(room, players, roundState, 'b', 3, twoBustRules);
+        room.table_total = 9;
+        const result = game.processCardPlay(room, players, roundState, 'c', 1, twoBustRules);
+
+        expect(result.roundOver).toBe(true);
+        expect(result.eliminatedPlayerIds).toEqual(['b', 'c']);
+
+        const end = game.endRound(room, players, roundState, 'c', twoBustRules);
+        expect(end.survivors.map(s => s.id)).toEqual(['a', 'd']);
+        expect(end.potDistributions).toEqual({ a: 40000, d: 40000 });
+        expect(roundState.log_json.at(-1).eliminatedPlayerIds).toEqual(['b', 'c']);
+    });
+
+    it('a push after an earlier bust still leaves the busted player out of the payout', () => {
+        game.processCardPlay(room, players, roundState, 'b', 3, twoBustRules);
+        const end = game.endRound(room, players, roundState, null, twoBustRules);
+        expect(end.survivors.map(s => s.id)).toEqual(['a', 'c', 'd']);
+    });
+
+    it('ends the round early once only one contender is left', () => {
+        const threeBustRules = game.createRules('classic', { MAX_BUSTS: 3 }).rules;
+        roundState.folded_json = { a: true };
+        roundState.play_order = ['b', 'c', 'd'];
+        game.processCardPlay(room, players, roundState, 'b', 3, threeBustRules);
+        room.table_total = 9;
+        const result = game.processCardPlay(room, players, roundState, 'c', 1, threeBustRules);
+        expect(result.roundOver).toBe(true);
+    });
+
+    it('a busted player cannot play again this round', () => {
+        game.processCardPlay(room, players, roundState, 'b', 3, twoBustRules);
+        room.turn_player_id = 'b';
+        const result = game.processCardPlay(room, players, roundState, 'b', 0, twoBustRules);
+        expect(result.success).toBe(false);
+        expect(result.error).toMatch(/busted/i);
+    });
+
+    it('validateRules keeps MAX_BUSTS below the table size and checks BUST_TOTAL_MODE', () => {
+        expect(game.createRules('classic', { MAX_BUSTS: 0 }).valid).toBe(false);
+        expect(game.createRules('classic', { MAX_BUSTS: 4 }).valid).toBe(false);
+        expect(game.createRules('classic', { BUST_TOTAL_MODE: 'double' }).valid).toBe(false);
+    });
+});
+
 describe('game.endRound - weighted pot distribution', () => {
     it('splits the pot proportionally to survivors\' bets, remainder to the last survivor', () => {
         const room = makeRoom({ pot_cents: 200000, starting_player_index: 0 });
@@ -494,6 +987,155 @@ describe('game.endRound - weighted pot distribution', () => {
     });
 });
 
+describe('game.endRound - side pots (POT_MODE rule)', () => {
+    const sidePotRules = game.createRules('classic', { POT_MODE: 'side_pots' }).rules;
+
+    it('caps a short all-in at what they put in from each opponent', () => {
+        const room = makeRoom({ pot_cents: 155000 });
+        const players = ['a', 'b', 'c', 'd'].map(id => makePlayer(id, { money_cents: 0 }));
+        const roundState = makeRoundState({
+            bets_json: { a: 5000, b: 50000, c: 50000, d: 50000 }
+        });
+
+        const result = game.endRound(room, players, roundState, 'd', sidePotRules);
+
+        // Main pot: 4 x $50 = $200 split three ways. Side pot: 3 x $450 = $1350, b and c only.
+        expect(result.potDistributions).toEqual({ a: 6666, b: 74166, c: 74168 });
+        expect(result.totalDistributed).toBe(155000);
+
+        const entry = roundState.log_json.at(-1);
+        expect(entry.sidePots).toHaveLength(2);
+        expect(entry.sidePots[0]).toMatchObject({ amount: 20000, cap: 5000, eligible: ['a', 'b', 'c'] });
+        expect(entry.sidePots[1]).toMatchObject({ amount: 135000, cap: 50000, eligible: ['b', 'c'] });
+    });
+
+    it('returns money above every survivor\'s bet to whoever bet it', () => {
+        const room = makeRoom({ pot_cents: 80000 });
+        const players = ['a', 'b', 'd'].map(id => makePlayer(id, { money_cents: 0 }));
+        const roundState = makeRoundState({ bets_json: { a: 10000, b: 20000, d: 50000 } });
+
+        const result = game.endRound(room, players, roundState, 'd', sidePotRules);
+
+        // $300 main (a, b), $200 side (b), then d's unmatched $300 back to d.
+        expect(result.potDistributions).toEqual({ a: 15000, b: 35000, d: 30000 });
+        expect(result.totalDistributed).toBe(80000);
+        expect(roundState.log_json.at(-1).sidePots.at(-1)).toMatchObject({ amount: 30000, cap: null, refund: true, eligible: ['d'] });
+        expect(players.find(p => p.id === 'd').money_cents).toBe(30000);
+    });
+
+    it('never lets a short all-in survivor win more than they put in from a bigger bettor who busts', () => {
+        const room = makeRoom({ pot_cents: 55000 });
+        const players = ['a', 'd'].map(id => makePlayer(id, { money_cents: 0 }));
+        const roundState = makeRoundState({ bets_json: { a: 5000, d: 50000 } });
+
+        const result = game.endRound(room, players, roundState, 'd', sidePotRules);
+
+        // a wins their $50 back plus $50 of d's; d gets the unmatched $450 back.
+        expect(result.potDistributions).toEqual({ a: 10000, d: 45000 });
+        expect(roundState.log_json.at(-1).message).toContain('Pots: $100 to 1 player, $450 returned to 1 player.');
+    });
+
+    it('still applies the FIRST bonus inside a layer', () => {
+        const room = makeRoom({ pot_cents: 60000 });
+        const players = ['a', 'b', 'c'].map(id => makePlayer(id, { money_cents: 0 }));
+        const roundState = makeRoundState({
+            bets_json: { a: 20000, b: 20000, c: 20000 },
+            position_choice: 'first',
+            highest_bettor_id: 'a'
+        });
+
+        const result = game.endRound(room, players, roundState, 'c', sidePotRules);
+
+        expect(result.potDistributions['a']).toBeGreaterThan(result.potDistributions['b']);
+        expect(result.totalDistributed).toBe(60000);
+    });
+
+    it('leaves the default weighted split alone and logs no side pots', () => {
+        const room = makeRoom({ pot_cents: 155000 });
+        const players = ['a', 'b', 'c', 'd'].map(id => makePlayer(id, { money_cents: 0 }));
+        const roundState = makeRoundState({
+            bets_json: { a: 5000, b: 50000, c: 50000, d: 50000 }
+        });
+
+        const result = game.endRound(room, players, roundState, 'd');
+
+        // 5000/105000 of the whole pot - more than the side-pot cap allows
+        expect(result.potDistributions['a']).toBe(7380);
+        expect(roundState.log_json.at(-1).sidePots).toBeNull();
+    });
+
+    it('computePotShares previews a payout without moving any money', () => {
+        const players = ['a', 'b', 'c'].map(id => makePlayer(id, { money_cents: 0 }));
+        const roundState = makeRoundState({ bets_json: { a: 5000, b: 50000, c: 50000 } });
+
+        const { potDistributions } = game.computePotShares(players, players.slice(0, 2), roundState, 105000, sidePotRules);
+
+        expect(potDistributions).toEqual({ a: 7500, b: 97500 });
+        expect(players.every(p => p.money_cents === 0)).toBe(true);
+    });
+
+    it('validateRules rejects an unknown POT_MODE', () => {
+        const result = game.createRules('classic', { POT_MODE: 'winner_takes_all' });
+        expect(result.valid).toBe(false);
+        expect(result.error).toMatch(/POT_MODE/);
+    });
+});
+
+describe('team mode (TEAM_MODE rule)', () => {
+    const teamRules = (partnerBust = 'share') => game.createRules('teams', { TEAM_PARTNER_BUST: partnerBust }).rules;
+    // Seats 0/2 are Team 1 (a, c), seats 1/3 Team 2 (b, d).
+    const seatTeams = () => ['a', 'b', 'c', 'd'].map((id, i) => makePlayer(id, { seat_index: i, money_cents: 0 }));
+    const evenRound = () => makeRoundState({ bets_json: { a: 10000, b: 10000, c: 10000, d: 10000 } });
+
+    it('pools each team\'s shares and splits them between both partners', () => {
+        const players = seatTeams();
+        const roundState = evenRound();
+
+        const result = game.endRound(makeRoom({ pot_cents: 40000 }), players, roundState, 'd', teamRules());
+
+        // b is d's partner, so d still takes half of b's $133.33 share.
+        expect(result.potDistributions).toEqual({ a: 13333, c: 13334, b: 6666, d: 6667 });
+        expect(roundState.log_json.at(-1).teamPots).toEqual([26667, 13333]);
+        expect(result.totalDistributed).toBe(40000);
+    });
+
+    it('halve moves half of the busting team\'s pool to the other team', () => {
+        const result = game.endRound(makeRoom({ pot_cents: 40000 }), seatTeams(), evenRound(), 'd', teamRules('halve'));
+        expect(result.potDistributions).toEqual({ a: 16666, c: 16667, b: 3333, d: 3334 });
+    });
+
+    it('forfeit hands the busting team\'s whole pool to the other team', () => {
+        const result = game.endRound(makeRoom({ pot_cents: 40000 }), seatTeams(), evenRound(), 'd', teamRules('forfeit'));
+        expect(result.potDistributions).toEqual({ a: 20000, c: 20000, b: 0, d: 0 });
+    });
+
+    it('checkGameOver ends the game once a whole team is broke', () => {
+        const players = seatTeams();
+        players[0].money_cents = 50000;
+        players[1].money_cents = 30000;
+        expect(game.checkGameOver(players, teamRules())).toBeNull();
+
+        players[1].money_cents = 0;
+        const winner = game.checkGameOver(players, teamRules());
+        expect(winner).toMatchObject({ id: 'a', team: 0, teamPlayerIds: ['a', 'c'], teamMoney: 50000 });
+    });
+
+    it('startNewRound reports game over for a wiped-out team even with 2+ players left', () => {
+        const players = seatTeams();
+        players[0].money_cents = 50000;
+        players[2].money_cents = 50000;
+        const result = game.startNewRound(makeRoom(), players, teamRules());
+        expect(result.gameOver).toBe(true);
+        expect(result.winner.teamPlayerIds).toEqual(['a', 'c']);
+    });
+
+    it('validateRules requires exactly 4 seats for team mode', () => {
+        const result = game.createRules('teams', { MAX_PLAYERS: 6 });
+        expect(result.valid).toBe(false);
+        expect(result.error).toMatch(/4 seats/);
+    });
+});
+
 describe('game.checkGameOver', () => {
     it('returns the sole remaining player once everyone else is broke', () => {
         const players = [makePlayer('a', { money_cents: 100000 }), makePlayer('b', { money_cents: 0 })];
@@ -0,0 +1,68 @@
+/**
+ * Tests for server/heartbeat.js - pinging every connection and dropping
+ * the ones that stop answering. Sockets and the server are in-memory
+ * stand-ins; server.test.js covers latency reaching a real room.
+ */
+import { describe, it, expect } from 'vitest';
+import { EventEmitter } from 'node:events';
+import { Heartbeat } from '../server/heartbeat.js';
+
+// Just enough of a ws socket: counts pings, remembers being terminated.
+function fakeSocket() {
+    const ws = new EventEmitter();
+    ws.pings = 0;
+    ws.terminated = false;
+    ws.ping = () => { ws.pings++; };
+    ws.terminate = () => { ws.terminated = true; };
+    return ws;
+}
+
+function fakeServer(...sockets) {
+    const wss = new EventEmitter();
+    wss.clients = new Set();
+    wss.connect = (ws) => {
+        wss.clients.add(ws);
+        wss.emit('connection', ws);
+    };
+    sockets.forEach(ws => wss.connect(ws));
+    return wss;
+}
+
+describe('Heartbeat', () => {
+    it('pings every connection, reports round trips, and terminates one that missed a ping', () => {
+        const live = fakeSocket();
+        const dead = fakeSocket();
+        const wss = fakeServer();
+        const latencies = [];
+        const heartbeat = new Heartbeat(wss, { onLatency: (ws, ms) => latencies.push([ws, ms]) });
+        wss.connect(live);
+        wss.connect(dead);
+
+        heartbeat.beat();
+        expect([live.pings, dead.pings]).toEqual([1, 1]);
+        live.emit('pong');
+        expect(latencies).toHaveLength(1);
+        expect(latencies[0][0]).toBe(live);
+        expect(latencies[0][1]).toBeGreaterThanOrEqual(0);
+
+        heartbeat.beat();
+        expect(dead.terminated).toBe(true);
+        expect(live.terminated).toBe(false);
+        expect(live.pings).toBe(2);
+
+        // A pong with no ping outstanding isn't a measurement.
+        live.emit('pong');
+        live.emit('pong');
+        expect(latencies).toHaveLength(2);
+    });
+
+    it('starts and stops its interval once', () => {
+        const heartbeat = new Heartbeat(fakeServer(), { intervalMs: 60_000 });
+        heartbeat.start();
+        const timer = heartbeat.timer;
+        heartbeat.start();
+        expect(heartbeat.timer).toBe(timer);
+        heartbeat.stop();
+        expect(heartbeat.timer).toBe(null);
+    });
+});
@@ -0,0 +1,154 @@
+/**
+ * Headless unit tests for engine/history.js - recording a game as
+ * structured events and replaying it back into the identical state.
+ * The driver below makes the same engine calls, in the same order, that
+ * server/rooms.js does, recording each one the way the server does.
+ */
+import { describe, it, expect } from 'vitest';
+import * as game from '../engine/game.js';
+import * as history from '../engine/history.js';
+
+function makeGame(seatCount = 4) {
+    const room = {
+        code: 'ABCD',
+        host_id: 'p0',
+        status: 'in_game',
+        current_round: 0,
+        starting_player_index: 0,
+        pot_cents: 0,
+        table_total: 0,
+        phase: 'lobby',
+        turn_player_id: null
+    };
+    const players = Array.from({ length: seatCount }, (_, i) => ({
+        id: `p${i}`,
+        name: `P${i}`,
+        seat_index: i,
+        money_cents: game.GAME_CONSTANTS.STARTING_MONEY,
+        status: 'active',
+        is_bot: false,
+        connected: true
+    }));
+    return { room, players, hands: new Map(), deck: [], roundState: null };
+}
+
+// One full round: the first bettor raises, everyone else calls, the raiser
+// finalizes, then each player plays their lowest card until the round ends.
+function playRound(state, log, rules, seed) {
+    const { room, players } = state;
+    const record = (event) => history.recordEvent(log, event, state.roundState);
+    const contenders = () => game.getRoundContenders(players, state.roundState);
+
+    const dealt = game.startNewRound(room, players, rules, seed);
+    state.roundState = dealt.roundState;
+    state.hands = new Map(Object.entries(dealt.hands));
+    state.deck = dealt.deck;
+    record({ type: 'deal', round: dealt.round, seed, hands: dealt.hands, deck: dealt.deck });
+
+    while (room.phase === 'betting') {
+        const playerId = room.turn_player_id;
+        const bets = state.roundState.bets_json;
+        const action = bets[playerId] ? 'finalize' : Object.keys(bets).length === 0 ? 'bet' : 'call';
+        const amount = action === 'bet' ? rules.RAISE_AMOUNTS[0] : null;
+        expect(game.processBet(room, players, state.roundState, playerId, action, amount, rules).success).toBe(true);
+        record({ type: 'bet', playerId, action, amount });
+
+        const active = players.filter(p => p.status === 'active');
+        if (game.isBettingComplete(active, state.roundState.finalized_json, state.roundState.folded_json)) {
+            game.transitionToPlaying(room, active, state.roundState, rules);
+            record({ type: 'start_playing' });
+            if (state.roundState.awaiting_position_choice) {
+                game.applyPositionChoice(room, active, state.roundState, 'first');
+                record({ type: 'position_choice', choice: 'first' });
+            }
+            game.dealRemainingHands(contenders(), state.hands, state.deck, state.roundState.cards_per_player);
+            record({ type: 'deal_rest' });
+        } else {
+            const actor = players.find(p => p.id === playerId);
+            const next = game.getNextBettingPlayer(active, actor.seat_index, state.roundState.finalized_json);
+            room.turn_player_id = next.id;
+            record({ type: 'turn', playerId: next.id });
+        }
+    }
+
+    while (room.phase === 'playing') {
+        const playerId = room.turn_player_id;
+        const hand = state.hands.get(playerId);
+        const value = Math.min(...hand);
+        const result = game.processCardPlay(room, players, state.roundState, playerId, value, rules);
+        expect(result.success).toBe(true);
+        hand.splice(hand.indexOf(value), 1);
+        record({ type: 'card', playerId, value });
+
+        const exhausted = contenders().every(p => state.hands.get(p.id).length === 0);
+        if ((result.bust && result.roundOver) || exhausted) {
+            const eliminatedPlayerId = result.bust ? playerId : null;
+            game.endRound(room, players, state.roundState, eliminatedPlayerId, rules);
+            record({ type: 'round_end', eliminatedPlayerId });
+        }
+    }
+}
+
+function withoutPresence(players) {
+    return players.map(({ connected, disconnectedAt, ...rest }) => rest);
+}
+
+describe('history.replayHistory', () => {
+    it('rebuilds the identical room, players and round state', () => {
+        const rules = game.DEFAULT_RULES;
+        const state = makeGame();
+        const log = history.createHistory(state.room, state.players, rules);
+        playRound(state, log, rules, 11);
+        playRound(state, log, rules, 12);
+
+        const replay = history.replayHistory(log);
+        expect(replay.success).toBe(true);
+        expect(replay.room).toEqual(state.room);
+        expect(replay.players).toEqual(withoutPresence(state.players));
+        expect(replay.roundState).toEqual(state.roundState);
+        expect(replay.hands).toEqual(Object.fromEntries(state.hands));
+        expect(replay.deck).toEqual(state.deck);
+    });
+
+    it('records the deal and seed on every round and conserves money', () => {
+        const rules = game.DEFAULT_RULES;
+        const state = makeGame();
+        const log = history.createHistory(state.room, state.players, rules);
+        const startingTotal = state.players.reduce((sum, p) => sum + p.money_cents, 0);
+        playRound(state, log, rules, 5);
+
+        const deal = log.events.find(e => e.type === 'deal');
+        expect(deal).toMatchObject({ seq: 1, round: 1, seed: 5 });
+        expect(Object.values(deal.hands).flat().length + deal.deck.length).toBe(40);
+
+        // Part-way through (after the bets) the money is in the pot; at the
+        // end it's back with the players - never created or lost.
+        const midBets = log.events.findLast(e => e.type === 'bet').seq;
+        for (const seq of [midBets, Infinity]) {
+            const replay = history.replayHistory(log, seq);
+            const total = replay.players.reduce((sum, p) => sum + p.money_cents, 0) + replay.room.pot_cents;
+            expect(total).toBe(startingTotal);
+        }
+    });
+
+    it('names the first event that no longer replays', () => {
+        const rules = game.DEFAULT_RULES;
+        const state = makeGame();
+        const log = history.createHistory(state.room, state.players, rules);
+        playRound(state, log, rules, 3);
+
+        const card = log.events.find(e => e.type === 'card');
+        card.playerId = log.events.find(e => e.type === 'card' && e.playerId !== card.playerId).playerId;
+
+        const replay = history.replayHistory(log);
+        expect(replay.success).toBe(false);
+        expect(replay.error).toMatch(new RegExp(`Event ${card.seq} \\(card\\)`));
+    });
+
+    it('leaves presence fields out of the starting snapshot', () => {
+        const state = makeGame(2);
+        const log = history.createHistory(state.room, state.players);
+        expect(log.players[0]).not.toHaveProperty('connected');
+        expect(log.players[0].money_cents).toBe(game.GAME_CONSTANTS.STARTING_MONEY);
+    });
+});
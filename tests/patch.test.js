@@ -0,0 +1,66 @@
+/**
+ * Headless unit tests for engine/patch.js - the state deltas the server
+ * sends in place of full states. Whatever diffState produces, applyPatch
+ * must turn the old state into exactly the new one.
+ */
+import { describe, it, expect } from 'vitest';
+import { diffState, applyPatch } from '../engine/patch.js';
+
+describe('diffState / applyPatch', () => {
+    it('round-trips nested changes, removals, awkward keys and type changes', () => {
+        const before = {
+            room: { phase: 'betting', pot_cents: 200, turn_player_id: 'a' },
+            players: [{ id: 'a', money_cents: 900 }, { id: 'b', money_cents: 900 }, { id: 'c', money_cents: 0 }],
+            roundState: { bets_json: { a: 100 }, 'odd/key~': 1 },
+            yourHand: [1, 4, 7],
+            turnClock: { deadline: 5 }
+        };
+        const after = {
+            room: { phase: 'playing', pot_cents: 400, turn_player_id: 'b' },
+            players: [{ id: 'a', money_cents: 800 }, { id: 'b', money_cents: 800 }],
+            roundState: { bets_json: { a: 100, b: 100 }, 'odd/key~': 2 },
+            yourHand: [4, 7],
+            turnClock: null,
+            winner: { id: 'a' }
+        };
+
+        const ops = diffState(before, after);
+        expect(ops).toContainEqual({ op: 'replace', path: '/roundState/odd~1key~0', value: 2 });
+        expect(applyPatch(before, ops)).toEqual({ success: true, doc: after });
+        expect(before.players).toHaveLength(3); // the base is left alone
+        expect(diffState(after, structuredClone(after))).toEqual([]);
+    });
+
+    it('round-trips keys named like Object.prototype members', () => {
+        // playerIds are client-chosen, so maps keyed by them can hold these
+        const before = JSON.parse('{"bets":{"constructor":100,"a":50},"players":{"toString":{"money":1}}}');
+        const after = JSON.parse('{"bets":{"a":50,"__proto__":{"money":5}},"players":{"toString":{"money":2},"hasOwnProperty":3}}');
+
+        const ops = diffState(before, after);
+        expect(ops).toContainEqual({ op: 'remove', path: '/bets/constructor' });
+        expect(ops).toContainEqual({ op: 'add', path: '/bets/__proto__', value: { money: 5 } });
+        expect(ops).toContainEqual({ op: 'add', path: '/players/hasOwnProperty', value: 3 });
+        const { success, doc } = applyPatch(before, ops);
+        expect(success).toBe(true);
+        expect(JSON.stringify(doc)).toBe(JSON.stringify(after));
+        expect(Object.getPrototypeOf(doc.bets)).toBe(Object.prototype);
+        expect(diffState(after, JSON.parse(JSON.stringify(after)))).toEqual([]);
+
+        // A path through an inherited name goes nowhere.
+        expect(applyPatch({}, [{ op: 'add', path: '/__proto__/polluted', value: 1 }]).success).toBe(false);
+        expect({}.polluted).toBeUndefined();
+    });
+
+    it('sends a growing log as appends and rejects a patch for a different base', () => {
+        const log = [{ action: 'bet' }, { action: 'call' }];
+        const before = { roundState: { log_json: log } };
+        const after = { roundState: { log_json: [...log, { action: 'finalize' }] } };
+
+        const ops = diffState(before, after);
+        expect(ops).toEqual([{ op: 'add', path: '/roundState/log_json/2', value: { action: 'finalize' } }]);
+
+        const wrongBase = { roundState: { log_json: [] } };
+        expect(applyPatch(wrongBase, ops)).toEqual({ success: false, error: 'Index out of range: /roundState/log_json/2' });
+        expect(applyPatch({}, ops).success).toBe(false);
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * Tests for server/persistence.js's RoomStore and the restart path through
+ * RoomManager.flush/restoreAll - a game saved by one RoomManager carries
+ * on in a fresh one, as it would across a redeploy. Sockets are in-memory
+ * stand-ins; server.test.js covers the real WebSocket protocol.
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { RoomStore } from '../server/persistence.js';
+import { RoomManager } from '../server/rooms.js';
+import { PROTOCOL_VERSION } from '../engine/protocol.js';
+
+let dir;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'not10-rooms-'));
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Just enough of a ws socket for RoomManager: records everything sent to it.
+// Connect it with hello() before sending anything else, as a browser does.
+function fakeSocket() {
+    return {
+        OPEN: 1,
+        readyState: 1,
+        sent: [],
+        send(raw) { this.sent.push(JSON.parse(raw)); },
+        close() { this.readyState = 3; },
+        lastState() { return this.sent.filter(m => m.type === 'state').at(-1); }
+    };
+}
+
+function hello(manager, ws) {
+    manager.handleMessage(ws, JSON.stringify({ type: 'hello', protocolVersion: PROTOCOL_VERSION }));
+    return ws;
+}
+
+describe('RoomStore', () => {
+    it('saves, loads and removes one file per room', () => {
+        const store = new RoomStore(dir);
+        store.save('ABC234', { version: 1, room: { code: 'ABC234' } });
+        store.save('ABC234', { version: 1, room: { code: 'ABC234' }, updated: true });
+
+        expect(fs.readdirSync(dir)).toEqual(['ABC234.json']); // no .tmp left behind
+        expect(store.loadAll()).toEqual([{ version: 1, room: { code: 'ABC234' }, updated: true }]);
+
+        store.remove('ABC234');
+        expect(store.loadAll()).toEqual([]);
+    });
+
+    it('skips a file that will not parse instead of failing to start', () => {
+        const store = new RoomStore(dir);
+        store.save('GOOD22', { version: 1 });
+        fs.writeFileSync(path.join(dir, 'BROKEN.json'), '{"version": 1, "room": ');
+        expect(store.loadAll()).toEqual([{ version: 1 }]);
+    });
+
+    it('refuses a room code that is not a plain room code', () => {
+        const store = new RoomStore(dir);
+        expect(() => store.save('../etc', {})).toThrow(/Invalid room code/);
+    });
+});
+
+describe('RoomManager restart', () => {
+    it('a game saved by one server resumes in the next, and the player rejoins their seat', () => {
+        const before = new RoomManager({ store: new RoomStore(dir) });
+        const ws = hello(before, fakeSocket());
+        before.handleMessage(ws, JSON.stringify({ type: 'create_room', playerId: 'p-restart', name: 'Solo' }));
+        before.handleMessage(ws, JSON.stringify({ type: 'set_ready', ready: true }));
+        before.handleMessage(ws, JSON.stringify({ type: 'start_game' }));
+        const live = ws.lastState();
+        expect(live.room.status).toBe('in_game');
+
+        before.flush();
+        before.stop();
+
+        const after = new RoomManager({ store: new RoomStore(dir) });
+        try {
+            expect(after.restoreAll()).toBe(1);
+            const room = after.rooms.get(live.room.code);
+            expect(room.players.find(p => p.id === 'p-restart').connected).toBe(false);
+
+            const back = hello(after, fakeSocket());
+            after.handleMessage(back, JSON.stringify({
+                type: 'rejoin', playerId: 'p-restart', roomCode: live.room.code, sessionToken: live.sessionToken
+            }));
+            const resumed = back.lastState();
+            expect(resumed.yourHand).toEqual(live.yourHand);
+            expect(resumed.room.current_round).toBe(live.room.current_round);
+            expect(resumed.players.map(p => p.money_cents)).toEqual(live.players.map(p => p.money_cents));
+        } finally {
+            after.stop();
+            for (const room of after.rooms.values()) {
+                for (const timer of room.disconnectTimers.values()) clearTimeout(timer);
+            }
+        }
+    });
+
+    it('removes a room\'s file once the room is gone', () => {
+        const manager = new RoomManager({ store: new RoomStore(dir) });
+        const ws = hello(manager, fakeSocket());
+        manager.handleMessage(ws, JSON.stringify({ type: 'create_room', playerId: 'p-gone', name: 'Host' }));
+        manager.flush();
+        expect(fs.readdirSync(dir)).toHaveLength(1);
+
+        manager.handleMessage(ws, JSON.stringify({ type: 'leave_room' }));
+        manager.stop();
+        expect(fs.readdirSync(dir)).toHaveLength(0);
+    });
+});
@@ -0,0 +1,49 @@
+/**
+ * Headless unit tests for engine/protocol.js - the message schemas both
+ * ends validate against. server.test.js covers the hello handshake and
+ * the error codes over a real connection.
+ */
+import { describe, it, expect } from 'vitest';
+import { CLIENT_MESSAGES, SERVER_MESSAGES, ERROR_CODES, connectionQuality, validateMessage } from '../engine/protocol.js';
+
+const client = (msg) => validateMessage(msg, CLIENT_MESSAGES);
+
+describe('validateMessage', () => {
+    it('accepts well-formed client messages and names the field that is wrong', () => {
+        expect(client({ type: 'bet', action: 'bet', amount: 10000 })).toEqual({ valid: true, error: null });
+        expect(client({ type: 'bet', action: 'call', amount: null }).valid).toBe(true);
+        expect(client({ type: 'rejoin', playerId: 'p1', roomCode: 'ABC234', sessionToken: 't' }).valid).toBe(true);
+        expect(client({ type: 'rejoin', playerId: 'p1', roomCode: 'ABC234' })).toMatchObject({ field: 'sessionToken', error: 'sessionToken is required' });
+        expect(client({ type: 'rejoin', playerId: 'p1', roomCode: 'ABC234', sessionToken: null })).toMatchObject({ field: 'sessionToken' });
+        expect(client({ type: 'rejoin', playerId: 'p1', roomCode: 'ABC234', sessionToken: '' })).toMatchObject({ error: 'sessionToken cannot be empty' });
+
+        expect(client({ type: 'choose_position', choice: 'middle' })).toMatchObject({
+            valid: false, code: ERROR_CODES.BAD_MESSAGE, field: 'choice', error: 'choice must be one of: first, last'
+        });
+        expect(client({ type: 'bet', action: 'bet', amount: '100' })).toMatchObject({ field: 'amount', error: 'amount must be a whole number' });
+        expect(client({ type: 'bet', action: 'bet', amount: -5 })).toMatchObject({ field: 'amount' });
+        expect(client({ type: 'play_card' })).toMatchObject({ field: 'value', error: 'value is required' });
+        expect(client({ type: 'join_room', playerId: 'p1', name: 'x'.repeat(101), roomCode: 'ABC234' })).toMatchObject({ field: 'name' });
+        expect(client({ type: 'set_ready', ready: true, admin: true })).toMatchObject({ field: 'admin', error: 'Unexpected field in set_ready: admin' });
+        expect(client({ type: 'set_ready', ready: true, clientSeq: 7 }).valid).toBe(true);
+        expect(client({ type: 'list_rooms', clientSeq: 7 })).toMatchObject({ field: 'clientSeq' }); // not an intent
+    });
+
+    it('rejects unknown types and non-objects, and checks server messages as open schemas', () => {
+        expect(client({ type: 'make_me_host' })).toMatchObject({ valid: false, code: ERROR_CODES.UNKNOWN_TYPE });
+        expect(client({ type: 'toString' })).toMatchObject({ code: ERROR_CODES.UNKNOWN_TYPE });
+        expect(client([1, 2])).toMatchObject({ valid: false, code: ERROR_CODES.BAD_MESSAGE });
+        expect(client(null).valid).toBe(false);
+
+        const event = { type: 'event', seq: 3, event: 'card_played', playerId: 'p1', value: 4, total: 9 };
+        expect(validateMessage(event, SERVER_MESSAGES, { open: true }).valid).toBe(true);
+        expect(validateMessage({ type: 'error', code: 'oops', message: 'x' }, SERVER_MESSAGES, { open: true })).toMatchObject({ field: 'code' });
+    });
+});
+
+describe('connectionQuality', () => {
+    it('buckets round trips, and knows nothing before a first measurement', () => {
+        expect([40, 150, 151, 400, 401, 3000].map(connectionQuality)).toEqual(['good', 'good', 'fair', 'fair', 'poor', 'poor']);
+        expect(connectionQuality(null)).toBe(null);
+    });
+});
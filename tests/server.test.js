@@ -12,15 +12,30 @@
  * engine together over time and multiple connections - exactly what
  * this file checks going forward.
  */
-import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import fs from 'node:fs';
 import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
 import { WebSocketServer, WebSocket } from 'ws';
 import { RoomManager } from '../server/rooms.js';
+import { AccountStore } from '../server/accounts.js';
+import { MatchStore } from '../server/matches.js';
+import { replayHistory } from '../engine/history.js';
+import { verifyRound } from '../engine/fairness.js';
+import { applyPatch } from '../engine/patch.js';
+import { PROTOCOL_VERSION, SERVER_MESSAGES, validateMessage } from '../engine/protocol.js';
 
-let server, wss, roomManager, port;
+let server, wss, roomManager, port, accountsDir, matchesDir;
 
 beforeAll(async () => {
-    roomManager = new RoomManager();
+    accountsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'not10-server-accounts-'));
+    matchesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'not10-server-matches-'));
+    roomManager = new RoomManager({
+        allowSeededRooms: true,
+        accounts: new AccountStore(accountsDir),
+        matches: new MatchStore(matchesDir)
+    });
     server = http.createServer();
     wss = new WebSocketServer({ server, path: '/ws' });
     wss.on('connection', (ws) => {
@@ -35,14 +50,21 @@ afterAll(async () => {
     roomManager.stop();
     await new Promise((resolve) => wss.close(resolve));
     await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(accountsDir, { recursive: true, force: true });
+    fs.rmSync(matchesDir, { recursive: true, force: true });
 });
 
-function client() {
+// Opens with the same hello a current browser client sends, and keeps
+// every message it receives (`received`) for schema checks.
+function client({ hello = { type: 'hello', protocolVersion: PROTOCOL_VERSION } } = {}) {
     const ws = new WebSocket(`ws://127.0.0.1:${port}/ws`);
     const queue = [];
     const waiters = [];
+    const received = [];
+    if (hello) ws.on('open', () => ws.send(JSON.stringify(hello)));
     ws.on('message', (raw) => {
         const data = JSON.parse(raw.toString());
+        received.push(data);
         const waiter = waiters.find(w => w.predicate(data));
         if (waiter) {
             waiters.splice(waiters.indexOf(waiter), 1);
@@ -53,6 +75,7 @@ function client() {
     });
     return {
         ws,
+        received,
         ready: new Promise((resolve) => ws.on('open', resolve)),
         send: (msg) => ws.send(JSON.stringify(msg)),
         // Discards anything already buffered - use right before an action
@@ -75,10 +98,10 @@ function client() {
     };
 }
 
-async function soloGame(playerId = 'p-' + Math.random().toString(36).slice(2, 8)) {
+async function soloGame(playerId = 'p-' + Math.random().toString(36).slice(2, 8), roomOptions = {}) {
     const c = client();
     await c.ready;
-    c.send({ type: 'create_room', playerId, name: 'Solo' });
+    c.send({ type: 'create_room', playerId, name: 'Solo', ...roomOptions });
     const created = await c.waitFor(d => d.type === 'state' && d.room?.status === 'lobby');
     const roomCode = created.room.code;
     c.send({ type: 'set_ready', ready: true });
@@ -104,6 +127,200 @@ describe('solo Play vs AI room setup', () => {
     }, 15000);
 });
 
+describe('big tables', () => {
+    it('fills a big_table room to 8 seats with distinctly named bots and short hands', async () => {
+        const c = client();
+        await c.ready;
+        c.send({ type: 'create_room', playerId: 'big-' + Math.random().toString(36).slice(2, 8), name: 'Host', preset: 'big_table' });
+        await c.waitFor(d => d.type === 'state' && d.room?.status === 'lobby');
+        c.send({ type: 'set_ready', ready: true });
+        c.send({ type: 'start_game' });
+        const state = await c.waitFor(d => d.type === 'state' && d.room?.status === 'in_game');
+
+        expect(state.players).toHaveLength(8);
+        expect(state.players.map(p => p.seat_index).sort()).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+        expect(new Set(state.players.map(p => p.name)).size).toBe(8);
+        expect(state.roundState.cards_per_player).toBe(state.rules.CARDS_PER_PLAYER_LARGE);
+        expect(state.yourHand).toHaveLength(Math.ceil(state.rules.CARDS_PER_PLAYER_LARGE / 2));
+        c.close();
+    }, 15000);
+});
+
+describe('per-room rule sets', () => {
+    it('create_room with a preset seats everyone under that rule set and broadcasts it', async () => {
+        const c = client();
+        await c.ready;
+        c.send({ type: 'create_room', playerId: 'rules-' + Math.random().toString(36).slice(2, 8), name: 'Host', preset: 'high_stakes' });
+        const created = await c.waitFor(d => d.type === 'state');
+        expect(created.rules.PRESET).toBe('high_stakes');
+        expect(created.players[0].money_cents).toBe(created.rules.STARTING_MONEY);
+        expect(roomManager.rooms.get(created.room.code).rules.PRESET).toBe('high_stakes');
+        c.close();
+    });
+
+    it('rejects create_room with an invalid rule override', async () => {
+        const c = client();
+        await c.ready;
+        c.send({ type: 'create_room', playerId: 'rules-bad-' + Math.random().toString(36).slice(2, 8), name: 'Host', rules: { BUST_THRESHOLD: 0 } });
+        const rejected = await c.waitFor(d => d.type === 'error');
+        expect(rejected.message).toMatch(/bust threshold/i);
+        c.close();
+    });
+});
+
+describe('seeded rooms', () => {
+    // Everything random that's visible by the human's first turn - seat
+    // order, bot personalities, the deal and every bot bet before it -
+    // keyed by seat, since player ids and room codes differ per game.
+    function firstTurnBySeat(state) {
+        return state.players.map(p => ({
+            seat: p.seat_index,
+            personality: p.personality ?? null,
+            bet: state.roundState.bets_json[p.id] ?? null
+        }));
+    }
+
+    it('replays the same deal and the same bot bets from the same seed', async () => {
+        const one = await soloGame(undefined, { seed: 2024 });
+        const two = await soloGame(undefined, { seed: 2024 });
+
+        expect(two.state.yourHand).toEqual(one.state.yourHand);
+        expect(two.state.room.starting_player_index).toBe(one.state.room.starting_player_index);
+        expect(firstTurnBySeat(two.state)).toEqual(firstTurnBySeat(one.state));
+        expect(one.state.room.seeded).toBe(true);
+        // Mid-round the seed would reveal every hand.
+        expect(one.state.roundState.seed).toBeUndefined();
+
+        one.c.close();
+        two.c.close();
+    }, 40000);
+
+    it('rejects a seed that is not a 32-bit whole number', async () => {
+        const c = client();
+        await c.ready;
+        c.send({ type: 'create_room', playerId: 'seed-bad-' + Math.random().toString(36).slice(2, 8), name: 'Host', seed: 1.5 });
+        const rejected = await c.waitFor(d => d.type === 'error');
+        expect(rejected.message).toMatch(/seed/i);
+        c.close();
+    });
+});
+
+describe('room history', () => {
+    it('replays the recorded events into the live room state', async () => {
+        const { c, playerId, roomCode } = await soloGame();
+        c.drain();
+        c.send({ type: 'bet', action: 'bet', amount: 10000 });
+        await c.waitFor(d => d.type === 'state' && d.roundState?.bets_json?.[playerId] === 10000);
+
+        const room = roomManager.rooms.get(roomCode);
+        const replay = replayHistory(room.history);
+        expect(replay.success).toBe(true);
+        expect(replay.room).toEqual(room.room);
+        expect(replay.roundState).toEqual(room.roundState);
+        expect(replay.players).toEqual(room.players.map(({ connected, disconnectedAt, ...rest }) => rest));
+        expect(replay.hands).toEqual(Object.fromEntries(room.hands));
+        expect(room.history.events.map(e => e.type)).toContain('bet');
+        c.close();
+    }, 20000);
+});
+
+describe('snapshot / restore', () => {
+    it('restores a room mid-betting and the human rejoins into the same turn and hand', async () => {
+        const { c, playerId, roomCode, state } = await soloGame();
+        const doc = JSON.parse(JSON.stringify(roomManager.snapshotRoom(roomCode)));
+        expect(doc.hands[playerId]).toEqual(state.yourHand);
+
+        // Take the live room down completely, then bring it back from the document.
+        c.close();
+        await new Promise(resolve => setTimeout(resolve, 100));
+        for (const timer of roomManager.rooms.get(roomCode).disconnectTimers.values()) clearTimeout(timer);
+        roomManager.rooms.delete(roomCode);
+
+        const restored = roomManager.restoreRoom(doc);
+        expect(restored).toEqual({ success: true, error: null, code: roomCode });
+        expect(roomManager.restoreRoom(doc).error).toMatch(/already running/);
+
+        const back = client();
+        await back.ready;
+        back.send({ type: 'rejoin', playerId, roomCode, sessionToken: state.sessionToken });
+        const rejoined = await back.waitFor(d => d.type === 'state' && d.room?.turn_player_id === playerId);
+        expect(rejoined.yourHand).toEqual(state.yourHand);
+
+        back.drain();
+        back.send({ type: 'bet', action: 'bet', amount: 10000 });
+        const after = await back.waitFor(d => d.type === 'state' && d.roundState?.bets_json?.[playerId] === 10000);
+        expect(after.room.turn_player_id).not.toBe(playerId);
+        back.close();
+    }, 20000);
+});
+
+describe('team rooms', () => {
+    it('switch_team moves a lobby player to a free seat on the other team', async () => {
+        const c = client();
+        await c.ready;
+        c.send({ type: 'create_room', playerId: 'team-' + Math.random().toString(36).slice(2, 8), name: 'Host', preset: 'teams' });
+        const created = await c.waitFor(d => d.type === 'state');
+        expect(created.players[0].seat_index).toBe(0);
+
+        c.send({ type: 'switch_team' });
+        const switched = await c.waitFor(d => d.type === 'state' && d.players?.[0].seat_index !== 0);
+        expect(switched.players[0].seat_index % 2).toBe(1);
+        c.close();
+    });
+
+    it('rejects switch_team in a room without teams', async () => {
+        const c = client();
+        await c.ready;
+        c.send({ type: 'create_room', playerId: 'team-none-' + Math.random().toString(36).slice(2, 8), name: 'Host' });
+        await c.waitFor(d => d.type === 'state');
+        c.send({ type: 'switch_team' });
+        const rejected = await c.waitFor(d => d.type === 'error');
+        expect(rejected.message).toMatch(/no teams/i);
+        c.close();
+    });
+});
+
+describe('play_card only accepts a card from your own hand', () => {
+    it('rejects a card value the player is not holding', async () => {
+        const { c } = await soloGame();
+        c.drain();
+        c.send({ type: 'play_card', value: 9 });
+        const rejected = await c.waitFor(d => d.type === 'error');
+        expect(rejected.message).toMatch(/don't have that card/i);
+        c.close();
+    }, 15000);
+});
+
+describe('folding', () => {
+    it('is rejected at a classic table', async () => {
+        const { c } = await soloGame();
+        c.drain();
+        c.send({ type: 'bet', action: 'fold', amount: null });
+        const rejected = await c.waitFor(d => d.type === 'error');
+        expect(rejected.message).toMatch(/not allowed/i);
+        c.close();
+    }, 15000);
+
+    it('at an ALLOW_FOLD table, sits the player out and play moves on without them', async () => {
+        const playerId = 'fold-' + Math.random().toString(36).slice(2, 8);
+        const { c } = await soloGame(playerId, { rules: { ALLOW_FOLD: true } });
+        c.drain();
+        c.send({ type: 'bet', action: 'fold', amount: null });
+        const folded = await c.waitFor(d => d.type === 'state' && d.roundState?.folded_json?.[playerId]);
+        expect(folded.room.turn_player_id).not.toBe(playerId);
+
+        // The bots finish betting among themselves; the folded player is
+        // never part of the card-play order.
+        const playing = await c.waitFor(
+            d => d.type === 'state' && d.room?.phase === 'playing'
+                && d.roundState?.round_no === folded.roundState.round_no && d.roundState?.play_order?.length > 0,
+            20000
+        );
+        expect(playing.roundState.play_order).not.toContain(playerId);
+        c.close();
+    }, 30000);
+});
+
 describe('ALL-IN / money-emptying bet auto-finalize (the reported freeze)', () => {
     it('ALL-IN auto-finalizes and the turn moves off the player immediately', async () => {
         const { c, playerId, state } = await soloGame();
@@ -178,6 +395,9 @@ describe('leaving mid-game does not freeze the room for everyone else', () => {
         b.send({ type: 'join_room', playerId: 'lb', name: 'B', roomCode });
         await b.waitFor(d => d.type === 'state' && d.players?.length === 2);
         b.send({ type: 'set_ready', ready: true });
+        // B's ready and A's start arrive on different sockets - make sure
+        // the server has seen the first before sending the second.
+        await a.waitFor(d => d.type === 'state' && d.players?.every(p => p.is_ready));
         a.send({ type: 'start_game' });
 
         await b.waitFor(d => d.type === 'state' && d.room?.status === 'in_game');
@@ -239,6 +459,9 @@ describe('a brief disconnect mid-turn does not hand the turn to the AI', () => {
         const bJoined = await b.waitFor(d => d.type === 'state' && d.players?.length === 2);
         const sessionTokenB = bJoined.sessionToken;
         b.send({ type: 'set_ready', ready: true });
+        // B's ready and A's start arrive on different sockets - make sure
+        // the server has seen the first before sending the second.
+        await a.waitFor(d => d.type === 'state' && d.players?.every(p => p.is_ready));
         a.send({ type: 'start_game' });
 
         await b.waitFor(d => d.type === 'state' && d.room?.status === 'in_game');
@@ -465,3 +688,725 @@ describe('hands exhausted without a bust ends the round as a push, not a freeze'
         c.close();
     }, 25000);
 });
+
+describe('spectators (watch_room)', () => {
+    it('watches a game already in progress with no hand and cannot act', async () => {
+        const { c, roomCode } = await soloGame();
+
+        const watcher = client();
+        await watcher.ready;
+        watcher.send({ type: 'watch_room', roomCode: roomCode.toLowerCase() });
+        const watching = await watcher.waitFor(d => d.type === 'state');
+        expect(watching.spectator).toBe(true);
+        expect(watching.room.status).toBe('in_game');
+        expect(watching.yourHand).toEqual([]);
+        expect(watching.sessionToken).toBeUndefined();
+        expect(watching.roundState).not.toHaveProperty('seed');
+        expect(watching.spectatorCount).toBe(1);
+
+        // The seated player hears about the new watcher too.
+        const seen = await c.waitFor(d => d.type === 'state' && d.spectatorCount === 1);
+        expect(seen.spectator).toBeUndefined();
+        expect(seen.yourHand.length).toBeGreaterThan(0);
+
+        watcher.drain();
+        watcher.send({ type: 'bet', action: 'all-in', amount: null });
+        const rejected = await watcher.waitFor(d => d.type === 'error');
+        expect(rejected.message).toBe('Spectators cannot take actions');
+
+        c.drain();
+        watcher.close();
+        await c.waitFor(d => d.type === 'state' && d.spectatorCount === 0);
+        expect(roomManager.rooms.get(roomCode).watchers.size).toBe(0);
+        c.close();
+    }, 15000);
+
+    it('turns watchers away once the room is at its spectator cap', async () => {
+        const host = client();
+        await host.ready;
+        host.send({ type: 'create_room', playerId: 'p-cap-host', name: 'Host' });
+        const { room: { code } } = await host.waitFor(d => d.type === 'state');
+
+        // Closed stand-ins, so broadcasts skip them - only the count matters.
+        const room = roomManager.rooms.get(code);
+        for (let i = 0; i < 20; i++) room.watchers.add({ OPEN: 1, readyState: 3 });
+
+        const late = client();
+        await late.ready;
+        late.send({ type: 'watch_room', roomCode: code });
+        const rejected = await late.waitFor(d => d.type === 'error');
+        expect(rejected.message).toMatch(/too many spectators/i);
+
+        room.watchers.clear();
+        late.send({ type: 'watch_room', roomCode: code });
+        const watching = await late.waitFor(d => d.type === 'state');
+        expect(watching.spectatorCount).toBe(1);
+
+        // A watcher can still take a lobby seat - it stops watching.
+        late.send({ type: 'join_room', playerId: 'p-cap-guest', name: 'Guest', roomCode: code });
+        const seated = await late.waitFor(d => d.type === 'state' && d.players.length === 2);
+        expect(seated.spectator).toBeUndefined();
+        expect(seated.spectatorCount).toBe(0);
+
+        host.close();
+        late.close();
+    });
+});
+
+describe('public lobbies and quick match', () => {
+    async function host(playerId, options) {
+        const c = client();
+        await c.ready;
+        c.send({ type: 'create_room', playerId, name: 'Host', ...options });
+        const { room } = await c.waitFor(d => d.type === 'state');
+        return { c, code: room.code };
+    }
+
+    it('lists open public lobbies fullest first and quick-matches into the fullest', async () => {
+        const quiet = await host('p-pub-quiet', { public: true });
+        const busy = await host('p-pub-busy', { public: true });
+        const hidden = await host('p-pub-hidden', {});
+        const guest = client();
+        await guest.ready;
+        guest.send({ type: 'join_room', playerId: 'p-pub-guest', name: 'Guest', roomCode: busy.code });
+        await guest.waitFor(d => d.type === 'state');
+
+        const browser = client();
+        await browser.ready;
+        browser.send({ type: 'list_rooms' });
+        const { rooms } = await browser.waitFor(d => d.type === 'room_list');
+        const codes = rooms.map(r => r.code);
+        expect(codes).not.toContain(hidden.code);
+        expect(codes.indexOf(busy.code)).toBeLessThan(codes.indexOf(quiet.code));
+        expect(rooms.find(r => r.code === busy.code)).toMatchObject({
+            hostName: 'Host', seated: 2, maxPlayers: 4, preset: 'classic', label: 'Classic'
+        });
+
+        browser.send({ type: 'quick_match', playerId: 'p-pub-quick', name: 'Quick', preset: 'classic' });
+        const matched = await browser.waitFor(d => d.type === 'state');
+        expect(matched.room.code).toBe(busy.code);
+        expect(matched.players).toHaveLength(3);
+
+        for (const c of [quiet.c, busy.c, hidden.c, guest, browser]) c.close();
+    });
+
+    it('opens a new public lobby when none of that preset is waiting', async () => {
+        const c = client();
+        await c.ready;
+        c.send({ type: 'quick_match', playerId: 'p-pub-new', name: 'Solo', preset: 'spicy' });
+        const created = await c.waitFor(d => d.type === 'state');
+        expect(created.room.public).toBe(true);
+        expect(created.rules.PRESET).toBe('spicy');
+        expect(created.isHost).toBe(true);
+
+        for (const preset of ['nope', 'toString', 'constructor']) {
+            c.send({ type: 'quick_match', playerId: 'p-pub-new', name: 'Solo', preset });
+            const rejected = await c.waitFor(d => d.type === 'error');
+            expect(rejected.message).toBe(`Unknown rule preset: ${preset}`);
+        }
+        c.close();
+    });
+});
+
+describe('chat and emotes', () => {
+    async function twoPlayerLobby(prefix) {
+        const host = client();
+        await host.ready;
+        host.send({ type: 'create_room', playerId: `${prefix}-host`, name: 'Host' });
+        const { room: { code } } = await host.waitFor(d => d.type === 'state');
+        const guest = client();
+        await guest.ready;
+        guest.send({ type: 'join_room', playerId: `${prefix}-guest`, name: 'Guest', roomCode: code });
+        const joined = await guest.waitFor(d => d.type === 'state');
+        return { host, guest, code, guestToken: joined.sessionToken };
+    }
+
+    it('sends chat and emotes to the whole room and replays chat on rejoin', async () => {
+        const { host, guest, code, guestToken } = await twoPlayerLobby('p-chat');
+
+        host.send({ type: 'chat', text: '  all in, who is scared?  ' });
+        const { message } = await guest.waitFor(d => d.type === 'chat');
+        expect(message).toMatchObject({ playerId: 'p-chat-host', name: 'Host', text: 'all in, who is scared?' });
+
+        host.send({ type: 'chat', text: 'x'.repeat(201) });
+        expect((await host.waitFor(d => d.type === 'error')).message).toMatch(/too long/);
+
+        guest.send({ type: 'emote', emote: 'gg' });
+        expect(await host.waitFor(d => d.type === 'emote')).toMatchObject({ playerId: 'p-chat-guest', emote: 'gg', text: 'GG' });
+        guest.send({ type: 'emote', emote: 'you stink' });
+        expect((await guest.waitFor(d => d.type === 'error')).message).toMatch(/unknown emote/i);
+
+        guest.close();
+        const back = client();
+        await back.ready;
+        back.send({ type: 'rejoin', playerId: 'p-chat-guest', roomCode: code, sessionToken: guestToken });
+        const { messages } = await back.waitFor(d => d.type === 'chat_history');
+        expect(messages.map(m => m.text)).toEqual(['all in, who is scared?']);
+
+        host.close();
+        back.close();
+    });
+
+    it('runs every message through the filter hook and rate limits chatter', async () => {
+        const { host, guest } = await twoPlayerLobby('p-filter');
+        roomManager.chatFilter = (text) => (text.includes('darn') ? null : text.replace(/heck/g, 'h***'));
+        try {
+            host.send({ type: 'chat', text: 'heck of a bet' });
+            expect((await guest.waitFor(d => d.type === 'chat')).message.text).toBe('h*** of a bet');
+
+            host.send({ type: 'chat', text: 'darn it' });
+            expect((await host.waitFor(d => d.type === 'error')).message).toBe('Message was not sent');
+
+            for (let i = 0; i < 4; i++) host.send({ type: 'emote', emote: 'ouch' });
+            expect((await host.waitFor(d => d.type === 'error')).message).toMatch(/too fast/);
+        } finally {
+            roomManager.chatFilter = null;
+            host.close();
+            guest.close();
+        }
+    });
+});
+
+describe('host moderation', () => {
+    async function lobbyWithGuest(prefix) {
+        const host = client();
+        await host.ready;
+        host.send({ type: 'create_room', playerId: `${prefix}-host`, name: 'Host' });
+        const { room: { code } } = await host.waitFor(d => d.type === 'state');
+        const guest = client();
+        await guest.ready;
+        guest.send({ type: 'join_room', playerId: `${prefix}-guest`, name: 'Guest', roomCode: code });
+        await guest.waitFor(d => d.type === 'state');
+        await host.waitFor(d => d.type === 'state' && d.players.length === 2);
+        return { host, guest, code };
+    }
+
+    it('kicks a player and keeps a banned one from joining again', async () => {
+        const { host, guest, code } = await lobbyWithGuest('p-kick');
+
+        guest.send({ type: 'kick_player', playerId: 'p-kick-host' });
+        expect((await guest.waitFor(d => d.type === 'error')).message).toBe('Only the host can kick players');
+
+        host.send({ type: 'kick_player', playerId: 'p-kick-guest', ban: true });
+        expect(await guest.waitFor(d => d.type === 'error')).toMatchObject({ reason: 'kicked' });
+        const after = await host.waitFor(d => d.type === 'state' && d.players.length === 1);
+        expect(after.players[0].id).toBe('p-kick-host');
+
+        guest.send({ type: 'join_room', playerId: 'p-kick-guest', name: 'Guest', roomCode: code });
+        expect((await guest.waitFor(d => d.type === 'error')).message).toBe('You were removed from this room');
+
+        host.close();
+        guest.close();
+    });
+
+    it('keeps a player kicked mid-game out of their seat, token or no token', async () => {
+        const { host, guest, code } = await lobbyWithGuest('p-kickgame');
+        host.send({ type: 'set_ready', ready: true });
+        guest.send({ type: 'set_ready', ready: true });
+        await host.waitFor(d => d.type === 'state' && d.players.every(p => p.is_ready));
+        host.send({ type: 'start_game' });
+        const { sessionToken } = await guest.waitFor(d => d.type === 'state' && d.room.status === 'in_game');
+
+        host.send({ type: 'kick_player', playerId: 'p-kickgame-guest' });
+        expect(await guest.waitFor(d => d.type === 'error')).toMatchObject({ reason: 'kicked' });
+        await host.waitFor(d => d.type === 'state' && d.players.find(p => p.id === 'p-kickgame-guest').connected === false);
+        guest.close();
+
+        const back = client();
+        await back.ready;
+        back.send({ type: 'rejoin', playerId: 'p-kickgame-guest', roomCode: code });
+        expect(await back.waitFor(d => d.type === 'error')).toMatchObject({ code: 'bad_message', field: 'sessionToken' });
+        back.send({ type: 'rejoin', playerId: 'p-kickgame-guest', roomCode: code, sessionToken });
+        expect(await back.waitFor(d => d.type === 'error')).toMatchObject({ code: 'forbidden', reason: 'rejoin_failed' });
+        expect(roomManager.rooms.get(code).players.find(p => p.id === 'p-kickgame-guest').connected).toBe(false);
+
+        host.close();
+        back.close();
+    });
+
+    it('locks the room to new players and spectators, and hands host over', async () => {
+        const { host, guest, code } = await lobbyWithGuest('p-lock');
+
+        host.send({ type: 'lock_room', locked: true });
+        await guest.waitFor(d => d.type === 'state' && d.room.locked === true);
+
+        const late = client();
+        await late.ready;
+        late.send({ type: 'join_room', playerId: 'p-lock-late', name: 'Late', roomCode: code });
+        expect((await late.waitFor(d => d.type === 'error')).message).toBe('Room is locked');
+        late.send({ type: 'watch_room', roomCode: code });
+        expect((await late.waitFor(d => d.type === 'error')).message).toBe('Room is locked');
+
+        host.send({ type: 'transfer_host', playerId: 'p-lock-guest' });
+        const handed = await guest.waitFor(d => d.type === 'state' && d.isHost);
+        expect(handed.room.host_id).toBe('p-lock-guest');
+        host.send({ type: 'lock_room', locked: false });
+        expect((await host.waitFor(d => d.type === 'error')).message).toBe('Only the host can lock the room');
+
+        host.close();
+        guest.close();
+        late.close();
+    });
+
+    it('moves host to another human when the host leaves mid-game', async () => {
+        const { host, guest } = await lobbyWithGuest('p-migrate');
+        host.send({ type: 'set_ready', ready: true });
+        guest.send({ type: 'set_ready', ready: true });
+        await host.waitFor(d => d.type === 'state' && d.players.every(p => p.is_ready));
+        host.send({ type: 'start_game' });
+        await guest.waitFor(d => d.type === 'state' && d.room.status === 'in_game');
+
+        guest.drain();
+        host.send({ type: 'leave_room' });
+        const migrated = await guest.waitFor(d => d.type === 'state' && d.room.host_id === 'p-migrate-guest');
+        expect(migrated.isHost).toBe(true);
+
+        host.close();
+        guest.close();
+    });
+});
+
+describe('lobby settings (update_settings)', () => {
+    it('lets only the host change settings, broadcasts them and clears ready', async () => {
+        const host = client();
+        await host.ready;
+        host.send({ type: 'create_room', playerId: 'p-set-host', name: 'Host' });
+        const { room: { code } } = await host.waitFor(d => d.type === 'state');
+        const guest = client();
+        await guest.ready;
+        guest.send({ type: 'join_room', playerId: 'p-set-guest', name: 'Guest', roomCode: code });
+        guest.send({ type: 'set_ready', ready: true });
+        await host.waitFor(d => d.type === 'state' && d.players.some(p => p.is_ready));
+
+        guest.send({ type: 'update_settings', settings: { bot_count: 1 } });
+        expect((await guest.waitFor(d => d.type === 'error')).message).toBe('Only the host can change settings');
+
+        host.send({ type: 'update_settings', rules: { MAX_PLAYERS: 6 } });
+        expect((await host.waitFor(d => d.type === 'error')).message).toBe("MAX_PLAYERS can't be changed in the lobby");
+        host.send({ type: 'update_settings', settings: { turn_timer_seconds: 5 } });
+        expect((await host.waitFor(d => d.type === 'error')).message).toMatch(/Turn timer must be 0/);
+        // Names only inherited from Object.prototype aren't settings either.
+        for (const key of ['toString', 'constructor', '__proto__']) {
+            host.send({ type: 'update_settings', settings: JSON.parse(`{"${key}": 1}`) });
+            expect((await host.waitFor(d => d.type === 'error')).message).toBe(`Unknown setting: ${key}`);
+        }
+
+        host.send({
+            type: 'update_settings',
+            rules: { STARTING_MONEY: 2000, RAISE_AMOUNTS: [50, 100] },
+            settings: { bot_count: 1, bot_personalities: ['aggressive'], turn_timer_seconds: 30 }
+        });
+        const updated = await guest.waitFor(d => d.type === 'state' && d.rules.STARTING_MONEY === 2000);
+        expect(updated.rules.RAISE_AMOUNTS).toEqual([50, 100]);
+        expect(updated.room.settings).toMatchObject({ fill_bots: true, bot_count: 1, turn_timer_seconds: 30 });
+        expect(updated.players.every(p => !p.is_ready && p.money_cents === 2000)).toBe(true);
+
+        guest.send({ type: 'set_ready', ready: true });
+        host.send({ type: 'set_ready', ready: true });
+        await host.waitFor(d => d.type === 'state' && d.players.every(p => p.is_ready));
+        host.send({ type: 'start_game' });
+        const started = await host.waitFor(d => d.type === 'state' && d.room.status === 'in_game');
+        const bots = started.players.filter(p => p.is_bot);
+        expect(started.players).toHaveLength(3);
+        expect(bots.map(p => p.personality)).toEqual(['aggressive']);
+
+        host.send({ type: 'update_settings', settings: { bot_count: 0 } });
+        expect((await host.waitFor(d => d.type === 'error')).message).toBe('Settings can only be changed in the lobby');
+
+        host.close();
+        guest.close();
+    });
+
+    it('refuses to start a game with too few players when bots are off', async () => {
+        const host = client();
+        await host.ready;
+        host.send({ type: 'create_room', playerId: 'p-nobots', name: 'Host' });
+        await host.waitFor(d => d.type === 'state');
+        host.send({ type: 'update_settings', settings: { fill_bots: false } });
+        await host.waitFor(d => d.type === 'state' && d.room.settings.fill_bots === false);
+        host.send({ type: 'set_ready', ready: true });
+        await host.waitFor(d => d.type === 'state' && d.players[0].is_ready);
+
+        host.send({ type: 'start_game' });
+        expect((await host.waitFor(d => d.type === 'error')).message).toMatch(/Need at least 2 players/);
+
+        host.close();
+    });
+});
+
+describe('turn clock', () => {
+    it('plays a default move when a human runs out of time and shortens the clock after repeat timeouts', async () => {
+        const c = client();
+        await c.ready;
+        const playerId = 'p-clock';
+        c.send({ type: 'create_room', playerId, name: 'Sleepy' });
+        const { room: { code } } = await c.waitFor(d => d.type === 'state');
+        c.send({ type: 'update_settings', settings: { turn_timer_seconds: 30, bot_count: 1 } });
+        await c.waitFor(d => d.type === 'state' && d.room.settings.turn_timer_seconds === 30);
+        c.send({ type: 'set_ready', ready: true });
+        c.send({ type: 'start_game' });
+
+        const seen = new Set();
+        const durations = [];
+        for (let i = 1; i <= 3; i++) {
+            const state = await c.waitFor(d => d.type === 'state' && d.turnClock?.playerId === playerId
+                && !seen.has(d.turnClock.deadline), 20000);
+            seen.add(state.turnClock.deadline);
+            durations.push(state.turnClock.durationMs);
+            expect(state.turnClock.remainingMs).toBeLessThanOrEqual(state.turnClock.durationMs);
+
+            // Nobody waits 30 real seconds - the clock just runs out now.
+            roomManager.rooms.get(code).turnClock.deadline = 0;
+            expect(await c.waitFor(d => d.type === 'turn_timeout', 5000)).toMatchObject({ playerId, streak: i });
+        }
+        const state = await c.waitFor(d => d.type === 'state' && d.turnClock?.playerId === playerId
+            && !seen.has(d.turnClock.deadline), 20000);
+        durations.push(state.turnClock.durationMs);
+        expect(durations).toEqual([30000, 30000, 10000, 10000]);
+
+        c.close();
+    }, 60000);
+});
+
+describe('table events', () => {
+    it('sends numbered events ahead of the state they led to', async () => {
+        const { c, playerId } = await soloGame();
+        c.drain();
+        c.send({ type: 'bet', action: 'bet', amount: 10000 });
+
+        const first = await c.waitFor(d => (d.type === 'event' && d.playerId === playerId)
+            || (d.type === 'state' && d.roundState?.bets_json?.[playerId] === 10000));
+        expect(first).toMatchObject({ type: 'event', event: 'bet_placed', amount: 10000 });
+        const state = await c.waitFor(d => d.type === 'state' && d.roundState?.bets_json?.[playerId] === 10000);
+        expect(state.eventSeq).toBeGreaterThanOrEqual(first.seq);
+
+        const next = await c.waitFor(d => d.type === 'event', 10000);
+        expect(next.seq).toBeGreaterThan(first.seq);
+        c.close();
+    }, 20000);
+});
+
+describe('state patches', () => {
+    it('sends a full state on join, then patches against the last acked version, and resyncs on request', async () => {
+        const c = client();
+        await c.ready;
+        c.send({ type: 'create_room', playerId: 'p-patch-' + Math.random().toString(36).slice(2, 8), name: 'Host' });
+        const full = await c.waitFor(d => d.type === 'state');
+        expect(full.version).toBe(1);
+        c.send({ type: 'state_ack', version: full.version });
+
+        c.send({ type: 'set_ready', ready: true });
+        const ready = await c.waitFor(d => d.type === 'state_patch');
+        expect(ready).toMatchObject({ version: 2, baseVersion: 1 });
+        const readyState = applyPatch(full, ready.ops).doc;
+        expect(readyState.players[0].is_ready).toBe(true);
+        expect(readyState.sessionToken).toBe(full.sessionToken);
+
+        // Version 2 was never acked, so the next patch is still against 1.
+        c.send({ type: 'set_ready', ready: false });
+        const unready = await c.waitFor(d => d.type === 'state_patch');
+        expect(unready).toMatchObject({ version: 3, baseVersion: 1 });
+        expect(applyPatch(full, unready.ops).doc.players[0].is_ready).toBe(false);
+
+        c.send({ type: 'resync' });
+        const resynced = await c.waitFor(d => d.type === 'state');
+        expect(resynced.version).toBe(4);
+        expect(resynced.players[0].is_ready).toBe(false);
+        c.close();
+    });
+});
+
+describe('protocol versioning and message schemas', () => {
+    it('tells a client without a matching hello to refresh and closes with 4002', async () => {
+        for (const hello of [null, { type: 'hello', protocolVersion: PROTOCOL_VERSION + 1 }]) {
+            const c = client({ hello });
+            await c.ready;
+            const closed = new Promise((resolve) => c.ws.on('close', resolve));
+            c.send({ type: 'list_rooms' });
+            const rejected = await c.waitFor(d => d.type === 'error');
+            expect(rejected).toMatchObject({ code: 'protocol_mismatch', protocolVersion: PROTOCOL_VERSION });
+            expect(rejected.message).toMatch(/refresh/);
+            expect(await closed).toBe(4002);
+        }
+    });
+
+    it('answers a malformed message with a structured error instead of acting on it', async () => {
+        const { c, roomCode, state } = await soloGame();
+        c.drain();
+        c.send({ type: 'bet', action: 'bet', amount: '10000' });
+        expect(await c.waitFor(d => d.type === 'error')).toMatchObject({ code: 'bad_message', field: 'amount' });
+        c.send({ type: 'teleport' });
+        expect(await c.waitFor(d => d.type === 'error')).toMatchObject({ code: 'unknown_type' });
+        c.send({ type: 'kick_player', playerId: state.players.find(p => p.is_bot).id });
+        expect(await c.waitFor(d => d.type === 'error')).toMatchObject({ code: 'invalid', message: 'Bots cannot be kicked' });
+
+        const room = roomManager.rooms.get(roomCode);
+        expect(room.roundState.bets_json).toEqual(state.roundState.bets_json);
+
+        c.send({ type: 'bet', action: 'bet', amount: 10000 });
+        await c.waitFor(d => d.type === 'event', 10000);
+        for (const message of c.received) {
+            expect(validateMessage(message, SERVER_MESSAGES, { open: true })).toEqual({ valid: true, error: null });
+        }
+        expect(c.received[0]).toEqual({ type: 'welcome', protocolVersion: PROTOCOL_VERSION });
+        c.close();
+    }, 20000);
+});
+
+describe('sequenced intents', () => {
+    it('acks or rejects each clientSeq and never applies a resent one twice', async () => {
+        const { c, playerId, roomCode } = await soloGame();
+        const room = roomManager.rooms.get(roomCode);
+        const money = room.players.find(p => p.id === playerId).money_cents;
+        c.drain();
+
+        c.send({ type: 'bet', action: 'bet', amount: 10000, clientSeq: 100 });
+        expect(await c.waitFor(d => d.type === 'ack' || d.type === 'reject')).toEqual({ type: 'ack', clientSeq: 100 });
+        expect(room.players.find(p => p.id === playerId).money_cents).toBe(money - 10000);
+
+        // The same intent again, as after a reconnect: the original reply,
+        // and the bet is not taken a second time.
+        c.send({ type: 'bet', action: 'bet', amount: 10000, clientSeq: 100 });
+        expect(await c.waitFor(d => d.type === 'ack' || d.type === 'reject')).toEqual({ type: 'ack', clientSeq: 100, duplicate: true });
+        expect(room.players.find(p => p.id === playerId).money_cents).toBe(money - 10000);
+
+        c.send({ type: 'play_card', value: 99, clientSeq: 101 });
+        const rejected = await c.waitFor(d => d.type === 'ack' || d.type === 'reject');
+        expect(rejected).toMatchObject({ type: 'reject', clientSeq: 101, code: 'illegal_move' });
+
+        c.send({ type: 'set_ready', ready: true, clientSeq: 50 });
+        expect(await c.waitFor(d => d.type === 'ack' || d.type === 'reject')).toMatchObject({
+            type: 'reject', clientSeq: 50, code: 'duplicate', duplicate: true
+        });
+        expect(c.received.some(d => d.type === 'error')).toBe(false);
+        c.close();
+    }, 20000);
+});
+
+describe('connection quality', () => {
+    it('echoes pings, and shows each human\'s heartbeat latency - or offline - to the room', async () => {
+        const host = client();
+        const guest = client();
+        await Promise.all([host.ready, guest.ready]);
+        host.send({ type: 'create_room', playerId: 'p-lat-host', name: 'Host' });
+        const code = (await host.waitFor(d => d.type === 'state')).room.code;
+        guest.send({ type: 'join_room', playerId: 'p-lat-guest', name: 'Guest', roomCode: code });
+        await host.waitFor(d => d.type === 'state' && d.players.length === 2);
+
+        guest.send({ type: 'ping', sentAt: 1234.5 });
+        expect(await guest.waitFor(d => d.type === 'pong')).toEqual({ type: 'pong', sentAt: 1234.5 });
+
+        // What server/heartbeat.js reports after each pong
+        const guestSocket = roomManager.rooms.get(code).sockets.get('p-lat-guest');
+        roomManager.recordLatency(guestSocket, 80);
+        expect((await host.waitFor(d => d.type === 'connection_quality')).players['p-lat-guest'])
+            .toEqual({ latencyMs: 80, quality: 'good' });
+        roomManager.recordLatency(guestSocket, 90); // same bucket - nothing sent
+        roomManager.recordLatency(guestSocket, 700);
+        expect((await host.waitFor(d => d.type === 'connection_quality')).players['p-lat-guest'])
+            .toEqual({ latencyMs: 700, quality: 'poor' });
+
+        host.drain();
+        guest.close();
+        const state = await host.waitFor(d => d.type === 'state' && d.connections['p-lat-guest']?.quality === 'offline');
+        expect(state.connections['p-lat-host']).toEqual({ latencyMs: null, quality: null });
+        host.close();
+    });
+});
+
+describe('provably fair deals', () => {
+    it('commits to the deck before betting and reveals a server seed that recomputes it', async () => {
+        const clientSeed = '5eed'.repeat(8);
+        const { c, playerId, roomCode, state } = await soloGame(undefined, { clientSeed });
+        const { fairness } = state;
+        expect(fairness.round).toBe(state.roundState.round_no);
+        expect(fairness.clientSeeds).toEqual({ [playerId]: clientSeed });
+        expect(fairness.dealOrder).toContain(playerId);
+        expect(fairness.serverSeed).toBeUndefined();
+
+        // Same shortcut to the end of the round as the hands-exhausted test.
+        const room = roomManager.rooms.get(roomCode);
+        for (const p of room.players.filter(p => p.status === 'active')) room.hands.set(p.id, []);
+        room.deck = [];
+        c.drain();
+        c.send({ type: 'bet', action: 'all-in', amount: null });
+        await c.waitFor(d => d.type === 'state' && d.roundState?.awaiting_position_choice && d.roundState?.highest_bettor_id === playerId, 15000);
+        c.send({ type: 'choose_position', choice: 'last' });
+        const ended = await c.waitFor(d => d.type === 'state' && d.room?.phase === 'round_end', 15000);
+
+        const { serverSeed, ...commitment } = ended.fairness;
+        expect(commitment).toEqual(fairness);
+        const verified = verifyRound(commitment, serverSeed, ended.rules);
+        expect(verified.valid).toBe(true);
+        expect(verified.seed).toBe(ended.roundState.seed);
+        expect(verified.openingHands[playerId]).toEqual(state.yourHand);
+        c.close();
+    }, 25000);
+
+    it('publishes the seed chain head in the lobby and deals from it with the seed sent on ready', async () => {
+        const c = client();
+        await c.ready;
+        const playerId = 'p-chain-' + Math.random().toString(36).slice(2, 8);
+        c.send({ type: 'create_room', playerId, name: 'Host', clientSeed: 'aa'.repeat(16) });
+        const lobby = await c.waitFor(d => d.type === 'state' && d.room?.status === 'lobby');
+        expect(lobby.seedChainHead).toMatch(/^[0-9a-f]{64}$/);
+
+        c.send({ type: 'set_ready', ready: true, clientSeed: 'nope' });
+        expect((await c.waitFor(d => d.type === 'error')).code).toBe('invalid');
+
+        const readySeed = 'bb'.repeat(16);
+        c.send({ type: 'set_ready', ready: true, clientSeed: readySeed });
+        c.send({ type: 'start_game' });
+        const { fairness } = await c.waitFor(d => d.type === 'state' && d.room?.status === 'in_game', 15000);
+        expect(fairness).toMatchObject({ chainHead: lobby.seedChainHead, chainIndex: 1, clientSeeds: { [playerId]: readySeed } });
+        c.close();
+    }, 20000);
+
+    it('rejects a client seed that is not hex', async () => {
+        const c = client();
+        await c.ready;
+        c.send({ type: 'create_room', playerId: 'seed-hex-' + Math.random().toString(36).slice(2, 8), name: 'Host', clientSeed: 'not-a-hex-seed!!' });
+        const rejected = await c.waitFor(d => d.type === 'error');
+        expect(rejected.code).toBe('invalid');
+        expect(rejected.message).toMatch(/client seed/i);
+        c.close();
+    });
+});
+
+describe('accounts', () => {
+    it('keeps an account\'s seat for the account: a guest can\'t claim it, another device signs in and rejoins', async () => {
+        const phone = client();
+        await phone.ready;
+        const username = 'acct' + Math.random().toString(36).slice(2, 8);
+        phone.send({ type: 'register', username, password: 'hunter22hunter' });
+        const account = await phone.waitFor(d => d.type === 'account');
+        expect(account.username).toBe(username);
+        expect(account.playerId).toMatch(/^acct-/);
+
+        phone.send({ type: 'create_room', playerId: account.playerId, name: 'Owner' });
+        const lobby = await phone.waitFor(d => d.type === 'state' && d.room?.status === 'lobby');
+        phone.send({ type: 'set_ready', ready: true });
+        phone.send({ type: 'start_game' });
+        const live = await phone.waitFor(d => d.type === 'state' && d.room?.status === 'in_game', 15000);
+
+        const guest = client();
+        await guest.ready;
+        guest.send({ type: 'rejoin', playerId: account.playerId, roomCode: lobby.room.code, sessionToken: 'a-guess' });
+        expect(await guest.waitFor(d => d.type === 'error')).toMatchObject({ code: 'forbidden', reason: 'auth_required' });
+        guest.send({ type: 'login', username, password: 'not the password' });
+        expect((await guest.waitFor(d => d.type === 'error')).message).toMatch(/wrong username or password/i);
+        guest.close();
+
+        // No session token on the laptop - the account is the credential.
+        const laptop = client();
+        await laptop.ready;
+        laptop.send({ type: 'authenticate', token: account.token });
+        expect((await laptop.waitFor(d => d.type === 'account')).playerId).toBe(account.playerId);
+        laptop.send({ type: 'join_room', playerId: account.playerId, name: 'Owner', roomCode: lobby.room.code });
+        const back = await laptop.waitFor(d => d.type === 'state' && d.room?.status === 'in_game');
+        expect(back.yourHand).toEqual(live.yourHand);
+        expect(back.sessionToken).toBe(live.sessionToken);
+
+        laptop.send({ type: 'authenticate', token: `${account.token}x` });
+        expect(await laptop.waitFor(d => d.type === 'error')).toMatchObject({ reason: 'auth_failed' });
+        phone.close();
+        laptop.close();
+    }, 25000);
+
+    it('keeps a kicked account out of its seat, signed in or not', async () => {
+        const host = client();
+        await host.ready;
+        host.send({ type: 'create_room', playerId: 'p-acctkick-host', name: 'Host' });
+        const { room: { code } } = await host.waitFor(d => d.type === 'state');
+
+        const phone = client();
+        await phone.ready;
+        phone.send({ type: 'register', username: 'kick' + Math.random().toString(36).slice(2, 8), password: 'hunter22hunter' });
+        const account = await phone.waitFor(d => d.type === 'account');
+        phone.send({ type: 'join_room', playerId: account.playerId, name: 'Owner', roomCode: code });
+        await phone.waitFor(d => d.type === 'state');
+        host.send({ type: 'set_ready', ready: true });
+        phone.send({ type: 'set_ready', ready: true });
+        await host.waitFor(d => d.type === 'state' && d.players.length === 2 && d.players.every(p => p.is_ready));
+        host.send({ type: 'start_game' });
+        const { sessionToken } = await phone.waitFor(d => d.type === 'state' && d.room.status === 'in_game');
+
+        host.send({ type: 'kick_player', playerId: account.playerId });
+        expect(await phone.waitFor(d => d.type === 'error')).toMatchObject({ reason: 'kicked' });
+        phone.close();
+
+        const laptop = client();
+        await laptop.ready;
+        laptop.send({ type: 'authenticate', token: account.token });
+        await laptop.waitFor(d => d.type === 'account');
+        laptop.send({ type: 'join_room', playerId: account.playerId, name: 'Owner', roomCode: code });
+        expect((await laptop.waitFor(d => d.type === 'error')).message).toBe('You were removed from this room');
+        laptop.send({ type: 'rejoin', playerId: account.playerId, roomCode: code, sessionToken });
+        expect(await laptop.waitFor(d => d.type === 'error')).toMatchObject({ code: 'forbidden', reason: 'rejoin_failed' });
+        expect(roomManager.rooms.get(code).players.find(p => p.id === account.playerId).connected).toBe(false);
+
+        host.close();
+        laptop.close();
+    }, 25000);
+});
+
+describe('match history', () => {
+    // Play a solo game to its end in one round: all-in, then every bot busts.
+    async function finishSoloGame() {
+        const { c, playerId, roomCode } = await soloGame();
+        const room = roomManager.rooms.get(roomCode);
+        for (const p of room.players.filter(p => p.status === 'active')) room.hands.set(p.id, []);
+        room.deck = [];
+        c.drain();
+        c.send({ type: 'bet', action: 'all-in', amount: null });
+        await c.waitFor(d => d.type === 'state' && d.roundState?.awaiting_position_choice && d.roundState?.highest_bettor_id === playerId, 15000);
+        // Every bot busts this round with nothing left behind - the game ends with it.
+        for (const bot of room.players.filter(p => p.is_bot)) {
+            bot.money_cents = 0;
+            room.roundState.busted_json[bot.id] = true;
+        }
+        c.send({ type: 'choose_position', choice: 'last' });
+        const finished = await c.waitFor(d => d.type === 'state' && d.room?.status === 'finished', 20000);
+        return { c, playerId, roomCode, room, finished };
+    }
+
+    it('records a finished game and answers get_stats with it', async () => {
+        const { c, playerId, roomCode, room } = await finishSoloGame();
+
+        c.send({ type: 'get_stats', playerId });
+        const reply = await c.waitFor(d => d.type === 'stats');
+        expect(reply.player.stats).toMatchObject({ gamesPlayed: 1, wins: 1, roundsPlayed: 1, busts: 0 });
+        expect(reply.player.stats.last).toEqual({ chosen: 1, survived: 1, survivalRate: 1 });
+        expect(reply.player.recent).toHaveLength(1);
+        const myId = reply.player.id;
+        expect(reply.player.recent[0]).toMatchObject({ code: roomCode, rounds: 1, winnerIds: [myId] });
+        expect(reply.player.recent[0].players.find(p => p.id === myId)).toMatchObject({ name: 'Solo' });
+        expect(reply.leaderboard.find(row => row.id === myId)).toMatchObject({ name: 'Solo', wins: 1 });
+        // Bots play, but they're not on the leaderboard.
+        expect(reply.leaderboard.some(row => room.players.some(p => p.is_bot && p.name === row.name))).toBe(false);
+        // Nobody's playerId - a guest's seat identity - is in the reply.
+        for (const p of room.players) expect(JSON.stringify(reply)).not.toContain(p.id);
+        c.close();
+    }, 40000);
+
+    it('still announces the winner when the match history can\'t be written', async () => {
+        const store = roomManager.matches;
+        const errors = vi.spyOn(console, 'error').mockImplementation(() => {});
+        roomManager.matches = {
+            matches: [],
+            record() { throw Object.assign(new Error('no space left on device'), { code: 'ENOSPC' }); }
+        };
+        try {
+            const { c, playerId, roomCode, finished } = await finishSoloGame();
+            expect(finished.winner.id).toBe(playerId);
+            expect(errors).toHaveBeenCalledWith(`Failed to record finished game in room ${roomCode}:`, expect.any(Error));
+            // The room carries on: its host can still start the next game.
+            c.send({ type: 'play_again' });
+            await c.waitFor(d => d.type === 'state' && d.room?.status === 'lobby');
+            c.close();
+        } finally {
+            roomManager.matches = store;
+            errors.mockRestore();
+        }
+    }, 40000);
+});
@@ -0,0 +1,66 @@
+/**
+ * Headless unit tests for engine/snapshot.js - a game captured mid-round
+ * survives a JSON round trip and carries on exactly where it stopped.
+ */
+import { describe, it, expect } from 'vitest';
+import * as game from '../engine/game.js';
+import * as snapshot from '../engine/snapshot.js';
+
+function midRound(rules = game.DEFAULT_RULES) {
+    const room = {
+        code: 'ABCD',
+        host_id: 'p0',
+        status: 'in_game',
+        current_round: 0,
+        starting_player_index: 0,
+        pot_cents: 0,
+        table_total: 0,
+        phase: 'lobby',
+        turn_player_id: null
+    };
+    const players = ['p0', 'p1', 'p2'].map((id, i) => ({
+        id, name: id, seat_index: i, money_cents: rules.STARTING_MONEY, status: 'active', is_bot: false
+    }));
+    const dealt = game.startNewRound(room, players, rules, 21);
+    const bettor = players.find(p => p.id === room.turn_player_id);
+    game.processBet(room, players, dealt.roundState, bettor.id, 'bet', rules.RAISE_AMOUNTS[0], rules);
+    room.turn_player_id = game.getNextBettingPlayer(players, bettor.seat_index, dealt.roundState.finalized_json).id;
+    return { rules, room, players, roundState: dealt.roundState, hands: new Map(Object.entries(dealt.hands)), deck: dealt.deck };
+}
+
+describe('snapshot.createSnapshot / snapshot.restoreSnapshot', () => {
+    it('round-trips a game through JSON, hidden hands and deck included', () => {
+        const state = midRound(game.createRules('spicy').rules);
+        const doc = JSON.parse(JSON.stringify(snapshot.createSnapshot(state)));
+
+        const restored = snapshot.restoreSnapshot(doc);
+        expect(restored.success).toBe(true);
+        expect(restored.version).toBeUndefined();
+        expect(restored.rules).toEqual(state.rules);
+        expect(Object.isFrozen(restored.rules)).toBe(true);
+        expect(restored.room).toEqual(state.room);
+        expect(restored.players).toEqual(state.players);
+        expect(restored.roundState).toEqual(state.roundState);
+        expect(restored.hands).toEqual(state.hands);
+        expect(restored.deck).toEqual(state.deck);
+    });
+
+    it('a restored game accepts the next action just like the original', () => {
+        const state = midRound();
+        const restored = snapshot.restoreSnapshot(snapshot.createSnapshot(state));
+
+        const next = restored.room.turn_player_id;
+        const result = game.processBet(restored.room, restored.players, restored.roundState, next, 'call', null, restored.rules);
+        expect(result.success).toBe(true);
+        expect(state.roundState.bets_json[next]).toBeUndefined(); // original untouched
+    });
+
+    it('rejects another version, invalid rules and hands for unknown players', () => {
+        const doc = snapshot.createSnapshot(midRound());
+
+        expect(snapshot.restoreSnapshot({ ...doc, version: 99 }).error).toMatch(/version/);
+        expect(snapshot.restoreSnapshot({ ...doc, rules: { ...doc.rules, BUST_THRESHOLD: 0 } }).error).toMatch(/rules are invalid/);
+        expect(snapshot.restoreSnapshot({ ...doc, hands: { ...doc.hands, ghost: [1] } }).error).toMatch(/ghost/);
+        expect(snapshot.restoreSnapshot(null).success).toBe(false);
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * Tests for lifetime stats: engine/stats.js folding rounds and finished
+ * games into per-player numbers, and server/matches.js's MatchStore
+ * keeping those games on disk. server.test.js covers a game being
+ * recorded and read back over a connection.
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import * as stats from '../engine/stats.js';
+import { MatchStore } from '../server/matches.js';
+
+// A finished round as summarizeRound sees it - only what it reads.
+function roundState({ round, bets, survivors, busted = [], folded = [], chooser = null, choice = null }) {
+    return {
+        round_no: round,
+        bets_json: bets,
+        highest_bettor_id: chooser,
+        position_choice: choice,
+        log_json: [
+            { type: 'bet', playerId: chooser },
+            { type: 'round_end', eliminatedPlayerIds: busted, survivors, folded }
+        ]
+    };
+}
+
+function match(code, rounds, winnerId, finalMoney) {
+    return stats.summarizeGame({
+        code,
+        preset: 'classic',
+        players: Object.entries(finalMoney).map(([id, money_cents]) => ({ id, name: id.toUpperCase(), is_bot: id.startsWith('bot'), money_cents })),
+        rounds,
+        winner: winnerId ? { id: winnerId } : null,
+        finishedAt: '2026-01-01T00:00:00.000Z'
+    });
+}
+
+describe('engine/stats.js', () => {
+    it('summarizes a round and totals a player\'s games, busts, bets and FIRST/LAST survival', () => {
+        const r1 = stats.summarizeRound(roundState({
+            round: 1, bets: { p1: 100, p2: 50, bot1: 50 }, survivors: ['p1', 'bot1'], busted: ['p2'], chooser: 'p1', choice: 'last'
+        }));
+        expect(r1).toEqual({
+            round: 1,
+            players: ['p1', 'bot1', 'p2'],
+            bets: { p1: 100, p2: 50, bot1: 50 },
+            busted: ['p2'],
+            folded: [],
+            position: { playerId: 'p1', choice: 'last' }
+        });
+        const r2 = stats.summarizeRound(roundState({
+            round: 2, bets: { p1: 300, bot1: 100 }, survivors: ['bot1'], busted: ['p1'], chooser: 'p1', choice: 'first'
+        }));
+        const r3 = stats.summarizeRound(roundState({
+            round: 1, bets: { p1: 200, p2: 0 }, survivors: ['p1'], folded: ['p2']
+        }));
+        expect(r3.position).toBeNull();
+
+        const matches = [
+            match('AAAAAA', [r1, r2], 'bot1', { p1: 0, p2: 0, bot1: 1500 }),
+            match('BBBBBB', [r3], 'p1', { p1: 1200, p2: 0 })
+        ];
+        const p1 = stats.playerStats(matches, 'p1');
+        expect(p1).toMatchObject({ gamesPlayed: 2, wins: 1, winRate: 0.5, roundsPlayed: 3, busts: 1, bustRate: 1 / 3, averageBetCents: 200 });
+        expect(p1.first).toEqual({ chosen: 1, survived: 0, survivalRate: 0 });
+        expect(p1.last).toEqual({ chosen: 1, survived: 1, survivalRate: 1 });
+
+        // Nothing to count yet - rates are null, not 0.
+        expect(stats.playerStats(matches, 'nobody')).toMatchObject({ gamesPlayed: 0, winRate: null, bustRate: null, averageBetCents: null });
+        expect(stats.playerStats(matches, 'p2').first.survivalRate).toBeNull();
+    });
+
+    it('ranks humans only, by wins then win rate, and credits a whole team with a team win', () => {
+        const empty = [];
+        const matches = [
+            match('AAAAAA', empty, 'p1', { p1: 1000, p2: 0, bot1: 0 }),
+            match('BBBBBB', empty, 'p2', { p1: 0, p2: 1000 }),
+            match('CCCCCC', empty, 'p2', { p2: 1000, p3: 0 }),
+            stats.summarizeGame({
+                code: 'DDDDDD',
+                preset: 'classic',
+                players: [{ id: 'p3', name: 'P3', money_cents: 500 }, { id: 'p4', name: 'P4', money_cents: 500 }],
+                rounds: empty,
+                winner: { id: 'p3', teamPlayerIds: ['p3', 'p4'] },
+                finishedAt: '2026-01-02T00:00:00.000Z'
+            })
+        ];
+        const board = stats.leaderboard(matches);
+        expect(board.map(row => row.playerId)).toEqual(['p2', 'p4', 'p1', 'p3']);
+        expect(board[0]).toMatchObject({ name: 'P2', wins: 2, gamesPlayed: 3, winRate: 2 / 3 });
+        expect(board.find(row => row.playerId === 'p1').winRate).toBe(0.5);
+    });
+});
+
+describe('MatchStore', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'not10-matches-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('appends finished games, keeps them across restarts, and skips a line cut short', () => {
+        const store = new MatchStore(dir);
+        store.record(match('AAAAAA', [], 'p1', { p1: 1000, p2: 0 }));
+        store.record(match('BBBBBB', [], 'p2', { p2: 1000, p3: 0 }));
+        expect(store.forPlayer('p2').map(m => m.code)).toEqual(['BBBBBB', 'AAAAAA']);
+
+        // A crash mid-append leaves half a line behind.
+        fs.appendFileSync(path.join(dir, 'matches.jsonl'), '{"code":"CCC');
+        const restarted = new MatchStore(dir);
+        expect(restarted.matches.map(m => m.code)).toEqual(['AAAAAA', 'BBBBBB']);
+        expect(restarted.forPlayer('p1').map(m => m.code)).toEqual(['AAAAAA']);
+        expect(restarted.forPlayer('nobody')).toEqual([]);
+
+        restarted.record(match('DDDDDD', [], 'p1', { p1: 1000, p3: 0 }));
+        expect(new MatchStore(dir).matches.map(m => m.code)).toEqual(['AAAAAA', 'BBBBBB', 'DDDDDD']);
+    });
+});